@@ -45,8 +45,8 @@ class LunaConsole {
         // ========== WATCHES & BREAKPOINTS ==========
         this.watches = new Map();              // reg -> { register, enabled }
         this.breakpoints = new Set();          // addr -> breakpoint
-        this.memoryWatches = new Map();        // addr -> { address, oldValue }
         this.callStack = [];
+        this.systemCallTrace = null;           // removedores dos hooks de sys.trace
         
         // ========== STATISTICS ==========
         this.stats = {
@@ -226,33 +226,67 @@ class LunaConsole {
             // ========== CPU COMMANDS ==========
             "cpu.dump": () => this.dumpCPU(),
             "cpu.registers": () => this.dumpRegisters(),
-            "cpu.disasm": (addr = "0", lines = "10") => this.disassemble(parseInt(addr, 16), parseInt(lines)),
+            "cpu.disasm": (addr = "0", lines = "10") => this.disassemble(this.parseAddress(addr), parseInt(lines)),
             "cpu.trace": (count = "20") => this.traceInstructions(parseInt(count)),
             "cpu.pc": (addr) => this.setCPUPC(addr ? parseInt(addr, 16) : null),
             
             // ========== MEMORY COMMANDS ==========
-            "mem.dump": (addr = "0", len = "256") => this.dumpMemory(parseInt(addr, 16), parseInt(len, 16)),
-            "mem.read": (addr) => this.readMemory(parseInt(addr, 16)),
+            "mem.dump": (addr = "0", len = "256") => this.dumpMemory(this.parseAddress(addr), parseInt(len, 16)),
+            "mem.read": (addr) => this.readMemory(this.parseAddress(addr)),
             "mem.write": (addr, val) => this.writeMemory(parseInt(addr, 16), parseInt(val, 16)),
             "mem.search": (pattern) => this.searchMemory(pattern),
-            "mem.watch": (addr) => this.addMemoryWatch(parseInt(addr, 16)),
-            "mem.unwatch": (addr) => this.removeMemoryWatch(parseInt(addr, 16)),
+            "mem.watch": (...spec) => this.addMemoryWatch(spec),
+            "mem.unwatch": (id) => this.removeMemoryWatch(parseInt(id, 10)),
             "mem.watches": () => this.showMemoryWatches(),
             
             // ========== VDU COMMANDS ==========
             "vdu.info": () => this.dumpVDU(),
             "vdu.dump": (addr = "0", len = "256") => this.dumpVDUMemory(parseInt(addr, 16), parseInt(len, 16)),
+            "ppu.info": () => this.showPPUInfo(),
+            "spu.info": () => this.showSPUInfo(),
+            "audio.record": (file) => this.startAudioRecording(file),
+            "audio.stop": () => this.stopAudioRecording(),
+            "pad.info": () => this.showPadInfo(),
+            "input.bindings": () => this.showInputBindings(),
+            "input.bind": (player, button, code) => this.bindInput(parseInt(player, 10), button, code),
+            "input.reset": () => this.resetInputBindings(),
+            "movie.record": (interval) => this.recordMovie(interval ? parseInt(interval, 10) : undefined),
+            "movie.play": () => this.playMovie(),
+            "movie.stop": () => this.stopMovie(),
+            "movie.export": () => this.exportMovie(),
+            "movie.load": () => this.loadMovieFile(),
+            "movie.info": () => this.showMovieInfo(),
+            "card.scan": (name) => this.scanCard(name),
+            "card.list": () => this.listCards(),
+            "card.remove": (name) => this.removeCard(name),
+            "card.info": () => this.showCardReaderInfo(),
+            "cd.info": () => this.showCDROMInfo(),
+            "cd.toc": () => this.showDiscTOC(),
+            "cd.load": () => this.loadDiscFiles(),
+            "cd.eject": () => this.ejectDisc(),
+            "bios.info": () => this.showBootInfo(),
+            "bios.load": () => this.loadBIOSFile(),
+            "sys.trace": (mode = "on") => this.traceSystemCalls(mode !== "off"),
+            "semi.ls": () => this.listSemihostFiles(),
+            "semi.put": () => this.putSemihostFile(),
+            "semi.get": (file) => this.getSemihostFile(file),
+            "sys.hooks": () => this.listSystemHooks(),
+            "sym.list": (filter) => this.listSymbols(filter),
+            "sym.find": (query) => this.findSymbol(query),
             
             // ========== EXECUTION CONTROL ==========
             run: () => this.toggleRun(),
             pause: () => this.pause(),
             step: () => this.step(),
             reset: () => this.resetEngine(),
+            rewind: (frames = "1") => this.rewindFrames(parseInt(frames, 10)),
+            "rewind.info": () => this.showRewindInfo(),
+            "sched.info": () => this.showSchedulerInfo(),
             
             // ========== BREAKPOINTS ==========
-            "bp.add": (addr) => this.addBreakpoint(parseInt(addr, 16)),
+            "bp.add": (addr) => this.addBreakpoint(this.parseAddress(addr)),
             "bp.list": () => this.listBreakpoints(),
-            "bp.remove": (addr) => this.removeBreakpoint(parseInt(addr, 16)),
+            "bp.remove": (addr) => this.removeBreakpoint(this.parseAddress(addr)),
             "bp.clear": () => this.clearBreakpoints(),
             
             // ========== REGISTER WATCHES ==========
@@ -324,14 +358,63 @@ class LunaConsole {
             ["mem.dump [addr] [len]", "Dump memory"],
             ["mem.read [addr]", "Read byte"],
             ["mem.write [addr] [val]", "Write byte"],
-            ["mem.watch [addr]", "Watch address"],
-            ["mem.watches", "List watched addresses"],
+            ["mem.watch [addr] [r|w|rw]", "Pause on access (addr-end, +len, u8/u16/u32, =val/mask)"],
+            ["mem.unwatch [id]", "Remove memory watchpoint"],
+            ["mem.watches", "List memory watchpoints"],
             ["", ""],
             ["EXECUTION:", ""],
             ["run", "Start execution"],
             ["pause", "Pause execution"],
             ["step", "Single step"],
             ["reset", "Reset system"],
+            ["rewind [frames]", "Step back N frames"],
+            ["rewind.info", "Rewind buffer usage"],
+            ["sched.info", "Pending peripheral events"],
+            ["", ""],
+            ["AUDIO:", ""],
+            ["audio.record [file]", "Record SPU output to WAV (+ per-channel stems)"],
+            ["audio.stop", "Stop recording and download"],
+            ["", ""],
+            ["INPUT:", ""],
+            ["pad.info", "Controller ports and gamepads"],
+            ["input.bindings", "Show keyboard bindings"],
+            ["input.bind [player] [button] [code]", "Bind key (e.g. input.bind 1 START Enter)"],
+            ["input.reset", "Restore default bindings"],
+            ["", ""],
+            ["MOVIES:", ""],
+            ["movie.record [interval]", "Reset and record input (state hash every N frames)"],
+            ["movie.play", "Reset and replay the last movie"],
+            ["movie.stop", "Stop recording/playback"],
+            ["movie.export", "Download movie (.hsm)"],
+            ["movie.load", "Load a .hsm file and replay it"],
+            ["movie.info", "Movie status and desyncs"],
+            ["", ""],
+            ["RFID CARDS:", ""],
+            ["card.scan [file]", "Swipe a library card (no name or unknown: pick a dump file)"],
+            ["card.list", "List card library"],
+            ["card.remove [name]", "Remove card from library"],
+            ["card.info", "Card reader status"],
+            ["", ""],
+            ["CD-ROM:", ""],
+            ["cd.info", "Drive status"],
+            ["cd.toc", "Disc track list"],
+            ["cd.load", "Insert a disc image (.iso, or .cue with its .bin files)"],
+            ["cd.eject", "Eject the disc"],
+            ["", ""],
+            ["BOOT:", ""],
+            ["bios.info", "Firmware, boot mode (flash or HLE) and program"],
+            ["bios.load", "Load a firmware dump into flash and boot"],
+            ["", ""],
+            ["SYSTEM CALLS:", ""],
+            ["sys.trace [on|off]", "Log every syscall/trap/sdbbp (code, PC, r4-r6)"],
+            ["sys.hooks", "List registered HLE hooks"],
+            ["semi.ls", "Files in the semihosting sandbox (sdbbp 31)"],
+            ["semi.put", "Upload a file into the sandbox"],
+            ["semi.get [file]", "Download a file written by the program"],
+            ["", ""],
+            ["SYMBOLS (ELF):", ""],
+            ["sym.list [filter]", "List symbols (names also work in cpu.disasm, mem.*, bp.*)"],
+            ["sym.find [name|addr]", "Address of a symbol, or symbol at an address"],
             ["", ""],
             ["DEBUGGING:", ""],
             ["bp.add [addr]", "Add breakpoint"],
@@ -484,6 +567,7 @@ class LunaConsole {
             for (let i = 0; i < lines; i++) {
                 const currentAddr = addr + (i * 4);
                 const instr = window.emu.disassembler.disasmAt(currentAddr);
+                if (instr.symbol) this.log(`<${instr.symbol}>:`, "success");
                 const marker = this.breakpoints.has(currentAddr) ? "🔴" : "  ";
                 this.log(`${marker} 0x${currentAddr.toString(16).toUpperCase().padStart(8, '0')}: ${instr.text}`, "cpu");
             }
@@ -576,35 +660,50 @@ class LunaConsole {
         this.log("⚠️ Memory search not yet implemented", "warning");
     }
 
-    addMemoryWatch(addr) {
-        this.memoryWatches.set(addr, { address: addr, oldValue: null });
-        this.log(`✓ Memory watch added at 0x${addr.toString(16).toUpperCase().padStart(8, '0')}`, "success");
+    addMemoryWatch(spec) {
+        const miu = window.emu?.hw?.miu;
+        if (!miu) {
+            this.log("❌ Memory not initialized", "error");
+            return;
+        }
+        if (spec.length === 0) {
+            this.log("Usage: mem.watch <addr>[-end|+len] [r|w|rw] [u8|u16|u32] [=val[/mask]]", "warning");
+            return;
+        }
+
+        try {
+            const w = miu.addWatchpoint(window.BreakpointManager.parseMemoryWatch(spec, (str) => this.parseAddress(str)));
+            this.log(`✓ Watchpoint #${w.id}: ${this.describeMemoryWatch(w)}`, "success");
+        } catch (e) {
+            this.log(`❌ ${e.message}`, "error");
+        }
     }
 
-    removeMemoryWatch(addr) {
-        if (this.memoryWatches.delete(addr)) {
-            this.log(`✓ Memory watch removed`, "success");
+    removeMemoryWatch(id) {
+        if (window.emu?.hw?.miu?.removeWatchpoint(id)) {
+            this.log(`✓ Watchpoint #${id} removed`, "success");
+        } else {
+            this.log(`❌ No watchpoint #${id}`, "error");
         }
     }
 
     showMemoryWatches() {
-        if (this.memoryWatches.size === 0) {
-            this.log("No memory watches active", "info");
+        const watchpoints = window.emu?.hw?.miu?.watchpoints ?? [];
+        if (watchpoints.length === 0) {
+            this.log("No memory watchpoints active", "info");
             return;
         }
 
-        this.log("━━━ MEMORY WATCHES ━━━", "warning");
-        this.memoryWatches.forEach((watch, addr) => {
-            try {
-                const val = window.emu.hw.miu.readU8(addr);
-                const changed = watch.oldValue !== null && watch.oldValue !== val;
-                const marker = changed ? "⚠️ " : "   ";
-                this.log(`${marker}0x${addr.toString(16).toUpperCase().padStart(8, '0')}: 0x${val.toString(16).padStart(2, '0').toUpperCase()}`, changed ? "warning" : "info");
-                watch.oldValue = val;
-            } catch (e) {
-                this.log(`0x${addr.toString(16).toUpperCase().padStart(8, '0')}: ERROR`, "error");
-            }
-        });
+        this.log("━━━ MEMORY WATCHPOINTS ━━━", "warning");
+        watchpoints.forEach(w => this.log(`#${w.id}  ${this.describeMemoryWatch(w)}  (${w.hits} hits)`, "info"));
+    }
+
+    describeMemoryWatch(w) {
+        const hex = (v) => `0x${(v >>> 0).toString(16).toUpperCase().padStart(8, '0')}`;
+        const range = w.start === w.end ? hex(w.start) : `${hex(w.start)}-${hex(w.end)}`;
+        const size = w.size ? ` u${w.size * 8}` : "";
+        const condition = w.value === null ? "" : ` =${w.value.toString(16).toUpperCase()}/${w.mask.toString(16).toUpperCase()}`;
+        return `${range} ${w.access}${size}${condition}`;
     }
 
     // ========== VDU COMMANDS ==========
@@ -618,6 +717,490 @@ class LunaConsole {
         this.dumpObject(window.emu.peripherals.vdu, 1);
     }
 
+    showPPUInfo() {
+        if (!window.emu?.peripherals?.ppu) {
+            this.log("❌ PPU not initialized", "error");
+            return;
+        }
+
+        window.emu.peripherals.ppu.getStatus().split("\n").forEach(line => this.log(line, "info"));
+    }
+
+    showSPUInfo() {
+        if (!window.emu?.peripherals?.audio) {
+            this.log("❌ SPU not initialized", "error");
+            return;
+        }
+
+        window.emu.peripherals.audio.getStatus().split("\n").forEach(line => this.log(line, "info"));
+    }
+
+    startAudioRecording(file) {
+        if (!window.emu?.startAudioRecording) {
+            this.log("❌ Emulator not initialized", "error");
+            return;
+        }
+
+        if (window.emu.startAudioRecording({ fileName: file })) {
+            this.log(`⏺️  Recording audio from frame ${window.emu.clock.frameCount}`, "success");
+        } else {
+            this.log("❌ Could not start recording (SPU missing or already recording)", "error");
+        }
+    }
+
+    stopAudioRecording() {
+        const result = window.emu?.stopAudioRecording?.();
+        if (!result) {
+            this.log("❌ No recording in progress", "error");
+            return;
+        }
+
+        this.log(`⏹️  ${result.fileName}: frames ${result.startFrame}-${result.endFrame} (${(result.frames / result.sampleRate).toFixed(2)}s)`, "success");
+        result.stems.forEach(stem => this.log(`   ${stem.fileName}`, "info"));
+    }
+
+    showPadInfo() {
+        const pads = window.emu?.peripherals?.controller;
+        if (!pads) {
+            this.log("❌ Controller ports not initialized", "error");
+            return;
+        }
+
+        pads.getStatus().split("\n").forEach(line => this.log(line, "info"));
+
+        const gamepads = window.emu.input?.describeGamepads() ?? [];
+        this.log(`Gamepads:      ${gamepads.length || "nenhum"}`, "info");
+        gamepads.forEach(desc => this.log(`  ${desc}`, "info"));
+    }
+
+    showInputBindings() {
+        const input = window.emu?.input;
+        if (!input) {
+            this.log("❌ Input not available", "error");
+            return;
+        }
+
+        input.bindings.forEach((map, i) => {
+            this.log(`━━━ PLAYER ${i + 1} ━━━`, "info");
+            Object.entries(map).forEach(([button, code]) => this.log(`  ${button.padEnd(8)} ${code}`, "info"));
+        });
+    }
+
+    bindInput(player, button, code) {
+        const input = window.emu?.input;
+        if (!input) {
+            this.log("❌ Input not available", "error");
+            return;
+        }
+
+        if (input.setBinding(player - 1, button, code)) {
+            this.log(`✓ Player ${player} ${button.toUpperCase()} → ${code}`, "success");
+        } else {
+            this.log("❌ Usage: input.bind <1|2> <button> <KeyboardEvent.code>", "error");
+        }
+    }
+
+    resetInputBindings() {
+        if (!window.emu?.input) {
+            this.log("❌ Input not available", "error");
+            return;
+        }
+
+        window.emu.input.resetBindings();
+        this.log("✓ Default bindings restored", "success");
+    }
+
+    recordMovie(interval) {
+        if (!window.emu?.startMovieRecording) {
+            this.log("❌ Emulator not initialized", "error");
+            return;
+        }
+
+        if (window.emu.startMovieRecording({ hashInterval: interval })) {
+            this.log(`⏺️  Recording movie from power-on (hash every ${window.emu.movie.movie.hashInterval} frames)`, "success");
+        } else {
+            this.log("❌ Load a ROM first", "error");
+        }
+    }
+
+    playMovie() {
+        const movie = window.emu?.lastMovie;
+        if (!movie) {
+            this.log("❌ No movie recorded or loaded (use movie.record or movie.load)", "error");
+            return;
+        }
+
+        try {
+            window.emu.playMovie(movie);
+            this.log(`▶️  Replaying ${movie.length} frames from power-on`, "success");
+        } catch (err) {
+            this.log(`❌ ${err.message}`, "error");
+        }
+    }
+
+    stopMovie() {
+        const result = window.emu?.stopMovie?.();
+        if (!result) {
+            this.log("❌ No movie in progress", "error");
+            return;
+        }
+
+        this.log(`⏹️  ${result.mode === "record" ? "Recorded" : "Replayed"} ${result.frames} frames`, "success");
+        if (result.mode === "play") {
+            this.log(`   Desyncs: ${result.desyncs.length}`, result.desyncs.length ? "warning" : "info");
+        }
+    }
+
+    exportMovie() {
+        const bytes = window.emu?.exportMovie?.();
+        if (!bytes) {
+            this.log("❌ No movie to export", "error");
+            return;
+        }
+        this.log(`💾 Movie exported (${bytes.length} bytes)`, "success");
+    }
+
+    loadMovieFile() {
+        if (!window.emu?.importMovie) {
+            this.log("❌ Emulator not initialized", "error");
+            return;
+        }
+
+        const picker = document.createElement("input");
+        picker.type = "file";
+        picker.accept = ".hsm";
+        picker.addEventListener("change", async () => {
+            const file = picker.files[0];
+            if (!file) return;
+
+            if (await window.emu.importMovie(file)) {
+                this.log(`▶️  Replaying ${file.name} (${window.emu.lastMovie.length} frames)`, "success");
+            } else {
+                this.log(`❌ Could not load ${file.name}`, "error");
+            }
+        });
+        picker.click();
+    }
+
+    showMovieInfo() {
+        const session = window.emu?.movie;
+        const movie = session?.movie ?? window.emu?.lastMovie;
+        if (!movie) {
+            this.log("No movie recorded or loaded", "info");
+            return;
+        }
+
+        this.log("━━━ INPUT MOVIE ━━━", "info");
+        this.log(`Mode:      ${session ? session.mode : "idle"}`, "info");
+        this.log(`ROM:       ${movie.romName} (CRC 0x${movie.romCRC.toString(16).toUpperCase()})`, "info");
+        this.log(`Frames:    ${session ? `${window.emu._movieFrame()} / ` : ""}${movie.length}`, "info");
+        this.log(`Hashes:    ${Object.keys(movie.hashes).length} (every ${movie.hashInterval} frames)`, "info");
+
+        (session?.desyncs ?? []).forEach(d => this.log(
+            `⚠️ Desync @${d.frame}: expected 0x${d.expected.toString(16)}, got 0x${d.actual.toString(16)}`, "warning"
+        ));
+    }
+
+    scanCard(name) {
+        if (!window.emu?.swipeCard) {
+            this.log("❌ Emulator not initialized", "error");
+            return;
+        }
+
+        if (name && window.emu.cards?.get(name)) {
+            if (window.emu.swipeCard(name)) this.log(`💳 Swiped ${name}`, "success");
+            else this.log("❌ Card reader not available", "error");
+            return;
+        }
+
+        // Fora da biblioteca: escolhe o dump, adiciona e passa no leitor
+        const picker = document.createElement("input");
+        picker.type = "file";
+        picker.accept = ".bin,.mfd";
+        picker.addEventListener("change", async () => {
+            const file = picker.files[0];
+            if (!file) return;
+
+            const added = await window.emu.importCard(file);
+            if (added && window.emu.swipeCard(added)) {
+                this.log(`💳 Swiped ${added} (added to library)`, "success");
+            } else {
+                this.log(`❌ Could not load ${file.name}`, "error");
+            }
+        });
+        picker.click();
+    }
+
+    listCards() {
+        const cards = window.emu?.cards?.list() ?? [];
+        if (cards.length === 0) {
+            this.log("Card library is empty (use card.scan to add a dump)", "info");
+            return;
+        }
+
+        this.log("━━━ CARD LIBRARY ━━━", "info");
+        cards.forEach(card => this.log(`${card.name.padEnd(24)} UID ${card.uid}  ${card.size} bytes`, "info"));
+    }
+
+    removeCard(name) {
+        if (window.emu?.cards?.remove(name)) {
+            window.emu.updateCardList();
+            this.log(`🗑️  Removed ${name}`, "success");
+        } else {
+            this.log(`❌ Card not found: ${name}`, "error");
+        }
+    }
+
+    showCardReaderInfo() {
+        const reader = window.emu?.peripherals?.cardReader;
+        if (!reader) {
+            this.log("❌ Card reader not available", "error");
+            return;
+        }
+        reader.getStatus().split("\n").forEach(line => this.log(line, "info"));
+    }
+
+    showCDROMInfo() {
+        const cdrom = window.emu?.peripherals?.cdrom;
+        if (!cdrom) {
+            this.log("❌ CD-ROM drive not available", "error");
+            return;
+        }
+        cdrom.getStatus().split("\n").forEach(line => this.log(line, "info"));
+    }
+
+    showDiscTOC() {
+        const disc = window.emu?.hw?.disc;
+        if (!disc) {
+            this.log("No disc in the drive (use cd.load)", "info");
+            return;
+        }
+
+        this.log(`━━━ ${disc.name || "DISC"} (${disc.sectorCount} sectors) ━━━`, "info");
+        disc.getTOC().forEach(t => this.log(
+            `Track ${String(t.number).padStart(2, '0')}  ${t.type.padEnd(5)}  LBA ${String(t.startLBA).padStart(6)}  ${t.sectors} sectors`, "info"
+        ));
+    }
+
+    loadDiscFiles() {
+        if (!window.emu?.loadDisc) {
+            this.log("❌ Emulator not initialized", "error");
+            return;
+        }
+
+        const picker = document.createElement("input");
+        picker.type = "file";
+        picker.accept = ".iso,.cue,.bin,.img";
+        picker.multiple = true;
+        picker.addEventListener("change", async () => {
+            if (picker.files.length === 0) return;
+
+            if (await window.emu.loadDisc(picker.files)) {
+                this.log(`💿 Disc inserted: ${window.emu.hw.disc.name} (${window.emu.hw.disc.sectorCount} sectors)`, "success");
+            } else {
+                this.log("❌ Could not load disc image", "error");
+            }
+        });
+        picker.click();
+    }
+
+    ejectDisc() {
+        if (window.emu?.ejectDisc?.()) {
+            this.log("⏏️  Disc ejected", "success");
+        } else {
+            this.log("No disc in the drive", "info");
+        }
+    }
+
+    // ========== BOOT ==========
+
+    showBootInfo() {
+        const hw = window.emu?.hw;
+        if (!hw) {
+            this.log("❌ Emulator not initialized", "error");
+            return;
+        }
+
+        this.log("━━━ BOOT ━━━", "info");
+        this.log(`Firmware:  ${hw.bios ? `${hw.bios.name} (${hw.bios.image.length} bytes)` : "none (HLE)"}`, "info");
+        this.log(`Flash ROM: ${hw.romImage ? hw.romName : "-"}`, "info");
+        this.log(`Disc:      ${hw.disc ? hw.disc.name : "-"}`, "info");
+
+        if (!hw.boot) {
+            this.log("Mode:      not booted", "info");
+        } else if (hw.boot.mode === "hle") {
+            const vectors = window.emu.cpu.cr[3] >>> 0;
+            this.log(`Mode:      HLE → ${hw.boot.elf.name} @ 0x${hw.boot.elf.entry.toString(16).toUpperCase().padStart(8, '0')}`, "info");
+            this.log(`Vectors:   CR3 = 0x${vectors.toString(16).toUpperCase().padStart(8, '0')}`, "info");
+        } else {
+            this.log("Mode:      flash (firmware code)", "info");
+        }
+    }
+
+    loadBIOSFile() {
+        if (!window.emu?.loadBIOS) {
+            this.log("❌ Emulator not initialized", "error");
+            return;
+        }
+
+        const picker = document.createElement("input");
+        picker.type = "file";
+        picker.accept = ".bin,.rom";
+        picker.addEventListener("change", async () => {
+            const file = picker.files[0];
+            if (!file) return;
+
+            if (await window.emu.loadBIOS(file)) {
+                this.log(`🧩 Firmware loaded: ${file.name}`, "success");
+            } else {
+                this.log(`❌ Could not boot ${file.name}`, "error");
+            }
+        });
+        picker.click();
+    }
+
+    // ========== SYSTEM CALLS ==========
+
+    traceSystemCalls(enabled) {
+        const cpu = window.emu?.cpu;
+        if (!cpu?.addHook) {
+            this.log("❌ CPU not initialized", "error");
+            return;
+        }
+
+        this.systemCallTrace?.forEach(remove => remove());
+        this.systemCallTrace = null;
+
+        if (enabled) {
+            const hex = (v) => `0x${(v >>> 0).toString(16).toUpperCase()}`;
+            // Observadores: não retornam true, então o hook do código (ou a exceção) continua valendo
+            this.systemCallTrace = ["syscall", "trap", "sdbbp"].map(kind => cpu.addHook(kind, "*", (c, code) => {
+                this.log(`⚙️  ${kind} ${hex(code)} @ ${hex(c.pc)}  r4=${hex(c.r[4])} r5=${hex(c.r[5])} r6=${hex(c.r[6])}`, "cpu");
+            }));
+        }
+
+        this.log(`System call trace ${enabled ? "ON" : "OFF"}`, "success");
+    }
+
+    listSemihostFiles() {
+        const semihost = window.emu?.semihost;
+        const files = semihost?.fs?.list?.() ?? [];
+
+        if (semihost?.exitStatus !== null && semihost?.exitStatus !== undefined) {
+            this.log(`Program exited with status ${semihost.exitStatus}`, "info");
+        }
+        if (files.length === 0) {
+            this.log("Semihosting sandbox is empty (use semi.put)", "info");
+            return;
+        }
+
+        this.log("━━━ SEMIHOSTING FILES ━━━", "info");
+        files.forEach(f => this.log(`${f.path.padEnd(32)} ${f.size} bytes`, "info"));
+    }
+
+    putSemihostFile() {
+        const fileSystem = window.emu?.semihost?.fs;
+        if (!fileSystem) {
+            this.log("❌ Semihosting not available", "error");
+            return;
+        }
+
+        const picker = document.createElement("input");
+        picker.type = "file";
+        picker.addEventListener("change", async () => {
+            const file = picker.files[0];
+            if (!file) return;
+
+            fileSystem.writeFile(file.name, new Uint8Array(await file.arrayBuffer()));
+            this.log(`📄 ${file.name} added to the sandbox`, "success");
+        });
+        picker.click();
+    }
+
+    getSemihostFile(name) {
+        const data = name ? window.emu?.semihost?.fs?.readFile(name) : null;
+        if (!data) {
+            this.log(`❌ File not found: ${name ?? ""}`, "error");
+            return;
+        }
+
+        const url = URL.createObjectURL(new Blob([data], { type: "application/octet-stream" }));
+        const link = document.createElement("a");
+        link.href = url;
+        link.download = name.split("/").pop();
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+        this.log(`💾 ${name} (${data.length} bytes)`, "success");
+    }
+
+    listSystemHooks() {
+        const hooks = window.emu?.cpu?.hooks;
+        if (!hooks) {
+            this.log("❌ CPU not initialized", "error");
+            return;
+        }
+
+        const lines = [];
+        for (const [kind, table] of Object.entries(hooks)) {
+            for (const [code, handlers] of table) {
+                const label = code === "*" ? "*" : `0x${code.toString(16).toUpperCase()}`;
+                lines.push(`${kind.padEnd(8)} ${label.padEnd(8)} ${handlers.length} handler(s)`);
+            }
+        }
+
+        if (lines.length === 0) {
+            this.log("No HLE hooks registered", "info");
+            return;
+        }
+        this.log("━━━ HLE HOOKS ━━━", "info");
+        lines.forEach(line => this.log(line, "info"));
+    }
+
+    // ========== SYMBOLS ==========
+
+    /**
+     * Endereço de um argumento: nome de símbolo ou hexadecimal
+     */
+    parseAddress(str) {
+        const symbol = window.emu?.symbols?.find(str);
+        return symbol ?? parseInt(str, 16);
+    }
+
+    listSymbols(filter = "") {
+        const symbols = window.emu?.symbols?.list(filter) ?? [];
+        if (symbols.length === 0) {
+            this.log("No symbols (load an ELF with a symbol table)", "info");
+            return;
+        }
+
+        this.log(`━━━ SYMBOLS (${symbols.length}) ━━━`, "info");
+        symbols.slice(0, 200).forEach(s => this.log(
+            `0x${s.address.toString(16).toUpperCase().padStart(8, '0')}  ${s.type.padEnd(6)}  ${s.name}${s.size ? ` (${s.size} bytes)` : ""}`, "info"
+        ));
+        if (symbols.length > 200) this.log(`... ${symbols.length - 200} more (use sym.list [filter])`, "info");
+    }
+
+    findSymbol(query) {
+        const table = window.emu?.symbols;
+        if (!table || !query) {
+            this.log("Usage: sym.find [name|addr]", "warning");
+            return;
+        }
+
+        const address = table.find(query);
+        if (address !== null) {
+            this.log(`${query} = 0x${address.toString(16).toUpperCase().padStart(8, '0')}`, "success");
+            return;
+        }
+
+        const name = table.format(parseInt(query, 16));
+        if (name) {
+            this.log(`0x${(parseInt(query, 16) >>> 0).toString(16).toUpperCase().padStart(8, '0')} = ${name}`, "success");
+        } else {
+            this.log(`❌ Symbol not found: ${query}`, "error");
+        }
+    }
+
     dumpVDUMemory(addr = 0, len = 256) {
         this.log("⚠️ VDU memory dump not implemented", "warning");
     }
@@ -667,6 +1250,51 @@ class LunaConsole {
             if (this.statusLed) this.statusLed.classList.remove("running");
         }
      }
+
+    rewindFrames(frames = 1) {
+        if (!window.emu?.rewindFrames) {
+            this.log("❌ Emulator not initialized", "error");
+            return;
+        }
+
+        if (!Number.isFinite(frames) || frames < 1) {
+            this.log("❌ Usage: rewind <frames>", "error");
+            return;
+        }
+
+        const rewound = window.emu.rewindFrames(frames);
+        if (rewound === 0) {
+            this.log("⚠️  Rewind history exhausted", "warning");
+            return;
+        }
+
+        this.log(`⏪ Rewound ${rewound} frame(s) → frame ${window.emu.clock.frameCount}`, "success");
+        this.dumpRegisters();
+    }
+
+    showRewindInfo() {
+        if (!window.emu?.rewind) {
+            this.log("❌ Rewind not available", "error");
+            return;
+        }
+
+        const info = window.emu.rewind.getInfo();
+        this.log("━━━ REWIND BUFFER ━━━", "info");
+        this.log(`Frames:  ${info.frames} / ${window.emu.rewind.capacity}`, "info");
+        if (info.frames > 0) {
+            this.log(`Range:   ${info.oldestFrame} → ${info.newestFrame}`, "info");
+        }
+        this.log(`Deltas:  ${(info.bytes / 1024).toFixed(0)} KB / ${(window.emu.rewind.maxBytes / 1024).toFixed(0)} KB`, "info");
+    }
+
+    showSchedulerInfo() {
+        if (!window.emu?.scheduler) {
+            this.log("❌ Scheduler not available", "error");
+            return;
+        }
+
+        window.emu.scheduler.getStatus().split("\n").forEach(line => this.log(line, "info"));
+    }
 // ========== DEBUGGING COMMANDS ==========
     toggleDebug() {
         window.__DEV__ = !window.__DEV__;
@@ -904,14 +1532,6 @@ class LunaConsole {
             }
         }, 500);
 
-        // Monitor memory watches
-        setInterval(() => {
-            if (this.memoryWatches.size > 0 && this.isRunning) {
-                // Optional: Show watches periodically
-                // this.showMemoryWatches();
-            }
-        }, 1000);
-
         // Update status LED
         setInterval(() => {
             if (this.statusLed && this.isRunning) {
@@ -938,6 +1558,18 @@ class LunaConsole {
             }
         };
 
+        // Watchpoints de memória param o engine na instrução do acesso
+        window.emu.onWatchpoint = (hit) => {
+            this.isRunning = false;
+            this.log(
+                `🔴 WATCHPOINT #${hit.id}: ${hit.access === "w" ? "write" : "read"} ` +
+                `0x${(hit.value >>> 0).toString(16).toUpperCase()} @ 0x${hit.address.toString(16).toUpperCase().padStart(8, '0')} ` +
+                `by ${window.emu.symbols?.format(hit.pc) ?? `0x${hit.pc.toString(16).toUpperCase()}`}`,
+                "error"
+            );
+            this.dumpRegisters();
+        };
+
         // Hook para mudanças de status
         if (!window.emu.onStatusChange) {
             window.emu.onStatusChange = (status) => {
@@ -1001,7 +1633,7 @@ class LunaConsole {
             uptime: ((Date.now() - this.stats.startTime) / 1000).toFixed(2),
             breakpoints: this.breakpoints.size,
             watches: this.watches.size,
-            memoryWatches: this.memoryWatches.size,
+            memoryWatches: window.emu?.hw?.miu?.watchpoints.length ?? 0,
             debugMode: window.__DEV__,
             traceEnabled: window.__TRACE__ || false
         };
@@ -1185,7 +1817,9 @@ setInterval(() => {
     const freqDisplay = document.getElementById("cpu-freq-display");
     
     if (freqDisplay && clock) {
-        const mhz = (clock.targetHz / 1000000).toFixed(2);
+        // Frequência emulada (ciclos reais por segundo); alvo quando parado
+        const hz = window.emu?.state === EmulatorState.RUNNING && clock.emulatedHz ? clock.emulatedHz : clock.targetHz;
+        const mhz = (hz / 1000000).toFixed(2);
         freqDisplay.textContent = `${mhz} MHz`;
     }
 
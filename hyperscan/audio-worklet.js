@@ -0,0 +1,78 @@
+/**
+ * audio-worklet.js - AudioWorkletProcessor da saída de som
+ *
+ * Roda na thread de áudio (carregado por audioWorklet.addModule, não por
+ * <script>). Recebe blocos Float32 intercalados (L, R) da SPU pela port e
+ * toca em ordem; sem dados, sai silêncio. A fila é limitada para a
+ * latência não crescer quando a emulação roda acima da velocidade real.
+ *
+ * Autor: Ccor444
+ */
+
+"use strict";
+
+class HyperScanAudioProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+
+        const maxLatency = options?.processorOptions?.maxLatency ?? 0.25;
+        this.maxFrames = Math.round(sampleRate * maxLatency);
+
+        this.queue = [];
+        this.queuedFrames = 0;
+        this.offset = 0;   // frames já consumidos do primeiro bloco
+        this.underruns = 0;
+
+        this.port.onmessage = (event) => {
+            if (event.data === "clear") {
+                this.queue = [];
+                this.queuedFrames = 0;
+                this.offset = 0;
+                return;
+            }
+
+            const block = event.data;
+            this.queue.push(block);
+            this.queuedFrames += block.length >>> 1;
+
+            while (this.queuedFrames > this.maxFrames && this.queue.length > 1) {
+                const dropped = this.queue.shift();
+                this.queuedFrames -= (dropped.length >>> 1) - this.offset;
+                this.offset = 0;
+            }
+        };
+    }
+
+    process(inputs, outputs) {
+        const [left, right] = outputs[0];
+        let i = 0;
+
+        while (i < left.length && this.queue.length > 0) {
+            const block = this.queue[0];
+            const frames = block.length >>> 1;
+
+            while (i < left.length && this.offset < frames) {
+                left[i] = block[this.offset * 2];
+                if (right) right[i] = block[this.offset * 2 + 1];
+                this.offset++;
+                this.queuedFrames--;
+                i++;
+            }
+
+            if (this.offset >= frames) {
+                this.queue.shift();
+                this.offset = 0;
+            }
+        }
+
+        if (i < left.length) {
+            this.underruns++;
+            left.fill(0, i);
+            if (right) right.fill(0, i);
+        }
+
+        return true;
+    }
+}
+
+registerProcessor("hyperscan-audio", HyperScanAudioProcessor);
@@ -0,0 +1,111 @@
+/**
+ * audio.js - Saída Web Audio da SPU
+ *
+ * Cria o AudioContext a 44100 Hz (mesma taxa da SPU, sem reamostragem) e
+ * um AudioWorkletNode (hyperscan/audio-worklet.js). É um sink de áudio do
+ * engine (HyperScanEngine.addAudioSink): recebe, ao fim de cada frame, a
+ * mixagem drenada da SPU.
+ *
+ * O navegador só libera áudio após um gesto do usuário: start() deve ser
+ * chamado a partir de um clique (o botão Run).
+ *
+ * Autor: Ccor444
+ */
+
+"use strict";
+
+if (typeof WebAudioOutput === 'undefined') {
+    class WebAudioOutput {
+        /**
+         * @param {Object} [options]
+         * @param {number} [options.sampleRate=44100] - Taxa da SPU
+         * @param {string} [options.workletURL="hyperscan/audio-worklet.js"]
+         * @param {number} [options.maxLatency=0.25] - Segundos máximos na fila do worklet
+         */
+        constructor(options = {}) {
+            this.sampleRate = options.sampleRate || 44100;
+            this.workletURL = options.workletURL || "hyperscan/audio-worklet.js";
+            this.maxLatency = options.maxLatency ?? 0.25;
+
+            this.context = null;
+            this.node = null;
+            this.gain = null;
+            this.ready = false;
+            this._starting = null;
+        }
+
+        /**
+         * @returns {boolean} true se o navegador suporta AudioWorklet
+         */
+        static isSupported() {
+            return typeof AudioContext !== 'undefined' && typeof AudioWorkletNode !== 'undefined';
+        }
+
+        /**
+         * Cria (uma vez) o grafo de áudio e retoma o contexto
+         * @returns {Promise<boolean>} true se o áudio está tocando
+         */
+        async start() {
+            if (!WebAudioOutput.isSupported()) return false;
+
+            if (!this._starting) {
+                this._starting = (async () => {
+                    this.context = new AudioContext({ sampleRate: this.sampleRate, latencyHint: "interactive" });
+                    await this.context.audioWorklet.addModule(this.workletURL);
+
+                    this.node = new AudioWorkletNode(this.context, "hyperscan-audio", {
+                        numberOfInputs: 0,
+                        outputChannelCount: [2],
+                        processorOptions: { maxLatency: this.maxLatency }
+                    });
+                    this.gain = this.context.createGain();
+                    this.node.connect(this.gain).connect(this.context.destination);
+                    this.ready = true;
+
+                    console.log(`[AUDIO] ✓ AudioWorklet ativo (${this.context.sampleRate} Hz)`);
+                })();
+            }
+
+            try {
+                await this._starting;
+                if (this.context.state !== "running") await this.context.resume();
+                return true;
+            } catch (err) {
+                console.warn("[AUDIO] ⚠️ Não foi possível iniciar o áudio:", err);
+                this._starting = null;
+                return false;
+            }
+        }
+
+        /**
+         * Envia a mixagem do bloco para o worklet. O buffer é copiado, não
+         * transferido: outros sinks recebem o mesmo bloco.
+         *
+         * @param {{mix: Float32Array}} block - Bloco do engine
+         */
+        write(block) {
+            if (!this.ready || block.mix.length === 0) return;
+            this.node.port.postMessage(block.mix);
+        }
+
+        /**
+         * Pausa o contexto e descarta o que estava na fila
+         */
+        suspend() {
+            if (!this.ready) return;
+            this.node.port.postMessage("clear");
+            this.context.suspend();
+        }
+
+        /**
+         * @param {number} volume - 0.0 a 1.0
+         */
+        setVolume(volume) {
+            if (this.gain) this.gain.gain.value = Math.max(0, Math.min(1, volume));
+        }
+    }
+
+    window.WebAudioOutput = WebAudioOutput;
+
+    console.log("[AUDIO] ✓ WebAudioOutput carregado");
+}
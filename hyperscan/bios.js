@@ -0,0 +1,143 @@
+/**
+ * bios.js - BIOS de alto nível (HLE) para boot sem dump do firmware
+ *
+ * Faz o que o firmware do HyperScan faz antes de entregar a máquina ao
+ * jogo, sem executar código da flash:
+ *
+ *   1. DRAM      limpa (o firmware zera a memória no power-on)
+ *   2. Programa  segmentos do ELF nos endereços virtuais
+ *   3. Vetores   tabela de exceções no topo da DRAM, CR3 apontando para
+ *                ela. Cada vetor é um sdbbp tratado aqui: IRQ recebe ACK
+ *                e retorna; falha síncrona vai para onFault
+ *   4. I/O       IRQs mascaradas e pendências limpas no controlador
+ *   5. CPU       interrupções desligadas, pilha (r0) e gp (r28), PC no
+ *                entry point
+ *
+ * O jogo instala os próprios handlers (mtcr cr3 / escrita nos vetores)
+ * e liga as IRQs que usa.
+ *
+ * Autor: Ccor444
+ */
+
+"use strict";
+
+if (typeof HLEBios === 'undefined') {
+    const HLE_BIOS = Object.freeze({
+        VECTOR_BASE: 0xA0FFFF00,    // 64 vetores de 4 bytes: os últimos 256 bytes da DRAM
+        VECTOR_COUNT: 64,
+        STACK_TOP: 0xA0FFFEF0,      // Pilha cresce para baixo, logo abaixo dos vetores
+
+        // Código do sdbbp dos vetores (o semihosting usa o 31)
+        VECTOR_SDBBP: 30,
+
+        INTC_MASK: 0x080D0000,
+        INTC_STATUS: 0x080D0008,
+        INTC_ACK: 0x080D000C
+    });
+
+    class HLEBios {
+        constructor() {
+            /**
+             * Exceção síncrona sem handler do jogo: (fault) => {}
+             * fault: { cause, address, pc, message }
+             * @type {Function|null}
+             */
+            this.onFault = null;
+        }
+
+        /**
+         * Registra o handler dos vetores na CPU
+         *
+         * @param {CPU} cpu
+         * @returns {Function} Remove o hook
+         */
+        attach(cpu) {
+            return cpu.addHook("sdbbp", HLE_BIOS.VECTOR_SDBBP, (c) => this.handleVector(c));
+        }
+
+        /**
+         * Prepara a máquina e carrega o programa
+         *
+         * @param {{cpu: CPU, miu: SegmentedMemoryRegion, dram: ArrayMemoryRegion}} machine
+         * @param {ElfImage} elf
+         */
+        boot(machine, elf) {
+            const { cpu, miu, dram } = machine;
+
+            dram.clear();
+            elf.load(miu);
+
+            this.installVectors(miu);
+            cpu.cr[3] = HLE_BIOS.VECTOR_BASE;
+
+            miu.writeU32(HLE_BIOS.INTC_MASK, 0);
+            miu.writeU32(HLE_BIOS.INTC_ACK, 0xFFFFFFFF);
+
+            const stack = elf.symbolAddress("_stack") ?? elf.symbolAddress("__stack");
+            const gp = elf.symbolAddress("_gp");
+
+            cpu.cr[0] = 0;
+            cpu.r[0] = stack ?? HLE_BIOS.STACK_TOP;
+            if (gp !== null) cpu.r[28] = gp;
+            cpu.pc = elf.entry;
+
+            console.log(`[BIOS] ✓ HLE: vetores em 0x${HLE_BIOS.VECTOR_BASE.toString(16).toUpperCase()}, entry 0x${elf.entry.toString(16).toUpperCase()}`);
+        }
+
+        /**
+         * Vetor da tabela HLE alcançado (causa em CR2[23:18]). Uma IRQ
+         * pendente recebe ACK no INTC e volta com rte; qualquer outra causa
+         * (falha, trap, sdbbp sem hook) é reportada em onFault e a CPU
+         * volta para a instrução que a gerou.
+         *
+         * @param {CPU} cpu
+         * @returns {boolean} false fora da tabela (sdbbp do próprio jogo)
+         */
+        handleVector(cpu) {
+            if (((cpu.pc - HLE_BIOS.VECTOR_BASE) >>> 0) >= HLE_BIOS.VECTOR_COUNT * 4) return false;
+
+            const cause = (cpu.cr[2] >>> 18) & 0x3F;
+            const miu = cpu.miu;
+            const pending = (miu.readU32(HLE_BIOS.INTC_STATUS) & miu.readU32(HLE_BIOS.INTC_MASK)) >>> 0;
+
+            if (cause < 32 && ((pending >>> cause) & 1)) {
+                miu.writeU32(HLE_BIOS.INTC_ACK, (1 << cause) >>> 0);
+                cpu.rte();
+                return true;
+            }
+
+            const last = cpu.lastFault;
+            const fault = last && last.cause === cause && last.pc === cpu.cr[5]
+                ? last
+                : { cause, address: cpu.cr[5], pc: cpu.cr[5], message: "Exceção sem handler (BIOS HLE)" };
+
+            cpu.rte();
+            console.warn(`[BIOS] ⚠️ Exceção 0x${cause.toString(16)} sem handler @ PC 0x${fault.pc.toString(16).padStart(8, '0').toUpperCase()}`);
+            if (this.onFault) this.onFault(fault);
+            return true;
+        }
+
+        /**
+         * @param {SegmentedMemoryRegion} miu
+         */
+        installVectors(miu) {
+            // sdbbp VECTOR_SDBBP (SP-form func6 0x03, código em rA)
+            const insn = (HLE_BIOS.VECTOR_SDBBP << 15) | (0x03 << 1);
+
+            // Inverso do fetch da CPU: 15 bits em cada metade, p0 e p1 = 1
+            const low = (insn & 0x7FFF) | 0x8000;
+            const high = ((insn >>> 15) & 0x7FFF) | 0x8000;
+
+            for (let i = 0; i < HLE_BIOS.VECTOR_COUNT; i++) {
+                const addr = HLE_BIOS.VECTOR_BASE + i * 4;
+                miu.writeU16(addr, low);
+                miu.writeU16(addr + 2, high);
+            }
+        }
+    }
+
+    window.HLEBios = HLEBios;
+    window.HLE_BIOS = HLE_BIOS;
+
+    console.log("[BIOS] ✓ HLEBios carregada");
+}
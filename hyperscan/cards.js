@@ -0,0 +1,124 @@
+/**
+ * cards.js - Biblioteca de dumps de cartões RFID
+ *
+ * Guarda os dumps (memória bruta do tag, blocos de 16 bytes) por nome
+ * para serem passados no leitor (RFIDReader) pelo painel, pelo Luna ou
+ * por scripts. No navegador a biblioteca fica no localStorage; no
+ * headless vale só para a sessão.
+ *
+ * Autor: Ccor444
+ */
+
+"use strict";
+
+if (typeof CardLibrary === 'undefined') {
+    const CARD_BLOCK_SIZE = 16;
+    const CARD_MAX_SIZE = 4096;     // MIFARE Classic 4K
+    const STORAGE_KEY = "hyperscan.cards";
+
+    class CardLibrary {
+        constructor() {
+            /** @type {Map<string, Uint8Array>} */
+            this.cards = new Map();
+            this._load();
+        }
+
+        get size() {
+            return this.cards.size;
+        }
+
+        /**
+         * Adiciona (ou substitui) um dump
+         *
+         * @param {string} name
+         * @param {Uint8Array|ArrayBuffer|number[]} data
+         * @returns {Uint8Array} Dump guardado
+         * @throws {Error} Se o tamanho não for de um tag válido
+         */
+        add(name, data) {
+            const dump = data instanceof ArrayBuffer ? new Uint8Array(data) : Uint8Array.from(data);
+
+            if (!name) throw new Error("Cartão sem nome");
+            if (dump.length === 0 || dump.length % CARD_BLOCK_SIZE !== 0 || dump.length > CARD_MAX_SIZE) {
+                throw new Error(`Dump de cartão inválido (${dump.length} bytes; esperado múltiplo de ${CARD_BLOCK_SIZE} até ${CARD_MAX_SIZE})`);
+            }
+
+            this.cards.set(name, dump);
+            this._save();
+            return dump;
+        }
+
+        /**
+         * Lê um arquivo de dump (.bin, .mfd) e adiciona com o nome do arquivo sem extensão
+         *
+         * @param {File} file
+         * @returns {Promise<string>} Nome do cartão
+         */
+        async addFile(file) {
+            const name = file.name.replace(/\.[^.]+$/, "");
+            this.add(name, await file.arrayBuffer());
+            return name;
+        }
+
+        /**
+         * @param {string} name
+         * @returns {Uint8Array|null}
+         */
+        get(name) {
+            return this.cards.get(name) || null;
+        }
+
+        /**
+         * @param {string} name
+         * @returns {boolean} true se existia
+         */
+        remove(name) {
+            const removed = this.cards.delete(name);
+            if (removed) this._save();
+            return removed;
+        }
+
+        /**
+         * @returns {{name: string, size: number, uid: string}[]}
+         */
+        list() {
+            return [...this.cards].map(([name, dump]) => ({
+                name,
+                size: dump.length,
+                uid: window.RFIDReader ? window.RFIDReader.formatUID(dump) : ""
+            }));
+        }
+
+        // ========== PERSISTÊNCIA ==========
+
+        _load() {
+            try {
+                const saved = JSON.parse(window.localStorage?.getItem(STORAGE_KEY) || "null");
+                if (!saved) return;
+
+                for (const [name, hex] of Object.entries(saved)) {
+                    this.cards.set(name, Uint8Array.from(hex.match(/../g) || [], h => parseInt(h, 16)));
+                }
+            } catch (err) {
+                console.warn("[CARDS] ⚠️ Biblioteca salva inválida, ignorada");
+            }
+        }
+
+        _save() {
+            const saved = {};
+            for (const [name, dump] of this.cards) {
+                saved[name] = Array.from(dump, b => b.toString(16).padStart(2, '0')).join("");
+            }
+
+            try {
+                window.localStorage?.setItem(STORAGE_KEY, JSON.stringify(saved));
+            } catch (err) {
+                // localStorage indisponível ou cheio: fica só na sessão
+            }
+        }
+    }
+
+    window.CardLibrary = CardLibrary;
+
+    console.log("[CARDS] ✓ CardLibrary carregada");
+}
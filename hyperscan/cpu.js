@@ -6,9 +6,73 @@
 
 "use strict";
 
+/**
+ * Códigos de causa de exceção gravados em CR2[23:18]
+ * (IRQs externas usam o próprio número da IRQ como causa)
+ */
+const CPU_EXCEPTION = Object.freeze({
+    TRAP: 0x02,
+    SDBBP: 0x03,
+    RESERVED_INSTRUCTION: 0x0A,
+    ADDRESS_ERROR_FETCH: 0x0B,
+    ADDRESS_ERROR_LOAD: 0x0C,
+    ADDRESS_ERROR_STORE: 0x0D,
+    BUS_ERROR: 0x0E
+});
+
+/**
+ * Custo em ciclos por classe de instrução (SPG290 @ 33.8688 MHz).
+ * ALU é o custo base de toda instrução; as demais entradas são
+ * latências somadas a ele. Loads/stores e o fetch somam ainda os
+ * wait states do segmento acessado (SegmentedMemoryRegion.setWaitStates).
+ */
+const CPU_CYCLES = Object.freeze({
+    ALU: 1,
+    MUL: 2,
+    DIV: 32,
+    LOAD: 1,
+    STORE: 0,
+    BRANCH_TAKEN: 2,
+    BRANCH_NOT_TAKEN: 0,
+    EXCEPTION: 3
+});
+
+/**
+ * Falha síncrona levantada durante a execução de uma instrução.
+ * É capturada em CPU.step() e convertida em exceção S+core.
+ */
+class CPUFault extends Error {
+    constructor(cause, address, message) {
+        super(message);
+        this.name = "CPUFault";
+        this.cause = cause;
+        this.address = address >>> 0;
+    }
+}
+
 class CPU {
     constructor(miu = null) {
         this.miu = miu;
+
+        /**
+         * Callback chamado antes de vetorar uma falha (fault) => boolean.
+         * Retornar true suprime a exceção: o PC fica na instrução que falhou.
+         */
+        this.onFault = null;
+
+        /**
+         * Controlador de interrupções amostrado entre instruções
+         * @type {InterruptController|null}
+         */
+        this.intC = null;
+
+        /**
+         * Hooks de HLE por tipo e código (syscall: 15 bits; trap/sdbbp: 5 bits).
+         * "*" recebe todas as chamadas do tipo (log). Ficam fora do reset.
+         * @type {{syscall: Map, trap: Map, sdbbp: Map}}
+         */
+        this.hooks = { syscall: new Map(), trap: new Map(), sdbbp: new Map() };
+
         this.reset();
     }
 
@@ -25,8 +89,11 @@ class CPU {
         this.V = 0;
         this.T = 0;
         this.cycles = 0;
+        this.stepCycles = 0;
+        this.lastStepCycles = 0;
         this.instructions = 0;
         this.halted = false;
+        this.lastFault = null;
     }
 
     getPC() { return this.pc; }
@@ -39,6 +106,9 @@ class CPU {
     setControlRegister(idx, value) { if (idx >= 0 && idx < 32) this.cr[idx] = value >>> 0; }
     getFlags() { return { N: this.N, Z: this.Z, C: this.C, V: this.V, T: this.T }; }
 
+    connectInterruptController(intC) { this.intC = intC; }
+    interruptsEnabled() { return (this.cr[0] & 1) === 1; }
+
     signExtend(x, b) {
         if (b >= 32) return x >>> 0;
         let m = 1 << (b - 1);
@@ -293,6 +363,7 @@ class CPU {
     }
 
     execMul(a, b) {
+        this.stepCycles += CPU_CYCLES.MUL;
         let sA = a | 0;
         let sB = b | 0;
         let valA = BigInt(sA);
@@ -303,6 +374,7 @@ class CPU {
     }
 
     execMulu(a, b) {
+        this.stepCycles += CPU_CYCLES.MUL;
         let valA = BigInt(a >>> 0);
         let valB = BigInt(b >>> 0);
         let res = valA * valB;
@@ -311,6 +383,7 @@ class CPU {
     }
 
     execDiv(a, b) {
+        this.stepCycles += CPU_CYCLES.DIV;
         let sA = a | 0;
         let sB = b | 0;
         if (sB !== 0) {
@@ -320,6 +393,7 @@ class CPU {
     }
 
     execDivu(a, b) {
+        this.stepCycles += CPU_CYCLES.DIV;
         let uA = a >>> 0;
         let uB = b >>> 0;
         if (uB !== 0) {
@@ -353,30 +427,33 @@ class CPU {
     }
 
     execSpForm(insn) {
-        const rD = (insn >>> 22) & 0x1F;
-        const rA = (insn >>> 17) & 0x1F;
-        const rB = (insn >>> 12) & 0x1F;
+        const rD = (insn >>> 20) & 0x1F;
+        const rA = (insn >>> 15) & 0x1F;
+        const rB = (insn >>> 10) & 0x1F;
         const func6 = (insn >>> 1) & 0x3F;
         const CU = insn & 1;
 
         switch(func6) {
             case 0x00: break;
-            case 0x01: break; // syscall
-            case 0x02: if (this.conditional(rB)) this.exception(0x02); break;
-            case 0x03: this.exception(0x03); break;
+            case 0x01: return this.dispatchHook("syscall", (insn >>> 10) & 0x7FFF, null);
+            case 0x02:
+                if (this.conditional(rB)) return this.dispatchHook("trap", rA, CPU_EXCEPTION.TRAP);
+                break;
+            case 0x03: return this.dispatchHook("sdbbp", rA, CPU_EXCEPTION.SDBBP);
             case 0x04:
                 if (this.conditional(rB)) {
                     if (CU) this.r[3] = (this.pc + 4) >>> 0;
                     this.pc = this.r[rA];
                     return 0;
                 }
+                this.stepCycles += CPU_CYCLES.BRANCH_NOT_TAKEN;
                 break;
             case 0x05: break; // pflush
             case 0x06: // alw
-                if (this.miu) this.r[rD] = this.miu.readU32(this.r[rA]);
+                if (this.miu) this.r[rD] = this.load32(this.r[rA]);
                 break;
             case 0x07: // asw
-                if (this.miu) this.miu.writeU32(this.r[rA], this.r[rD]);
+                if (this.miu) this.store32(this.r[rA], this.r[rD]);
                 break;
             case 0x08: this.r[rD] = this.add(this.r[rA], this.r[rB], CU === 1); break;
             case 0x09: this.r[rD] = this.addc(this.r[rA], this.r[rB], CU === 1); break;
@@ -414,10 +491,10 @@ class CPU {
             case 0x2D: this.r[rD] = this.extsh(this.r[rA], CU === 1); break;
             case 0x2E: this.r[rD] = this.extzb(this.r[rA], CU === 1); break;
             case 0x2F: this.r[rD] = this.extzh(this.r[rA], CU === 1); break;
-            case 0x30: if (this.miu) this.r[rD] = this.miu.readU8(this.r[rA]); break;
-            case 0x31: if (this.miu) this.r[rD] = this.miu.readU32(this.r[rA]); break;
-            case 0x34: if (this.miu) this.miu.writeU8(this.r[rA], this.r[rD] & 0xFF); break;
-            case 0x35: if (this.miu) this.miu.writeU32(this.r[rA], this.r[rD]); break;
+            case 0x30: if (this.miu) this.r[rD] = this.load8(this.r[rA]); break;
+            case 0x31: if (this.miu) this.r[rD] = this.load32(this.r[rA]); break;
+            case 0x34: if (this.miu) this.store8(this.r[rA], this.r[rD] & 0xFF); break;
+            case 0x35: if (this.miu) this.store32(this.r[rA], this.r[rD]); break;
             case 0x38: this.r[rD] = this.sll(this.r[rA], rB, CU === 1); break;
             case 0x3A: this.r[rD] = this.srl(this.r[rA], rB, CU === 1); break;
             case 0x3B: this.r[rD] = this.sra(this.r[rA], rB, CU === 1); break;
@@ -425,14 +502,15 @@ class CPU {
             case 0x3D: this.r[rD] = this.rorc(this.r[rA], true); break;
             case 0x3E: this.r[rD] = this.rol(this.r[rA], rB, CU === 1); break;
             case 0x3F: this.r[rD] = this.rolc(this.r[rA], true); break;
+            default: this.reservedInstruction(insn);
         }
         return 4;
     }
 
     execIForm(insn) {
-        const OP = (insn >>> 27) & 0x1F;
-        const rD = (insn >>> 22) & 0x1F;
-        const func3 = (insn >>> 19) & 0x07;
+        const OP = (insn >>> 25) & 0x1F;
+        const rD = (insn >>> 20) & 0x1F;
+        const func3 = (insn >>> 17) & 0x07;
         const imm16 = this.signExtend((insn >>> 1) & 0xFFFF, 16);
 
         switch(OP) {
@@ -443,6 +521,7 @@ class CPU {
                     case 0x04: this.r[rD] = this.bitOp(this.r[rD], imm16, 'and', false); break;
                     case 0x05: this.r[rD] = this.bitOp(this.r[rD], imm16, 'or', false); break;
                     case 0x06: this.r[rD] = imm16; break;
+                    default: this.reservedInstruction(insn);
                 }
                 break;
             case 0x05:
@@ -452,6 +531,7 @@ class CPU {
                     case 0x04: this.r[rD] = this.bitOp(this.r[rD], (imm16 << 16), 'and', false); break;
                     case 0x05: this.r[rD] = this.bitOp(this.r[rD], (imm16 << 16), 'or', false); break;
                     case 0x06: this.r[rD] = (imm16 << 16) >>> 0; break;
+                    default: this.reservedInstruction(insn);
                 }
                 break;
         }
@@ -469,131 +549,233 @@ class CPU {
 
     execBForm(insn) {
         const LK = insn & 1;
-        const BC = (insn >>> 23) & 0x0F;
-        const disp_high = (insn >>> 9) & 0x3FFF;
-        const disp_low = (insn >>> 1) & 0xFF;
-        const disp22 = (disp_high << 8) | disp_low;
-        const signed_disp = this.signExtend(disp22, 22);
+        const BC = (insn >>> 10) & 0x1F;
+        // disp19 dividido: bits [24:15] (altos) e [9:1] (baixos)
+        const disp_high = (insn >>> 15) & 0x3FF;
+        const disp_low = (insn >>> 1) & 0x1FF;
+        const disp19 = (disp_high << 9) | disp_low;
+        const signed_disp = this.signExtend(disp19, 19);
         const target = (this.pc + (signed_disp << 1)) >>> 0;
         if (this.conditional(BC)) {
             if (LK) this.r[3] = (this.pc + 4) >>> 0;
             this.pc = target;
             return 0;
         }
+        this.stepCycles += CPU_CYCLES.BRANCH_NOT_TAKEN;
         return 4;
     }
 
     execRixForm(insn) {
-        const OP = (insn >>> 27) & 0x1F;
-        const rD = (insn >>> 22) & 0x1F;
-        const rA = (insn >>> 17) & 0x1F;
-        const imm12 = this.signExtend((insn >>> 5) & 0xFFF, 12);
-        const func3 = (insn >>> 2) & 0x07;
+        const OP = (insn >>> 25) & 0x1F;
+        const rD = (insn >>> 20) & 0x1F;
+        const rA = (insn >>> 15) & 0x1F;
+        const imm12 = this.signExtend((insn >>> 3) & 0xFFF, 12);
+        const func3 = insn & 0x07;
         const addr = (this.r[rA] + imm12) >>> 0;
         if (!this.miu) return 4;
         switch(func3) {
-            case 0x00: this.r[rD] = this.miu.readU32(addr); break;
-            case 0x01: this.r[rD] = this.signExtend(this.miu.readU16(addr), 16); break;
-            case 0x02: this.r[rD] = this.miu.readU16(addr); break;
-            case 0x03: this.r[rD] = this.signExtend(this.miu.readU8(addr), 8); break;
-            case 0x04: this.miu.writeU32(addr, this.r[rD]); break;
-            case 0x05: this.miu.writeU16(addr, this.r[rD]); break;
-            case 0x06: this.r[rD] = this.miu.readU8(addr); break;
-            case 0x07: this.miu.writeU8(addr, this.r[rD]); break;
+            case 0x00: this.r[rD] = this.load32(addr); break;
+            case 0x01: this.r[rD] = this.signExtend(this.load16(addr), 16); break;
+            case 0x02: this.r[rD] = this.load16(addr); break;
+            case 0x03: this.r[rD] = this.signExtend(this.load8(addr), 8); break;
+            case 0x04: this.store32(addr, this.r[rD]); break;
+            case 0x05: this.store16(addr, this.r[rD]); break;
+            case 0x06: this.r[rD] = this.load8(addr); break;
+            case 0x07: this.store8(addr, this.r[rD]); break;
         }
         if (OP === 0x03) this.r[rA] = addr;
         return 4;
     }
 
     execMemoryForm(insn) {
-        const OP = (insn >>> 27) & 0x1F;
-        const rD = (insn >>> 22) & 0x1F;
-        const rA = (insn >>> 17) & 0x1F;
-        const imm15 = this.signExtend((insn >>> 2) & 0x7FFF, 15);
+        const OP = (insn >>> 25) & 0x1F;
+        const rD = (insn >>> 20) & 0x1F;
+        const rA = (insn >>> 15) & 0x1F;
+        const imm15 = this.signExtend(insn & 0x7FFF, 15);
         const addr = (this.r[rA] + imm15) >>> 0;
         if (!this.miu) return 4;
         switch(OP) {
-            case 0x10: this.r[rD] = this.miu.readU32(addr); break;
-            case 0x11: this.r[rD] = this.signExtend(this.miu.readU16(addr), 16); break;
-            case 0x12: this.r[rD] = this.miu.readU16(addr); break;
-            case 0x13: this.r[rD] = this.signExtend(this.miu.readU8(addr), 8); break;
-            case 0x14: this.miu.writeU32(addr, this.r[rD]); break;
-            case 0x15: this.miu.writeU16(addr, this.r[rD]); break;
-            case 0x16: this.r[rD] = this.miu.readU8(addr); break;
-            case 0x17: this.miu.writeU8(addr, this.r[rD]); break;
+            case 0x10: this.r[rD] = this.load32(addr); break;
+            case 0x11: this.r[rD] = this.signExtend(this.load16(addr), 16); break;
+            case 0x12: this.r[rD] = this.load16(addr); break;
+            case 0x13: this.r[rD] = this.signExtend(this.load8(addr), 8); break;
+            case 0x14: this.store32(addr, this.r[rD]); break;
+            case 0x15: this.store16(addr, this.r[rD]); break;
+            case 0x16: this.r[rD] = this.load8(addr); break;
+            case 0x17: this.store8(addr, this.r[rD]); break;
         }
         return 4;
     }
-exec16(insn) {
-        const OP = (insn >>> 13) & 0x07;
-        const rD = (insn >>> 1) & 0x0F;
-        const rA = (insn >>> 5) & 0x0F;
+
+    execCRForm(insn) {
+        const rD = (insn >>> 20) & 0x1F;
+        const crA = (insn >>> 15) & 0x1F;
+        const CR_OP = insn & 0xFF;
+
+        switch(CR_OP) {
+            case 0x00: this.r[rD] = this.cr[crA]; break; // mfcr
+            case 0x01: this.cr[crA] = this.r[rD]; break; // mtcr
+            case 0x84: this.rte(); return 0;             // rte
+            default: this.reservedInstruction(insn);
+        }
+        return 4;
+    }
+
+    execAddriForm(insn) {
+        const rD = (insn >>> 20) & 0x1F;
+        const rA = (insn >>> 15) & 0x1F;
+        const imm14 = this.signExtend((insn >>> 1) & 0x3FFF, 14);
+        const CU = insn & 1;
+        this.r[rD] = this.add(this.r[rA], imm14, CU === 1);
+        return 4;
+    }
+
+    execAndriOriForm(insn) {
+        const OP = (insn >>> 25) & 0x1F;
+        const rD = (insn >>> 20) & 0x1F;
+        const rA = (insn >>> 15) & 0x1F;
+        const imm14 = (insn >>> 1) & 0x3FFF;
+        const CU = insn & 1;
+        // 0x0C = andri, 0x0D = orri
+        const type = (OP & 1) ? 'or' : 'and';
+        this.r[rD] = this.bitOp(this.r[rA], imm14, type, CU === 1);
+        return 4;
+    }
+
+    /**
+     * Instruções de 16 bits ocupam os 15 bits baixos da halfword (o bit 15
+     * é o bit paralelo): OP em [14:12], rD em [11:8], rA em [7:4] e func4
+     * em [3:0]; os formatos 3-7 reaproveitam rA/func4 como imediato.
+     *
+     * @param {number} insn - Halfword sem o bit paralelo (bit 15 limpo)
+     * @param {number} [size=2] - Bytes da instrução que contém insn (4 num
+     *   par paralelo); os links de jl!/br{cond}l! apontam para depois dela
+     */
+    exec16(insn, size = 2) {
+        const OP = (insn >>> 12) & 0x07;
+        const rD = (insn >>> 8) & 0x0F;
+        const rA = (insn >>> 4) & 0x0F;
+        const func4 = insn & 0x0F;
 
         switch(OP) {
             case 0x00: {
-                const func4 = (insn >>> 9) & 0x0F;
                 switch(func4) {
-                    case 0x03: this.r[rD] = this.r[rA]; break;
-                    case 0x04: this.pc = this.r[rA]; return 0;
-                    case 0x05: this.r[3] = (this.pc + 2) >>> 0; this.pc = this.r[rA]; return 0;
+                    case 0x00: break; // nop!
+                    case 0x01: this.r[rD] = this.r[rA + 16]; break; // mlfh!
+                    case 0x02: this.r[rD + 16] = this.r[rA]; break; // mhfl!
+                    case 0x03: this.r[rD] = this.r[rA]; break;      // mv!
+                    case 0x04: // br{cond}!
+                        if (this.conditional(rD)) { this.pc = this.r[rA]; return 0; }
+                        this.stepCycles += CPU_CYCLES.BRANCH_NOT_TAKEN;
+                        break;
+                    case 0x05: this.T = this.conditional(rD) ? 1 : 0; break; // t{cond}!
+                    case 0x0C: // br{cond}l!
+                        if (this.conditional(rD)) {
+                            this.r[3] = (this.pc + size) >>> 0;
+                            this.pc = this.r[rA];
+                            return 0;
+                        }
+                        this.stepCycles += CPU_CYCLES.BRANCH_NOT_TAKEN;
+                        break;
+                    default: this.reservedInstruction(insn);
+                }
+                break;
+            }
+
+            case 0x01: {
+                switch(func4) {
+                    case 0x00: this.CEL = this.r[rA]; break; // mtce.l!
+                    case 0x01: this.r[rA] = this.CEL; break; // mfce.l!
+                    default: this.reservedInstruction(insn);
                 }
                 break;
             }
 
             case 0x02: {
-                const func4 = (insn >>> 9) & 0x0F;
-                const H = (insn >>> 5) & 1;
+                // push!/pop!: H em [7] escolhe r16-r31, rA de 3 bits em [6:4]
+                const H = (insn >>> 7) & 1;
                 const targetReg = rD + (H ? 16 : 0);
-                const spIdx = (insn >>> 6) & 0x07;
+                const spIdx = (insn >>> 4) & 0x07;
 
                 switch(func4) {
-                    case 0x00: this.r[rD] = this.add(this.r[rD], this.r[rA], true); break;
-                    case 0x01: {
-                        const imm5 = (insn >>> 5) & 0x1F;
-                        this.r[rD] = this.add(this.r[rD], imm5, true);
-                        break;
-                    }
-                    case 0x02: {
-                        const imm5 = (insn >>> 5) & 0x1F;
-                        this.sub(this.r[rD], imm5, true);
-                        break;
-                    }
-                    case 0x0A:
+                    case 0x00: this.r[rD] = this.add(this.r[rD], this.r[rA], true); break;   // add!
+                    case 0x01: this.r[rD] = this.sub(this.r[rD], this.r[rA], true); break;   // sub!
+                    case 0x02: this.r[rD] = this.neg(this.r[rA], true); break;               // neg!
+                    case 0x03: this.sub(this.r[rD], this.r[rA], true); break;                // cmp!
+                    case 0x04: this.r[rD] = this.bitOp(this.r[rD], this.r[rA], 'and', true); break;
+                    case 0x05: this.r[rD] = this.bitOp(this.r[rD], this.r[rA], 'or', true); break;
+                    case 0x06: this.r[rD] = this.bitOp(this.r[rA], 0, 'not', true); break;
+                    case 0x07: this.r[rD] = this.bitOp(this.r[rD], this.r[rA], 'xor', true); break;
+                    case 0x08: if (this.miu) this.r[rD] = this.load32(this.r[rA]); break;  // lw!
+                    case 0x09: if (this.miu) this.r[rD] = this.signExtend(this.load16(this.r[rA]), 16); break; // lh!
+                    case 0x0A: // pop!
                         if (this.miu) {
-                            this.r[targetReg] = this.miu.readU32(this.r[spIdx]);
+                            this.r[targetReg] = this.load32(this.r[spIdx]);
                             this.r[spIdx] = (this.r[spIdx] + 4) >>> 0;
                         }
                         break;
-                    case 0x0E:
-                        this.r[spIdx] = (this.r[spIdx] - 4) >>> 0;
-                        if (this.miu) {
-                            this.miu.writeU32(this.r[spIdx], this.r[targetReg]);
-                        }
+                    case 0x0B: if (this.miu) this.r[rD] = this.load8(this.r[rA]); break;   // lbu!
+                    case 0x0C: if (this.miu) this.store32(this.r[rA], this.r[rD]); break;  // sw!
+                    case 0x0D: if (this.miu) this.store16(this.r[rA], this.r[rD] & 0xFFFF); break; // sh!
+                    case 0x0E: { // push! (SP só é atualizado se o store não falhar)
+                        const sp = (this.r[spIdx] - 4) >>> 0;
+                        if (this.miu) this.store32(sp, this.r[targetReg]);
+                        this.r[spIdx] = sp;
                         break;
+                    }
+                    case 0x0F: if (this.miu) this.store8(this.r[rA], this.r[rD] & 0xFF); break; // sb!
                 }
                 break;
             }
 
-            case 0x03: {
-                const imm5 = (insn >>> 4) & 0x1F;
-                const addr = (this.r[rA] + (imm5 << 2)) >>> 0;
-                
-                if ((insn >>> 12) & 1) {
-                    if (this.miu) this.miu.writeU32(addr, this.r[rD]);
-                } else {
-                    if (this.miu) this.r[rD] = this.miu.readU32(addr);
+            case 0x03: { // j! / jl! (relativo ao PC, como em Disasm16)
+                const imm11 = this.signExtend((insn >>> 1) & 0x7FF, 11);
+                if (insn & 1) this.r[3] = (this.pc + size) >>> 0;
+                this.pc = (this.pc + (imm11 << 1)) >>> 0;
+                return 0;
+            }
+
+            case 0x04: { // b{cond}!: condição em [11:8], disp8 em [7:0]
+                const imm8 = this.signExtend(insn & 0xFF, 8);
+                if (this.conditional(rD)) {
+                    this.pc = (this.pc + (imm8 << 1)) >>> 0;
+                    return 0;
+                }
+                this.stepCycles += CPU_CYCLES.BRANCH_NOT_TAKEN;
+                break;
+            }
+
+            case 0x05: // ldiu!
+                this.r[rD] = insn & 0xFF;
+                break;
+
+            case 0x06: {
+                const func3 = insn & 0x07;
+                const imm5 = (insn >>> 3) & 0x1F;
+                switch(func3) {
+                    case 0x03: this.r[rD] = this.srl(this.r[rD], imm5, true); break;    // srli!
+                    case 0x04: this.r[rD] = this.bitclr(this.r[rD], imm5, true); break; // bitclr!
+                    case 0x05: this.r[rD] = this.bitset(this.r[rD], imm5, true); break; // bitset!
+                    case 0x06: this.bittst(this.r[rD], imm5); break;                    // bittst!
+                    default: this.reservedInstruction(insn);
                 }
                 break;
             }
 
             case 0x07: {
-                const imm5 = (insn >>> 5) & 0x1F;
-                const addr = (this.r[2] + (imm5 << 2)) >>> 0;
+                // lwp!/lhp!/lbup!/swp!/shp!/sbp! - base r2, imm5 escalado pelo tamanho
+                const func3 = insn & 0x07;
+                const imm5 = (insn >>> 3) & 0x1F;
+                if (!this.miu) break;
 
-                if ((insn >>> 10) & 1) {
-                    if (this.miu) this.miu.writeU32(addr, this.r[rD]);
-                } else {
-                    if (this.miu) this.r[rD] = this.miu.readU32(addr);
+                switch(func3) {
+                    case 0x00: this.r[rD] = this.load32((this.r[2] + (imm5 << 2)) >>> 0); break;
+                    case 0x01: this.r[rD] = this.signExtend(this.load16((this.r[2] + (imm5 << 1)) >>> 0), 16); break;
+                    case 0x03: this.r[rD] = this.load8((this.r[2] + imm5) >>> 0); break;
+                    case 0x04: this.store32((this.r[2] + (imm5 << 2)) >>> 0, this.r[rD]); break;
+                    case 0x05: this.store16((this.r[2] + (imm5 << 1)) >>> 0, this.r[rD] & 0xFFFF); break;
+                    case 0x07: this.store8((this.r[2] + imm5) >>> 0, this.r[rD] & 0xFF); break;
+                    default: this.reservedInstruction(insn);
                 }
                 break;
             }
@@ -602,49 +784,244 @@ exec16(insn) {
         return 2;
     }
 
+    // CR0 (PSR): bit0 IEc, bit1 UMc, bit2 IEp, bit3 UMp.
+    // A entrada em exceção empilha IEc/UMc em IEp/UMp e desliga IEc/UMc;
+    // rte desempilha, reabilitando a entrega de interrupções.
     exception(cause) {
         this.packSR0();
         this.cr[1] = this.sr[0];
         this.cr[2] = (this.cr[2] & ~0x00FC0000) | ((cause & 0x3F) << 18);
         this.cr[5] = this.pc;
-        this.cr[0] &= ~1;
+        this.cr[0] = ((this.cr[0] & ~0x0F) | ((this.cr[0] & 0x03) << 2)) >>> 0;
         this.pc = (this.cr[3] + (cause * 4)) >>> 0;
+        this.stepCycles += CPU_CYCLES.EXCEPTION;
+    }
+
+    // ========== HOOKS (HLE) ==========
+
+    /**
+     * Registra um handler para syscall/trap/sdbbp. O handler recebe
+     * (cpu, code, kind), devolve resultados nos registradores e retorna
+     * true quando tratou a chamada: a exceção não é gerada e a execução
+     * segue na instrução seguinte (ou no PC que o handler definiu).
+     *
+     * @param {string} kind - "syscall", "trap" ou "sdbbp"
+     * @param {number|string} code - Código da instrução, ou "*" para todos
+     * @param {function(CPU, number, string): (boolean|void)} handler
+     * @returns {Function} Remove o hook
+     * @throws {Error} Se o tipo não existir
+     */
+    addHook(kind, code, handler) {
+        const table = this.hooks[kind];
+        if (!table) throw new Error(`Tipo de hook inválido: ${kind}`);
+
+        if (!table.has(code)) table.set(code, []);
+        table.get(code).push(handler);
+        return () => this.removeHook(kind, code, handler);
+    }
+
+    /**
+     * @returns {boolean} true se o handler estava registrado
+     */
+    removeHook(kind, code, handler) {
+        const handlers = this.hooks[kind]?.get(code);
+        const index = handlers ? handlers.indexOf(handler) : -1;
+        if (index < 0) return false;
+
+        handlers.splice(index, 1);
+        if (handlers.length === 0) this.hooks[kind].delete(code);
+        return true;
+    }
+
+    /**
+     * Chama os hooks de "*" e depois os do código, até um tratar a chamada
+     *
+     * @returns {boolean} true se tratada
+     */
+    callHooks(kind, code) {
+        const table = this.hooks[kind];
+        if (table.size === 0) return false;
+
+        const handlers = [...(table.get("*") || []), ...(table.get(code) || [])];
+        for (const handler of handlers) {
+            if (handler(this, code, kind) === true) return true;
+        }
+        return false;
+    }
+
+    /**
+     * syscall/trap/sdbbp: hooks primeiro; sem tratamento vira a exceção
+     * (cause null: syscall sem hook é um no-op)
+     *
+     * @returns {number} Bytes a avançar (0 = PC já definido)
+     */
+    dispatchHook(kind, code, cause) {
+        const pc = this.pc;
+        if (this.callHooks(kind, code)) return this.pc === pc ? 4 : 0;
+        if (cause === null) return 4;
+
+        this.exception(cause);
+        return 0;
     }
 
     rte() {
         this.sr[0] = this.cr[1];
         this.unpackSR0();
+        this.cr[0] = ((this.cr[0] & ~0x03) | ((this.cr[0] >>> 2) & 0x03)) >>> 0;
         this.pc = this.cr[5];
     }
 
-    // ========== CICLO DE EXECUÇÃO ==========
+    /**
+     * Amostra o controlador de interrupções entre instruções.
+     *
+     * @returns {boolean} true se uma IRQ foi aceita (PC no vetor)
+     */
+    checkInterrupts() {
+        if (!this.intC || !this.interruptsEnabled()) return false;
 
-    step() {
-        if (this.halted) return false;
-        if (!this.miu) return false;
+        const irq = this.intC.getPendingIRQ();
+        if (irq < 0) return false;
+
+        this.exception(irq);
+        this.intC.notifyServiced(irq);
+        return true;
+    }
+
+    // ========== ACESSO À MEMÓRIA ==========
+
+    /**
+     * Valida um acesso de dados: alinhamento natural, segmento mapeado
+     * e, para escrita, região gravável.
+     */
+    checkAccess(addr, size, isWrite) {
+        const cause = isWrite ? CPU_EXCEPTION.ADDRESS_ERROR_STORE : CPU_EXCEPTION.ADDRESS_ERROR_LOAD;
+        if (addr & (size - 1)) {
+            throw new CPUFault(cause, addr, `Acesso desalinhado (${size * 8}-bit)`);
+        }
+        if (!this.miu.isMapped(addr)) {
+            throw new CPUFault(cause, addr, "Acesso a segmento não mapeado");
+        }
+        if (isWrite && this.miu.getRegion(this.miu.getSegment(addr)).writable === false) {
+            throw new CPUFault(CPU_EXCEPTION.BUS_ERROR, addr, "Escrita em região somente leitura");
+        }
+    }
 
-        const encoded = this.miu.readU32(this.pc);
-        const OP = (encoded >>> 27) & 0x1F;
+    load32(addr) { addr >>>= 0; this.checkAccess(addr, 4, false); this.memCycles(addr, CPU_CYCLES.LOAD); return this.miu.readU32(addr); }
+    load16(addr) { addr >>>= 0; this.checkAccess(addr, 2, false); this.memCycles(addr, CPU_CYCLES.LOAD); return this.miu.readU16(addr); }
+    load8(addr)  { addr >>>= 0; this.checkAccess(addr, 1, false); this.memCycles(addr, CPU_CYCLES.LOAD); return this.miu.readU8(addr); }
+    store32(addr, value) { addr >>>= 0; this.checkAccess(addr, 4, true); this.memCycles(addr, CPU_CYCLES.STORE); this.miu.writeU32(addr, value); }
+    store16(addr, value) { addr >>>= 0; this.checkAccess(addr, 2, true); this.memCycles(addr, CPU_CYCLES.STORE); this.miu.writeU16(addr, value); }
+    store8(addr, value)  { addr >>>= 0; this.checkAccess(addr, 1, true); this.memCycles(addr, CPU_CYCLES.STORE); this.miu.writeU8(addr, value); }
+
+    memCycles(addr, latency) {
+        this.stepCycles += latency + (this.miu.getWaitStates ? this.miu.getWaitStates(addr) : 0);
+    }
 
+    reservedInstruction(insn) {
+        throw new CPUFault(CPU_EXCEPTION.RESERVED_INSTRUCTION, this.pc,
+            `Instrução reservada 0x${(insn >>> 0).toString(16).padStart(8, '0').toUpperCase()}`);
+    }
+
+    /**
+     * Converte uma falha em exceção S+core (causa em CR2, endereço em CR6),
+     * a menos que onFault a trate (modo pause-and-report do engine).
+     *
+     * @returns {boolean} true se a exceção foi suprimida
+     */
+    raiseFault(fault) {
+        this.lastFault = {
+            cause: fault.cause,
+            address: fault.address,
+            pc: this.pc,
+            message: fault.message
+        };
+
+        if (this.onFault && this.onFault(this.lastFault) === true) {
+            return true;
+        }
+
+        this.cr[6] = fault.address;
+        this.exception(fault.cause);
+        return false;
+    }
+
+    // ========== FETCH ==========
+
+    /**
+     * Busca a próxima instrução seguindo as regras de codificação S+core
+     * (mesmas regras de HyperscanDisassembler.disasmAt):
+     *  - PC em meia-palavra (bit 1 setado): instrução 16-bit isolada
+     *  - p0=1: instrução 32-bit, reconstruída sem os bits paralelos como
+     *    ((high & 0x7FFF) << 15) | (low & 0x7FFF); OP fica nos bits 29..25
+     *  - p0=0, p1=1: par paralelo 16-bit selecionado pelo flag T; o bit 15
+     *    de cada metade é o bit paralelo e sai antes de exec16
+     *  - p0=0, p1=0: instrução 16-bit (apenas a metade baixa)
+     *
+     * @returns {{insn: number, bytes: number, format: string, high?: number}}
+     */
+    fetch() {
+        const pc = this.pc;
+
+        if ((pc & 1) || !this.miu.isMapped(pc)) {
+            throw new CPUFault(CPU_EXCEPTION.ADDRESS_ERROR_FETCH, pc, "Fetch inválido");
+        }
+
+        this.memCycles(pc, 0);
+
+        if (pc & 2) {
+            return { insn: this.miu.readU16(pc) & 0x7FFF, bytes: 2, format: "16-bit" };
+        }
+
+        const encoded = this.miu.readU32(pc);
+        const low = encoded & 0xFFFF;
+        const high = (encoded >>> 16) & 0xFFFF;
+        const p0 = (low >>> 15) & 1;
+        const p1 = (high >>> 15) & 1;
+
+        if (p0) {
+            return { insn: (((high & 0x7FFF) << 15) | (low & 0x7FFF)) >>> 0, bytes: 4, format: "32-bit" };
+        }
+
+        if (p1) {
+            return { insn: low, high: high, bytes: 4, format: "16-bit parallel" };
+        }
+
+        return { insn: low, bytes: 2, format: "16-bit" };
+    }
+
+    // ========== CICLO DE EXECUÇÃO ==========
+
+    exec32(insn) {
+        const OP = (insn >>> 25) & 0x1F;
         let result = 4;
 
         switch(OP) {
             case 0x00:
-                result = this.execSpForm(encoded);
+                result = this.execSpForm(insn);
                 break;
             case 0x01:
             case 0x05:
-                result = this.execIForm(encoded);
+                result = this.execIForm(insn);
                 break;
             case 0x02:
-                result = this.execJForm(encoded);
+                result = this.execJForm(insn);
                 break;
             case 0x03:
             case 0x07:
-                result = this.execRixForm(encoded);
+                result = this.execRixForm(insn);
                 break;
             case 0x04:
-                result = this.execBForm(encoded);
+                result = this.execBForm(insn);
+                break;
+            case 0x06:
+                result = this.execCRForm(insn);
+                break;
+            case 0x08:
+                result = this.execAddriForm(insn);
+                break;
+            case 0x0C:
+            case 0x0D:
+                result = this.execAndriOriForm(insn);
                 break;
             case 0x10:
             case 0x11:
@@ -654,38 +1031,77 @@ exec16(insn) {
             case 0x15:
             case 0x16:
             case 0x17:
-                result = this.execMemoryForm(encoded);
+                result = this.execMemoryForm(insn);
                 break;
-            case 0x08:
-            case 0x09:
-            case 0x0A:
-            case 0x0B:
-            case 0x0C:
-            case 0x0D:
-            case 0x0E:
-            case 0x0F:
             case 0x18:
-            case 0x19:
-            case 0x1A:
-            case 0x1B:
-            case 0x1C:
-            case 0x1D:
-            case 0x1E:
-            case 0x1F:
-                // Instruções 16-bit compactadas
-                const low = encoded & 0xFFFF;
-                const high = (encoded >>> 16) & 0xFFFF;
-                result = this.exec16(low);
-                break;
+                break; // cache: não há cache emulada
             default:
-                break;
+                this.reservedInstruction(insn);
+        }
+
+        return result;
+    }
+
+    step() {
+        if (this.halted) return false;
+        if (!this.miu) return false;
+
+        const pc = this.pc;
+        let result;
+
+        // IRQ aceita: este passo consome apenas a entrada no vetor
+        if (this.checkInterrupts()) {
+            this.lastStepCycles = this.stepCycles;
+            this.cycles += this.stepCycles;
+            this.stepCycles = 0;
+            return true;
         }
 
+        this.stepCycles += CPU_CYCLES.ALU;
+
+        try {
+            const fetched = this.fetch();
+
+            // Acessos de dados desta instrução são conferidos pelos watchpoints da MIU
+            this.miu.accessPC = pc;
+
+            switch(fetched.format) {
+                case "32-bit":
+                    result = this.exec32(fetched.insn);
+                    break;
+                case "16-bit parallel": {
+                    // T=1 executa a metade baixa, T=0 a metade alta; o par ocupa 4 bytes
+                    const selected = this.T ? fetched.insn : fetched.high;
+                    result = this.exec16(selected & 0x7FFF, 4) === 0 ? 0 : 4;
+                    break;
+                }
+                default:
+                    result = this.exec16(fetched.insn) === 0 ? 0 : 2;
+                    break;
+            }
+        } catch (err) {
+            this.miu.accessPC = null;
+            if (!(err instanceof CPUFault)) throw err;
+            this.pc = pc;
+            if (this.raiseFault(err)) {
+                // Suprimida: a instrução não executou
+                this.stepCycles = 0;
+                this.lastStepCycles = 0;
+                return true;
+            }
+            result = 0;
+        }
+        this.miu.accessPC = null;
+
         if (result !== 0) {
             this.pc = (this.pc + result) >>> 0;
+        } else {
+            this.stepCycles += CPU_CYCLES.BRANCH_TAKEN;
         }
 
-        this.cycles++;
+        this.lastStepCycles = this.stepCycles;
+        this.cycles += this.stepCycles;
+        this.stepCycles = 0;
         this.instructions++;
         return true;
     }
@@ -711,10 +1127,31 @@ exec16(insn) {
             customEngine: {
                 CEL: this.CEL,
                 CEH: this.CEH
-            }
+            },
+            halted: this.halted
         };
     }
 
+    setState(state) {
+        this.pc = state.pc >>> 0;
+        this.cycles = state.cycles;
+        this.instructions = state.instructions;
+        this.r.set(state.registers);
+        this.sr.set(state.systemRegisters);
+        this.cr.set(state.controlRegisters);
+        this.CEL = state.customEngine.CEL >>> 0;
+        this.CEH = state.customEngine.CEH >>> 0;
+        this.N = state.flags.N;
+        this.Z = state.flags.Z;
+        this.C = state.flags.C;
+        this.V = state.flags.V;
+        this.T = state.flags.T;
+        this.halted = !!state.halted;
+        this.stepCycles = 0;
+        this.lastStepCycles = 0;
+        this.lastFault = null;
+    }
+
     halt() {
         this.halted = true;
     }
@@ -726,7 +1163,7 @@ exec16(insn) {
     // ========== DEBUG E DISSASEMBLY ==========
 
     disassemble(insn) {
-        const OP = (insn >>> 27) & 0x1F;
+        const OP = (insn >>> 25) & 0x1F;
         
         switch(OP) {
             case 0x00: return this.disassembleSP(insn);
@@ -749,9 +1186,9 @@ exec16(insn) {
     }
 
     disassembleSP(insn) {
-        const rD = (insn >>> 22) & 0x1F;
-        const rA = (insn >>> 17) & 0x1F;
-        const rB = (insn >>> 12) & 0x1F;
+        const rD = (insn >>> 20) & 0x1F;
+        const rA = (insn >>> 15) & 0x1F;
+        const rB = (insn >>> 10) & 0x1F;
         const func6 = (insn >>> 1) & 0x3F;
         
         const mnemonics = {
@@ -816,9 +1253,9 @@ exec16(insn) {
     }
 
     disassembleI(insn) {
-        const OP = (insn >>> 27) & 0x1F;
-        const rD = (insn >>> 22) & 0x1F;
-        const func3 = (insn >>> 19) & 0x07;
+        const OP = (insn >>> 25) & 0x1F;
+        const rD = (insn >>> 20) & 0x1F;
+        const func3 = (insn >>> 17) & 0x07;
         const imm16 = (insn >>> 1) & 0xFFFF;
         
         const mnemonics = {
@@ -845,23 +1282,23 @@ exec16(insn) {
     }
 
     disassembleB(insn) {
-        const BC = (insn >>> 23) & 0x0F;
+        const BC = (insn >>> 10) & 0x0F;
         const conditions = ['cs', 'cc', 'hi', 'ls', 'eq', 'ne', 'gt', 'le', 'ge', 'lt', 'mi', 'pl', 'vs', 'vc', 't', 'al'];
         return `b${conditions[BC]} <offset>`;
     }
 
     disassembleRix(insn) {
-        const rD = (insn >>> 22) & 0x1F;
-        const rA = (insn >>> 17) & 0x1F;
-        const func3 = (insn >>> 2) & 0x07;
+        const rD = (insn >>> 20) & 0x1F;
+        const rA = (insn >>> 15) & 0x1F;
+        const func3 = insn & 0x07;
         const ops = ['lw', 'lh', 'lhu', 'lb', 'sw', 'sh', 'lbu', 'sb'];
         return `${ops[func3]} r${rD}, [r${rA}]`;
     }
 
     disassembleMemory(insn) {
-        const OP = (insn >>> 27) & 0x1F;
-        const rD = (insn >>> 22) & 0x1F;
-        const rA = (insn >>> 17) & 0x1F;
+        const OP = (insn >>> 25) & 0x1F;
+        const rD = (insn >>> 20) & 0x1F;
+        const rA = (insn >>> 15) & 0x1F;
         const ops = {
             0x10: 'lw',
             0x11: 'lh',
@@ -898,4 +1335,7 @@ if (typeof module !== 'undefined' && module.exports) {
 }
 
 // Exportar para window (SEMPRE, fora do if)
-window.CPU = CPU;
\ No newline at end of file
+window.CPU = CPU;
+window.CPUFault = CPUFault;
+window.CPU_EXCEPTION = CPU_EXCEPTION;
+window.CPU_CYCLES = CPU_CYCLES;
\ No newline at end of file
@@ -249,6 +249,49 @@ class BreakpointManager {
         return list;
     }
 
+    /**
+     * Converte a especificação de um watchpoint de memória nas opções de
+     * SegmentedMemoryRegion.addWatchpoint:
+     *   <addr>[-<fim>|+<tamanho>] [r|w|rw] [u8|u16|u32] [=valor[/máscara]]
+     * Números em hex.
+     *
+     * @param {string[]} args
+     * @param {function(string): number} parseAddress - Resolve endereço ou símbolo
+     * @returns {Object} Opções do watchpoint
+     * @throws {Error} Se algum argumento for inválido
+     */
+    static parseMemoryWatch(args, parseAddress) {
+        const [range, ...rest] = args;
+        const match = range.match(/^([^+-]+)(?:([+-])(.+))?$/);
+        if (!match) throw new Error(`Intervalo inválido: ${range}`);
+
+        const start = parseAddress(match[1]);
+        if (isNaN(start)) throw new Error(`Endereço inválido: ${match[1]}`);
+
+        const options = { start, end: start };
+        if (match[2] === "-") options.end = parseAddress(match[3]);
+        if (match[2] === "+") options.end = start + parseInt(match[3], 16) - 1;
+        if (isNaN(options.end)) throw new Error(`Intervalo inválido: ${range}`);
+
+        const sizes = { u8: 1, u16: 2, u32: 4 };
+        for (const token of rest) {
+            if (token === "r" || token === "w" || token === "rw") {
+                options.access = token;
+            } else if (sizes[token]) {
+                options.size = sizes[token];
+            } else if (token.startsWith("=")) {
+                const [value, mask] = token.slice(1).split("/");
+                options.value = parseInt(value, 16);
+                if (mask !== undefined) options.mask = parseInt(mask, 16);
+                if (isNaN(options.value) || isNaN(options.mask ?? 0)) throw new Error(`Condição inválida: ${token}`);
+            } else {
+                throw new Error(`Argumento desconhecido: ${token}`);
+            }
+        }
+
+        return options;
+    }
+
     clearAll() {
         this.breakpoints.clear();
         this.watchpoints.clear();
@@ -704,7 +747,10 @@ class HyperscanDebugger {
                 case "breakpoints":
                     return dbg.breakpoints.listBreakpoints();
                 case "watchpoints":
-                    return dbg.breakpoints.listWatchpoints();
+                    return {
+                        registers: dbg.breakpoints.listWatchpoints(),
+                        memory: dbg.cpu.miu ? dbg.cpu.miu.watchpoints : []
+                    };
                 case "registers":
                     return dbg.registers.getAllRegisters();
                 default:
@@ -714,17 +760,33 @@ class HyperscanDebugger {
 
         this.cmdParser.alias("i", "info");
 
-        // Watchpoint
+        // Watchpoint (registrador ou memória)
         this.cmdParser.register("watch", (args, dbg) => {
             if (args.length === 0) {
-                return { list: dbg.breakpoints.listWatchpoints() };
+                return { list: dbg.breakpoints.listWatchpoints(), memory: dbg.cpu.miu ? dbg.cpu.miu.watchpoints : [] };
             }
-            const regMatch = args[0].match(/r(\d+)/);
-            if (!regMatch) return { error: "Usage: watch r<N>" };
-            const regIdx = parseInt(regMatch[1]);
-            dbg.breakpoints.addWatchpoint(regIdx);
-            return `Watchpoint added for r${regIdx}`;
-        }, "Watch register: watch r<N>");
+            const regMatch = args[0].match(/^r(\d+)$/);
+            if (regMatch) {
+                const regIdx = parseInt(regMatch[1]);
+                dbg.breakpoints.addWatchpoint(regIdx);
+                return `Watchpoint added for r${regIdx}`;
+            }
+
+            if (!dbg.cpu.miu) return { error: "Memory not initialized" };
+            try {
+                const options = BreakpointManager.parseMemoryWatch(args, (str) => dbg._parseAddress(str));
+                const w = dbg.cpu.miu.addWatchpoint(options);
+                return `Watchpoint #${w.id} (${w.access}) at 0x${w.start.toString(16).toUpperCase()}-0x${w.end.toString(16).toUpperCase()}`;
+            } catch (err) {
+                return { error: err.message };
+            }
+        }, "Watch register or memory: watch r<N> | watch <addr>[-<end>|+<len>] [r|w|rw] [u8|u16|u32] [=value[/mask]]");
+
+        this.cmdParser.register("unwatch", (args, dbg) => {
+            const id = parseInt(args[0], 10);
+            if (!dbg.cpu.miu || !dbg.cpu.miu.removeWatchpoint(id)) return { error: `No memory watchpoint #${args[0]}` };
+            return `Watchpoint #${id} removed`;
+        }, "Remove memory watchpoint: unwatch <id>");
 
         // Help
         this.cmdParser.register("help", (args, dbg) => {
@@ -741,6 +803,10 @@ class HyperscanDebugger {
     _parseAddress(str) {
         if (!str) return this.cpu.pc;
 
+        // Nome de símbolo (ELF carregado)
+        const symbol = this.disassembler?.symbols?.find(str);
+        if (symbol !== null && symbol !== undefined) return symbol;
+
         const regMatch = str.match(/r(\d+)/);
         if (regMatch) {
             const idx = parseInt(regMatch[1]);
@@ -134,15 +134,15 @@ class Disasm32 {
     constructor(insn, address) {
         this.insn = insn >>> 0;
         this.address = address >>> 0;
-        this.OP = (this.insn >>> 27) & 0x1F;
+        this.OP = (this.insn >>> 25) & 0x1F;
     }
 
     /**
      * Extrai campos de registrador
      */
-    getRD() { return (this.insn >>> 22) & 0x1F; }
-    getRA() { return (this.insn >>> 17) & 0x1F; }
-    getRB() { return (this.insn >>> 12) & 0x1F; }
+    getRD() { return (this.insn >>> 20) & 0x1F; }
+    getRA() { return (this.insn >>> 15) & 0x1F; }
+    getRB() { return (this.insn >>> 10) & 0x1F; }
 
     /**
      * Extrai campos específicos de formato
@@ -151,31 +151,29 @@ class Disasm32 {
     getCU() { return this.insn & 1; }
     getDotC() { return this.getCU() ? ".c" : ""; }
 
-    getFunc3() { return (this.insn >>> 19) & 0x07; }
+    getFunc3() { return (this.insn >>> 17) & 0x07; }
     getImm16() { return this.signExtend((this.insn >>> 1) & 0xFFFF, 16); }
     getImm16Unsigned() { return (this.insn >>> 1) & 0xFFFF; }
 
     getDisp24() { return (this.insn >>> 1) & 0xFFFFFF; }
     getLK() { return this.insn & 1; }
 
-    getImm12() { return this.signExtend((this.insn >>> 5) & 0xFFF, 12); }
-    getFunc3RIX() { return (this.insn >>> 0) & 0x07; } // CORREÇÃO: bits 0-2
+    getImm12() { return this.signExtend((this.insn >>> 3) & 0xFFF, 12); }
+    getFunc3RIX() { return this.insn & 0x07; }
 
-    // B-Form (OP=0x04) - CORRIGIDO
-getBC() { return (this.insn >>> 4) & 0x0F; }  // ✓ CORRETO - Bits [7:4]
-getDispB() {
-    // Deslocamento de 22 bits: Bits [26:5]
-    const disp22 = (this.insn >>> 5) & 0x3FFFFF;
-    return this.signExtend(disp22, 22);
-}
-    getDisp19() { return this.getDispB(); }
+    // B-Form (OP=0x04): condição em [14:10], disp19 em [24:15] e [9:1]
+    getBC() { return (this.insn >>> 10) & 0x1F; }
+    getDisp19() {
+        const disp19 = (((this.insn >>> 15) & 0x3FF) << 9) | ((this.insn >>> 1) & 0x1FF);
+        return this.signExtend(disp19, 19);
+    }
 
-    getImm15() { return this.signExtend((this.insn >>> 2) & 0x7FFF, 15); }
+    getImm15() { return this.signExtend(this.insn & 0x7FFF, 15); }
 
-    getImm14() { return this.signExtend((this.insn >>> 2) & 0x3FFF, 14); }
+    getImm14() { return this.signExtend((this.insn >>> 1) & 0x3FFF, 14); }
 
-    getCROP() { return (this.insn >>> 2) & 0xFF; }
-    getCRA() { return (this.insn >>> 17) & 0x1F; }
+    getCROP() { return this.insn & 0xFF; }
+    getCRA() { return (this.insn >>> 15) & 0x1F; }
 
     signExtend(x, b) {
         const m = 1 << (b - 1);
@@ -196,14 +194,9 @@ getDispB() {
             case 0x07: return this.decodeRixForm();
             case 0x04: return this.decodeBForm();
             case 0x06: return this.decodeCRForm();
-            case 0x08:
-            case 0x09:
-            case 0x0A:
-            case 0x0B: return this.decodeAddriForm();
+            case 0x08: return this.decodeAddriForm();
             case 0x0C:
-            case 0x0D:
-            case 0x0E:
-            case 0x0F: return this.decodeAndriOriForm();
+            case 0x0D: return this.decodeAndriOriForm();
             case 0x10:
             case 0x11:
             case 0x12:
@@ -212,6 +205,7 @@ getDispB() {
             case 0x15:
             case 0x16:
             case 0x17: return this.decodeMemoryForm();
+            case 0x18: return "cache";
             default:
                 return `UNKNOWN_OP${this.OP.toString(16).padStart(2, '0').toUpperCase()}`;
         }
@@ -228,9 +222,9 @@ getDispB() {
 
         switch (func6) {
             case 0x00: return "nop";
-            case 0x01: return "syscall";
-            case 0x02: return `trap${getCond(rB)}`;
-            case 0x03: return "sdbbp";
+            case 0x01: return `syscall ${hex((this.insn >>> 10) & 0x7FFF, 4)}`;
+            case 0x02: return `trap${getCond(rB)} ${rA}`;
+            case 0x03: return `sdbbp ${rA}`;
             case 0x04: return `br${getCond(rB)}${CU ? 'l' : ''} ${REGS[rA]}`;
             case 0x05: return "pflush";
             case 0x06: return `alw ${REGS[rD]}, ${REGS[rA]}`;
@@ -400,7 +394,7 @@ getDispB() {
         }
     }
 
-    // ========== ADDRI-Form (OP=0x08-0x0B) ==========
+    // ========== ADDRI-Form (OP=0x08) ==========
     decodeAddriForm() {
         const rD = this.getRD();
         const rA = this.getRA();
@@ -408,11 +402,10 @@ getDispB() {
         const CU = this.getCU();
         const dotC = this.getDotC();
 
-        const mnem = ["addri", "addri", "addri", "addri"][this.OP - 0x08] || "addri";
-        return `${mnem}${dotC} ${REGS[rD]}, ${REGS[rA]}, ${formatImm(imm14)}`;
+        return `addri${dotC} ${REGS[rD]}, ${REGS[rA]}, ${formatImm(imm14)}`;
     }
 
-    // ========== ANDRI/ORRI-Form (OP=0x0C-0x0F) ==========
+    // ========== ANDRI/ORRI-Form (OP=0x0C, 0x0D) ==========
     decodeAndriOriForm() {
         const rD = this.getRD();
         const rA = this.getRA();
@@ -420,8 +413,7 @@ getDispB() {
         const CU = this.getCU();
         const dotC = this.getDotC();
 
-        const mnemonics = ["andri", "orri", "??", "??"];
-        const mnem = mnemonics[this.OP - 0x0C];
+        const mnem = this.OP === 0x0C ? "andri" : "orri";
 
         return `${mnem}${dotC} ${REGS[rD]}, ${REGS[rA]}, ${hex(imm14 & 0x3FFF, 4)}`;
     }
@@ -446,20 +438,21 @@ getDispB() {
 
 // ========== PARTE 3: DECODIFICAÇÃO 16-BIT ==========
 
+// 15 bits úteis (bit 15 é o bit paralelo): OP [14:12], rD [11:8], rA [7:4], func4 [3:0]
 class Disasm16 {
     constructor(insn, address) {
-        this.insn = insn & 0xFFFF;
+        this.insn = insn & 0x7FFF;
         this.address = address >>> 0;
-        this.OP = (this.insn >>> 13) & 0x07;
+        this.OP = (this.insn >>> 12) & 0x07;
     }
 
-    getRD() { return (this.insn >>> 1) & 0x0F; }
-    getRA() { return (this.insn >>> 5) & 0x0F; }
-    getFunc4() { return (this.insn >>> 9) & 0x0F; }
+    getRD() { return (this.insn >>> 8) & 0x0F; }
+    getRA() { return (this.insn >>> 4) & 0x0F; }
+    getFunc4() { return this.insn & 0x0F; }
 
-    getImm5() { return (this.insn >>> 5) & 0x1F; }
-    getImm8() { return this.signExtend((this.insn >>> 5) & 0xFF, 8); }
-    getImm11() { return this.signExtend((this.insn >>> 2) & 0x7FF, 11); }
+    getImm5() { return (this.insn >>> 3) & 0x1F; }
+    getImm8() { return this.signExtend(this.insn & 0xFF, 8); }
+    getImm11() { return this.signExtend((this.insn >>> 1) & 0x7FF, 11); }
 
     signExtend(x, b) {
         const m = 1 << (b - 1);
@@ -521,7 +514,13 @@ class Disasm16 {
             "sw!", "sh!", "push!", "sb!"
         ];
 
-        return `${mnemonics[func4]}! ${REGS[rD]}, ${REGS[rA]}`;
+        // push!/pop!: H em [7] escolhe r16-r31, rA de 3 bits em [6:4]
+        if (func4 === 0x0A || func4 === 0x0E) {
+            const H = (this.insn >>> 7) & 1;
+            return `${mnemonics[func4]} ${REGS[rD + (H ? 16 : 0)]}, [${REGS[rA & 0x07]}]`;
+        }
+
+        return `${mnemonics[func4]} ${REGS[rD]}, ${REGS[rA]}`;
     }
 
     decodeFormat3() {
@@ -534,21 +533,21 @@ class Disasm16 {
 
     decodeFormat4() {
         const imm8 = this.getImm8();
-        const ec = (this.insn >>> 1) & 0x0F;
+        const ec = this.getRD();
         const target = (this.address + (imm8 << 1)) >>> 0;
 
         return `b${getCond(ec)}! ${formatAddr(target)}`;
     }
 
     decodeFormat5() {
-        const imm8 = (this.insn >>> 5) & 0xFF;
+        const imm8 = this.insn & 0xFF;
         const rD = this.getRD();
 
         return `ldiu! ${REGS[rD]}, ${hex(imm8, 2)}`;
     }
 
     decodeFormat6() {
-        const func3 = (this.insn >>> 10) & 0x07;
+        const func3 = this.insn & 0x07;
         const imm5 = this.getImm5();
         const rD = this.getRD();
 
@@ -562,7 +561,7 @@ class Disasm16 {
     }
 
     decodeFormat7() {
-        const func3 = (this.insn >>> 10) & 0x07;
+        const func3 = this.insn & 0x07;
         const imm5 = this.getImm5();
         const rD = this.getRD();
 
@@ -577,6 +576,7 @@ class Disasm16 {
 class HyperscanDisassembler {
     constructor(miu) {
         this.miu = miu; // Memory Interface Unit
+        this.symbols = null; // SymbolTable opcional (nomes de função nos saltos)
     }
 
     /**
@@ -621,8 +621,28 @@ class HyperscanDisassembler {
 
     /**
      * Disassembla instrução (auto-detecta 16 ou 32 bits)
+     *
+     * Com tabela de símbolos: result.symbol é o rótulo no endereço e os
+     * alvos de salto ganham "<nome+off>"
      */
     disasmAt(address) {
+        const result = this._decodeAt(address);
+        if (!this.symbols || !this.symbols.size || !result.bytes) return result;
+
+        const label = this.symbols.labelAt(address);
+        if (label) result.symbol = label;
+
+        if (/^[jb]/.test(result.text)) {
+            result.text = result.text.replace(/0x[0-9A-F]{8}\b/, (target) => {
+                const name = this.symbols.format(parseInt(target, 16));
+                return name ? `${target} <${name}>` : target;
+            });
+        }
+
+        return result;
+    }
+
+    _decodeAt(address) {
         if (!this.miu) {
             return { text: "ERROR: MIU not connected", bytes: 0 };
         }
@@ -641,7 +661,7 @@ class HyperscanDisassembler {
 
         // Se p0=1, é instrução de 32 bits
         if (p0) {
-            const insn32 = (high << 15) | (low & 0x7FFF);
+            const insn32 = (((high & 0x7FFF) << 15) | (low & 0x7FFF)) >>> 0;
             const d = new Disasm32(insn32, address);
             return {
                 address: address,
@@ -652,13 +672,15 @@ class HyperscanDisassembler {
             };
         }
 
-        // Se p1=1, é paralelismo 16-bit
+        // Se p1=1, é paralelismo 16-bit (bit 15 de cada metade é o bit paralelo)
         if (p1) {
+            const lowText = new Disasm16(low & 0x7FFF, address).decode();
+            const highText = new Disasm16(high & 0x7FFF, address).decode();
             return {
                 address: address,
                 insn: encoded,
                 bytes: 4,
-                text: `[parallel] select by T: low=${new Disasm16(low, address).decode()} / high=${new Disasm16(high, address).decode()}`,
+                text: `[parallel] select by T: low=${lowText} / high=${highText}`,
                 format: "16-bit parallel"
             };
         }
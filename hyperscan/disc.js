@@ -0,0 +1,329 @@
+/**
+ * disc.js - Imagens de disco (ISO e BIN/CUE) para o drive de CD-ROM
+ *
+ * DiscImage monta a tabela de trilhas e entrega setores de dados de
+ * 2048 bytes por LBA (LBA 0 = INDEX 01 da trilha 1, o primeiro setor
+ * lógico do disco). Setores crus de 2352 bytes têm o cabeçalho de sync
+ * removido conforme o modo da trilha:
+ *
+ *   MODE1/2048   ISO (só dados)                 dados no offset 0
+ *   MODE1/2352   sync(12) + header(4) + dados    dados no offset 16
+ *   MODE2/2352   sync + header + subheader(8)    dados no offset 24 (XA form 1)
+ *   MODE2/2336   subheader(8) + dados            dados no offset 8
+ *   AUDIO        CD-DA                           sem setor de dados
+ *
+ * listFiles()/readFile() leem o diretório raiz ISO 9660 (o BIOS HLE
+ * procura ali o executável do jogo).
+ *
+ * Sem DOM nem fs: o chamador lê os arquivos e entrega os bytes.
+ *
+ * Autor: Ccor444
+ */
+
+"use strict";
+
+if (typeof DiscImage === 'undefined') {
+    const DATA_SECTOR_SIZE = 2048;
+    const FRAMES_PER_SECOND = 75;
+
+    // Primary Volume Descriptor e o registro do diretório raiz dentro dele
+    const ISO_PVD_LBA = 16;
+    const ISO_ROOT_RECORD = 156;
+
+    // Modo do CUE -> tamanho do setor no arquivo e offset dos dados
+    const TRACK_MODES = Object.freeze({
+        "MODE1/2048": Object.freeze({ type: "MODE1", sectorSize: 2048, dataOffset: 0 }),
+        "MODE1/2352": Object.freeze({ type: "MODE1", sectorSize: 2352, dataOffset: 16 }),
+        "MODE2/2352": Object.freeze({ type: "MODE2", sectorSize: 2352, dataOffset: 24 }),
+        "MODE2/2336": Object.freeze({ type: "MODE2", sectorSize: 2336, dataOffset: 8 }),
+        "AUDIO": Object.freeze({ type: "AUDIO", sectorSize: 2352, dataOffset: 0 })
+    });
+
+    class DiscImage {
+        /**
+         * @param {Object[]} tracks - { number, type, sectorSize, dataOffset, data, fileOffset, startLBA, sectors }
+         * @param {string} [name]
+         */
+        constructor(tracks, name = "") {
+            this.tracks = tracks;
+            this.name = name;
+        }
+
+        static get SECTOR_SIZE() { return DATA_SECTOR_SIZE; }
+
+        /**
+         * @returns {number} Total de setores lógicos
+         */
+        get sectorCount() {
+            const last = this.tracks[this.tracks.length - 1];
+            return last ? last.startLBA + last.sectors : 0;
+        }
+
+        /**
+         * @param {number} lba
+         * @returns {Object|null} Trilha que contém o setor
+         */
+        trackAt(lba) {
+            for (const track of this.tracks) {
+                if (lba >= track.startLBA && lba < track.startLBA + track.sectors) return track;
+            }
+            return null;
+        }
+
+        /**
+         * Lê os 2048 bytes de dados de um setor
+         *
+         * @param {number} lba
+         * @returns {Uint8Array|null} null fora do disco ou em trilha de áudio
+         */
+        readSector(lba) {
+            const track = this.trackAt(lba);
+            if (!track || track.type === "AUDIO") return null;
+
+            const start = track.fileOffset + (lba - track.startLBA) * track.sectorSize + track.dataOffset;
+            const out = new Uint8Array(DATA_SECTOR_SIZE);
+            out.set(track.data.subarray(start, Math.min(start + DATA_SECTOR_SIZE, track.data.length)));
+            return out;
+        }
+
+        /**
+         * @returns {{number: number, type: string, startLBA: number, sectors: number}[]}
+         */
+        getTOC() {
+            return this.tracks.map(({ number, type, startLBA, sectors }) => ({ number, type, startLBA, sectors }));
+        }
+
+        // ========== ISO 9660 ==========
+
+        /**
+         * Arquivos do diretório raiz
+         *
+         * @returns {{name: string, lba: number, size: number}[]} Vazio se o disco não tiver ISO 9660
+         */
+        listFiles() {
+            const pvd = this.readSector(ISO_PVD_LBA);
+            if (!pvd || pvd[0] !== 1 || String.fromCharCode(...pvd.subarray(1, 6)) !== "CD001") return [];
+
+            const view = new DataView(pvd.buffer);
+            const rootLBA = view.getUint32(ISO_ROOT_RECORD + 2, true);
+            const rootSize = view.getUint32(ISO_ROOT_RECORD + 10, true);
+
+            const files = [];
+            for (let i = 0; i < Math.ceil(rootSize / DATA_SECTOR_SIZE); i++) {
+                const sector = this.readSector(rootLBA + i);
+                if (!sector) break;
+
+                const dir = new DataView(sector.buffer);
+                // Registros não cruzam setores; tamanho 0 = resto do setor vazio
+                for (let p = 0; p < DATA_SECTOR_SIZE && sector[p] > 0; p += sector[p]) {
+                    const isDirectory = (sector[p + 25] & 0x02) !== 0;
+                    const nameLength = sector[p + 32];
+                    // "." e ".." são os nomes de 1 byte 0x00 e 0x01
+                    if (isDirectory || nameLength === 0 || (nameLength === 1 && sector[p + 33] <= 1)) continue;
+
+                    const name = String.fromCharCode(...sector.subarray(p + 33, p + 33 + nameLength));
+                    files.push({
+                        name: name.replace(/;\d+$/, "").replace(/\.$/, ""),
+                        lba: dir.getUint32(p + 2, true),
+                        size: dir.getUint32(p + 10, true)
+                    });
+                }
+            }
+
+            return files;
+        }
+
+        /**
+         * Lê um arquivo do diretório raiz (nome sem diferenciar maiúsculas)
+         *
+         * @param {string} name
+         * @returns {Uint8Array|null}
+         */
+        readFile(name) {
+            const file = this.listFiles().find(f => f.name.toLowerCase() === name.toLowerCase());
+            if (!file) return null;
+
+            const out = new Uint8Array(file.size);
+            for (let offset = 0, lba = file.lba; offset < file.size; offset += DATA_SECTOR_SIZE, lba++) {
+                const sector = this.readSector(lba);
+                if (!sector) return null;
+                out.set(sector.subarray(0, Math.min(DATA_SECTOR_SIZE, file.size - offset)), offset);
+            }
+            return out;
+        }
+
+        // ========== LOADERS ==========
+
+        /**
+         * Abre uma imagem pelo tipo do arquivo: .cue (com os arquivos que ele
+         * referencia), .iso, ou um .bin/.img avulso (setores crus de 2352
+         * bytes, detectados pelo padrão de sync, ou de 2048)
+         *
+         * @param {string} fileName
+         * @param {Uint8Array} bytes - Conteúdo de fileName
+         * @param {function(string): Uint8Array} [readFile] - Para os FILE de um .cue
+         * @returns {DiscImage}
+         */
+        static open(fileName, bytes, readFile = () => null) {
+            const name = fileName.split(/[\\/]/).pop().replace(/\.[^.]+$/, "");
+
+            if (/\.cue$/i.test(fileName)) {
+                return DiscImage.fromBinCue(new TextDecoder().decode(bytes), readFile, name);
+            }
+
+            if (bytes.length % 2352 === 0 && DiscImage._hasSync(bytes)) {
+                const mode = bytes[15] === 2 ? "MODE2/2352" : "MODE1/2352";
+                return new DiscImage([DiscImage._track(1, mode, bytes, 0, 0, bytes.length / 2352)], name);
+            }
+
+            return DiscImage.fromISO(bytes, name);
+        }
+
+        // Setor cru: 00, dez FF, 00
+        static _hasSync(bytes) {
+            if (bytes.length < 16 || bytes[0] !== 0x00 || bytes[11] !== 0x00) return false;
+            for (let i = 1; i < 11; i++) {
+                if (bytes[i] !== 0xFF) return false;
+            }
+            return true;
+        }
+
+        /**
+         * @param {Uint8Array} bytes - Imagem ISO 9660 (setores de 2048 bytes)
+         * @param {string} [name]
+         * @returns {DiscImage}
+         * @throws {Error} Se o tamanho não for múltiplo de 2048
+         */
+        static fromISO(bytes, name = "") {
+            if (bytes.length === 0 || bytes.length % DATA_SECTOR_SIZE !== 0) {
+                throw new Error(`ISO inválida: ${bytes.length} bytes não é múltiplo de ${DATA_SECTOR_SIZE}`);
+            }
+
+            return new DiscImage([DiscImage._track(1, "MODE1/2048", bytes, 0, 0, bytes.length / DATA_SECTOR_SIZE)], name);
+        }
+
+        /**
+         * @param {string} cueText - Conteúdo do .cue
+         * @param {function(string): Uint8Array} readFile - Devolve os bytes de um FILE do CUE
+         * @param {string} [name]
+         * @returns {DiscImage}
+         * @throws {Error} Se o CUE for inválido ou um arquivo faltar
+         */
+        static fromBinCue(cueText, readFile, name = "") {
+            const files = DiscImage.parseCue(cueText);
+            if (files.length === 0 || !files.some(f => f.tracks.length > 0)) {
+                throw new Error("CUE sem trilhas");
+            }
+
+            const tracks = [];
+            let fileLBA = 0;
+
+            for (const file of files) {
+                const data = readFile(file.name);
+                if (!data) throw new Error(`Arquivo do CUE não encontrado: ${file.name}`);
+
+                file.tracks.forEach((entry, i) => {
+                    const mode = TRACK_MODES[entry.mode];
+                    if (!mode) throw new Error(`Modo de trilha não suportado: ${entry.mode}`);
+
+                    const fileOffset = entry.index * mode.sectorSize;
+                    const next = file.tracks[i + 1];
+                    const sectors = next
+                        ? next.index - entry.index
+                        : Math.floor((data.length - fileOffset) / mode.sectorSize);
+
+                    fileLBA += entry.pregap;
+                    tracks.push(DiscImage._track(entry.number, entry.mode, data, fileOffset, fileLBA + entry.index, sectors));
+                });
+
+                const last = tracks[tracks.length - 1];
+                fileLBA = last.startLBA + last.sectors;
+            }
+
+            // LBA 0 é o INDEX 01 da primeira trilha
+            const base = tracks[0].startLBA;
+            for (const track of tracks) track.startLBA -= base;
+
+            return new DiscImage(tracks, name);
+        }
+
+        /**
+         * Interpreta FILE/TRACK/INDEX 01/PREGAP de um .cue
+         *
+         * @param {string} text
+         * @returns {{name: string, tracks: {number: number, mode: string, index: number, pregap: number}[]}[]}
+         */
+        static parseCue(text) {
+            const files = [];
+            let track = null;
+
+            for (const raw of text.split(/\r?\n/)) {
+                const line = raw.trim();
+                const [keyword] = line.split(/\s+/);
+
+                switch ((keyword || "").toUpperCase()) {
+                    case "FILE": {
+                        const match = line.match(/^FILE\s+(?:"([^"]+)"|(\S+))/i);
+                        if (!match) throw new Error("CUE inválido: FILE sem nome de arquivo");
+                        files.push({ name: match[1] || match[2], tracks: [] });
+                        track = null;
+                        break;
+                    }
+                    case "TRACK": {
+                        const [, number, mode] = line.split(/\s+/);
+                        if (!files.length) throw new Error("TRACK antes de FILE no CUE");
+                        if (!mode) throw new Error(`CUE inválido: TRACK sem modo (${line})`);
+                        track = { number: parseInt(number, 10), mode: mode.toUpperCase(), index: null, pregap: 0 };
+                        files[files.length - 1].tracks.push(track);
+                        break;
+                    }
+                    case "INDEX": {
+                        const [, number, msf] = line.split(/\s+/);
+                        if (track && parseInt(number, 10) === 1) track.index = DiscImage.msfToFrames(msf);
+                        break;
+                    }
+                    case "PREGAP":
+                        if (track) track.pregap = DiscImage.msfToFrames(line.split(/\s+/)[1]);
+                        break;
+                }
+            }
+
+            for (const file of files) {
+                if (file.tracks.length === 0) throw new Error(`CUE inválido: FILE ${file.name} sem trilhas`);
+                for (const t of file.tracks) {
+                    if (t.index === null) throw new Error(`Trilha ${t.number} sem INDEX 01`);
+                }
+            }
+
+            return files;
+        }
+
+        /**
+         * @param {string} msf - "mm:ss:ff"
+         * @returns {number} Setores (75 por segundo)
+         */
+        static msfToFrames(msf) {
+            const [m, s, f] = String(msf).split(":").map(n => parseInt(n, 10));
+            if ([m, s, f].some(n => !Number.isFinite(n))) throw new Error(`Tempo MSF inválido: ${msf}`);
+            return (m * 60 + s) * FRAMES_PER_SECOND + f;
+        }
+
+        static _track(number, modeName, data, fileOffset, startLBA, sectors) {
+            const mode = TRACK_MODES[modeName];
+            return {
+                number,
+                type: mode.type,
+                sectorSize: mode.sectorSize,
+                dataOffset: mode.dataOffset,
+                data,
+                fileOffset,
+                startLBA,
+                sectors: Math.max(0, sectors)
+            };
+        }
+    }
+
+    window.DiscImage = DiscImage;
+
+    console.log("[DISC] ✓ DiscImage carregado");
+}
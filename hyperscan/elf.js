@@ -0,0 +1,239 @@
+/**
+ * elf.js - Loader de executáveis ELF32 (S+core, little-endian)
+ *
+ * Os jogos em disco trazem o programa como ELF. ElfImage.parse() lê os
+ * program headers (PT_LOAD) e a tabela de símbolos (.symtab + .strtab);
+ * load() grava cada segmento no endereço virtual pela MIU (DRAM em
+ * 0xA0000000, flash em 0x9E000000) e zera o resto até p_memsz (.bss).
+ *
+ * Autor: Ccor444
+ */
+
+"use strict";
+
+if (typeof ElfImage === 'undefined') {
+    const ELF = Object.freeze({
+        CLASS_32: 1,
+        DATA_LE: 1,
+        ET_EXEC: 2,
+        EM_SCORE: 135,
+
+        PT_LOAD: 1,
+        SHT_SYMTAB: 2,
+
+        STT_NOTYPE: 0,
+        STT_OBJECT: 1,
+        STT_FUNC: 2,
+
+        SHN_UNDEF: 0,
+
+        EHDR_SIZE: 52,
+        PHDR_SIZE: 32,
+        SHDR_SIZE: 40,
+        SYM_SIZE: 16
+    });
+
+    // Onde um PT_LOAD pode cair (mesmo mapa de PLATFORM_CONFIG)
+    const LOAD_REGIONS = Object.freeze([
+        { name: "DRAM", base: 0xA0000000, size: 16 * 1024 * 1024 },
+        { name: "flash", base: 0x9E000000, size: 8 * 1024 * 1024 }
+    ]);
+
+    const SYMBOL_TYPES = Object.freeze({
+        [ELF.STT_NOTYPE]: "label",
+        [ELF.STT_OBJECT]: "object",
+        [ELF.STT_FUNC]: "func"
+    });
+
+    class ElfImage {
+        /**
+         * @param {Object} fields - { name, entry, machine, segments, symbols, crc32 }
+         */
+        constructor(fields) {
+            this.name = fields.name;
+            this.entry = fields.entry;
+            this.machine = fields.machine;
+            /** { vaddr, data (p_filesz bytes), memsz, flags } */
+            this.segments = fields.segments;
+            /** { name, address, size, type } */
+            this.symbols = fields.symbols;
+            this.crc32 = fields.crc32;
+        }
+
+        static get CONST() { return ELF; }
+
+        /**
+         * @param {Uint8Array} bytes
+         * @returns {boolean} true se começa com \x7FELF
+         */
+        static isELF(bytes) {
+            return bytes.length >= 4 && bytes[0] === 0x7F && bytes[1] === 0x45 && bytes[2] === 0x4C && bytes[3] === 0x46;
+        }
+
+        /**
+         * @param {Uint8Array} bytes - Arquivo ELF
+         * @param {string} [name]
+         * @returns {ElfImage}
+         * @throws {Error} Se não for um ELF32 little-endian executável, se uma
+         *   tabela sair do arquivo ou se um segmento não couber na DRAM/flash
+         */
+        static parse(bytes, name = "") {
+            if (!ElfImage.isELF(bytes) || bytes.length < ELF.EHDR_SIZE) throw new Error("Arquivo não é ELF");
+            if (bytes[4] !== ELF.CLASS_32) throw new Error("Só ELF de 32 bits é suportado");
+            if (bytes[5] !== ELF.DATA_LE) throw new Error("Só ELF little-endian é suportado");
+
+            const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+            const u16 = (p) => view.getUint16(p, true);
+            const u32 = (p) => view.getUint32(p, true);
+
+            const type = u16(16);
+            const machine = u16(18);
+            if (type !== ELF.ET_EXEC) throw new Error(`ELF não executável (e_type ${type})`);
+            if (machine !== ELF.EM_SCORE) {
+                console.warn(`[ELF] ⚠️ e_machine ${machine} (esperado ${ELF.EM_SCORE}, S+core)`);
+            }
+
+            const entry = u32(24);
+            const phoff = u32(28);
+            const shoff = u32(32);
+            const phentsize = u16(42);
+            const phnum = u16(44);
+            const shentsize = u16(46);
+            const shnum = u16(48);
+
+            const inFile = (offset, size) => offset + size <= bytes.length;
+
+            if (phnum && (phentsize < ELF.PHDR_SIZE || !inFile(phoff, phnum * phentsize))) {
+                throw new Error(`Program headers fora do arquivo (e_phoff 0x${phoff.toString(16)}, ${phnum} × ${phentsize})`);
+            }
+            if (shoff && shnum && (shentsize < ELF.SHDR_SIZE || !inFile(shoff, shnum * shentsize))) {
+                throw new Error(`Section headers fora do arquivo (e_shoff 0x${shoff.toString(16)}, ${shnum} × ${shentsize})`);
+            }
+
+            const segments = [];
+            for (let i = 0; i < phnum; i++) {
+                const p = phoff + i * phentsize;
+                if (u32(p) !== ELF.PT_LOAD) continue;
+
+                const offset = u32(p + 4);
+                const filesz = u32(p + 16);
+                if (!inFile(offset, filesz)) throw new Error(`Segmento ${i} fora do arquivo`);
+
+                const vaddr = u32(p + 8);
+                const memsz = Math.max(u32(p + 20), filesz);
+                // Conferido antes de load() alocar p_memsz bytes
+                if (!ElfImage._loadRegion(vaddr, memsz)) {
+                    throw new Error(`Segmento ${i} (0x${vaddr.toString(16).padStart(8, '0').toUpperCase()}, ${memsz} bytes) não cabe na DRAM nem na flash`);
+                }
+
+                segments.push({
+                    vaddr,
+                    data: bytes.subarray(offset, offset + filesz),
+                    memsz,
+                    flags: u32(p + 24)
+                });
+            }
+
+            if (segments.length === 0) throw new Error("ELF sem segmentos PT_LOAD");
+
+            const symbols = [];
+            for (let i = 0; i < shnum && shoff; i++) {
+                const s = shoff + i * shentsize;
+                if (u32(s + 4) !== ELF.SHT_SYMTAB) continue;
+
+                const symOffset = u32(s + 16);
+                const symSize = u32(s + 20);
+                const entsize = Math.max(u32(s + 36), ELF.SYM_SIZE);
+                if (!inFile(symOffset, symSize)) throw new Error(`.symtab fora do arquivo (seção ${i})`);
+
+                const link = u32(s + 24);
+                if (link >= shnum) throw new Error(`.symtab aponta para a seção ${link}, inexistente`);
+                const strtab = shoff + link * shentsize;
+                const strOffset = u32(strtab + 16);
+                const strSize = u32(strtab + 20);
+                if (!inFile(strOffset, strSize)) throw new Error(`.strtab fora do arquivo (seção ${link})`);
+                const strings = bytes.subarray(strOffset, strOffset + strSize);
+
+                for (let p = symOffset + entsize; p + ELF.SYM_SIZE <= symOffset + symSize; p += entsize) {
+                    const symType = SYMBOL_TYPES[bytes[p + 12] & 0x0F];
+                    if (!symType || u16(p + 14) === ELF.SHN_UNDEF) continue;
+
+                    const nameOffset = u32(p);
+                    if (nameOffset >= strSize) throw new Error(`Nome de símbolo fora da .strtab (0x${nameOffset.toString(16)})`);
+
+                    const symName = ElfImage._cString(strings, nameOffset);
+                    // Rótulos locais do assembler não ajudam no debug
+                    if (!symName || symName.startsWith(".L") || symName.startsWith("$")) continue;
+
+                    symbols.push({ name: symName, address: u32(p + 4), size: u32(p + 8), type: symType });
+                }
+            }
+
+            // O CRC identifica o programa nos save states e movies, como o CRC da flash
+            return new ElfImage({ name, entry, machine, segments, symbols, crc32: ArrayMemoryRegion.crc32(bytes) });
+        }
+
+        /**
+         * Grava os segmentos na memória
+         *
+         * @param {SegmentedMemoryRegion} miu
+         * @returns {number} Bytes escritos (incluindo .bss)
+         * @throws {Error} Se um segmento cair em segmento de memória não mapeado
+         */
+        load(miu) {
+            let total = 0;
+
+            for (const segment of this.segments) {
+                const image = new Uint8Array(segment.memsz);
+                image.set(segment.data);
+
+                // Um PT_LOAD pode atravessar o limite de 16MB de um segmento da MIU
+                let done = 0;
+                while (done < image.length) {
+                    const addr = (segment.vaddr + done) >>> 0;
+                    const region = miu.getRegion((addr >>> 24) & 0xFF);
+                    const offset = addr & 0xFFFFFF;
+                    // Regiões menores que 16MB (flash de 8MB) deixam o resto do segmento sem memória
+                    if (!region || !region.u8 || offset >= region.u8.length) {
+                        throw new Error(`Segmento ELF em 0x${addr.toString(16).padStart(8, '0').toUpperCase()} fora da memória mapeada`);
+                    }
+
+                    const length = Math.min(image.length - done, region.u8.length - offset);
+                    region.load(image.subarray(done, done + length), offset);
+                    done += length;
+                }
+
+                total += image.length;
+            }
+
+            return total;
+        }
+
+        /**
+         * @param {string} name
+         * @returns {number|null}
+         */
+        symbolAddress(name) {
+            return this.symbols.find(s => s.name === name)?.address ?? null;
+        }
+
+        static _cString(bytes, start) {
+            let end = start;
+            while (end < bytes.length && bytes[end] !== 0) end++;
+            return String.fromCharCode(...bytes.subarray(start, end));
+        }
+
+        /**
+         * @param {number} vaddr
+         * @param {number} memsz
+         * @returns {Object|undefined} Região de LOAD_REGIONS que contém o segmento inteiro
+         */
+        static _loadRegion(vaddr, memsz) {
+            return LOAD_REGIONS.find(r => vaddr >= r.base && vaddr - r.base + memsz <= r.size);
+        }
+    }
+
+    window.ElfImage = ElfImage;
+
+    console.log("[ELF] ✓ ElfImage carregado");
+}
@@ -0,0 +1,141 @@
+/**
+ * headless.js - Runtime headless (Node.js) do HyperScan
+ *
+ * Carrega os mesmos scripts do index.html, na mesma ordem, no escopo
+ * global do Node (window = globalThis), como o navegador faria com as
+ * tags <script>. Sem DOM, a VDU renderiza apenas no buffer RGBA em
+ * memória e o engine é dirigido por runFrames().
+ *
+ * Uso:
+ *   const { createEngine } = require("./hyperscan/headless.js");
+ *   const emu = createEngine();
+ *   emu.loadROMData(fs.readFileSync("jogo.bin"), "jogo.bin");
+ *   emu.runFrames(600);
+ *   const frame = emu.peripherals.vdu.getFrameBuffer();
+ *
+ * Autor: Ccor444
+ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const ROOT = path.resolve(__dirname, "..");
+
+/**
+ * Scripts do core, na ordem do index.html (sem UI: test-boot e LunaConsole)
+ */
+const CORE_SCRIPTS = Object.freeze([
+    "hyperscan/memory/memoryregion.js",
+    "hyperscan/memory/arraymemoryregion.js",
+    "hyperscan/memory/emptymemoryregion.js",
+    "hyperscan/memory/segmentedmemoryregion.js",
+    "hyperscan/timer.js",
+    "hyperscan/interrupt.js",
+    "hyperscan/scheduler.js",
+    "hyperscan/io/io.js",
+    "hyperscan/io/uart.js",
+    "hyperscan/io/vdu.js",
+    "hyperscan/io/ppu.js",
+    "hyperscan/io/spu.js",
+    "hyperscan/io/controller.js",
+    "hyperscan/io/rfid.js",
+    "hyperscan/io/cdrom.js",
+    "hyperscan/symbols.js",
+    "hyperscan/disasm.js",
+    "hyperscan/cpu.js",
+    "hyperscan/savestate.js",
+    "hyperscan/rewind.js",
+    "hyperscan/wav.js",
+    "hyperscan/movie.js",
+    "hyperscan/cards.js",
+    "hyperscan/disc.js",
+    "hyperscan/elf.js",
+    "hyperscan/bios.js",
+    "hyperscan/semihost.js",
+    "main.js",
+    "hyperscan/debugger.js",
+    "hyperscan/integration.js"
+]);
+
+let loaded = false;
+
+/**
+ * Instala o ambiente mínimo do navegador usado pelo core e carrega os scripts.
+ * Idempotente: chamadas seguintes não recarregam nada.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.quiet=false] - Silencia console.log/info durante a carga
+ * @returns {Object} window (globalThis) com as classes exportadas
+ */
+function loadCore(options = {}) {
+    if (loaded) return globalThis;
+
+    if (typeof globalThis.window === 'undefined') {
+        globalThis.window = globalThis;
+    }
+
+    // runLoop/start usam requestAnimationFrame; no Node, um timer a ~60Hz
+    if (typeof globalThis.requestAnimationFrame === 'undefined') {
+        globalThis.requestAnimationFrame = (callback) => setTimeout(() => callback(performance.now()), 1000 / 60);
+        globalThis.cancelAnimationFrame = (id) => clearTimeout(id);
+    }
+
+    if (typeof globalThis.alert === 'undefined') {
+        globalThis.alert = (msg) => console.error(`[ALERT] ${msg}`);
+    }
+
+    const { log, info } = console;
+    if (options.quiet) {
+        console.log = () => {};
+        console.info = () => {};
+    }
+
+    try {
+        for (const file of CORE_SCRIPTS) {
+            const fullPath = path.join(ROOT, file);
+            vm.runInThisContext(fs.readFileSync(fullPath, "utf8"), { filename: fullPath });
+        }
+    } finally {
+        console.log = log;
+        console.info = info;
+    }
+
+    loaded = true;
+    return globalThis;
+}
+
+/**
+ * Cria um HyperScanEngine headless
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.quiet=false] - Silencia os logs do core durante a carga e a criação
+ * @param {Object} [options.config] - Sobrescreve campos de engine.config
+ * @returns {HyperScanEngine}
+ */
+function createEngine(options = {}) {
+    loadCore(options);
+
+    const { log, info } = console;
+    if (options.quiet) {
+        console.log = () => {};
+        console.info = () => {};
+    }
+
+    try {
+        const engine = new globalThis.HyperScanEngine();
+        Object.assign(engine.config, { headless: true }, options.config);
+        return engine;
+    } finally {
+        console.log = log;
+        console.info = info;
+    }
+}
+
+module.exports = {
+    CORE_SCRIPTS,
+    loadCore,
+    createEngine
+};
@@ -0,0 +1,209 @@
+/**
+ * input.js - Entrada do host para as portas de controle
+ *
+ * Junta teclado (bindings configuráveis, por jogador) e Gamepad API:
+ * os dois primeiros gamepads conectados alimentam os jogadores 1 e 2,
+ * somados ao teclado. poll() é chamado pelo engine uma vez por frame e
+ * devolve a máscara de PAD_BUTTON de cada jogador; os bindings ficam no
+ * localStorage.
+ *
+ * Autor: Ccor444
+ */
+
+"use strict";
+
+if (typeof InputManager === 'undefined') {
+    // KeyboardEvent.code (posição física, independe do layout)
+    const DEFAULT_KEY_BINDINGS = Object.freeze([
+        Object.freeze({
+            UP: "ArrowUp", DOWN: "ArrowDown", LEFT: "ArrowLeft", RIGHT: "ArrowRight",
+            GREEN: "KeyZ", RED: "KeyX", BLUE: "KeyA", YELLOW: "KeyS",
+            L1: "KeyQ", L2: "Digit1", R1: "KeyW", R2: "Digit2",
+            SELECT: "ShiftRight", START: "Enter"
+        }),
+        Object.freeze({
+            UP: "KeyI", DOWN: "KeyK", LEFT: "KeyJ", RIGHT: "KeyL",
+            GREEN: "KeyN", RED: "KeyM", BLUE: "KeyH", YELLOW: "KeyU",
+            L1: "KeyY", L2: "Digit7", R1: "KeyO", R2: "Digit9",
+            SELECT: "KeyB", START: "KeyP"
+        })
+    ]);
+
+    // Índices do "standard mapping" da Gamepad API
+    const GAMEPAD_BUTTONS = Object.freeze({
+        GREEN: 0, RED: 1, BLUE: 2, YELLOW: 3,
+        L1: 4, R1: 5, L2: 6, R2: 7,
+        SELECT: 8, START: 9,
+        UP: 12, DOWN: 13, LEFT: 14, RIGHT: 15
+    });
+
+    const AXIS_THRESHOLD = 0.5;
+    const STORAGE_KEY = "hyperscan.keyBindings";
+
+    class InputManager {
+        /**
+         * @param {Object} [options]
+         * @param {Document} [options.target=document] - Onde escutar o teclado
+         * @param {string[]} [options.reservedKeys] - Teclas que nunca viram botão (ex.: rewind)
+         */
+        constructor(options = {}) {
+            this.target = options.target || (typeof document !== 'undefined' ? document : null);
+            this.reservedKeys = new Set(options.reservedKeys || []);
+
+            this.bindings = this._loadBindings();
+            this.pressed = new Set();
+            this.gamepadsEnabled = true;
+
+            this._onKeyDown = (e) => this._handleKey(e, true);
+            this._onKeyUp = (e) => this._handleKey(e, false);
+            this._onBlur = () => this.pressed.clear();
+
+            if (this.target) {
+                this.target.addEventListener("keydown", this._onKeyDown);
+                this.target.addEventListener("keyup", this._onKeyUp);
+            }
+            if (typeof window !== 'undefined' && window.addEventListener) {
+                window.addEventListener("blur", this._onBlur);
+            }
+        }
+
+        static get DEFAULT_BINDINGS() { return DEFAULT_KEY_BINDINGS; }
+
+        detach() {
+            if (this.target) {
+                this.target.removeEventListener("keydown", this._onKeyDown);
+                this.target.removeEventListener("keyup", this._onKeyUp);
+            }
+            if (typeof window !== 'undefined' && window.removeEventListener) {
+                window.removeEventListener("blur", this._onBlur);
+            }
+            this.pressed.clear();
+        }
+
+        // ========== TECLADO ==========
+
+        _handleKey(e, down) {
+            if (["INPUT", "TEXTAREA", "SELECT"].includes(e.target?.tagName)) return;
+            if (this.reservedKeys.has(e.code) || this.reservedKeys.has(e.key)) return;
+            if (!this._isBound(e.code)) return;
+
+            e.preventDefault();
+            if (down) {
+                this.pressed.add(e.code);
+            } else {
+                this.pressed.delete(e.code);
+            }
+        }
+
+        _isBound(code) {
+            return this.bindings.some(map => Object.values(map).includes(code));
+        }
+
+        /**
+         * Troca a tecla de um botão
+         *
+         * @param {number} player - 0 ou 1
+         * @param {string} button - Nome em PAD_BUTTON (ex.: "START")
+         * @param {string} code - KeyboardEvent.code (ex.: "Enter")
+         * @returns {boolean} true se aplicado
+         */
+        setBinding(player, button, code) {
+            button = String(button).toUpperCase();
+            if (!this.bindings[player] || !(button in window.PAD_BUTTON) || !code) return false;
+
+            this.bindings[player][button] = code;
+            this._saveBindings();
+            return true;
+        }
+
+        resetBindings() {
+            this.bindings = DEFAULT_KEY_BINDINGS.map(map => ({ ...map }));
+            this._saveBindings();
+        }
+
+        _loadBindings() {
+            const bindings = DEFAULT_KEY_BINDINGS.map(map => ({ ...map }));
+
+            try {
+                const saved = JSON.parse(window.localStorage?.getItem(STORAGE_KEY) || "null");
+                if (Array.isArray(saved)) {
+                    saved.forEach((map, i) => { if (bindings[i]) Object.assign(bindings[i], map); });
+                }
+            } catch (err) {
+                console.warn("[INPUT] ⚠️ Bindings salvos inválidos, usando padrão");
+            }
+
+            return bindings;
+        }
+
+        _saveBindings() {
+            try {
+                window.localStorage?.setItem(STORAGE_KEY, JSON.stringify(this.bindings));
+            } catch (err) {
+                // localStorage indisponível (modo privado, file://): fica só na sessão
+            }
+        }
+
+        // ========== GAMEPAD ==========
+
+        _readGamepad(pad) {
+            let mask = 0;
+
+            for (const [name, index] of Object.entries(GAMEPAD_BUTTONS)) {
+                if (pad.buttons[index]?.pressed) mask |= window.PAD_BUTTON[name];
+            }
+
+            const [x = 0, y = 0] = pad.axes;
+            if (x < -AXIS_THRESHOLD) mask |= window.PAD_BUTTON.LEFT;
+            if (x > AXIS_THRESHOLD) mask |= window.PAD_BUTTON.RIGHT;
+            if (y < -AXIS_THRESHOLD) mask |= window.PAD_BUTTON.UP;
+            if (y > AXIS_THRESHOLD) mask |= window.PAD_BUTTON.DOWN;
+
+            return mask;
+        }
+
+        _gamepads() {
+            if (!this.gamepadsEnabled || typeof navigator === 'undefined' || !navigator.getGamepads) return [];
+            return Array.from(navigator.getGamepads()).filter(Boolean);
+        }
+
+        // ========== POLL ==========
+
+        /**
+         * Estado atual de cada jogador
+         * @returns {number[]} Máscaras de PAD_BUTTON (jogador 0 e 1)
+         */
+        poll() {
+            const masks = this.bindings.map(map => {
+                let mask = 0;
+                for (const [name, code] of Object.entries(map)) {
+                    if (this.pressed.has(code)) mask |= window.PAD_BUTTON[name];
+                }
+                return mask;
+            });
+
+            this._gamepads().slice(0, masks.length).forEach((pad, i) => {
+                masks[i] |= this._readGamepad(pad);
+            });
+
+            // O direcional físico não aperta direções opostas ao mesmo tempo
+            const B = window.PAD_BUTTON;
+            return masks.map(mask => {
+                if ((mask & B.UP) && (mask & B.DOWN)) mask &= ~(B.UP | B.DOWN);
+                if ((mask & B.LEFT) && (mask & B.RIGHT)) mask &= ~(B.LEFT | B.RIGHT);
+                return mask;
+            });
+        }
+
+        /**
+         * @returns {string[]} Descrição dos gamepads conectados
+         */
+        describeGamepads() {
+            return this._gamepads().map((pad, i) => `#${i}: ${pad.id} (${pad.mapping || "sem mapping"})`);
+        }
+    }
+
+    window.InputManager = InputManager;
+
+    console.log("[INPUT] ✓ InputManager carregado");
+}
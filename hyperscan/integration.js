@@ -81,11 +81,13 @@ CPU.prototype.dumpState = function() {
     return this.getState();
 };
 
+const OriginalCPUDumpRegisters = CPU.prototype.dumpRegisters;
+
 CPU.prototype.dumpRegisters = function() {
-    if (!this.dumpRegisters || typeof this.dumpRegisters !== 'function') {
+    if (typeof OriginalCPUDumpRegisters !== 'function') {
         return "❌ dumpRegisters não disponível";
     }
-    return this.dumpRegisters();
+    return OriginalCPUDumpRegisters.call(this);
 };
 
 CPU.prototype.getCurrentInstruction = function() {
@@ -290,10 +292,19 @@ HyperScanEngine.prototype.runLoop = function(timestamp) {
         }
         this.clock.lastFrameTime = timestamp;
 
+        // ⏪ Rewind segurado: volta um frame por refresh
+        if (this.rewindHeld) {
+            this.rewindFrames(1);
+            this.clock.frameId = this._scheduleFrame();
+            return;
+        }
+
         // ========== EXECUÇÃO ==========
 
+        this._pollInput();
+
         let cyclesToRun = this.clock.cyclesPerFrame;
-        let sliceCycles = this.clock.cyclesPerSlice;
+        const scheduler = this.scheduler;
 
         while (cyclesToRun > 0) {
             // ✅ Check Breakpoint
@@ -319,13 +330,24 @@ HyperScanEngine.prototype.runLoop = function(timestamp) {
                 return;
             }
 
-            this.clock.cyclesExecuted += 4;
-            cyclesToRun -= 4;
-            sliceCycles -= 4;
+            // Falha reportada pelo modo breakOnException
+            if (this.state !== EmulatorState.RUNNING) return;
 
-            if (sliceCycles <= 0) {
-                sliceCycles = this.clock.cyclesPerSlice;
-                this._updatePeripherals();
+            const used = this.cpu.lastStepCycles;
+            this.clock.cyclesExecuted += used;
+            cyclesToRun -= used;
+
+            // ⏱️ Próximo evento de periférico alcançado
+            if (this.clock.cyclesExecuted >= scheduler.nextEvent) {
+                scheduler.sync(this.clock.cyclesExecuted);
+                // 🛑 stopAtCycle pausa pelo agendador
+                if (this.state !== EmulatorState.RUNNING) return;
+            }
+
+            // 🛑 Watchpoint de memória: para na instrução que fez o acesso
+            if (this.hw.miu.watchHit) {
+                this._stopOnWatchpoint();
+                return;
             }
 
             if (cyclesToRun < -10000) break;
@@ -334,14 +356,15 @@ HyperScanEngine.prototype.runLoop = function(timestamp) {
         // ========== FINAL DO FRAME ==========
 
         this.clock.frameCount++;
+        this.clock.emulatedHz = (this.clock.cyclesPerFrame - cyclesToRun) * this.clock.actualFPS;
 
-        if (this.peripherals.intC && this.cpu) {
-            this.peripherals.intC.trigger(this.cpu, PLATFORM_CONFIG.IRQ_VBLANK);
-        }
+        // VBlank e apresentação do frame acontecem em vdu.tick()
+        this._captureRewindFrame();
+        this._pumpAudio();
+        this._endMovieFrame();
 
-        if (this.peripherals.vdu && this.hw.dram) {
-            this.peripherals.vdu.render(this.hw.dram);
-        }
+        // Desync ou fim do movie pausam o engine
+        if (this.state !== EmulatorState.RUNNING) return;
 
         // ✅ Update Debugger UI
         if (this.dbg && this.config.debugEnabled && this.clock.frameCount % 6 === 0) {
@@ -349,7 +372,7 @@ HyperScanEngine.prototype.runLoop = function(timestamp) {
             this._updateDebuggerUI(state);
         }
 
-        this.clock.frameId = requestAnimationFrame((ts) => this.runLoop(ts));
+        this.clock.frameId = this._scheduleFrame();
 
     } catch (err) {
         this.handleFatalError(err);
@@ -379,7 +402,8 @@ HyperScanEngine.prototype.step = function() {
             return;
         }
 
-        this.clock.cyclesExecuted += 4;
+        this.clock.cyclesExecuted += this.cpu.lastStepCycles;
+        this.scheduler.sync(this.clock.cyclesExecuted);
 
         // ✅ Update debugger
         if (this.dbg) {
@@ -391,6 +415,11 @@ HyperScanEngine.prototype.step = function() {
         const state = this.dbg?.getState();
         if (state) this._updateDebuggerUI(state);
 
+        if (this.hw.miu.watchHit) {
+            this._stopOnWatchpoint();
+            return;
+        }
+
         this.updateUIStatus(`➡️ Step: 0x${this.cpu.pc.toString(16).toUpperCase()}`);
 
     } catch (err) {
@@ -405,21 +434,17 @@ const OriginalReset = HyperScanEngine.prototype.reset;
 
 HyperScanEngine.prototype.reset = function() {
     this.pause();
+    if (this.movie) this.stopMovie();
     
     if (this.hw.romLoaded) {
-        this.setupHardware();
-        let bootAddr = PLATFORM_CONFIG.BOOT_ADDRESS_DEFAULT;
-        
-        if (this.hw.flash) {
-            const magic = this.hw.flash.readU32(PLATFORM_CONFIG.BOOT_MAGIC_OFFSET);
-            if (magic === PLATFORM_CONFIG.BOOT_MAGIC) {
-                bootAddr = PLATFORM_CONFIG.BOOT_ADDRESS_FROM_MAGIC;
-            }
+        try {
+            this._powerOn();
+        } catch (err) {
+            this.handleFatalError(err);
+            return;
         }
-        
+
         if (this.cpu) {
-            this.cpu.reset();
-            this.cpu.pc = bootAddr;
             this.cpu.setMIU(this.hw.miu);
         }
         
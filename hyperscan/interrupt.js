@@ -7,9 +7,9 @@
  * ✅ CORRIGIDO: Compatibilidade total com MIU e IOMemoryRegion
  * 
  * Responsabilidade:
- * 1. Receber sinais de periféricos (VDU, UART, Timers).
- * 2. Verificar se a interrupção está mascarada (habilitada/desabilitada).
- * 3. Disparar a exceção na CPU para desviar o fluxo de execução.
+ * 1. Receber sinais de periféricos (VDU, UART, Timers) e travá-los em INT_STATUS.
+ * 2. Arbitrar a IRQ pendente e habilitada de maior prioridade (INT_MASK/INT_PRIO).
+ * 3. A CPU amostra getPendingIRQ() entre instruções, apenas com CR0.IEc ligado.
  */
 
 "use strict";
@@ -27,11 +27,11 @@ if (typeof InterruptController === 'undefined') {
 
             this.name = "INT_CTRL";
             
-            // --- Registradores Mapeados (Offsets relativos a 0x080Axxxx) ---
+            // --- Registradores Mapeados (Offsets relativos a 0x080Dxxxx) ---
             // Baseado na documentação técnica do SPCE3200
             this.regs = {
                 INT_MASK:   0x0000, // [RW] Máscara: Define quais IRQs são permitidas
-                INT_PRIO:   0x0000, // [RW] Prioridade: Define ordem de atendimento (simulado)
+                INT_PRIO:   0x0000, // [RW] Prioridade: bit n = 1 coloca a IRQ n no grupo de alta prioridade
                 INT_STATUS: 0x0000, // [R]  Status: Bits ativos indicam IRQs pendentes
                 INT_ACK:    0x0000  // [W]  Acknowledge: Escrita limpa o bit no Status
             };
@@ -50,12 +50,21 @@ if (typeof InterruptController === 'undefined') {
                 blocked: 0
             };
 
+            /**
+             * Última IRQ entregue à CPU (-1 = nenhuma)
+             * @type {number}
+             */
+            this.lastServiced = -1;
+
             console.log("[INTC] ✓ InterruptController inicializado");
         }
 
         /**
          * Método chamado pelos periféricos para solicitar uma interrupção.
-         * @param {CPU} cpu - Instância da CPU para invocar a exceção.
+         * A IRQ apenas fica pendente em INT_STATUS; a entrega acontece quando
+         * a CPU amostra getPendingIRQ() entre instruções.
+         *
+         * @param {CPU} cpu - Mantido por compatibilidade (a entrega é feita pela CPU).
          * @param {number} irqNumber - O número da IRQ (ex: 4 para VBlank).
          */
         trigger(cpu, irqNumber) {
@@ -66,31 +75,46 @@ if (typeof InterruptController === 'undefined') {
 
             this.stats.triggered++;
 
-            // 1. Marca a interrupção como "Pendente" no registrador de Status
-            // O bitshift (1 << irqNumber) define qual flag levantar.
+            // Marca a interrupção como "Pendente" no registrador de Status
             this.regs.INT_STATUS |= (1 << irqNumber);
 
-            // 2. Verifica se esta interrupção específica está habilitada na Máscara
-            // Se o bit correspondente no INT_MASK for 1, a interrupção pode passar.
-            const isEnabled = (this.regs.INT_MASK & (1 << irqNumber)) !== 0;
-
-            // 3. Verifica se a CPU existe e se a interrupção deve ser processada
-            if (cpu && isEnabled) {
-                // Invoca a exceção na CPU.
-                // A CPU S+core usa a interrupção para saltar para o vetor definido em CR[3].
-                cpu.exception(irqNumber);
-                this.stats.processed++;
-            } else {
+            if ((this.regs.INT_MASK & (1 << irqNumber)) === 0) {
                 this.stats.blocked++;
-                if (!isEnabled) {
-                    console.log(`[INTC] ℹ️ IRQ${irqNumber} bloqueada pela máscara`);
-                }
             }
         }
 
+        /**
+         * Arbitra a IRQ a ser entregue: pendente E habilitada na máscara.
+         * IRQs com bit em INT_PRIO vencem as demais; dentro do mesmo grupo,
+         * o menor número de IRQ vence.
+         *
+         * @returns {number} Número da IRQ vencedora, ou -1 se nenhuma
+         */
+        getPendingIRQ() {
+            const active = (this.regs.INT_STATUS & this.regs.INT_MASK) >>> 0;
+            if (active === 0) return -1;
+
+            const high = (active & this.regs.INT_PRIO) >>> 0;
+            const candidates = high !== 0 ? high : active;
+
+            // Índice do bit menos significativo
+            return 31 - Math.clz32(candidates & -candidates);
+        }
+
+        /**
+         * Registra que a CPU aceitou a IRQ (entrou no vetor).
+         * O bit em INT_STATUS permanece até o ACK do software.
+         *
+         * @param {number} irqNumber - IRQ entregue
+         */
+        notifyServiced(irqNumber) {
+            this.lastServiced = irqNumber;
+            this.stats.processed++;
+        }
+
         /* =========================================================
          * INTERFACE DE MEMÓRIA (MMIO)
-         * Chamados pela MIU (io.js) quando a CPU lê/escreve em 0x080Axxxx
+         * Chamados pela MIU (io.js) quando a CPU lê/escreve em 0x080Dxxxx
          * ======================================================= */
 
         /**
@@ -118,13 +142,13 @@ if (typeof InterruptController === 'undefined') {
             const offset = address & 0xFFFF; // Pega apenas os últimos 16 bits
 
             switch (offset) {
-                case 0x0000: // INT_MASK (0x080A0000)
+                case 0x0000: // INT_MASK (0x080D0000)
                     return this.regs.INT_MASK;
 
-                case 0x0004: // INT_PRIO (0x080A0004)
+                case 0x0004: // INT_PRIO (0x080D0004)
                     return this.regs.INT_PRIO;
 
-                case 0x0008: // INT_STATUS (0x080A0008)
+                case 0x0008: // INT_STATUS (0x080D0008)
                     // Retorna quais interrupções estão esperando tratamento
                     return this.regs.INT_STATUS;
 
@@ -182,7 +206,7 @@ if (typeof InterruptController === 'undefined') {
                     // No emulador, protegemos e deixamos read-only.
                     break;
 
-                case 0x000C: // INT_ACK (0x080A000C)
+                case 0x000C: // INT_ACK (0x080D000C)
                     // Acknowledge: Limpa as interrupções pendentes.
                     // Escrever 1 num bit limpa a interrupção correspondente no STATUS.
                     // Ex: Se STATUS for 00010000 (IRQ 4 pendente) e escrevermos 00010000 no ACK,
@@ -225,6 +249,24 @@ if (typeof InterruptController === 'undefined') {
             return offset >= 0 && offset <= 0x0F;
         }
 
+        /**
+         * Snapshot serializável (save state)
+         */
+        getState() {
+            return {
+                regs: { ...this.regs },
+                lastServiced: this.lastServiced
+            };
+        }
+
+        /**
+         * Restaura snapshot produzido por getState()
+         */
+        setState(state) {
+            this.regs = { ...this.regs, ...state.regs };
+            this.lastServiced = state.lastServiced ?? -1;
+        }
+
         /**
          * Reseta o controlador
          */
@@ -240,6 +282,7 @@ if (typeof InterruptController === 'undefined') {
                 processed: 0,
                 blocked: 0
             };
+            this.lastServiced = -1;
             console.log("[INTC] Reset completo");
         }
 
@@ -256,6 +299,7 @@ if (typeof InterruptController === 'undefined') {
             lines.push(`Triggered:  ${this.stats.triggered}`);
             lines.push(`Processed:  ${this.stats.processed}`);
             lines.push(`Blocked:    ${this.stats.blocked}`);
+            lines.push(`Next IRQ:   ${this.getPendingIRQ()}`);
             lines.push("");
             
             // Mostrar IRQs ativas
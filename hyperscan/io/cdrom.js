@@ -0,0 +1,542 @@
+/**
+ * cdrom.js - Controlador do drive de CD-ROM do HyperScan
+ * HyperScan Emulator v2.0
+ *
+ * O firmware escreve LBA/COUNT e um comando; o drive busca (seek) e lê um
+ * setor de 2048 bytes a cada 1/150 s (2x), guardando até 8 setores no
+ * buffer interno. Cada setor lido gera DATA_READY; com o buffer cheio o
+ * drive espera o firmware consumir um setor pelo registrador DATA. Com
+ * DMA habilitado os setores vão direto para a memória em DMA_ADDR e só o
+ * fim do comando é sinalizado. O drive é fonte do EventScheduler.
+ *
+ * Mapa MMIO (offset a partir de CDROM_BASE):
+ *   0x00  COMMAND     escrita executa o comando (CDROM_CMD)
+ *   0x04  LBA         setor inicial (READ/SEEK)
+ *   0x08  COUNT       setores a ler (READ)
+ *   0x0C  STATUS      CDROM_STATUS (read-only)
+ *   0x10  CTRL        bit0 IRQ habilitada, bit1 DMA
+ *   0x14  IRQ_STATUS  CDROM_IRQ (write-1-clear)
+ *   0x18  DATA        próxima word do setor no topo do buffer (read-only)
+ *   0x1C  ERROR       CDROM_ERROR do último comando (read-only)
+ *   0x20  DMA_ADDR    destino do próximo setor com DMA (avança 2048 por setor)
+ *   0x24  POSITION    LBA sob a cabeça de leitura (read-only)
+ *   0x28  SECTORS     setores do disco (0 sem disco, read-only)
+ *
+ * READ_TOC coloca no buffer um bloco de 2048 bytes (words little-endian):
+ *   word 0 = número de trilhas; por trilha: número | tipo << 8
+ *   (0 MODE1, 1 MODE2, 2 AUDIO), LBA inicial, setores.
+ *
+ * Autor: Ccor444
+ */
+
+"use strict";
+
+if (typeof CDROMController === 'undefined') {
+    const CDROM_REG = Object.freeze({
+        COMMAND: 0x00,
+        LBA: 0x04,
+        COUNT: 0x08,
+        STATUS: 0x0C,
+        CTRL: 0x10,
+        IRQ_STATUS: 0x14,
+        DATA: 0x18,
+        ERROR: 0x1C,
+        DMA_ADDR: 0x20,
+        POSITION: 0x24,
+        SECTORS: 0x28,
+
+        MMIO_SIZE: 0x40
+    });
+
+    const CDROM_CMD = Object.freeze({
+        NOP: 0x00,
+        READ: 0x01,
+        SEEK: 0x02,
+        STOP: 0x03,
+        READ_TOC: 0x04
+    });
+
+    const CDROM_STATUS = Object.freeze({
+        BUSY: 1 << 0,
+        DATA_READY: 1 << 1,
+        ERROR: 1 << 2,
+        DISC_PRESENT: 1 << 3,
+        SEEKING: 1 << 4
+    });
+
+    const CDROM_IRQ = Object.freeze({
+        DATA_READY: 1 << 0,
+        COMPLETE: 1 << 1,
+        ERROR: 1 << 2
+    });
+
+    const CDROM_ERROR = Object.freeze({
+        NONE: 0,
+        NO_DISC: 1,
+        BAD_LBA: 2,
+        BAD_COMMAND: 3,
+        AUDIO_TRACK: 4
+    });
+
+    const SECTOR_SIZE = 2048;
+    const SECTOR_WORDS = SECTOR_SIZE / 4;
+    const BUFFER_SECTORS = 8;
+    const TOC_BLOCK = -1;             // entrada do buffer com a TOC em vez de um setor
+    const TRACK_TYPES = ["MODE1", "MODE2", "AUDIO"];
+
+    // Seek: tempo mínimo + proporcional à distância (disco de 80 min)
+    const SEEK_MIN_SECONDS = 0.02;
+    const SEEK_FULL_SECONDS = 0.25;
+    const DISC_MAX_SECTORS = 360000;
+
+    /**
+     * Controlador de CD-ROM
+     * @extends MemoryRegion
+     */
+    class CDROMController extends MemoryRegion {
+        /**
+         * @param {Object} [options]
+         * @param {number} [options.cpuClockHz=33868800]
+         * @param {number} [options.speed=2] - Velocidade (1x = 75 setores/s)
+         * @param {number} [options.irqNumber=15]
+         */
+        constructor(options = {}) {
+            super();
+
+            this.cpuClockHz = options.cpuClockHz || 33868800;
+            this.speed = options.speed || 2;
+            this.irqNumber = options.irqNumber ?? 15;
+
+            this.sectorCycles = Math.round(this.cpuClockHz / (75 * this.speed));
+
+            this.disc = null;
+            this.miu = null;
+            this.intC = null;
+
+            /**
+             * Chamado quando uma leitura de DATA retoma o drive: o IO só
+             * reagenda o EventScheduler depois de escritas
+             * @type {Function|null}
+             */
+            this.onReschedule = null;
+
+            this._resetRegisters();
+
+            this.stats = {
+                commands: 0,
+                sectorsRead: 0,
+                seeks: 0
+            };
+
+            console.log(`[CDROM] ✓ Controlador de CD-ROM inicializado (${this.speed}x)`);
+        }
+
+        static get REG() { return CDROM_REG; }
+        static get CMD() { return CDROM_CMD; }
+        static get STATUS() { return CDROM_STATUS; }
+        static get IRQ() { return CDROM_IRQ; }
+        static get ERROR() { return CDROM_ERROR; }
+
+        _resetRegisters() {
+            this.lba = 0;
+            this.count = 0;
+            this.ctrl = 0;
+            this.irqStatus = 0;
+            this.error = CDROM_ERROR.NONE;
+            this.dmaAddr = 0;
+
+            /** LBA sob a cabeça de leitura */
+            this.head = 0;
+
+            /** Comando em andamento: { type: "read"|"seek"|"toc", lba, remaining, seeking } */
+            this.command = null;
+            this.eventCycles = 0;
+            /** Buffer cheio: a leitura espera o firmware consumir um setor */
+            this.stalled = false;
+
+            /** LBAs no buffer (TOC_BLOCK = TOC) e words já lidas do primeiro */
+            this.buffer = [];
+            this.bufferPos = 0;
+            this._sectorCache = new Map();
+        }
+
+        connectMIU(miu) {
+            this.miu = miu;
+            console.log("[CDROM] MIU conectada ✓");
+        }
+
+        connectInterruptController(intC) {
+            this.intC = intC;
+            console.log("[CDROM] Interrupt Controller conectado");
+        }
+
+        reset() {
+            this._resetRegisters();
+        }
+
+        // ========== DISCO ==========
+
+        /**
+         * @param {DiscImage} disc
+         */
+        insertDisc(disc) {
+            this.reset();
+            this.disc = disc;
+            console.log(`[CDROM] 💿 Disco inserido: ${disc.name || "sem nome"} (${disc.tracks.length} trilhas, ${disc.sectorCount} setores)`);
+        }
+
+        ejectDisc() {
+            this.reset();
+            this.disc = null;
+            console.log("[CDROM] ⏏️ Disco ejetado");
+        }
+
+        // ========== COMANDOS ==========
+
+        _execute(cmd) {
+            this.stats.commands++;
+            this.error = CDROM_ERROR.NONE;
+
+            switch (cmd) {
+                case CDROM_CMD.NOP:
+                    return;
+
+                case CDROM_CMD.STOP:
+                    this.command = null;
+                    this.stalled = false;
+                    this.buffer = [];
+                    this.bufferPos = 0;
+                    this._sectorCache.clear();
+                    return;
+
+                case CDROM_CMD.READ:
+                case CDROM_CMD.SEEK:
+                case CDROM_CMD.READ_TOC:
+                    break;
+
+                default:
+                    return this._fail(CDROM_ERROR.BAD_COMMAND);
+            }
+
+            if (!this.disc) return this._fail(CDROM_ERROR.NO_DISC);
+
+            // Um comando novo descarta o anterior e o buffer
+            this.buffer = [];
+            this.bufferPos = 0;
+            this._sectorCache.clear();
+            this.stalled = false;
+
+            if (cmd === CDROM_CMD.READ_TOC) {
+                this.command = { type: "toc", lba: 0, remaining: 0, seeking: false };
+                this.eventCycles = this.sectorCycles;
+                return;
+            }
+
+            const count = cmd === CDROM_CMD.READ ? this.count : 0;
+            if (this.lba >= this.disc.sectorCount || this.lba + count > this.disc.sectorCount) {
+                return this._fail(CDROM_ERROR.BAD_LBA);
+            }
+
+            const seek = this._seekCycles(this.lba);
+            if (cmd === CDROM_CMD.SEEK) {
+                this.command = { type: "seek", lba: this.lba, remaining: 0, seeking: true };
+                this.eventCycles = Math.max(1, seek);
+            } else {
+                if (count === 0) return this._complete();
+                this.command = { type: "read", lba: this.lba, remaining: count, seeking: seek > 0 };
+                this.eventCycles = seek + this.sectorCycles;
+            }
+        }
+
+        _seekCycles(target) {
+            if (target === this.head) return 0;
+
+            this.stats.seeks++;
+            const distance = Math.abs(target - this.head) / DISC_MAX_SECTORS;
+            return Math.round(this.cpuClockHz * (SEEK_MIN_SECONDS + SEEK_FULL_SECONDS * Math.min(1, distance)));
+        }
+
+        _fail(code) {
+            this.command = null;
+            this.stalled = false;
+            this.error = code;
+            this._raise(CDROM_IRQ.ERROR);
+        }
+
+        _complete() {
+            this.command = null;
+            this._raise(CDROM_IRQ.COMPLETE);
+        }
+
+        _raise(bits) {
+            this.irqStatus |= bits;
+            if ((this.ctrl & 0x01) && this.intC) this.intC.trigger(null, this.irqNumber);
+        }
+
+        /**
+         * Evento do comando atual (fim do seek, setor lido ou TOC pronta)
+         */
+        _event() {
+            const command = this.command;
+
+            if (command.type === "toc") {
+                this.buffer.push(TOC_BLOCK);
+                this._raise(CDROM_IRQ.DATA_READY);
+                return this._complete();
+            }
+
+            if (command.type === "seek") {
+                this.head = command.lba;
+                return this._complete();
+            }
+
+            // Leitura: sem espaço no buffer, espera o firmware
+            const dma = (this.ctrl & 0x02) !== 0;
+            if (!dma && this.buffer.length >= BUFFER_SECTORS) {
+                this.stalled = true;
+                return;
+            }
+
+            const sector = this.disc.readSector(command.lba);
+            if (!sector) return this._fail(CDROM_ERROR.AUDIO_TRACK);
+
+            command.seeking = false;
+            this.head = command.lba + 1;
+            this.stats.sectorsRead++;
+
+            if (dma) {
+                this._dmaWrite(this.dmaAddr, sector);
+                this.dmaAddr = (this.dmaAddr + SECTOR_SIZE) >>> 0;
+            } else {
+                this._sectorCache.set(command.lba, sector);
+                this.buffer.push(command.lba);
+                this._raise(CDROM_IRQ.DATA_READY);
+            }
+
+            command.lba++;
+            command.remaining--;
+            if (command.remaining === 0) return this._complete();
+
+            this.eventCycles += this.sectorCycles;
+        }
+
+        // Direto na região (como o DMA de áudio da SPU), marcando as páginas para o rewind
+        _dmaWrite(addr, bytes) {
+            const region = this.miu ? this.miu.getRegion((addr >>> 24) & 0xFF) : null;
+
+            if (region && region.u8) {
+                const offset = (addr & 0xFFFFFF) & (region.u8.length - 1);
+                const length = Math.min(bytes.length, region.u8.length - offset);
+                region.u8.set(bytes.subarray(0, length), offset);
+                region.markDirty?.(offset, length);
+            } else if (this.miu) {
+                for (let i = 0; i < bytes.length; i++) this.miu.writeU8((addr + i) >>> 0, bytes[i]);
+            }
+        }
+
+        // ========== BUFFER ==========
+
+        _blockData(entry) {
+            if (entry === TOC_BLOCK) return this._tocBlock();
+
+            let sector = this._sectorCache.get(entry);
+            if (!sector) {
+                // Após load de estado só os LBAs voltam: relê do disco
+                sector = this.disc?.readSector(entry) ?? new Uint8Array(SECTOR_SIZE);
+                this._sectorCache.set(entry, sector);
+            }
+            return sector;
+        }
+
+        _tocBlock() {
+            const block = new Uint8Array(SECTOR_SIZE);
+            const view = new DataView(block.buffer);
+            const toc = this.disc ? this.disc.getTOC() : [];
+
+            view.setUint32(0, toc.length, true);
+            toc.slice(0, (SECTOR_SIZE - 4) / 12).forEach((track, i) => {
+                view.setUint32(4 + i * 12, track.number | (TRACK_TYPES.indexOf(track.type) << 8), true);
+                view.setUint32(8 + i * 12, track.startLBA, true);
+                view.setUint32(12 + i * 12, track.sectors, true);
+            });
+            return block;
+        }
+
+        _readData() {
+            if (this.buffer.length === 0) return 0;
+
+            const entry = this.buffer[0];
+            const data = this._blockData(entry);
+            const p = this.bufferPos * 4;
+            const word = (data[p] | (data[p + 1] << 8) | (data[p + 2] << 16) | (data[p + 3] << 24)) >>> 0;
+
+            if (++this.bufferPos === SECTOR_WORDS) {
+                this.buffer.shift();
+                this._sectorCache.delete(entry);
+                this.bufferPos = 0;
+
+                // Abriu espaço: o drive volta a ler um setor depois
+                if (this.stalled) {
+                    this.stalled = false;
+                    this.eventCycles = this.sectorCycles;
+                    this.onReschedule?.();
+                }
+            }
+
+            return word;
+        }
+
+        _status() {
+            let status = 0;
+            if (this.command) status |= CDROM_STATUS.BUSY;
+            if (this.command?.seeking) status |= CDROM_STATUS.SEEKING;
+            if (this.buffer.length > 0) status |= CDROM_STATUS.DATA_READY;
+            if (this.error !== CDROM_ERROR.NONE) status |= CDROM_STATUS.ERROR;
+            if (this.disc) status |= CDROM_STATUS.DISC_PRESENT;
+            return status;
+        }
+
+        // ========== TIMING (EventScheduler) ==========
+
+        /**
+         * @param {number} cycles - Ciclos de CPU decorridos
+         */
+        tick(cycles) {
+            if (!this.command || this.stalled) return;
+
+            this.eventCycles -= cycles;
+            while (this.command && !this.stalled && this.eventCycles <= 0) {
+                this._event();
+            }
+        }
+
+        /**
+         * @returns {number} Ciclos até o próximo setor/fim de comando (Infinity parado)
+         */
+        cyclesUntilEvent() {
+            return this.command && !this.stalled ? Math.max(1, this.eventCycles) : Infinity;
+        }
+
+        // ========== INTERFACE MEMORYREGION ==========
+
+        readU8(offset) {
+            return (this.readU32(offset & ~3) >>> ((offset & 3) * 8)) & 0xFF;
+        }
+
+        readU16(offset) {
+            return (this.readU32(offset & ~3) >>> ((offset & 2) * 8)) & 0xFFFF;
+        }
+
+        readU32(offset) {
+            switch (offset & ~3) {
+                case CDROM_REG.LBA:        return this.lba;
+                case CDROM_REG.COUNT:      return this.count;
+                case CDROM_REG.STATUS:     return this._status();
+                case CDROM_REG.CTRL:       return this.ctrl;
+                case CDROM_REG.IRQ_STATUS: return this.irqStatus;
+                case CDROM_REG.DATA:       return this._readData();
+                case CDROM_REG.ERROR:      return this.error;
+                case CDROM_REG.DMA_ADDR:   return this.dmaAddr;
+                case CDROM_REG.POSITION:   return this.head;
+                case CDROM_REG.SECTORS:    return this.disc ? this.disc.sectorCount : 0;
+                default:                   return 0;
+            }
+        }
+
+        // A escrita parcial não lê DATA (consumiria o buffer)
+        writeU8(offset, value) {
+            const shift = (offset & 3) * 8;
+            this.writeU32(offset & ~3, (this._peek(offset & ~3) & ~(0xFF << shift)) | ((value & 0xFF) << shift));
+        }
+
+        writeU16(offset, value) {
+            const shift = (offset & 2) * 8;
+            this.writeU32(offset & ~3, (this._peek(offset & ~3) & ~(0xFFFF << shift)) | ((value & 0xFFFF) << shift));
+        }
+
+        _peek(offset) {
+            return offset === CDROM_REG.DATA ? 0 : this.readU32(offset);
+        }
+
+        writeU32(offset, value) {
+            switch (offset & ~3) {
+                case CDROM_REG.COMMAND:
+                    this._execute(value & 0xFF);
+                    break;
+                case CDROM_REG.LBA:
+                    this.lba = value >>> 0;
+                    break;
+                case CDROM_REG.COUNT:
+                    this.count = value >>> 0;
+                    break;
+                case CDROM_REG.CTRL:
+                    this.ctrl = value & 0x03;
+                    break;
+                case CDROM_REG.IRQ_STATUS:
+                    this.irqStatus &= ~value;
+                    break;
+                case CDROM_REG.DMA_ADDR:
+                    this.dmaAddr = value >>> 0;
+                    break;
+            }
+        }
+
+        // ========== SAVE STATE ==========
+
+        // O disco não entra no estado: o load assume o mesmo disco no drive
+        getState() {
+            return {
+                lba: this.lba,
+                count: this.count,
+                ctrl: this.ctrl,
+                irqStatus: this.irqStatus,
+                error: this.error,
+                dmaAddr: this.dmaAddr,
+                head: this.head,
+                command: this.command ? { ...this.command } : null,
+                eventCycles: this.eventCycles,
+                stalled: this.stalled,
+                buffer: this.buffer.slice(),
+                bufferPos: this.bufferPos
+            };
+        }
+
+        setState(state) {
+            this.lba = state.lba;
+            this.count = state.count;
+            this.ctrl = state.ctrl;
+            this.irqStatus = state.irqStatus;
+            this.error = state.error;
+            this.dmaAddr = state.dmaAddr;
+            this.head = state.head;
+            this.command = state.command ? { ...state.command } : null;
+            this.eventCycles = state.eventCycles;
+            this.stalled = state.stalled;
+            this.buffer = state.buffer.slice();
+            this.bufferPos = state.bufferPos;
+            this._sectorCache.clear();
+        }
+
+        // ========== DEBUG & INFO ==========
+
+        getStatus() {
+            const lines = [];
+            lines.push("═══ CD-ROM STATUS ═══");
+            lines.push(`Disco:         ${this.disc ? `${this.disc.name || "sem nome"} (${this.disc.sectorCount} setores)` : "nenhum"}`);
+            lines.push(`Status:        0x${this._status().toString(16).padStart(2, '0')}${this.stalled ? " (buffer cheio)" : ""}`);
+            lines.push(`Comando:       ${this.command ? `${this.command.type} LBA ${this.command.lba} (${this.command.remaining} restantes)` : "nenhum"}`);
+            lines.push(`Cabeça:        LBA ${this.head}`);
+            lines.push(`Buffer:        ${this.buffer.length}/${BUFFER_SECTORS} setores`);
+            lines.push(`Erro:          ${Object.keys(CDROM_ERROR).find(k => CDROM_ERROR[k] === this.error)}`);
+            lines.push(`Setores lidos: ${this.stats.sectorsRead} (${this.stats.seeks} seeks)`);
+            return lines.join("\n");
+        }
+    }
+
+    window.CDROMController = CDROMController;
+    window.CDROM_REG = CDROM_REG;
+    window.CDROM_CMD = CDROM_CMD;
+    window.CDROM_STATUS = CDROM_STATUS;
+
+    console.log("[CDROM] ✓ CDROMController carregado");
+}
@@ -0,0 +1,238 @@
+/**
+ * controller.js - Portas de controle do HyperScan (2 jogadores)
+ * HyperScan Emulator v2.0
+ *
+ * O pad do HyperScan tem direcional, quatro botões coloridos (verde,
+ * vermelho, azul e amarelo), L1/L2, R1/R2, SELECT e START. Cada porta é
+ * um registrador GPIO de 32 bits com um bit por botão (1 = pressionado).
+ *
+ * O host (teclado, Gamepad API, scripts headless) escreve em setButtons();
+ * o engine chama latch() uma vez por frame, antes de executar a CPU, e só
+ * então o valor fica visível no MMIO. Assim a leitura não muda no meio de
+ * um frame e a entrada é a mesma em qualquer velocidade de execução.
+ *
+ * Mapa MMIO (offset a partir de CONTROLLER_BASE):
+ *   0x00  PAD1        botões do jogador 1 (read-only)
+ *   0x04  PAD2        botões do jogador 2 (read-only)
+ *   0x08  CONNECTED   bit0 = pad 1, bit1 = pad 2 (read-only)
+ *   0x0C  CTRL        bit0 IRQ quando algum pad muda no latch
+ *   0x10  IRQ_STATUS  bit n = pad n mudou (write-1-clear)
+ *
+ * Autor: Ccor444
+ */
+
+"use strict";
+
+if (typeof ControllerPorts === 'undefined') {
+    const CONTROLLER_REG = Object.freeze({
+        PAD1: 0x00,
+        PAD2: 0x04,
+        CONNECTED: 0x08,
+        CTRL: 0x0C,
+        IRQ_STATUS: 0x10,
+
+        MMIO_SIZE: 0x20
+    });
+
+    const PAD_BUTTON = Object.freeze({
+        UP: 1 << 0,
+        DOWN: 1 << 1,
+        LEFT: 1 << 2,
+        RIGHT: 1 << 3,
+        GREEN: 1 << 4,
+        RED: 1 << 5,
+        BLUE: 1 << 6,
+        YELLOW: 1 << 7,
+        L1: 1 << 8,
+        L2: 1 << 9,
+        R1: 1 << 10,
+        R2: 1 << 11,
+        SELECT: 1 << 12,
+        START: 1 << 13
+    });
+
+    const PAD_MASK = 0x3FFF;
+    const PLAYERS = 2;
+
+    /**
+     * Portas de controle
+     * @extends MemoryRegion
+     */
+    class ControllerPorts extends MemoryRegion {
+        /**
+         * @param {Object} [options]
+         * @param {number} [options.irqNumber=9] - IRQ de mudança de estado
+         */
+        constructor(options = {}) {
+            super();
+
+            this.irqNumber = options.irqNumber ?? 9;
+
+            /** Valor visível no MMIO, por jogador */
+            this.pads = new Array(PLAYERS).fill(0);
+
+            /** Valor escrito pelo host, aplicado no próximo latch() */
+            this.pending = new Array(PLAYERS).fill(0);
+
+            this.connected = [true, true];
+            this.ctrl = 0;
+            this.irqStatus = 0;
+
+            this.intC = null;
+
+            this.stats = {
+                latches: 0,
+                changes: 0
+            };
+
+            console.log(`[PAD] ✓ Controller Ports inicializadas (${PLAYERS} jogadores)`);
+        }
+
+        static get REG() { return CONTROLLER_REG; }
+        static get BUTTON() { return PAD_BUTTON; }
+        static get PLAYERS() { return PLAYERS; }
+
+        connectInterruptController(intC) {
+            this.intC = intC;
+            console.log("[PAD] Interrupt Controller conectado");
+        }
+
+        reset() {
+            this.pads.fill(0);
+            this.pending.fill(0);
+            this.ctrl = 0;
+            this.irqStatus = 0;
+        }
+
+        // ========== HOST ==========
+
+        /**
+         * @param {number} player - 0 ou 1
+         * @param {number} mask - Bits de PAD_BUTTON
+         */
+        setButtons(player, mask) {
+            if (player < 0 || player >= PLAYERS) return;
+            this.pending[player] = mask & PAD_MASK;
+        }
+
+        /**
+         * @param {number} player - 0 ou 1
+         * @param {boolean} connected
+         */
+        setConnected(player, connected) {
+            if (player < 0 || player >= PLAYERS) return;
+            this.connected[player] = !!connected;
+            if (!connected) this.pending[player] = 0;
+        }
+
+        /**
+         * Aplica a entrada pendente (início do frame)
+         */
+        latch() {
+            this.stats.latches++;
+
+            for (let i = 0; i < PLAYERS; i++) {
+                const value = this.connected[i] ? this.pending[i] : 0;
+                if (value === this.pads[i]) continue;
+
+                this.pads[i] = value;
+                this.stats.changes++;
+
+                if (this.ctrl & 0x01) {
+                    this.irqStatus |= (1 << i);
+                    if (this.intC) this.intC.trigger(null, this.irqNumber);
+                }
+            }
+        }
+
+        // ========== INTERFACE MEMORYREGION ==========
+
+        readU8(offset) {
+            return (this.readU32(offset & ~3) >>> ((offset & 3) * 8)) & 0xFF;
+        }
+
+        readU16(offset) {
+            return (this.readU32(offset & ~3) >>> ((offset & 2) * 8)) & 0xFFFF;
+        }
+
+        readU32(offset) {
+            switch (offset & ~3) {
+                case CONTROLLER_REG.PAD1:       return this.pads[0];
+                case CONTROLLER_REG.PAD2:       return this.pads[1];
+                case CONTROLLER_REG.CONNECTED:  return (this.connected[0] ? 1 : 0) | (this.connected[1] ? 2 : 0);
+                case CONTROLLER_REG.CTRL:       return this.ctrl;
+                case CONTROLLER_REG.IRQ_STATUS: return this.irqStatus;
+                default:                        return 0;
+            }
+        }
+
+        writeU8(offset, value) {
+            const shift = (offset & 3) * 8;
+            this.writeU32(offset & ~3, (this.readU32(offset & ~3) & ~(0xFF << shift)) | ((value & 0xFF) << shift));
+        }
+
+        writeU16(offset, value) {
+            const shift = (offset & 2) * 8;
+            this.writeU32(offset & ~3, (this.readU32(offset & ~3) & ~(0xFFFF << shift)) | ((value & 0xFFFF) << shift));
+        }
+
+        writeU32(offset, value) {
+            switch (offset & ~3) {
+                case CONTROLLER_REG.CTRL:
+                    this.ctrl = value & 0x01;
+                    break;
+                case CONTROLLER_REG.IRQ_STATUS:
+                    this.irqStatus &= ~value;
+                    break;
+            }
+        }
+
+        // ========== SAVE STATE ==========
+
+        // Só o que o jogo vê; a entrada do host continua valendo após o load
+        getState() {
+            return {
+                pads: [...this.pads],
+                ctrl: this.ctrl,
+                irqStatus: this.irqStatus
+            };
+        }
+
+        setState(state) {
+            this.pads = [...state.pads];
+            this.ctrl = state.ctrl;
+            this.irqStatus = state.irqStatus;
+        }
+
+        // ========== DEBUG & INFO ==========
+
+        /**
+         * @param {number} mask - Bits de PAD_BUTTON
+         * @returns {string} Ex.: "UP+RED+START" ou "-"
+         */
+        static describe(mask) {
+            const names = Object.keys(PAD_BUTTON).filter(name => mask & PAD_BUTTON[name]);
+            return names.length ? names.join("+") : "-";
+        }
+
+        getStatus() {
+            const lines = [];
+            lines.push("═══ CONTROLLER PORTS STATUS ═══");
+            for (let i = 0; i < PLAYERS; i++) {
+                lines.push(
+                    `PAD${i + 1}:          ${this.connected[i] ? "conectado" : "desconectado"} ` +
+                    `0x${this.pads[i].toString(16).padStart(4, '0').toUpperCase()} ${ControllerPorts.describe(this.pads[i])}`
+                );
+            }
+            lines.push(`IRQ:           ${(this.ctrl & 0x01) ? "ENABLED" : "DISABLED"} (status 0x${this.irqStatus.toString(16)})`);
+            lines.push(`Latches:       ${this.stats.latches} (${this.stats.changes} mudanças)`);
+            return lines.join("\n");
+        }
+    }
+
+    window.ControllerPorts = ControllerPorts;
+    window.CONTROLLER_REG = CONTROLLER_REG;
+    window.PAD_BUTTON = PAD_BUTTON;
+
+    console.log("[PAD] ✓ ControllerPorts carregado");
+}
@@ -47,6 +47,21 @@ if (typeof IOMemoryRegion === 'undefined') {
              */
             this.handlers = new Map();
 
+            /**
+             * Dispositivos mapeados em faixas (ex.: PPU com palette/sprite RAM).
+             * Consultados depois dos handlers por word.
+             * @type {Array<{start: number, end: number, device: MemoryRegion}>}
+             */
+            this.devices = [];
+
+            /**
+             * Hooks do EventScheduler: sincroniza os periféricos com o ciclo
+             * atual antes de cada acesso e reagenda depois de cada escrita
+             * @type {Function|null}
+             */
+            this.onBeforeAccess = null;
+            this.onAfterWrite = null;
+
             /**
              * Referência ao Interrupt Controller
              * @type {InterruptController|null}
@@ -114,6 +129,35 @@ if (typeof IOMemoryRegion === 'undefined') {
             this.handlers.delete(wordOffset);
         }
 
+        /**
+         * Mapeia um dispositivo inteiro em uma faixa de offsets. O dispositivo
+         * recebe offsets relativos ao início da faixa em readU32/writeU32.
+         *
+         * @param {number} offset - Offset (ou endereço) inicial da faixa
+         * @param {number} size - Tamanho da faixa em bytes
+         * @param {MemoryRegion} device - Dispositivo com readU32/writeU32
+         */
+        attachDevice(offset, size, device) {
+            const start = offset & (this.size - 1);
+            this.devices.push({ start, end: start + size, device });
+
+            console.log(`[IO] Dispositivo ${device.constructor.name} mapeado em 0x${start.toString(16).padStart(5, '0')}-0x${(start + size - 1).toString(16).padStart(5, '0')}`);
+        }
+
+        /**
+         * Procura o dispositivo mapeado em um offset
+         *
+         * @param {number} byteOffset - Offset já mascarado pelo tamanho da região
+         * @returns {Object|null} Entrada { start, end, device }
+         */
+        _findDevice(byteOffset) {
+            for (let i = 0; i < this.devices.length; i++) {
+                const entry = this.devices[i];
+                if (byteOffset >= entry.start && byteOffset < entry.end) return entry;
+            }
+            return null;
+        }
+
         // ========== LEITURA ==========
 
         /**
@@ -154,11 +198,18 @@ if (typeof IOMemoryRegion === 'undefined') {
 
             this.stats.reads32++;
 
+            if (this.onBeforeAccess) this.onBeforeAccess();
+
             if (handler && handler.readFn) {
                 this.stats.handlerCalls++;
                 return handler.readFn() >>> 0;
             }
 
+            if (this.devices.length > 0) {
+                const entry = this._findDevice(wordOffset << 2);
+                if (entry) return entry.device.readU32((wordOffset << 2) - entry.start) >>> 0;
+            }
+
             return this.registers[wordOffset] >>> 0;
         }
 
@@ -207,13 +258,20 @@ if (typeof IOMemoryRegion === 'undefined') {
 
             this.stats.writes32++;
 
+            if (this.onBeforeAccess) this.onBeforeAccess();
+
+            const entry = !(handler && handler.writeFn) && this.devices.length > 0 ? this._findDevice(wordOffset << 2) : null;
+
             if (handler && handler.writeFn) {
                 this.stats.handlerCalls++;
                 handler.writeFn(value);
-                return;
+            } else if (entry) {
+                entry.device.writeU32((wordOffset << 2) - entry.start, value);
+            } else {
+                this.registers[wordOffset] = value;
             }
 
-            this.registers[wordOffset] = value;
+            if (this.onAfterWrite) this.onAfterWrite();
         }
 
         // ========== PERIFÉRICOS CONECTADOS ==========
@@ -260,6 +318,7 @@ if (typeof IOMemoryRegion === 'undefined') {
                 type: this.constructor.name,
                 sizeBytes: this.size,
                 handlersRegistered: this.handlers.size,
+                devicesAttached: this.devices.length,
                 stats: { ...this.stats }
             };
         }
@@ -0,0 +1,492 @@
+/**
+ * PPU.js - Picture Processing Unit do SPG290
+ * HyperScan Emulator v2.0
+ *
+ * Compõe 3 camadas de texto (tilemaps), até 256 sprites de hardware e a
+ * cor de fundo usando a palette RAM, com 4 níveis de prioridade. Quando
+ * PPU_CTRL.enable está ligado, a VDU usa a imagem da PPU no lugar do
+ * framebuffer linear.
+ *
+ * Mapa MMIO (offset a partir de PPU_BASE):
+ *   0x0000  CTRL             bit0 PPU enable, bit1 sprites enable
+ *   0x0004  SPRITE_TILE_ADDR endereço (MIU) dos bitmaps de sprite
+ *   0x0008  SPRITE_COUNT     sprites avaliados (0-256)
+ *   0x000C  BACKDROP         cor de fundo RGB565
+ *   0x0010  TRANS_KEY        bit16 enable, [15:0] cor RGB565 transparente
+ *   0x0100  TEXT0..TEXT2     0x20 bytes por camada:
+ *             +0x00 CTRL       bit0 enable, [2:1] formato (0=4bpp, 1=8bpp, 2=RGB565),
+ *                              [4:3] largura do tile, [6:5] altura (8/16/32/64),
+ *                              [9:8] prioridade
+ *             +0x04 HSCROLL    +0x08 VSCROLL
+ *             +0x0C MAP_ADDR   tilemap: 1 word por célula
+ *                              ([15:0] tile, [19:16] banco, bit20 hflip, bit21 vflip)
+ *             +0x10 TILE_ADDR  bitmaps dos tiles (linear, w*h pixels por tile)
+ *             +0x14 MAP_SIZE   [7:0] largura, [15:8] altura do mapa em tiles
+ *   0x1000  PALETTE          512 entradas RGB565 (1 por word)
+ *   0x2000  SPRITES          256 sprites x 4 words:
+ *             w0 [15:0] tile, [19:16] banco, bit20 hflip, bit21 vflip,
+ *                bit22 8bpp, [25:24] prioridade, [27:26] largura,
+ *                [29:28] altura, bit31 enable
+ *             w1 [15:0] x, [31:16] y (com sinal)
+ *
+ * Índice 0 é transparente nos formatos indexados. Em 4bpp o pixel da
+ * esquerda fica no nibble baixo; o banco escolhe 16 cores (8bpp: bit0 do
+ * banco escolhe a metade da palette).
+ *
+ * Autor: Ccor444
+ */
+
+"use strict";
+
+if (typeof PictureProcessingUnit === 'undefined') {
+    const PPU_REG = Object.freeze({
+        CTRL: 0x0000,
+        SPRITE_TILE_ADDR: 0x0004,
+        SPRITE_COUNT: 0x0008,
+        BACKDROP: 0x000C,
+        TRANS_KEY: 0x0010,
+
+        TEXT_BASE: 0x0100,
+        TEXT_STRIDE: 0x20,
+        TEXT_LAYERS: 3,
+
+        TX_CTRL: 0x00,
+        TX_HSCROLL: 0x04,
+        TX_VSCROLL: 0x08,
+        TX_MAP_ADDR: 0x0C,
+        TX_TILE_ADDR: 0x10,
+        TX_MAP_SIZE: 0x14,
+
+        PALETTE: 0x1000,
+        PALETTE_ENTRIES: 512,
+        SPRITES: 0x2000,
+        SPRITE_MAX: 256,
+
+        MMIO_SIZE: 0x3000
+    });
+
+    const TILE_FORMAT = Object.freeze({
+        BPP4: 0,
+        BPP8: 1,
+        RGB565: 2
+    });
+
+    /**
+     * Picture Processing Unit
+     * @extends MemoryRegion
+     */
+    class PictureProcessingUnit extends MemoryRegion {
+        constructor() {
+            super();
+
+            /**
+             * Registradores 0x000-0x1FF (1 por word)
+             * @type {Uint32Array}
+             */
+            this.regs = new Uint32Array(0x200 >>> 2);
+
+            /**
+             * Palette RAM (RGB565) e cache já convertido para o ImageData
+             */
+            this.palette = new Uint16Array(PPU_REG.PALETTE_ENTRIES);
+            this.paletteRGBA = new Uint32Array(PPU_REG.PALETTE_ENTRIES);
+
+            /**
+             * Sprite RAM: 4 words por sprite
+             * @type {Uint32Array}
+             */
+            this.spriteRam = new Uint32Array(PPU_REG.SPRITE_MAX * 4);
+
+            /**
+             * Buffer de uma linha e lista de sprites visíveis nela
+             */
+            this._line = new Uint32Array(0);
+            this._lineSprites = [];
+
+            this.miu = null;
+            this._cachedSegment = -1;
+            this._cachedBytes = null;
+
+            this.stats = {
+                framesComposed: 0,
+                spritesDrawn: 0,
+                lastComposeTime: 0
+            };
+
+            this.reset();
+
+            console.log("[PPU] ✓ Picture Processing Unit inicializada (3 camadas, 256 sprites, 512 cores)");
+        }
+
+        static get REG() { return PPU_REG; }
+        static get FORMAT() { return TILE_FORMAT; }
+
+        connectMIU(miu) {
+            this.miu = miu;
+            console.log("[PPU] MIU conectada ✓");
+        }
+
+        reset() {
+            this.regs.fill(0);
+            this.palette.fill(0);
+            this.paletteRGBA.fill(PictureProcessingUnit.rgb565ToPixel(0));
+            this.spriteRam.fill(0);
+            this.regs[PPU_REG.SPRITE_COUNT >>> 2] = PPU_REG.SPRITE_MAX;
+        }
+
+        /**
+         * @returns {boolean} true se a PPU deve substituir o framebuffer linear
+         */
+        isEnabled() {
+            return (this.regs[PPU_REG.CTRL >>> 2] & 0x01) !== 0;
+        }
+
+        // ========== INTERFACE MEMORYREGION ==========
+
+        readU8(offset) {
+            const word = this.readU32(offset & ~3);
+            return (word >>> ((offset & 3) * 8)) & 0xFF;
+        }
+
+        readU16(offset) {
+            const word = this.readU32(offset & ~3);
+            return (word >>> ((offset & 2) * 8)) & 0xFFFF;
+        }
+
+        readU32(offset) {
+            offset &= 0xFFFC;
+
+            if (offset >= PPU_REG.SPRITES) {
+                const index = (offset - PPU_REG.SPRITES) >>> 2;
+                return index < this.spriteRam.length ? this.spriteRam[index] >>> 0 : 0;
+            }
+
+            if (offset >= PPU_REG.PALETTE) {
+                const index = (offset - PPU_REG.PALETTE) >>> 2;
+                return index < PPU_REG.PALETTE_ENTRIES ? this.palette[index] : 0;
+            }
+
+            const index = offset >>> 2;
+            return index < this.regs.length ? this.regs[index] >>> 0 : 0;
+        }
+
+        writeU8(offset, value) {
+            const shift = (offset & 3) * 8;
+            const word = this.readU32(offset & ~3);
+            this.writeU32(offset & ~3, (word & ~(0xFF << shift)) | ((value & 0xFF) << shift));
+        }
+
+        writeU16(offset, value) {
+            const shift = (offset & 2) * 8;
+            const word = this.readU32(offset & ~3);
+            this.writeU32(offset & ~3, (word & ~(0xFFFF << shift)) | ((value & 0xFFFF) << shift));
+        }
+
+        writeU32(offset, value) {
+            offset &= 0xFFFC;
+            value >>>= 0;
+
+            if (offset >= PPU_REG.SPRITES) {
+                const index = (offset - PPU_REG.SPRITES) >>> 2;
+                if (index < this.spriteRam.length) this.spriteRam[index] = value;
+                return;
+            }
+
+            if (offset >= PPU_REG.PALETTE) {
+                const index = (offset - PPU_REG.PALETTE) >>> 2;
+                if (index < PPU_REG.PALETTE_ENTRIES) this.setPaletteEntry(index, value);
+                return;
+            }
+
+            const index = offset >>> 2;
+            if (index < this.regs.length) this.regs[index] = value;
+        }
+
+        // ========== PALETTE ==========
+
+        /**
+         * Converte RGB565 para um pixel do ImageData. ImageData.data é RGBA
+         * em bytes, então o Uint32 (little-endian) é 0xAABBGGRR.
+         *
+         * @param {number} rgb565 - Cor RGB565
+         * @returns {number} Pixel para Uint32Array sobre ImageData.data
+         */
+        static rgb565ToPixel(rgb565) {
+            const r = Math.round(((rgb565 >>> 11) & 0x1F) * 255 / 31);
+            const g = Math.round(((rgb565 >>> 5) & 0x3F) * 255 / 63);
+            const b = Math.round((rgb565 & 0x1F) * 255 / 31);
+            return (0xFF000000 | (b << 16) | (g << 8) | r) >>> 0;
+        }
+
+        setPaletteEntry(index, rgb565) {
+            this.palette[index] = rgb565 & 0xFFFF;
+            this.paletteRGBA[index] = PictureProcessingUnit.rgb565ToPixel(rgb565);
+        }
+
+        // ========== COMPOSIÇÃO ==========
+
+        /**
+         * Compõe um frame completo
+         *
+         * @param {Uint32Array} out - Pixels de saída (width * height)
+         * @param {number} width - Largura em pixels
+         * @param {number} height - Altura em pixels
+         */
+        renderFrame(out, width, height) {
+            const startTime = performance.now();
+            this.stats.spritesDrawn = 0;
+            this._cachedSegment = -1;
+
+            for (let y = 0; y < height; y++) {
+                this.renderLine(y, out, y * width, width);
+            }
+
+            this.stats.framesComposed++;
+            this.stats.lastComposeTime = performance.now() - startTime;
+        }
+
+        /**
+         * Compõe uma linha: fundo, depois camadas e sprites da prioridade
+         * 0 até a 3. Na mesma prioridade os sprites ficam sobre as camadas,
+         * TEXT2 sobre TEXT0 e o sprite 0 sobre os demais.
+         *
+         * @param {number} y - Linha da tela
+         * @param {Uint32Array} out - Pixels de saída
+         * @param {number} outOffset - Índice do primeiro pixel da linha em out
+         * @param {number} width - Largura em pixels
+         */
+        renderLine(y, out, outOffset, width) {
+            // A VDU chama linha a linha; a MIU pode ter sido trocada entre frames
+            if (y === 0) this._cachedSegment = -1;
+
+            if (this._line.length !== width) {
+                this._line = new Uint32Array(width);
+            }
+
+            const line = this._line;
+            line.fill(PictureProcessingUnit.rgb565ToPixel(this.regs[PPU_REG.BACKDROP >>> 2]));
+
+            const spritesOn = (this.regs[PPU_REG.CTRL >>> 2] & 0x02) !== 0;
+            if (spritesOn) this._collectLineSprites(y);
+
+            for (let priority = 0; priority < 4; priority++) {
+                for (let layer = 0; layer < PPU_REG.TEXT_LAYERS; layer++) {
+                    const ctrl = this._textReg(layer, PPU_REG.TX_CTRL);
+                    if ((ctrl & 0x01) && ((ctrl >>> 8) & 0x03) === priority) {
+                        this._drawTextLine(layer, ctrl, y, line);
+                    }
+                }
+
+                if (spritesOn) {
+                    for (let i = this._lineSprites.length - 1; i >= 0; i--) {
+                        const sprite = this._lineSprites[i];
+                        if (((sprite.attr >>> 24) & 0x03) === priority) {
+                            this._drawSpriteLine(sprite, y, line);
+                        }
+                    }
+                }
+            }
+
+            out.set(line, outOffset);
+        }
+
+        _textReg(layer, reg) {
+            return this.regs[(PPU_REG.TEXT_BASE + layer * PPU_REG.TEXT_STRIDE + reg) >>> 2];
+        }
+
+        _drawTextLine(layer, ctrl, y, line) {
+            const format = (ctrl >>> 1) & 0x03;
+            const tileW = 8 << ((ctrl >>> 3) & 0x03);
+            const tileH = 8 << ((ctrl >>> 5) & 0x03);
+
+            const hscroll = this._textReg(layer, PPU_REG.TX_HSCROLL) & 0xFFFF;
+            const vscroll = this._textReg(layer, PPU_REG.TX_VSCROLL) & 0xFFFF;
+            const mapAddr = this._textReg(layer, PPU_REG.TX_MAP_ADDR);
+            const tileAddr = this._textReg(layer, PPU_REG.TX_TILE_ADDR);
+            const mapSize = this._textReg(layer, PPU_REG.TX_MAP_SIZE);
+            const mapW = (mapSize & 0xFF) || 1;
+            const mapH = ((mapSize >>> 8) & 0xFF) || 1;
+
+            const planeW = mapW * tileW;
+            const planeH = mapH * tileH;
+            const srcY = (y + vscroll) % planeH;
+            const tileY = (srcY / tileH) | 0;
+            const rowY = srcY % tileH;
+            const tileBytes = this._tileBytes(format, tileW, tileH);
+
+            let cellX = -1;
+            let cell = 0;
+
+            for (let x = 0; x < line.length; x++) {
+                const srcX = (x + hscroll) % planeW;
+                const tileX = (srcX / tileW) | 0;
+
+                if (tileX !== cellX) {
+                    cellX = tileX;
+                    cell = this._read32(mapAddr + (tileY * mapW + tileX) * 4);
+                }
+
+                let px = srcX % tileW;
+                let py = rowY;
+                if (cell & (1 << 20)) px = tileW - 1 - px;
+                if (cell & (1 << 21)) py = tileH - 1 - py;
+
+                const base = tileAddr + (cell & 0xFFFF) * tileBytes;
+                const pixel = this._fetchPixel(format, base, py * tileW + px, (cell >>> 16) & 0x0F);
+                if (pixel !== 0) line[x] = pixel;
+            }
+        }
+
+        _collectLineSprites(y) {
+            this._lineSprites.length = 0;
+            const count = Math.min(this.regs[PPU_REG.SPRITE_COUNT >>> 2], PPU_REG.SPRITE_MAX);
+
+            for (let i = 0; i < count; i++) {
+                const attr = this.spriteRam[i * 4];
+                if (!(attr & 0x80000000)) continue;
+
+                const pos = this.spriteRam[i * 4 + 1];
+                const sy = (pos >> 16);
+                const h = 8 << ((attr >>> 28) & 0x03);
+                if (y < sy || y >= sy + h) continue;
+
+                this._lineSprites.push({
+                    attr,
+                    x: (pos << 16) >> 16,
+                    y: sy,
+                    w: 8 << ((attr >>> 26) & 0x03),
+                    h
+                });
+            }
+        }
+
+        _drawSpriteLine(sprite, y, line) {
+            const { attr, w, h } = sprite;
+            const format = (attr & (1 << 22)) ? TILE_FORMAT.BPP8 : TILE_FORMAT.BPP4;
+            const bank = (attr >>> 16) & 0x0F;
+            const base = this.regs[PPU_REG.SPRITE_TILE_ADDR >>> 2] + (attr & 0xFFFF) * this._tileBytes(format, w, h);
+
+            let py = y - sprite.y;
+            if (attr & (1 << 21)) py = h - 1 - py;
+
+            const start = Math.max(0, sprite.x);
+            const end = Math.min(line.length, sprite.x + w);
+
+            for (let x = start; x < end; x++) {
+                let px = x - sprite.x;
+                if (attr & (1 << 20)) px = w - 1 - px;
+
+                const pixel = this._fetchPixel(format, base, py * w + px, bank);
+                if (pixel !== 0) line[x] = pixel;
+            }
+
+            this.stats.spritesDrawn++;
+        }
+
+        _tileBytes(format, w, h) {
+            switch (format) {
+                case TILE_FORMAT.BPP4: return (w * h) >>> 1;
+                case TILE_FORMAT.BPP8: return w * h;
+                default: return w * h * 2;
+            }
+        }
+
+        /**
+         * Lê um pixel de um bitmap e devolve a cor final (0 = transparente)
+         */
+        _fetchPixel(format, base, index, bank) {
+            switch (format) {
+                case TILE_FORMAT.BPP4: {
+                    const byte = this._read8(base + (index >>> 1));
+                    const nibble = (index & 1) ? (byte >>> 4) : (byte & 0x0F);
+                    return nibble ? this.paletteRGBA[(bank << 4) | nibble] : 0;
+                }
+                case TILE_FORMAT.BPP8: {
+                    const byte = this._read8(base + index);
+                    return byte ? this.paletteRGBA[((bank & 1) << 8) | byte] : 0;
+                }
+                case TILE_FORMAT.RGB565: {
+                    const addr = base + index * 2;
+                    const rgb565 = this._read8(addr) | (this._read8(addr + 1) << 8);
+                    const key = this.regs[PPU_REG.TRANS_KEY >>> 2];
+                    if ((key & 0x10000) && rgb565 === (key & 0xFFFF)) return 0;
+                    return PictureProcessingUnit.rgb565ToPixel(rgb565);
+                }
+                default:
+                    return 0;
+            }
+        }
+
+        // Acesso direto às regiões: a PPU lê pelo barramento de vídeo, sem
+        // contar estatísticas nem wait states da CPU
+        _read8(addr) {
+            const segment = (addr >>> 24) & 0xFF;
+
+            if (segment !== this._cachedSegment) {
+                const region = this.miu ? this.miu.getRegion(segment) : null;
+                this._cachedSegment = segment;
+                this._cachedBytes = region && region.u8 ? region.u8 : null;
+            }
+
+            const bytes = this._cachedBytes;
+            return bytes ? bytes[(addr & 0xFFFFFF) & (bytes.length - 1)] : 0;
+        }
+
+        _read32(addr) {
+            return (this._read8(addr) | (this._read8(addr + 1) << 8) |
+                (this._read8(addr + 2) << 16) | (this._read8(addr + 3) << 24)) >>> 0;
+        }
+
+        // ========== SAVE STATE ==========
+
+        getState() {
+            return {
+                regs: Array.from(this.regs),
+                palette: Array.from(this.palette),
+                sprites: Array.from(this.spriteRam)
+            };
+        }
+
+        setState(state) {
+            this.regs.set(state.regs);
+            this.spriteRam.set(state.sprites);
+            state.palette.forEach((rgb565, index) => this.setPaletteEntry(index, rgb565));
+        }
+
+        // ========== DEBUG & INFO ==========
+
+        getStatus() {
+            const ctrl = this.regs[PPU_REG.CTRL >>> 2];
+            const formats = ["4bpp", "8bpp", "RGB565", "?"];
+            const lines = [];
+
+            lines.push("═══ PICTURE PROCESSING UNIT STATUS ═══");
+            lines.push(`PPU:           ${(ctrl & 0x01) ? "ENABLED" : "DISABLED"}`);
+            lines.push(`Sprites:       ${(ctrl & 0x02) ? "ENABLED" : "DISABLED"} (${this.regs[PPU_REG.SPRITE_COUNT >>> 2]} avaliados)`);
+            lines.push(`Backdrop:      0x${this.regs[PPU_REG.BACKDROP >>> 2].toString(16).padStart(4, '0').toUpperCase()}`);
+
+            for (let layer = 0; layer < PPU_REG.TEXT_LAYERS; layer++) {
+                const tx = this._textReg(layer, PPU_REG.TX_CTRL);
+                const size = this._textReg(layer, PPU_REG.TX_MAP_SIZE);
+                lines.push(
+                    `TEXT${layer}:         ${(tx & 0x01) ? "ON " : "OFF"} ` +
+                    `${formats[(tx >>> 1) & 0x03]} ${8 << ((tx >>> 3) & 0x03)}x${8 << ((tx >>> 5) & 0x03)} ` +
+                    `map ${size & 0xFF}x${(size >>> 8) & 0xFF} prio ${(tx >>> 8) & 0x03} ` +
+                    `scroll (${this._textReg(layer, PPU_REG.TX_HSCROLL) & 0xFFFF}, ${this._textReg(layer, PPU_REG.TX_VSCROLL) & 0xFFFF})`
+                );
+            }
+
+            lines.push("");
+            lines.push(`Frames Composed: ${this.stats.framesComposed}`);
+            lines.push(`Sprite Lines:    ${this.stats.spritesDrawn}`);
+            lines.push(`Last Compose:    ${this.stats.lastComposeTime.toFixed(2)}ms`);
+
+            return lines.join("\n");
+        }
+    }
+
+    window.PictureProcessingUnit = PictureProcessingUnit;
+    window.PPU_REG = PPU_REG;
+
+    console.log("[PERIPHERAL] ✓ PictureProcessingUnit carregada");
+}
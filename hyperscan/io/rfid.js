@@ -0,0 +1,298 @@
+/**
+ * rfid.js - Leitor de cartões RFID do HyperScan
+ * HyperScan Emulator v2.0
+ *
+ * O leitor fica na linha serial da UART: o firmware envia comandos pelo
+ * TX e recebe as respostas pelo RX. Um cartão "passado" no leitor fica no
+ * campo por swipeCycles ciclos de CPU (o leitor é fonte do EventScheduler)
+ * e então sai, como no aparelho real.
+ *
+ * Protocolo (quadros, nos dois sentidos):
+ *   0xAA  CMD  LEN  PAYLOAD[LEN]  CHK      CHK = XOR de CMD, LEN e PAYLOAD
+ *
+ * Comandos (firmware -> leitor); a resposta usa CMD | 0x80 e o primeiro
+ * byte do payload é o status:
+ *   0x01 PING           -> status, "HSR1"
+ *   0x10 GET_STATUS     -> status, presente (0/1)
+ *   0x20 READ_UID       -> status, UID
+ *   0x30 READ_BLOCK n   -> status, 16 bytes do bloco n
+ *   0x40 HALT           -> status (o cartão sai do campo)
+ *
+ * Eventos (leitor -> firmware, sem pedido):
+ *   0xE0 CARD_IN        payload = UID
+ *   0xE1 CARD_OUT       payload vazio
+ *
+ * Dump de cartão: memória bruta do tag em blocos de 16 bytes; o UID são
+ * os 4 primeiros bytes do bloco 0 (layout MIFARE Classic).
+ *
+ * Autor: Ccor444
+ */
+
+"use strict";
+
+if (typeof RFIDReader === 'undefined') {
+    const RFID_FRAME_START = 0xAA;
+
+    const RFID_CMD = Object.freeze({
+        PING: 0x01,
+        GET_STATUS: 0x10,
+        READ_UID: 0x20,
+        READ_BLOCK: 0x30,
+        HALT: 0x40,
+
+        CARD_IN: 0xE0,
+        CARD_OUT: 0xE1,
+
+        REPLY: 0x80
+    });
+
+    const RFID_STATUS = Object.freeze({
+        OK: 0x00,
+        NO_CARD: 0x01,
+        BAD_CHECKSUM: 0x02,
+        BAD_BLOCK: 0x03,
+        UNKNOWN_COMMAND: 0x04
+    });
+
+    const BLOCK_SIZE = 16;
+    const UID_LENGTH = 4;
+    const READER_ID = [0x48, 0x53, 0x52, 0x31]; // "HSR1"
+
+    class RFIDReader {
+        /**
+         * @param {Object} [options]
+         * @param {number} [options.swipeCycles=33868800] - Tempo do cartão no campo (1s a 33.8688 MHz)
+         */
+        constructor(options = {}) {
+            this.swipeCycles = options.swipeCycles || 33868800;
+
+            this.uart = null;
+
+            /** Dump do cartão no campo (null = nenhum) */
+            this.card = null;
+            this.cardName = "";
+            this.remainingCycles = 0;
+
+            /** Quadro recebido do firmware, em montagem */
+            this.rxFrame = [];
+
+            this.stats = {
+                swipes: 0,
+                commands: 0,
+                errors: 0
+            };
+
+            console.log("[RFID] ✓ Leitor de cartões inicializado");
+        }
+
+        static get CMD() { return RFID_CMD; }
+        static get STATUS() { return RFID_STATUS; }
+
+        /**
+         * Liga o leitor à linha serial (TX da UART -> leitor, leitor -> RX)
+         * @param {UART} uart
+         */
+        connectUART(uart) {
+            this.uart = uart;
+            uart.connectSerialDevice(this);
+            console.log("[RFID] UART conectada");
+        }
+
+        reset() {
+            this.card = null;
+            this.cardName = "";
+            this.remainingCycles = 0;
+            this.rxFrame = [];
+        }
+
+        // ========== CARTÕES ==========
+
+        /**
+         * Passa um cartão no leitor
+         *
+         * @param {Uint8Array|number[]} dump - Memória do tag (blocos de 16 bytes)
+         * @param {string} [name] - Nome para debug
+         * @returns {boolean} true se aceito
+         */
+        swipe(dump, name = "") {
+            if (!dump || dump.length < UID_LENGTH) {
+                console.warn("[RFID] ⚠️ Dump de cartão inválido");
+                return false;
+            }
+
+            this.card = Uint8Array.from(dump);
+            this.cardName = name;
+            this.remainingCycles = this.swipeCycles;
+            this.stats.swipes++;
+
+            console.log(`[RFID] 💳 Cartão no leitor: ${name || "sem nome"} (UID ${RFIDReader.formatUID(this.card)})`);
+            this._send(RFID_CMD.CARD_IN, Array.from(this._uid()));
+            return true;
+        }
+
+        /**
+         * Tira o cartão do campo
+         */
+        removeCard() {
+            if (!this.card) return;
+
+            this.card = null;
+            this.cardName = "";
+            this.remainingCycles = 0;
+            this._send(RFID_CMD.CARD_OUT, []);
+        }
+
+        _uid() {
+            return this.card.subarray(0, UID_LENGTH);
+        }
+
+        /**
+         * @param {Uint8Array} dump
+         * @returns {string} UID em hex (ex.: "04:A2:19:7F")
+         */
+        static formatUID(dump) {
+            return Array.from(dump.subarray(0, UID_LENGTH), b => b.toString(16).padStart(2, '0').toUpperCase()).join(":");
+        }
+
+        // ========== LINHA SERIAL ==========
+
+        /**
+         * Byte transmitido pelo firmware (chamado pela UART)
+         * @param {number} byte
+         * @returns {boolean} true se o byte faz parte de um quadro do leitor
+         */
+        receive(byte) {
+            if (this.rxFrame.length === 0 && byte !== RFID_FRAME_START) return false;
+
+            this.rxFrame.push(byte);
+
+            const frame = this.rxFrame;
+            if (frame.length < 3 || frame.length < 4 + frame[2]) return true;
+
+            this.rxFrame = [];
+            const [, cmd, len] = frame;
+            const payload = frame.slice(3, 3 + len);
+            const checksum = payload.reduce((x, b) => x ^ b, cmd ^ len);
+
+            if (checksum !== frame[3 + len]) {
+                this.stats.errors++;
+                this._reply(cmd, RFID_STATUS.BAD_CHECKSUM);
+                return true;
+            }
+
+            this.stats.commands++;
+            this._execute(cmd, payload);
+            return true;
+        }
+
+        _execute(cmd, payload) {
+            switch (cmd) {
+                case RFID_CMD.PING:
+                    this._reply(cmd, RFID_STATUS.OK, READER_ID);
+                    break;
+
+                case RFID_CMD.GET_STATUS:
+                    this._reply(cmd, RFID_STATUS.OK, [this.card ? 1 : 0]);
+                    break;
+
+                case RFID_CMD.READ_UID:
+                    if (!this.card) return this._reply(cmd, RFID_STATUS.NO_CARD);
+                    this._reply(cmd, RFID_STATUS.OK, Array.from(this._uid()));
+                    break;
+
+                case RFID_CMD.READ_BLOCK: {
+                    if (!this.card) return this._reply(cmd, RFID_STATUS.NO_CARD);
+
+                    const start = (payload[0] ?? 0) * BLOCK_SIZE;
+                    if (payload.length < 1 || start + BLOCK_SIZE > this.card.length) {
+                        return this._reply(cmd, RFID_STATUS.BAD_BLOCK);
+                    }
+                    this._reply(cmd, RFID_STATUS.OK, Array.from(this.card.subarray(start, start + BLOCK_SIZE)));
+                    break;
+                }
+
+                case RFID_CMD.HALT:
+                    if (!this.card) return this._reply(cmd, RFID_STATUS.NO_CARD);
+                    this._reply(cmd, RFID_STATUS.OK);
+                    this.removeCard();
+                    break;
+
+                default:
+                    this.stats.errors++;
+                    this._reply(cmd, RFID_STATUS.UNKNOWN_COMMAND);
+            }
+        }
+
+        _reply(cmd, status, data = []) {
+            this._send(cmd | RFID_CMD.REPLY, [status, ...data]);
+        }
+
+        _send(cmd, payload) {
+            if (!this.uart) return;
+
+            const checksum = payload.reduce((x, b) => x ^ b, cmd ^ payload.length);
+            for (const byte of [RFID_FRAME_START, cmd, payload.length, ...payload, checksum]) {
+                this.uart.receiveData(byte);
+            }
+        }
+
+        // ========== TIMING (EventScheduler) ==========
+
+        /**
+         * @param {number} cycles - Ciclos de CPU decorridos
+         */
+        tick(cycles) {
+            if (!this.card) return;
+
+            this.remainingCycles -= cycles;
+            if (this.remainingCycles <= 0) this.removeCard();
+        }
+
+        /**
+         * @returns {number} Ciclos até o cartão sair do campo (Infinity sem cartão)
+         */
+        cyclesUntilEvent() {
+            return this.card ? Math.max(1, this.remainingCycles) : Infinity;
+        }
+
+        // ========== SAVE STATE ==========
+
+        getState() {
+            return {
+                card: this.card ? Array.from(this.card) : null,
+                cardName: this.cardName,
+                remainingCycles: this.remainingCycles,
+                rxFrame: this.rxFrame.slice()
+            };
+        }
+
+        setState(state) {
+            this.card = state.card ? Uint8Array.from(state.card) : null;
+            this.cardName = state.cardName || "";
+            this.remainingCycles = state.remainingCycles || 0;
+            this.rxFrame = (state.rxFrame || []).slice();
+        }
+
+        // ========== DEBUG & INFO ==========
+
+        getStatus() {
+            const lines = [];
+            lines.push("═══ RFID CARD READER STATUS ═══");
+            if (this.card) {
+                lines.push(`Cartão:        ${this.cardName || "sem nome"} (UID ${RFIDReader.formatUID(this.card)}, ${this.card.length} bytes)`);
+                lines.push(`Sai em:        ${this.remainingCycles} ciclos`);
+            } else {
+                lines.push("Cartão:        nenhum");
+            }
+            lines.push(`Swipes:        ${this.stats.swipes}`);
+            lines.push(`Comandos:      ${this.stats.commands} (${this.stats.errors} erros)`);
+            return lines.join("\n");
+        }
+    }
+
+    window.RFIDReader = RFIDReader;
+    window.RFID_CMD = RFID_CMD;
+    window.RFID_STATUS = RFID_STATUS;
+
+    console.log("[RFID] ✓ RFIDReader carregado");
+}
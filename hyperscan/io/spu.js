@@ -0,0 +1,639 @@
+/**
+ * SPU.js - Sound Processing Unit do SPG290
+ * HyperScan Emulator v2.0
+ *
+ * 16 canais de sample (PCM8, PCM16 e IMA ADPCM 4-bit) lidos da memória
+ * pela MIU, com volume, pan, pitch, loop e IRQ de fim de buffer, mixados
+ * em estéreo a 44100 Hz. A SPU é uma fonte do EventScheduler: gera uma
+ * amostra a cada 768 ciclos de CPU (33.8688 MHz / 44100) e guarda a saída
+ * em um ring buffer Float32 intercalado (L, R), drenado por readSamples()
+ * (Web Audio no navegador, arquivos ou scripts no headless). Com
+ * setStemCapture(true) a contribuição de cada canal também é guardada
+ * (stems), alinhada à mixagem, e sai junto em readBlock().
+ *
+ * Mapa MMIO (offset a partir de SPU_BASE):
+ *   0x0000  CTRL           bit0 master enable
+ *   0x0004  MASTER_VOLUME  [7:0] 0-255
+ *   0x0008  IRQ_STATUS     bit n = canal n chegou ao fim (write-1-clear)
+ *   0x000C  SAMPLE_RATE    taxa de saída em Hz (read-only)
+ *   0x0100  CANAIS 0-15    0x20 bytes por canal:
+ *             +0x00 CTRL       bit0 key on (0→1 reinicia), [2:1] formato
+ *                              (0=PCM8, 1=PCM16, 2=ADPCM), bit3 loop, bit4 IRQ no fim
+ *             +0x04 START      endereço do sample (MIU)
+ *             +0x08 LENGTH     tamanho em samples
+ *             +0x0C LOOP_START sample onde o loop recomeça
+ *             +0x10 PITCH      passo por amostra de saída, 16.16 (0x10000 = 44100 Hz)
+ *             +0x14 VOLUME     [7:0] volume, [15:8] pan (0=esq, 128=centro, 255=dir)
+ *             +0x18 POSITION   sample atual (read-only)
+ *
+ * PCM é little-endian com sinal. No ADPCM o nibble baixo vem primeiro e o
+ * decoder começa com preditor 0 e índice 0.
+ *
+ * Autor: Ccor444
+ */
+
+"use strict";
+
+if (typeof SoundProcessingUnit === 'undefined') {
+    const SPU_REG = Object.freeze({
+        CTRL: 0x0000,
+        MASTER_VOLUME: 0x0004,
+        IRQ_STATUS: 0x0008,
+        SAMPLE_RATE: 0x000C,
+
+        CHANNEL_BASE: 0x0100,
+        CHANNEL_STRIDE: 0x20,
+        CHANNELS: 16,
+
+        CH_CTRL: 0x00,
+        CH_START: 0x04,
+        CH_LENGTH: 0x08,
+        CH_LOOP_START: 0x0C,
+        CH_PITCH: 0x10,
+        CH_VOLUME: 0x14,
+        CH_POSITION: 0x18,
+
+        MMIO_SIZE: 0x0300
+    });
+
+    const SAMPLE_FORMAT = Object.freeze({
+        PCM8: 0,
+        PCM16: 1,
+        ADPCM: 2
+    });
+
+    const SPU_OUTPUT_RATE = 44100;
+
+    const IMA_INDEX_TABLE = Object.freeze([-1, -1, -1, -1, 2, 4, 6, 8]);
+
+    const IMA_STEP_TABLE = Object.freeze([
+        7, 8, 9, 10, 11, 12, 13, 14, 16, 17, 19, 21, 23, 25, 28, 31, 34, 37, 41, 45,
+        50, 55, 60, 66, 73, 80, 88, 97, 107, 118, 130, 143, 157, 173, 190, 209, 230,
+        253, 279, 307, 337, 371, 408, 449, 494, 544, 598, 658, 724, 796, 876, 963,
+        1060, 1166, 1282, 1411, 1552, 1707, 1878, 2066, 2272, 2499, 2749, 3024, 3327,
+        3660, 4026, 4428, 4871, 5358, 5894, 6484, 7132, 7845, 8630, 9493, 10442, 11487,
+        12635, 13899, 15289, 16818, 18500, 20350, 22385, 24623, 27086, 29794, 32767
+    ]);
+
+    /**
+     * Estado de reprodução de um canal
+     */
+    class SPUChannel {
+        constructor(number) {
+            this.number = number;
+            this.reset();
+        }
+
+        reset() {
+            this.ctrl = 0;
+            this.start = 0;
+            this.length = 0;
+            this.loopStart = 0;
+            this.pitch = 0x10000;
+            this.volume = 0x80FF;
+            this.keyOn();
+        }
+
+        /**
+         * Reinicia a reprodução do começo do sample
+         */
+        keyOn() {
+            this.pos = 0;          // posição em 16.16
+            this.adpcmPos = 0;     // próximo sample a decodificar
+            this.adpcmPredictor = 0;
+            this.adpcmIndex = 0;
+            this.adpcmLast = 0;
+            this.loopState = null; // estado do ADPCM ao passar por loopStart
+        }
+
+        get playing() {
+            return (this.ctrl & 0x01) !== 0;
+        }
+
+        get format() {
+            return (this.ctrl >>> 1) & 0x03;
+        }
+
+        get sampleIndex() {
+            return Math.floor(this.pos / 0x10000);
+        }
+
+        getState() {
+            return {
+                ctrl: this.ctrl, start: this.start, length: this.length,
+                loopStart: this.loopStart, pitch: this.pitch, volume: this.volume,
+                pos: this.pos, adpcmPos: this.adpcmPos, adpcmPredictor: this.adpcmPredictor,
+                adpcmIndex: this.adpcmIndex, adpcmLast: this.adpcmLast, loopState: this.loopState
+            };
+        }
+
+        setState(state) {
+            Object.assign(this, state);
+        }
+    }
+
+    /**
+     * Sound Processing Unit
+     * @extends MemoryRegion
+     */
+    class SoundProcessingUnit extends MemoryRegion {
+        /**
+         * @param {Object} [options]
+         * @param {number} [options.cpuClockHz=33868800] - Clock da CPU (ciclos por segundo)
+         * @param {number} [options.bufferFrames=44100] - Capacidade do ring de saída (frames estéreo)
+         * @param {number} [options.irqNumber=6] - IRQ de fim de buffer
+         */
+        constructor(options = {}) {
+            super();
+
+            this.sampleRate = SPU_OUTPUT_RATE;
+            this.cyclesPerSample = (options.cpuClockHz || 33868800) / SPU_OUTPUT_RATE;
+            this.irqNumber = options.irqNumber ?? 6;
+
+            this.channels = Array.from({ length: SPU_REG.CHANNELS }, (_, i) => new SPUChannel(i));
+
+            this.ctrl = 0;
+            this.masterVolume = 0xFF;
+            this.irqStatus = 0;
+
+            /**
+             * Ring buffer de saída, intercalado (L, R)
+             * @type {Float32Array}
+             */
+            this.output = new Float32Array((options.bufferFrames || SPU_OUTPUT_RATE) * 2);
+            this.outputRead = 0;
+            this.outputCount = 0;   // frames disponíveis
+
+            /**
+             * Rings por canal (mesmo índice do ring de saída), só com captura de stems
+             * @type {Float32Array[]|null}
+             */
+            this.stemOutput = null;
+            this._stemFrame = new Float32Array(SPU_REG.CHANNELS * 2);
+
+            this.cycleAccum = 0;
+
+            this.intC = null;
+            this.miu = null;
+            this._cachedSegment = -1;
+            this._cachedBytes = null;
+
+            this.stats = {
+                samplesGenerated: 0,
+                samplesDropped: 0,
+                bufferEndIRQs: 0
+            };
+
+            console.log(`[SPU] ✓ Sound Processing Unit inicializada (${SPU_REG.CHANNELS} canais, ${SPU_OUTPUT_RATE} Hz)`);
+        }
+
+        static get REG() { return SPU_REG; }
+        static get FORMAT() { return SAMPLE_FORMAT; }
+
+        connectMIU(miu) {
+            this.miu = miu;
+            this._cachedSegment = -1;
+            console.log("[SPU] MIU conectada ✓");
+        }
+
+        connectInterruptController(intC) {
+            this.intC = intC;
+            console.log("[SPU] Interrupt Controller conectado");
+        }
+
+        reset() {
+            this.channels.forEach(ch => ch.reset());
+            this.ctrl = 0;
+            this.masterVolume = 0xFF;
+            this.irqStatus = 0;
+            this.cycleAccum = 0;
+            this.outputRead = 0;
+            this.outputCount = 0;
+        }
+
+        // ========== INTERFACE MEMORYREGION ==========
+
+        readU8(offset) {
+            const word = this.readU32(offset & ~3);
+            return (word >>> ((offset & 3) * 8)) & 0xFF;
+        }
+
+        readU16(offset) {
+            const word = this.readU32(offset & ~3);
+            return (word >>> ((offset & 2) * 8)) & 0xFFFF;
+        }
+
+        readU32(offset) {
+            offset &= 0xFFFC;
+
+            if (offset >= SPU_REG.CHANNEL_BASE) {
+                const ch = this._channelAt(offset);
+                if (!ch) return 0;
+
+                switch ((offset - SPU_REG.CHANNEL_BASE) % SPU_REG.CHANNEL_STRIDE) {
+                    case SPU_REG.CH_CTRL:       return ch.ctrl;
+                    case SPU_REG.CH_START:      return ch.start >>> 0;
+                    case SPU_REG.CH_LENGTH:     return ch.length;
+                    case SPU_REG.CH_LOOP_START: return ch.loopStart;
+                    case SPU_REG.CH_PITCH:      return ch.pitch;
+                    case SPU_REG.CH_VOLUME:     return ch.volume;
+                    case SPU_REG.CH_POSITION:   return ch.sampleIndex;
+                    default:                    return 0;
+                }
+            }
+
+            switch (offset) {
+                case SPU_REG.CTRL:          return this.ctrl;
+                case SPU_REG.MASTER_VOLUME: return this.masterVolume;
+                case SPU_REG.IRQ_STATUS:    return this.irqStatus;
+                case SPU_REG.SAMPLE_RATE:   return this.sampleRate;
+                default:                    return 0;
+            }
+        }
+
+        writeU8(offset, value) {
+            const shift = (offset & 3) * 8;
+            const word = this.readU32(offset & ~3);
+            this.writeU32(offset & ~3, (word & ~(0xFF << shift)) | ((value & 0xFF) << shift));
+        }
+
+        writeU16(offset, value) {
+            const shift = (offset & 2) * 8;
+            const word = this.readU32(offset & ~3);
+            this.writeU32(offset & ~3, (word & ~(0xFFFF << shift)) | ((value & 0xFFFF) << shift));
+        }
+
+        writeU32(offset, value) {
+            offset &= 0xFFFC;
+            value >>>= 0;
+
+            if (offset >= SPU_REG.CHANNEL_BASE) {
+                const ch = this._channelAt(offset);
+                if (!ch) return;
+
+                switch ((offset - SPU_REG.CHANNEL_BASE) % SPU_REG.CHANNEL_STRIDE) {
+                    case SPU_REG.CH_CTRL:
+                        if ((value & 0x01) && !ch.playing) ch.keyOn();
+                        ch.ctrl = value & 0x1F;
+                        break;
+                    case SPU_REG.CH_START:      ch.start = value; break;
+                    case SPU_REG.CH_LENGTH:     ch.length = value & 0xFFFFFF; break;
+                    case SPU_REG.CH_LOOP_START: ch.loopStart = value & 0xFFFFFF; break;
+                    case SPU_REG.CH_PITCH:      ch.pitch = value; break;
+                    case SPU_REG.CH_VOLUME:     ch.volume = value & 0xFFFF; break;
+                }
+                return;
+            }
+
+            switch (offset) {
+                case SPU_REG.CTRL:
+                    this.ctrl = value & 0x01;
+                    break;
+                case SPU_REG.MASTER_VOLUME:
+                    this.masterVolume = value & 0xFF;
+                    break;
+                case SPU_REG.IRQ_STATUS:
+                    this.irqStatus &= ~value;
+                    break;
+            }
+        }
+
+        _channelAt(offset) {
+            return this.channels[((offset - SPU_REG.CHANNEL_BASE) / SPU_REG.CHANNEL_STRIDE) | 0] || null;
+        }
+
+        // ========== TIMING (EventScheduler) ==========
+
+        /**
+         * Gera as amostras correspondentes aos ciclos de CPU decorridos
+         * @param {number} cycles - Ciclos de CPU
+         */
+        tick(cycles) {
+            this.cycleAccum += cycles;
+
+            while (this.cycleAccum >= this.cyclesPerSample) {
+                this.cycleAccum -= this.cyclesPerSample;
+                this._mixSample();
+            }
+        }
+
+        /**
+         * Próximo fim de buffer de um canal com IRQ habilitada. Sem IRQ
+         * pendente de acontecer, as amostras podem ser geradas em lote.
+         *
+         * @returns {number} Ciclos até o evento (Infinity se nenhum)
+         */
+        cyclesUntilEvent() {
+            if (!(this.ctrl & 0x01)) return Infinity;
+
+            let samples = Infinity;
+            for (const ch of this.channels) {
+                if (!ch.playing || !(ch.ctrl & 0x10) || ch.pitch === 0) continue;
+                const remaining = ch.length * 0x10000 - ch.pos;
+                samples = Math.min(samples, Math.max(1, Math.ceil(remaining / ch.pitch)));
+            }
+
+            if (samples === Infinity) return Infinity;
+            return Math.max(1, Math.ceil(samples * this.cyclesPerSample - this.cycleAccum));
+        }
+
+        // ========== MIXER ==========
+
+        _mixSample() {
+            let left = 0;
+            let right = 0;
+            const stems = this.stemOutput ? this._stemFrame.fill(0) : null;
+
+            if (this.ctrl & 0x01) {
+                const master = this.masterVolume / 255;
+
+                for (let i = 0; i < this.channels.length; i++) {
+                    const ch = this.channels[i];
+                    if (!ch.playing || ch.length === 0) continue;
+
+                    const sample = this._channelSample(ch);
+                    const volume = (ch.volume & 0xFF) / 255;
+                    const pan = (ch.volume >>> 8) & 0xFF;
+                    const chLeft = sample * volume * Math.min(1, (255 - pan) / 127);
+                    const chRight = sample * volume * Math.min(1, pan / 128);
+
+                    left += chLeft;
+                    right += chRight;
+
+                    if (stems) {
+                        stems[i * 2] = chLeft * master;
+                        stems[i * 2 + 1] = chRight * master;
+                    }
+
+                    this._advance(ch);
+                }
+
+                left = Math.max(-1, Math.min(1, left * master));
+                right = Math.max(-1, Math.min(1, right * master));
+            }
+
+            this._pushFrame(left, right);
+        }
+
+        /**
+         * Amostra atual do canal em [-1, 1)
+         */
+        _channelSample(ch) {
+            const index = ch.sampleIndex;
+
+            switch (ch.format) {
+                case SAMPLE_FORMAT.PCM8:
+                    return ((this._read8(ch.start + index) << 24) >> 24) / 128;
+
+                case SAMPLE_FORMAT.PCM16: {
+                    const addr = ch.start + index * 2;
+                    const value = this._read8(addr) | (this._read8(addr + 1) << 8);
+                    return ((value << 16) >> 16) / 32768;
+                }
+
+                case SAMPLE_FORMAT.ADPCM:
+                    return this._decodeADPCM(ch, index) / 32768;
+
+                default:
+                    return 0;
+            }
+        }
+
+        /**
+         * Avança o canal pelo pitch; trata loop, fim e IRQ de fim de buffer
+         */
+        _advance(ch) {
+            ch.pos += ch.pitch;
+
+            if (ch.pos < ch.length * 0x10000) return;
+
+            const loop = (ch.ctrl & 0x08) !== 0 && ch.loopStart < ch.length;
+
+            if (loop) {
+                ch.pos = ch.loopStart * 0x10000 + (ch.pos - ch.length * 0x10000) % ((ch.length - ch.loopStart) * 0x10000);
+                if (ch.format === SAMPLE_FORMAT.ADPCM) this._restoreLoopState(ch);
+            } else {
+                ch.ctrl &= ~0x01;
+                ch.pos = 0;
+            }
+
+            if (ch.ctrl & 0x10) {
+                this.irqStatus |= (1 << ch.number);
+                this.stats.bufferEndIRQs++;
+                if (this.intC) this.intC.trigger(null, this.irqNumber);
+            }
+        }
+
+        _pushFrame(left, right) {
+            const capacity = this.output.length >>> 1;
+
+            if (this.outputCount === capacity) {
+                // Ninguém drenando: descarta o frame mais antigo
+                this.outputRead = (this.outputRead + 1) % capacity;
+                this.outputCount--;
+                this.stats.samplesDropped++;
+            }
+
+            const write = ((this.outputRead + this.outputCount) % capacity) * 2;
+            this.output[write] = left;
+            this.output[write + 1] = right;
+
+            if (this.stemOutput) {
+                for (let i = 0; i < this.stemOutput.length; i++) {
+                    this.stemOutput[i][write] = this._stemFrame[i * 2];
+                    this.stemOutput[i][write + 1] = this._stemFrame[i * 2 + 1];
+                }
+            }
+            this.outputCount++;
+            this.stats.samplesGenerated++;
+        }
+
+        // ========== ADPCM ==========
+
+        /**
+         * Decodifica sequencialmente até `index`. Voltar no sample (loop)
+         * usa o estado salvo em loopStart.
+         */
+        _decodeADPCM(ch, index) {
+            if (index < ch.adpcmPos - 1) {
+                this._restoreLoopState(ch);
+            }
+
+            while (ch.adpcmPos <= index) {
+                if (ch.adpcmPos === ch.loopStart && !ch.loopState) {
+                    ch.loopState = { predictor: ch.adpcmPredictor, index: ch.adpcmIndex };
+                }
+
+                const byte = this._read8(ch.start + (ch.adpcmPos >>> 1));
+                const nibble = (ch.adpcmPos & 1) ? (byte >>> 4) : (byte & 0x0F);
+                this._imaStep(ch, nibble);
+                ch.adpcmPos++;
+            }
+
+            return ch.adpcmLast;
+        }
+
+        _imaStep(ch, nibble) {
+            const step = IMA_STEP_TABLE[ch.adpcmIndex];
+            let diff = step >> 3;
+            if (nibble & 1) diff += step >> 2;
+            if (nibble & 2) diff += step >> 1;
+            if (nibble & 4) diff += step;
+            if (nibble & 8) diff = -diff;
+
+            ch.adpcmPredictor = Math.max(-32768, Math.min(32767, ch.adpcmPredictor + diff));
+            ch.adpcmIndex = Math.max(0, Math.min(88, ch.adpcmIndex + IMA_INDEX_TABLE[nibble & 7]));
+            ch.adpcmLast = ch.adpcmPredictor;
+        }
+
+        _restoreLoopState(ch) {
+            if (ch.loopState) {
+                ch.adpcmPredictor = ch.loopState.predictor;
+                ch.adpcmIndex = ch.loopState.index;
+                ch.adpcmPos = ch.loopStart;
+            } else {
+                // loopStart ainda não decodificado: recomeça do início
+                ch.adpcmPredictor = 0;
+                ch.adpcmIndex = 0;
+                ch.adpcmPos = 0;
+            }
+        }
+
+        // Acesso direto às regiões, como na PPU (DMA de áudio sem wait states)
+        _read8(addr) {
+            const segment = (addr >>> 24) & 0xFF;
+
+            if (segment !== this._cachedSegment) {
+                const region = this.miu ? this.miu.getRegion(segment) : null;
+                this._cachedSegment = segment;
+                this._cachedBytes = region && region.u8 ? region.u8 : null;
+            }
+
+            const bytes = this._cachedBytes;
+            return bytes ? bytes[(addr & 0xFFFFFF) & (bytes.length - 1)] : 0;
+        }
+
+        // ========== SAÍDA ==========
+
+        /**
+         * Drena amostras do ring de saída
+         *
+         * @param {number} [maxFrames] - Máximo de frames estéreo (padrão: tudo)
+         * @returns {Float32Array} Amostras intercaladas (L, R) em [-1, 1]
+         */
+        readSamples(maxFrames = Infinity) {
+            return this.readBlock(maxFrames).mix;
+        }
+
+        /**
+         * Drena a mixagem e, com captura ligada, os stems dos mesmos frames
+         *
+         * @param {number} [maxFrames] - Máximo de frames estéreo (padrão: tudo)
+         * @returns {{mix: Float32Array, stems: Float32Array[]|null}}
+         *          stems[n]: canal n intercalado (L, R), após volume, pan e master
+         */
+        readBlock(maxFrames = Infinity) {
+            const frames = Math.min(this.outputCount, maxFrames);
+            const block = {
+                mix: this._copyRing(this.output, frames),
+                stems: this.stemOutput ? this.stemOutput.map(ring => this._copyRing(ring, frames)) : null
+            };
+
+            const capacity = this.output.length >>> 1;
+            this.outputRead = (this.outputRead + frames) % capacity;
+            this.outputCount -= frames;
+            return block;
+        }
+
+        _copyRing(ring, frames) {
+            const capacity = ring.length >>> 1;
+            const out = new Float32Array(frames * 2);
+
+            for (let i = 0; i < frames; i++) {
+                const read = ((this.outputRead + i) % capacity) * 2;
+                out[i * 2] = ring[read];
+                out[i * 2 + 1] = ring[read + 1];
+            }
+
+            return out;
+        }
+
+        /**
+         * Liga/desliga a captura por canal. Ao ligar, o que já está no ring
+         * fica com stems zerados.
+         *
+         * @param {boolean} enabled
+         */
+        setStemCapture(enabled) {
+            if (enabled && !this.stemOutput) {
+                this.stemOutput = this.channels.map(() => new Float32Array(this.output.length));
+            } else if (!enabled) {
+                this.stemOutput = null;
+            }
+        }
+
+        /**
+         * @returns {number} Frames estéreo prontos para readSamples()
+         */
+        availableFrames() {
+            return this.outputCount;
+        }
+
+        // ========== SAVE STATE ==========
+
+        getState() {
+            return {
+                ctrl: this.ctrl,
+                masterVolume: this.masterVolume,
+                irqStatus: this.irqStatus,
+                cycleAccum: this.cycleAccum,
+                channels: this.channels.map(ch => ch.getState())
+            };
+        }
+
+        setState(state) {
+            this.ctrl = state.ctrl;
+            this.masterVolume = state.masterVolume;
+            this.irqStatus = state.irqStatus;
+            this.cycleAccum = state.cycleAccum;
+            state.channels.forEach((chState, i) => this.channels[i]?.setState(chState));
+
+            // Áudio já gerado pertence à linha do tempo anterior
+            this.outputRead = 0;
+            this.outputCount = 0;
+        }
+
+        // ========== DEBUG & INFO ==========
+
+        getStatus() {
+            const formats = ["PCM8", "PCM16", "ADPCM", "?"];
+            const lines = [];
+
+            lines.push("═══ SOUND PROCESSING UNIT STATUS ═══");
+            lines.push(`SPU:           ${(this.ctrl & 0x01) ? "ENABLED" : "DISABLED"} (master ${this.masterVolume}/255, ${this.sampleRate} Hz)`);
+            lines.push(`IRQ Status:    0x${this.irqStatus.toString(16).padStart(4, '0').toUpperCase()}`);
+
+            for (const ch of this.channels) {
+                if (!ch.playing) continue;
+                lines.push(
+                    `CH${String(ch.number).padStart(2, '0')}:          ${formats[ch.format]} ` +
+                    `@0x${(ch.start >>> 0).toString(16).padStart(8, '0').toUpperCase()} ` +
+                    `${ch.sampleIndex}/${ch.length}${(ch.ctrl & 0x08) ? ` loop@${ch.loopStart}` : ""} ` +
+                    `pitch 0x${ch.pitch.toString(16)} vol ${ch.volume & 0xFF} pan ${(ch.volume >>> 8) & 0xFF}`
+                );
+            }
+
+            lines.push("");
+            lines.push(`Samples:         ${this.stats.samplesGenerated} (${this.stats.samplesDropped} descartados)`);
+            lines.push(`Buffer IRQs:     ${this.stats.bufferEndIRQs}`);
+            lines.push(`Na fila:         ${this.outputCount} frames`);
+
+            return lines.join("\n");
+        }
+    }
+
+    window.SoundProcessingUnit = SoundProcessingUnit;
+    window.SPU_REG = SPU_REG;
+
+    console.log("[PERIPHERAL] ✓ SoundProcessingUnit carregada");
+}
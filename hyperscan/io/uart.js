@@ -68,6 +68,7 @@ if (typeof UART === 'undefined') {
             this.STATUS_BREAK = 0x01;        // Bit 0: Break Detect
 
             // ========== FILA DE RECEPÇÃO ==========
+            // Bytes que chegaram com RX_BUF ainda ocupado; entram um a um a cada leitura
             this.rxQueue = [];
             this.rxIndex = 0;
 
@@ -75,6 +76,10 @@ if (typeof UART === 'undefined') {
             this.onTXData = null;  // Chamado quando dados são transmitidos
             this.onRXData = null;  // Chamado quando dados são recebidos
 
+            // ========== DISPOSITIVO SERIAL ==========
+            // Periférico na outra ponta da linha (ex.: leitor RFID)
+            this.serialDevice = null;
+
             // ========== ESTATÍSTICAS ==========
             this.stats = {
                 bytesTransmitted: 0,
@@ -83,6 +88,11 @@ if (typeof UART === 'undefined') {
                 errors: 0
             };
 
+            // ========== TIMING DE TRANSMISSÃO ==========
+            // 10 bits (8N1) a 115200 baud com clock de 33.8688 MHz
+            this.txCyclesPerByte = 2940;
+            this.txBusyCycles = 0;
+
             // ========== CONFIGURAÇÃO ==========
             this.debugEnabled = false;
             this.autoFlush = true;
@@ -121,8 +131,9 @@ if (typeof UART === 'undefined') {
             switch (offset) {
                 case 0x0000: // RX Data Register (TX_BUF/RX_BUF dual)
                     const data = this.regs.RX_BUF;
-                    // Ao ler, o hardware real limpa o bit de "Data Ready" (0x40)
-                    this.regs.STATUS &= ~this.STATUS_RX_READY;
+                    // Ao ler, o hardware real limpa o bit de "Data Ready" (0x40);
+                    // com bytes na fila, o próximo entra no buffer e o bit continua
+                    this._advanceRX();
                     
                     if (this.debugEnabled) {
                         console.log(`[UART] readU32(RX) @ 0x${offset.toString(16).padStart(4, '0')} = 0x${data.toString(16).padStart(8, '0').toUpperCase()}`);
@@ -204,11 +215,8 @@ if (typeof UART === 'undefined') {
                     // 1. Limpa o bit "Empty" (está ocupado processando)
                     this.regs.STATUS &= ~this.STATUS_TX_EMPTY;
                     
-                    // 2. Restaura o bit "Empty" após um curto período (latência de transmissão)
-                    // Isso evita que a CPU envie dados rápido demais para o buffer simulado.
-                    setTimeout(() => {
-                        this.regs.STATUS |= this.STATUS_TX_EMPTY;
-                    }, 1);
+                    // 2. O bit "Empty" volta em tick() após o tempo de um byte na linha
+                    this.txBusyCycles = this.txCyclesPerByte;
                     
                     break;
 
@@ -253,6 +261,12 @@ if (typeof UART === 'undefined') {
          * Evita sobrecarga de logs no console do navegador.
          */
         processTX(byte) {
+            // Quadros do dispositivo serial não vão para o terminal
+            if (this.serialDevice?.receive(byte)) {
+                this.stats.bytesTransmitted++;
+                return;
+            }
+
             // Converte o byte enviado pela CPU em caractere ASCII
             const char = String.fromCharCode(byte);
             this.buffer += char;
@@ -291,7 +305,7 @@ if (typeof UART === 'undefined') {
             }
 
             // 3. Integração com elemento HTML (Terminais visuais no Emulador)
-            const consoleElem = document.getElementById('uart-console');
+            const consoleElem = typeof document !== 'undefined' ? document.getElementById('uart-console') : null;
             if (consoleElem) {
                 const span = document.createElement('span');
                 span.textContent = text;
@@ -310,12 +324,15 @@ if (typeof UART === 'undefined') {
          * Envia dados para a fila de recepção
          */
         receiveData(byte) {
-            this.rxQueue.push(byte & 0xFF);
             this.stats.bytesReceived++;
 
             // Marcar que há dados disponíveis
-            this.regs.STATUS |= this.STATUS_RX_READY;
-            this.regs.RX_BUF = byte & 0xFF;
+            if (this.regs.STATUS & this.STATUS_RX_READY) {
+                this.rxQueue.push(byte & 0xFF);
+            } else {
+                this.regs.STATUS |= this.STATUS_RX_READY;
+                this.regs.RX_BUF = byte & 0xFF;
+            }
 
             if (this.debugEnabled) {
                 console.log(`[UART] RX Byte enfileirado: 0x${byte.toString(16).padStart(2, '0').toUpperCase()}`);
@@ -337,11 +354,34 @@ if (typeof UART === 'undefined') {
          * Obtém próximo byte da fila de recepção
          */
         getNextRXByte() {
+            if (!(this.regs.STATUS & this.STATUS_RX_READY)) return 0;
+
+            const data = this.regs.RX_BUF;
+            this._advanceRX();
+            return data;
+        }
+
+        /**
+         * Consome RX_BUF: carrega o próximo byte da fila ou limpa RX_READY
+         */
+        _advanceRX() {
             if (this.rxQueue.length > 0) {
-                return this.rxQueue.shift();
+                this.regs.RX_BUF = this.rxQueue.shift();
+            } else {
+                this.regs.STATUS &= ~this.STATUS_RX_READY;
             }
-            this.regs.STATUS &= ~this.STATUS_RX_READY;
-            return 0;
+        }
+
+        /**
+         * Conecta um dispositivo na linha serial. O dispositivo recebe cada
+         * byte transmitido em receive(byte) (retorna true se o byte era dele)
+         * e responde com receiveData().
+         *
+         * @param {{receive: function(number): boolean}|null} device
+         */
+        connectSerialDevice(device) {
+            this.serialDevice = device;
+            console.log(`[UART] Dispositivo serial ${device ? "conectado" : "desconectado"}`);
         }
 
         // ========== MÉTODOS AUXILIARES ==========
@@ -369,12 +409,36 @@ if (typeof UART === 'undefined') {
             }
         }
 
+        // ========== TIMING (EventScheduler) ==========
+
+        /**
+         * Avança o relógio da transmissão
+         * @param {number} cycles - Ciclos de CPU decorridos
+         */
+        tick(cycles) {
+            if (this.txBusyCycles <= 0) return;
+
+            this.txBusyCycles -= cycles;
+            if (this.txBusyCycles <= 0) {
+                this.txBusyCycles = 0;
+                this.regs.STATUS |= this.STATUS_TX_EMPTY;
+            }
+        }
+
+        /**
+         * @returns {number} Ciclos até o buffer de TX esvaziar (Infinity se ocioso)
+         */
+        cyclesUntilEvent() {
+            return this.txBusyCycles > 0 ? this.txBusyCycles : Infinity;
+        }
+
         /**
          * Reset da UART
          */
         reset() {
             this.buffer = "";
             this.rxQueue = [];
+            this.txBusyCycles = 0;
             this.regs = {
                 TX_BUF: 0x0000,
                 RX_BUF: 0x0000,
@@ -436,6 +500,7 @@ if (typeof UART === 'undefined') {
             lines.push("");
             lines.push(`TX Empty:  ${this.regs.STATUS & this.STATUS_TX_EMPTY ? "YES" : "NO"}`);
             lines.push(`RX Ready:  ${this.regs.STATUS & this.STATUS_RX_READY ? "YES" : "NO"}`);
+            lines.push(`RX Fila:   ${this.rxQueue.length} bytes`);
             lines.push(`TX Idle:   ${this.regs.STATUS & this.STATUS_TX_IDLE ? "YES" : "NO"}`);
             lines.push("");
             lines.push(`Bytes TX:  ${this.stats.bytesTransmitted}`);
@@ -463,6 +528,31 @@ if (typeof UART === 'undefined') {
             return output;
         }
 
+        /**
+         * Snapshot serializável (save state)
+         */
+        getState() {
+            return {
+                regs: { ...this.regs },
+                buffer: this.buffer,
+                rxQueue: this.rxQueue.slice(),
+                rxIndex: this.rxIndex,
+                txBusyCycles: this.txBusyCycles
+            };
+        }
+
+        /**
+         * Restaura snapshot produzido por getState()
+         */
+        setState(state) {
+            this.regs = { ...this.regs, ...state.regs };
+            this.buffer = state.buffer || "";
+            this.rxQueue = (state.rxQueue || []).slice();
+            this.rxIndex = state.rxIndex || 0;
+            this.txBusyCycles = state.txBusyCycles || 0;
+            if (this.txBusyCycles === 0) this.regs.STATUS |= this.STATUS_TX_EMPTY;
+        }
+
         /**
          * Validação de offset
          */
@@ -7,6 +7,27 @@
  * ✅ CORRIGIDO BUG #4: Switch de readU32 com alinhamento
  * ✅ ADICIONADO: Validação de bounds robusta
  * ✅ ADICIONADO: Error handling melhorado
+ * ✅ ADICIONADO: Modos indexados 1/2/4/8 bpp com CLUT mapeada em memória
+ * ✅ ADICIONADO: Renderização por scanline dirigida pelos ciclos da CPU (tick)
+ *
+ * Registradores (halfwords, offset a partir de VDU_BASE):
+ *   0x0000  CTRL       bit0 display enable, [7:4] modo de cores (VDU_COLOR_MODES),
+ *                      bit8 formato da CLUT (0=RGB565, 1=RGB555),
+ *                      bit9 transparência por índice, bit10 IRQ de line-compare
+ *   0x0002  STAT       bit0 VBlank, bit1 HBlank, bit2 line match (read-only)
+ *   0x0004  FB_ADDR_H  0x0006 FB_ADDR_L
+ *   0x0008  TRANS_KEY  [7:0] índice transparente (vira alpha 0)
+ *   0x000A  LINE       scanline atual (read-only)
+ *   0x000C  LINE_CMP   scanline que dispara o line match
+ *   0x0200  CLUT       256 entradas de 16 bits
+ *
+ * Nos modos indexados o pixel mais à esquerda fica nos bits baixos do byte.
+ *
+ * Timing: o frame tem VDU_TIMING.TOTAL_LINES linhas dividindo os ciclos do
+ * frame da CPU; cada linha tem DOTS_PER_LINE dots, dos quais os primeiros
+ * `width` são visíveis e o resto é HBlank. A linha visível é desenhada ao
+ * entrar no HBlank; ao chegar na linha `height` começa o VBlank, o frame
+ * vai para o canvas e a IRQ de VBlank é disparada.
  * 
  * Baseado em: https://github.com/LiraNuna/hyperscan-emulator
  * Compatível com: SPCE3200, Sunplus S+core, HyperScan
@@ -18,6 +39,55 @@
 "use strict";
 
 if (typeof VideoDisplayUnit === 'undefined') {
+    const VDU_REG = Object.freeze({
+        CTRL: 0x0000,
+        STAT: 0x0002,
+        FB_ADDR_H: 0x0004,
+        FB_ADDR_L: 0x0006,
+        TRANS_KEY: 0x0008,
+        LINE: 0x000A,
+        LINE_CMP: 0x000C,
+        CLUT: 0x0200,
+        CLUT_ENTRIES: 256,
+        MMIO_SIZE: 0x0400
+    });
+
+    const VDU_CTRL = Object.freeze({
+        DISPLAY_ENABLE: 0x0001,
+        MODE_SHIFT: 4,
+        MODE_MASK: 0x00F0,
+        CLUT_RGB555: 0x0100,
+        TRANS_ENABLE: 0x0200,
+        LINE_IRQ_ENABLE: 0x0400
+    });
+
+    const VDU_STAT = Object.freeze({
+        VBLANK: 0x01,
+        HBLANK: 0x02,
+        LINE_MATCH: 0x04
+    });
+
+    const VDU_TIMING = Object.freeze({
+        TOTAL_LINES: 262,
+        DOTS_PER_LINE: 400
+    });
+
+    /**
+     * Modos de cores por código do campo CTRL[7:4]
+     */
+    const VDU_COLOR_MODES = Object.freeze([
+        'RGB565', 'RGB555', 'RGBA8888', 'ARGB8888',
+        'INDEXED1', 'INDEXED2', 'INDEXED4', 'INDEXED8'
+    ]);
+
+    /**
+     * Bits por pixel de cada modo
+     */
+    const VDU_BPP = Object.freeze({
+        RGB565: 16, RGB555: 16, RGBA8888: 32, ARGB8888: 32,
+        INDEXED1: 1, INDEXED2: 2, INDEXED4: 4, INDEXED8: 8
+    });
+
     /**
      * Video Display Unit (CORRIGIDO)
      * @extends MemoryRegion
@@ -27,29 +97,39 @@ if (typeof VideoDisplayUnit === 'undefined') {
             super();
 
             // ========== CANVAS ==========
+            // Sem DOM (Node) ou com canvasId null: modo headless, o frame
+            // fica apenas no buffer RGBA em memória (getFrameBuffer)
             this.canvasId = canvasId;
-            this.canvas = document.getElementById(canvasId);
-            
-            if (!this.canvas) {
-                console.error(`[VDU] ❌ Canvas não encontrado: #${canvasId}`);
-                throw new Error(`Canvas #${canvasId} não existe`);
-            }
+            this.headless = typeof document === 'undefined' || canvasId === null;
+            this.canvas = null;
+            this.ctx = null;
 
-            this.ctx = this.canvas.getContext('2d', { 
-                alpha: false,
-                willReadFrequently: true 
-            });
+            if (!this.headless) {
+                this.canvas = document.getElementById(canvasId);
+
+                if (!this.canvas) {
+                    console.error(`[VDU] ❌ Canvas não encontrado: #${canvasId}`);
+                    throw new Error(`Canvas #${canvasId} não existe`);
+                }
 
-            if (!this.ctx) {
-                console.error("[VDU] ❌ Não foi possível obter contexto 2D");
-                throw new Error("Canvas 2D context não disponível");
+                this.ctx = this.canvas.getContext('2d', { 
+                    alpha: false,
+                    willReadFrequently: true 
+                });
+
+                if (!this.ctx) {
+                    console.error("[VDU] ❌ Não foi possível obter contexto 2D");
+                    throw new Error("Canvas 2D context não disponível");
+                }
             }
 
             // ========== RESOLUÇÃO ==========
             this.width = options.width || 320;
             this.height = options.height || 224;
-            this.canvas.width = this.width;
-            this.canvas.height = this.height;
+            if (this.canvas) {
+                this.canvas.width = this.width;
+                this.canvas.height = this.height;
+            }
 
             // ========== MODO DE CORES ==========
             // ✅ CORRIGIDO: Armazenar colorMode mas SEMPRE trabalhar com RGBA8888
@@ -60,15 +140,33 @@ if (typeof VideoDisplayUnit === 'undefined') {
 
             // ========== REGISTRADORES MMIO ==========
             this.ctrl = options.displayEnable !== false ? 0x01 : 0x01;
+            this.ctrl |= this._colorModeCode(this.colorModeSource) << VDU_CTRL.MODE_SHIFT;
             this.status = 0x00;
 
+            // ========== CLUT (MODOS INDEXADOS) ==========
+            // clutRGBA é o cache já convertido; refeito ao trocar o formato
+            this.clut = new Uint16Array(VDU_REG.CLUT_ENTRIES);
+            this.clutRGBA = new Uint32Array(VDU_REG.CLUT_ENTRIES);
+            this.transKey = 0;
+            this._rebuildCLUT();
+
+            // ========== TIMING DE SCANLINE ==========
+            this.cyclesPerFrame = options.cyclesPerFrame || 564480;
+            this.frameCycle = 0;
+            this.line = 0;
+            this.inHBlank = false;
+            this.lineCompare = 0;
+            this.irqVBlank = options.irqVBlank ?? 4;
+            this.irqLine = options.irqLine ?? 8;
+            this._frameRenderTime = 0;
+
             // ✅ CORRIGIDO: Framebuffer address (default DRAM)
             this.fbAddrHigh = (options.fbAddr >>> 16) & 0xFFFF;
             this.fbAddrLow = options.fbAddr & 0xFFFF;
             this.fbAddr = options.fbAddr || 0xA0000000;
 
             // ========== IMAGE DATA ==========
-            this.imageData = this.ctx.createImageData(this.width, this.height);
+            this.imageData = this._createImageData(this.width, this.height);
             this.imageDataU32 = new Uint32Array(this.imageData.data.buffer);
 
             // ========== ESTATÍSTICAS ==========
@@ -80,12 +178,15 @@ if (typeof VideoDisplayUnit === 'undefined') {
                 lastRenderTime: 0,
                 avgRenderTime: 0,
                 vblanks: 0,
+                lineIRQs: 0,
                 conversionErrors: 0
             };
 
             // ========== PERIFÉRICOS CONECTADOS ==========
             this.intC = null;
             this.miu = null;
+            // Com PPU habilitada, a imagem vem da composição de camadas/sprites
+            this.ppu = null;
 
             // ========== DEBUG ==========
             this.debugEnabled = options.debug || false;
@@ -95,7 +196,7 @@ if (typeof VideoDisplayUnit === 'undefined') {
             this.onVBlank = null;
             this.onStatusChange = null;
 
-            console.log(`[VDU] ✓ Video Display Unit inicializada`);
+            console.log(`[VDU] ✓ Video Display Unit inicializada${this.headless ? " (headless)" : ""}`);
             console.log(`[VDU]   Resolução: ${this.width}x${this.height}`);
             console.log(`[VDU]   Modo de cores (entrada): ${this.colorModeSource}`);
             console.log(`[VDU]   Modo de cores (saída): ${this.colorModeTarget}`);
@@ -114,6 +215,14 @@ if (typeof VideoDisplayUnit === 'undefined') {
             console.log("[VDU] MIU conectada ✓");
         }
 
+        connectPPU(ppu) {
+            this.ppu = ppu;
+            console.log("[VDU] PPU conectada ✓");
+        }
+
+        static get REG() { return VDU_REG; }
+        static get COLOR_MODES() { return VDU_COLOR_MODES; }
+
         // ========== INTERFACE MEMORYREGION ==========
 
         readU8(offset) {
@@ -129,43 +238,34 @@ if (typeof VideoDisplayUnit === 'undefined') {
         }
 
         /**
-         * ✅ CORRIGIDO: Switch com offsets alinhados corretamente
+         * Cada word cobre dois registradores de 16 bits (little-endian):
+         * readU32(0x0) = CTRL | STAT << 16, readU32(0x4) = FB_ADDR_H | FB_ADDR_L << 16
          */
         readU32(address) {
-            const offset = address & 0xFFFF;
-
-            // ✅ CORRIGIDO: Alinhamento para 2-bytes
-            const alignedOffset = offset & ~1;
-
-            switch (alignedOffset) {
-                case 0x0000:  // CTRL
-                    if (this.debugEnabled) {
-                        console.log(`[VDU] readU32(CTRL) = 0x${this.ctrl.toString(16).padStart(8, '0').toUpperCase()}`);
-                    }
-                    return this.ctrl >>> 0;
+            const offset = address & 0xFFFC;
+            const word = (this._readReg16(offset) | (this._readReg16(offset + 2) << 16)) >>> 0;
 
-                case 0x0002:  // STAT
-                    if (this.debugEnabled) {
-                        console.log(`[VDU] readU32(STAT) = 0x${this.status.toString(16).padStart(8, '0').toUpperCase()}`);
-                    }
-                    return this.status >>> 0;
+            if (this.debugEnabled) {
+                console.log(`[VDU] readU32(0x${offset.toString(16).padStart(4, '0')}) = 0x${word.toString(16).padStart(8, '0').toUpperCase()}`);
+            }
 
-                case 0x0004:  // FB_ADDR_H
-                    if (this.debugEnabled) {
-                        console.log(`[VDU] readU32(FB_ADDR_H) = 0x${this.fbAddrHigh.toString(16).padStart(8, '0').toUpperCase()}`);
-                    }
-                    return this.fbAddrHigh >>> 0;
+            return word;
+        }
 
-                case 0x0006:  // FB_ADDR_L
-                    if (this.debugEnabled) {
-                        console.log(`[VDU] readU32(FB_ADDR_L) = 0x${this.fbAddrLow.toString(16).padStart(8, '0').toUpperCase()}`);
-                    }
-                    return this.fbAddrLow >>> 0;
+        _readReg16(offset) {
+            if (offset >= VDU_REG.CLUT && offset < VDU_REG.MMIO_SIZE) {
+                return this.clut[(offset - VDU_REG.CLUT) >>> 1];
+            }
 
+            switch (offset) {
+                case VDU_REG.CTRL:      return this.ctrl & 0xFFFF;
+                case VDU_REG.STAT:      return this.status & 0xFFFF;
+                case VDU_REG.FB_ADDR_H: return this.fbAddrHigh;
+                case VDU_REG.FB_ADDR_L: return this.fbAddrLow;
+                case VDU_REG.TRANS_KEY: return this.transKey;
+                case VDU_REG.LINE:      return this.line;
+                case VDU_REG.LINE_CMP:  return this.lineCompare;
                 default:
-                    if (this.debugEnabled) {
-                        console.warn(`[VDU] readU32 - Offset desconhecido: 0x${offset.toString(16).padStart(4, '0')}`);
-                    }
                     return 0;
             }
         }
@@ -187,52 +287,79 @@ if (typeof VideoDisplayUnit === 'undefined') {
         }
 
         /**
-         * ✅ CORRIGIDO: Switch com offsets alinhados
+         * Escreve os dois registradores de 16 bits cobertos pela word
          */
         writeU32(offset, value) {
             value = value >>> 0;
-            offset = offset & 0xFFFF;
+            offset = offset & 0xFFFC;
 
-            const alignedOffset = offset & ~1;
+            this._writeReg16(offset, value & 0xFFFF);
+            this._writeReg16(offset + 2, value >>> 16);
+        }
 
-            switch (alignedOffset) {
-                case 0x0000:  // CTRL
-                    const wasEnabled = (this.ctrl & 0x01) !== 0;
-                    const isEnabled = (value & 0x01) !== 0;
+        _writeReg16(offset, value) {
+            if (offset >= VDU_REG.CLUT && offset < VDU_REG.MMIO_SIZE) {
+                this.setCLUTEntry((offset - VDU_REG.CLUT) >>> 1, value);
+                return;
+            }
+
+            switch (offset) {
+                case VDU_REG.CTRL: {
+                    const wasEnabled = (this.ctrl & VDU_CTRL.DISPLAY_ENABLE) !== 0;
+                    const isEnabled = (value & VDU_CTRL.DISPLAY_ENABLE) !== 0;
+                    const formatChanged = ((this.ctrl ^ value) & VDU_CTRL.CLUT_RGB555) !== 0;
 
                     this.ctrl = value;
-                    
+
+                    const mode = VDU_COLOR_MODES[(value & VDU_CTRL.MODE_MASK) >>> VDU_CTRL.MODE_SHIFT];
+                    if (mode) {
+                        this.colorModeSource = mode;
+                    } else if (this.debugEnabled) {
+                        console.warn(`[VDU] CTRL: código de modo de cores inválido ${(value & VDU_CTRL.MODE_MASK) >>> VDU_CTRL.MODE_SHIFT}`);
+                    }
+
+                    if (formatChanged) this._rebuildCLUT();
+
                     if (!wasEnabled && isEnabled) {
                         if (this.debugEnabled) console.log("[VDU] Display ativado");
                     } else if (wasEnabled && !isEnabled) {
                         if (this.debugEnabled) console.log("[VDU] Display desativado");
                     }
                     break;
+                }
 
-                case 0x0002:  // STAT (Read-only)
-                    if (this.debugEnabled) {
-                        console.log(`[VDU] writeU32(STAT) ignorado (read-only)`);
-                    }
+                case VDU_REG.STAT:  // Read-only
                     break;
 
-                case 0x0004:  // FB_ADDR_H
+                case VDU_REG.FB_ADDR_H:
                     this.fbAddrHigh = value & 0xFFFF;
-                    this.fbAddr = (this.fbAddrHigh << 16) | this.fbAddrLow;
+                    this.fbAddr = ((this.fbAddrHigh << 16) | this.fbAddrLow) >>> 0;
                     if (this.debugEnabled) {
                         console.log(`[VDU] FB_ADDR = 0x${this.fbAddr.toString(16).padStart(8, '0').toUpperCase()}`);
                     }
                     break;
 
-                case 0x0006:  // FB_ADDR_L
+                case VDU_REG.FB_ADDR_L:
                     this.fbAddrLow = value & 0xFFFF;
-                    this.fbAddr = (this.fbAddrHigh << 16) | this.fbAddrLow;
+                    this.fbAddr = ((this.fbAddrHigh << 16) | this.fbAddrLow) >>> 0;
                     if (this.debugEnabled) {
                         console.log(`[VDU] FB_ADDR = 0x${this.fbAddr.toString(16).padStart(8, '0').toUpperCase()}`);
                     }
                     break;
 
+                case VDU_REG.TRANS_KEY:
+                    this.transKey = value & 0xFF;
+                    break;
+
+                case VDU_REG.LINE:  // Read-only
+                    break;
+
+                case VDU_REG.LINE_CMP:
+                    this.lineCompare = value & 0x1FF;
+                    break;
+
                 default:
-                    if (this.debugEnabled) {
+                    if (this.debugEnabled && value !== 0) {
                         console.warn(`[VDU] writeU32 - Offset desconhecido: 0x${offset.toString(16).padStart(4, '0')}`);
                     }
             }
@@ -242,6 +369,9 @@ if (typeof VideoDisplayUnit === 'undefined') {
 
         /**
          * ✅ CORRIGIDO: Renderiza framebuffer com tratamento de erro robusto
+         *
+         * Frame inteiro de uma vez, fora do timing de scanline (tela após
+         * load state/rewind, screenshots). Não mexe em STAT nem gera IRQ.
          */
         render(miu = null) {
             const startTime = performance.now();
@@ -264,26 +394,28 @@ if (typeof VideoDisplayUnit === 'undefined') {
             }
 
             try {
-                // 3. Validar endereço do framebuffer
-                if (!this._validateFBAddress(miu)) {
-                    this.stats.framebufferErrors++;
-                    return false;
-                }
+                if (this.ppu && this.ppu.isEnabled()) {
+                    // 3-4. PPU compõe camadas e sprites direto no ImageData
+                    this.ppu.renderFrame(this.imageDataU32, this.width, this.height);
+                } else {
+                    // 3. Validar endereço do framebuffer
+                    if (!this._validateFBAddress(miu)) {
+                        this.stats.framebufferErrors++;
+                        return false;
+                    }
 
-                // 4. Copiar pixels da RAM
-                const success = this._copyFramebuffer(miu);
-                if (!success) {
-                    this.stats.framebufferErrors++;
-                    return false;
+                    // 4. Copiar pixels da RAM
+                    const success = this._copyFramebuffer(miu);
+                    if (!success) {
+                        this.stats.framebufferErrors++;
+                        return false;
+                    }
                 }
 
-                // 5. Enviar para Canvas
-                this.ctx.putImageData(this.imageData, 0, 0);
+                // 5. Enviar para Canvas (headless: o frame fica em imageData)
+                if (this.ctx) this.ctx.putImageData(this.imageData, 0, 0);
                 this.stats.framesRendered++;
 
-                // 6. Simular VBlank
-                this.triggerVBlank();
-
                 const endTime = performance.now();
                 this.stats.lastRenderTime = endTime - startTime;
                 
@@ -317,8 +449,7 @@ if (typeof VideoDisplayUnit === 'undefined') {
             }
 
             // Verificar se há espaço suficiente
-            const pixelCount = this.width * this.height;
-            const bytesNeeded = pixelCount * 4;  // RGBA8888 = 4 bytes/pixel
+            const bytesNeeded = this._frameBytes();
             const regionSize = region.size || (region.buffer ? region.buffer.byteLength : 0);
 
             if (offset + bytesNeeded > regionSize) {
@@ -337,8 +468,12 @@ if (typeof VideoDisplayUnit === 'undefined') {
 
         /**
          * ✅ CORRIGIDO: Copia pixels com conversão de cores correta
+         *
+         * @param {SegmentedMemoryRegion} miu
+         * @param {number} [firstLine=0] - Primeira linha a copiar
+         * @param {number} [lineCount=this.height] - Quantidade de linhas
          */
-        _copyFramebuffer(miu) {
+        _copyFramebuffer(miu, firstLine = 0, lineCount = this.height) {
             try {
                 const segment = (this.fbAddr >>> 24) & 0xFF;
                 const offset = this.fbAddr & 0xFFFFFF;
@@ -351,19 +486,21 @@ if (typeof VideoDisplayUnit === 'undefined') {
                 }
 
                 const pixelCount = this.width * this.height;
+                const first = firstLine * this.width;
+                const end = Math.min(pixelCount, first + lineCount * this.width);
 
                 // ✅ CORRIGIDO: Converter conforme colorModeSource
                 switch (this.colorModeSource) {
                     case 'RGBA8888':
                         // Cópia direta (RAM já está em RGBA8888)
                         const ramViewRGBA = new Uint32Array(region.buffer, offset, pixelCount);
-                        this.imageDataU32.set(ramViewRGBA);
+                        this.imageDataU32.set(ramViewRGBA.subarray(first, end), first);
                         break;
 
                     case 'RGB565':
                         // Converter de RGB565 (2 bytes) para RGBA8888
                         const ramView565 = new Uint16Array(region.buffer, offset, pixelCount);
-                        for (let i = 0; i < pixelCount; i++) {
+                        for (let i = first; i < end; i++) {
                             const rgb565 = ramView565[i];
                             this.imageDataU32[i] = this._rgb565ToRGBA8888(rgb565);
                         }
@@ -372,7 +509,7 @@ if (typeof VideoDisplayUnit === 'undefined') {
                     case 'RGB555':
                         // Converter de RGB555 (2 bytes) para RGBA8888
                         const ramView555 = new Uint16Array(region.buffer, offset, pixelCount);
-                        for (let i = 0; i < pixelCount; i++) {
+                        for (let i = first; i < end; i++) {
                             const rgb555 = ramView555[i];
                             this.imageDataU32[i] = this._rgb555ToRGBA8888(rgb555);
                         }
@@ -381,16 +518,23 @@ if (typeof VideoDisplayUnit === 'undefined') {
                     case 'ARGB8888':
                         // Converter de ARGB8888 para RGBA8888
                         const ramViewARGB = new Uint32Array(region.buffer, offset, pixelCount);
-                        for (let i = 0; i < pixelCount; i++) {
+                        for (let i = first; i < end; i++) {
                             const argb = ramViewARGB[i];
                             const a = (argb >>> 24) & 0xFF;
                             const r = (argb >>> 16) & 0xFF;
                             const g = (argb >>> 8) & 0xFF;
                             const b = argb & 0xFF;
-                            this.imageDataU32[i] = (r << 24) | (g << 16) | (b << 8) | a;
+                            this.imageDataU32[i] = this._packRGBA(r, g, b, a);
                         }
                         break;
 
+                    case 'INDEXED1':
+                    case 'INDEXED2':
+                    case 'INDEXED4':
+                    case 'INDEXED8':
+                        this._copyIndexed(new Uint8Array(region.buffer, offset, this._frameBytes()), VDU_BPP[this.colorModeSource], first, end);
+                        break;
+
                     default:
                         console.warn(`[VDU] ⚠️ Modo de cores desconhecido: ${this.colorModeSource}`);
                         this.stats.conversionErrors++;
@@ -406,6 +550,43 @@ if (typeof VideoDisplayUnit === 'undefined') {
             }
         }
 
+        /**
+         * Expande pixels indexados pela CLUT. Pixels com o índice de
+         * TRANS_KEY ficam com alpha 0 quando CTRL.bit9 está ligado.
+         *
+         * @param {Uint8Array} src - Framebuffer indexado
+         * @param {number} bpp - 1, 2, 4 ou 8
+         * @param {number} first - Primeiro pixel
+         * @param {number} end - Pixel final (exclusivo)
+         */
+        _copyIndexed(src, bpp, first, end) {
+            const out = this.imageDataU32;
+            const clut = this.clutRGBA;
+            const perByte = 8 / bpp;
+            const mask = (1 << bpp) - 1;
+            const transparent = (this.ctrl & VDU_CTRL.TRANS_ENABLE) !== 0;
+            const key = this.transKey;
+
+            for (let i = first; i < end; i++) {
+                const index = (src[(i / perByte) | 0] >>> ((i % perByte) * bpp)) & mask;
+                out[i] = transparent && index === key ? 0 : clut[index];
+            }
+        }
+
+        /**
+         * Bytes lidos da RAM por frame no modo atual
+         */
+        _frameBytes() {
+            return Math.ceil(this.width * this.height * VDU_BPP[this.colorModeSource] / 8);
+        }
+
+        /**
+         * ImageData.data é RGBA em bytes: o Uint32 (little-endian) é 0xAABBGGRR
+         */
+        _packRGBA(r, g, b, a = 0xFF) {
+            return ((a << 24) | (b << 16) | (g << 8) | r) >>> 0;
+        }
+
         /**
          * Converte RGB565 para RGBA8888
          */
@@ -413,9 +594,8 @@ if (typeof VideoDisplayUnit === 'undefined') {
             const r = ((rgb565 >>> 11) & 0x1F) * 255 / 31;
             const g = ((rgb565 >>> 5) & 0x3F) * 255 / 63;
             const b = (rgb565 & 0x1F) * 255 / 31;
-            const a = 0xFF;
 
-            return (Math.round(r) << 24) | (Math.round(g) << 16) | (Math.round(b) << 8) | a;
+            return this._packRGBA(Math.round(r), Math.round(g), Math.round(b));
         }
 
         /**
@@ -425,17 +605,159 @@ if (typeof VideoDisplayUnit === 'undefined') {
             const r = ((rgb555 >>> 10) & 0x1F) * 255 / 31;
             const g = ((rgb555 >>> 5) & 0x1F) * 255 / 31;
             const b = (rgb555 & 0x1F) * 255 / 31;
-            const a = 0xFF;
 
-            return (Math.round(r) << 24) | (Math.round(g) << 16) | (Math.round(b) << 8) | a;
+            return this._packRGBA(Math.round(r), Math.round(g), Math.round(b));
+        }
+
+        // ========== CLUT ==========
+
+        /**
+         * Escreve uma entrada da CLUT no formato de CTRL.bit8
+         *
+         * @param {number} index - Entrada (0-255)
+         * @param {number} color - Cor RGB565 ou RGB555
+         */
+        setCLUTEntry(index, color) {
+            index &= 0xFF;
+            this.clut[index] = color & 0xFFFF;
+            this.clutRGBA[index] = this._clutColor(this.clut[index]);
+        }
+
+        _clutColor(color) {
+            return (this.ctrl & VDU_CTRL.CLUT_RGB555)
+                ? this._rgb555ToRGBA8888(color)
+                : this._rgb565ToRGBA8888(color);
+        }
+
+        _rebuildCLUT() {
+            for (let i = 0; i < this.clut.length; i++) {
+                this.clutRGBA[i] = this._clutColor(this.clut[i]);
+            }
+        }
+
+        // ========== TIMING DE SCANLINE ==========
+
+        /**
+         * Avança a VDU pelos ciclos de CPU decorridos, processando cada
+         * início de HBlank e troca de linha no caminho
+         *
+         * @param {number} cycles - Ciclos de CPU
+         */
+        tick(cycles) {
+            this.frameCycle += cycles;
+
+            while (this.frameCycle >= this._nextEventCycle()) {
+                if (!this.inHBlank) {
+                    this._enterHBlank();
+                } else {
+                    this._nextLine();
+                }
+            }
+        }
+
+        /**
+         * @returns {number} Ciclos até o próximo evento de timing (mínimo 1)
+         */
+        cyclesUntilEvent() {
+            return Math.max(1, this._nextEventCycle() - this.frameCycle);
+        }
+
+        _lineStartCycle(line) {
+            return Math.floor(line * this.cyclesPerFrame / VDU_TIMING.TOTAL_LINES);
+        }
+
+        _nextEventCycle() {
+            const start = this._lineStartCycle(this.line);
+            const next = this._lineStartCycle(this.line + 1);
+            if (this.inHBlank) return next;
+            return start + Math.floor((next - start) * Math.min(this.width, VDU_TIMING.DOTS_PER_LINE) / VDU_TIMING.DOTS_PER_LINE);
+        }
+
+        _enterHBlank() {
+            this.inHBlank = true;
+            this.status |= VDU_STAT.HBLANK;
+
+            if (this.line < this.height) {
+                this._renderScanline(this.line);
+            }
+        }
+
+        _nextLine() {
+            this.inHBlank = false;
+            this.status &= ~VDU_STAT.HBLANK;
+            this.line++;
+
+            if (this.line >= VDU_TIMING.TOTAL_LINES) {
+                this.line = 0;
+                this.frameCycle -= this.cyclesPerFrame;
+                this.status &= ~VDU_STAT.VBLANK;
+            }
+
+            if (this.line === this.height) {
+                this.triggerVBlank();
+            }
+
+            if (this.line === this.lineCompare) {
+                this.status |= VDU_STAT.LINE_MATCH;
+                if ((this.ctrl & VDU_CTRL.LINE_IRQ_ENABLE) && this.intC) {
+                    this.intC.trigger(null, this.irqLine);
+                    this.stats.lineIRQs++;
+                }
+            } else {
+                this.status &= ~VDU_STAT.LINE_MATCH;
+            }
+        }
+
+        /**
+         * Desenha uma linha visível com o estado atual dos registradores,
+         * o que permite efeitos de raster (scroll, palette, FB_ADDR por linha)
+         */
+        _renderScanline(y) {
+            if (!(this.ctrl & VDU_CTRL.DISPLAY_ENABLE) || !this.miu) return;
+
+            const startTime = performance.now();
+
+            try {
+                if (this.ppu && this.ppu.isEnabled()) {
+                    this.ppu.renderLine(y, this.imageDataU32, y * this.width, this.width);
+                } else if (this._validateFBAddress(this.miu)) {
+                    this._copyFramebuffer(this.miu, y, 1);
+                } else {
+                    this.stats.framebufferErrors++;
+                }
+            } catch (err) {
+                console.error(`[VDU] ❌ Erro ao renderizar linha ${y}:`, err);
+                this.stats.framebufferErrors++;
+            }
+
+            this._frameRenderTime += performance.now() - startTime;
         }
 
         // ========== VBLANK & INTERRUPTS ==========
 
+        /**
+         * Início do VBlank: envia o frame montado linha a linha para o
+         * canvas e dispara a IRQ de VBlank
+         */
         triggerVBlank() {
-            this.status |= 0x01;
+            this.status |= VDU_STAT.VBLANK;
             this.stats.vblanks++;
 
+            if (this.ctrl & VDU_CTRL.DISPLAY_ENABLE) {
+                if (this.ctx) this.ctx.putImageData(this.imageData, 0, 0);
+                this.stats.framesRendered++;
+                this.stats.lastRenderTime = this._frameRenderTime;
+
+                if (this.logEveryFrame) {
+                    console.log(`[VDU] Frame ${this.stats.framesRendered} em ${this.stats.lastRenderTime.toFixed(2)}ms`);
+                }
+            }
+            this._frameRenderTime = 0;
+
+            if (this.intC) {
+                this.intC.trigger(null, this.irqVBlank);
+            }
+
             if (this.onVBlank) {
                 this.onVBlank();
             }
@@ -443,16 +765,12 @@ if (typeof VideoDisplayUnit === 'undefined') {
             if (this.onStatusChange) {
                 this.onStatusChange('vblank');
             }
-
-            setTimeout(() => {
-                this.status &= ~0x01;
-            }, 1000 / 60);
         }
 
         // ========== DEBUG & INFO ==========
 
         isValidOffset(offset) {
-            return offset >= 0 && offset <= 0x06;
+            return offset >= 0 && offset < VDU_REG.MMIO_SIZE;
         }
 
         getInfo() {
@@ -462,9 +780,13 @@ if (typeof VideoDisplayUnit === 'undefined') {
                 height: this.height,
                 framebufferAddr: `0x${this.fbAddr.toString(16).padStart(8, '0').toUpperCase()}`,
                 displayEnabled: (this.ctrl & 0x01) ? true : false,
-                inVBlank: (this.status & 0x01) ? true : false,
+                inVBlank: (this.status & VDU_STAT.VBLANK) ? true : false,
+                line: this.line,
+                lineCompare: this.lineCompare,
                 colorModeSource: this.colorModeSource,
                 colorModeTarget: this.colorModeTarget,
+                clutFormat: (this.ctrl & VDU_CTRL.CLUT_RGB555) ? 'RGB555' : 'RGB565',
+                transKey: (this.ctrl & VDU_CTRL.TRANS_ENABLE) ? this.transKey : null,
                 stats: { ...this.stats }
             };
         }
@@ -475,13 +797,19 @@ if (typeof VideoDisplayUnit === 'undefined') {
             lines.push(`Resolution:    ${this.width}x${this.height}`);
             lines.push(`FB Address:    0x${this.fbAddr.toString(16).padStart(8, '0').toUpperCase()}`);
             lines.push(`Display:       ${(this.ctrl & 0x01) ? "ENABLED" : "DISABLED"}`);
-            lines.push(`VBlank:        ${(this.status & 0x01) ? "YES" : "NO"}`);
+            lines.push(`VBlank:        ${(this.status & VDU_STAT.VBLANK) ? "YES" : "NO"}`);
+            lines.push(`Scanline:      ${this.line}/${VDU_TIMING.TOTAL_LINES}${this.inHBlank ? " (HBlank)" : ""}, compare ${this.lineCompare}${(this.ctrl & VDU_CTRL.LINE_IRQ_ENABLE) ? " (IRQ)" : ""}`);
             lines.push(`Color Mode:    ${this.colorModeSource} → ${this.colorModeTarget}`);
+            if (VDU_BPP[this.colorModeSource] <= 8) {
+                lines.push(`CLUT:          ${(this.ctrl & VDU_CTRL.CLUT_RGB555) ? 'RGB555' : 'RGB565'}, ` +
+                    `transparência ${(this.ctrl & VDU_CTRL.TRANS_ENABLE) ? `índice ${this.transKey}` : 'OFF'}`);
+            }
             lines.push("");
             lines.push(`Frames Rendered: ${this.stats.framesRendered}`);
             lines.push(`FB Errors:       ${this.stats.framebufferErrors}`);
             lines.push(`Bounds Errors:   ${this.stats.boundsErrors}`);
             lines.push(`Conv Errors:     ${this.stats.conversionErrors}`);
+            lines.push(`Line IRQs:       ${this.stats.lineIRQs}`);
             lines.push(`Last Render:     ${this.stats.lastRenderTime.toFixed(2)}ms`);
 
             return lines.join("\n");
@@ -502,36 +830,114 @@ if (typeof VideoDisplayUnit === 'undefined') {
         }
 
         clear(r = 0, g = 0, b = 0, a = 255) {
-            const color = (r << 24) | (g << 16) | (b << 8) | a;
+            const color = this._packRGBA(r, g, b, a);
             this.imageDataU32.fill(color);
-            this.ctx.putImageData(this.imageData, 0, 0);
+            if (this.ctx) this.ctx.putImageData(this.imageData, 0, 0);
         }
 
         setResolution(w, h) {
             if (w !== this.width || h !== this.height) {
                 this.width = w;
                 this.height = h;
-                this.canvas.width = w;
-                this.canvas.height = h;
-                this.imageData = this.ctx.createImageData(this.width, this.height);
+                if (this.canvas) {
+                    this.canvas.width = w;
+                    this.canvas.height = h;
+                }
+                this.imageData = this._createImageData(this.width, this.height);
                 this.imageDataU32 = new Uint32Array(this.imageData.data.buffer);
                 console.log(`[VDU] Resolução alterada para ${w}x${h}`);
             }
         }
 
+        /**
+         * Cria o buffer de saída: ImageData do canvas ou, em headless,
+         * um objeto equivalente { width, height, data: Uint8ClampedArray }
+         */
+        _createImageData(width, height) {
+            if (this.ctx) {
+                return this.ctx.createImageData(width, height);
+            }
+            return { width, height, data: new Uint8ClampedArray(width * height * 4) };
+        }
+
+        /**
+         * Último frame renderizado em RGBA8888 (4 bytes por pixel)
+         *
+         * @returns {{width: number, height: number, data: Uint8ClampedArray}}
+         */
+        getFrameBuffer() {
+            return this.imageData;
+        }
+
+        /**
+         * Seleciona o formato do framebuffer (mesmo efeito de CTRL[7:4])
+         *
+         * @param {string} mode - Um de VDU_COLOR_MODES
+         */
         setColorMode(mode) {
-            const validModes = ['RGBA8888', 'RGB565', 'RGB555', 'ARGB8888'];
-            if (validModes.includes(mode)) {
+            if (VDU_COLOR_MODES.includes(mode)) {
                 this.colorModeSource = mode;
+                this.ctrl = (this.ctrl & ~VDU_CTRL.MODE_MASK) | (this._colorModeCode(mode) << VDU_CTRL.MODE_SHIFT);
                 console.log(`[VDU] Modo de cores (entrada) alterado para ${mode}`);
             } else {
                 console.warn(`[VDU] ⚠️ Modo de cores inválido: ${mode}`);
             }
         }
 
+        _colorModeCode(mode) {
+            return Math.max(0, VDU_COLOR_MODES.indexOf(mode));
+        }
+
+        // ========== SAVE STATE ==========
+
+        getState() {
+            return {
+                ctrl: this.ctrl,
+                status: this.status,
+                fbAddr: this.fbAddr >>> 0,
+                fbAddrHigh: this.fbAddrHigh,
+                fbAddrLow: this.fbAddrLow,
+                width: this.width,
+                height: this.height,
+                colorModeSource: this.colorModeSource,
+                transKey: this.transKey,
+                clut: Array.from(this.clut),
+                frameCycle: this.frameCycle,
+                line: this.line,
+                inHBlank: this.inHBlank,
+                lineCompare: this.lineCompare
+            };
+        }
+
+        setState(state) {
+            this.setResolution(state.width, state.height);
+            this.setColorMode(state.colorModeSource);
+            this.ctrl = state.ctrl;
+            this.status = state.status;
+            this.fbAddr = state.fbAddr >>> 0;
+            this.fbAddrHigh = state.fbAddrHigh;
+            this.fbAddrLow = state.fbAddrLow;
+            this.transKey = state.transKey ?? 0;
+            this.clut.fill(0);
+            if (state.clut) this.clut.set(state.clut);
+            this._rebuildCLUT();
+            this.frameCycle = state.frameCycle ?? 0;
+            this.line = state.line ?? 0;
+            this.inHBlank = state.inHBlank ?? false;
+            this.lineCompare = state.lineCompare ?? 0;
+        }
+
         reset() {
-            this.ctrl = 0x01;
+            this.ctrl = 0x01 | (this._colorModeCode(this.colorModeSource) << VDU_CTRL.MODE_SHIFT);
             this.status = 0x00;
+            this.transKey = 0;
+            this.clut.fill(0);
+            this._rebuildCLUT();
+            this.frameCycle = 0;
+            this.line = 0;
+            this.inHBlank = false;
+            this.lineCompare = 0;
+            this._frameRenderTime = 0;
             this.fbAddr = 0xA0000000;
             this.fbAddrHigh = 0xA000;
             this.fbAddrLow = 0x0000;
@@ -543,6 +949,7 @@ if (typeof VideoDisplayUnit === 'undefined') {
                 lastRenderTime: 0,
                 avgRenderTime: 0,
                 vblanks: 0,
+                lineIRQs: 0,
                 conversionErrors: 0
             };
             this.clear();
@@ -551,6 +958,7 @@ if (typeof VideoDisplayUnit === 'undefined') {
     }
 
     window.VideoDisplayUnit = VideoDisplayUnit;
+    window.VDU_REG = VDU_REG;
 
     console.log("[VDU] ✓ VideoDisplayUnit carregada v2.1");
     console.log("[VDU] ✅ BUG #1 CORRIGIDO: ColorMode sempre converte TO RGBA8888");
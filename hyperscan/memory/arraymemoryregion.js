@@ -25,6 +25,16 @@
  * @extends MemoryRegion
  */
 if (typeof ArrayMemoryRegion === 'undefined') {
+    // Tabela do CRC32 (polinômio refletido 0xEDB88320), um byte por passo
+    const CRC32_TABLE = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+        }
+        CRC32_TABLE[n] = c >>> 0;
+    }
+
     class ArrayMemoryRegion extends MemoryRegion {
         /**
          * Cria uma nova região de memória baseada em TypedArray
@@ -102,6 +112,19 @@ if (typeof ArrayMemoryRegion === 'undefined') {
                 lastReadAddr: 0,
                 lastWriteAddr: 0
             };
+
+            /**
+             * Páginas escritas desde o último clearDirty() (1 byte por página).
+             * null enquanto o rastreamento estiver desligado.
+             * @type {Uint8Array|null}
+             */
+            this.dirtyPages = null;
+
+            /**
+             * log2 do tamanho da página rastreada
+             * @type {number}
+             */
+            this.pageShift = 12;
         }
 
         // ========== LEITURA ==========
@@ -192,6 +215,7 @@ if (typeof ArrayMemoryRegion === 'undefined') {
             this._onBeforeWrite(offset, 1, value);
             
             this.u8[offset & (this.u8.length - 1)] = value;
+            if (this.dirtyPages !== null) this.dirtyPages[(offset & (this.u8.length - 1)) >>> this.pageShift] = 1;
             
             this.stats.writes8++;
             this.stats.lastWriteAddr = offset;
@@ -217,6 +241,7 @@ if (typeof ArrayMemoryRegion === 'undefined') {
             this._onBeforeWrite(offset, 2, value);
             
             this.u16[index] = value;
+            if (this.dirtyPages !== null) this.dirtyPages[(index << 1) >>> this.pageShift] = 1;
             
             this.stats.writes16++;
             this.stats.lastWriteAddr = offset;
@@ -242,6 +267,7 @@ if (typeof ArrayMemoryRegion === 'undefined') {
             this._onBeforeWrite(offset, 4, value);
             
             this.u32[index] = value;
+            if (this.dirtyPages !== null) this.dirtyPages[(index << 2) >>> this.pageShift] = 1;
             
             this.stats.writes32++;
             this.stats.lastWriteAddr = offset;
@@ -265,6 +291,7 @@ if (typeof ArrayMemoryRegion === 'undefined') {
             console.log(`[MEM] Preenchendo ${count} words com 0x${value.toString(16).padStart(8, '0')}`);
             
             this.u32.fill(value, start, start + count);
+            this.markDirty(start << 2, count << 2);
         }
 
         /**
@@ -289,6 +316,8 @@ if (typeof ArrayMemoryRegion === 'undefined') {
             } else {
                 throw new TypeError("load: data deve ser Uint8Array, ArrayBuffer ou Array");
             }
+
+            this.markDirty(offset, data.length ?? data.byteLength);
         }
 
         /**
@@ -312,6 +341,47 @@ if (typeof ArrayMemoryRegion === 'undefined') {
             const start = offset >>> 2;
             const count = (size >>> 2);
             this.u32.fill(0, start, start + count);
+            this.markDirty(start << 2, count << 2);
+        }
+
+        // ========== RASTREAMENTO DE PÁGINAS SUJAS ==========
+
+        /**
+         * Liga o rastreamento de páginas escritas (usado pelo rewind)
+         *
+         * @param {number} [pageSize=4096] - Tamanho da página (potência de 2)
+         */
+        enableDirtyTracking(pageSize = 4096) {
+            this.pageShift = Math.log2(pageSize) | 0;
+            this.dirtyPages = new Uint8Array(Math.ceil(this.u8.length / pageSize));
+        }
+
+        /**
+         * Desliga o rastreamento de páginas
+         */
+        disableDirtyTracking() {
+            this.dirtyPages = null;
+        }
+
+        /**
+         * Marca como sujas as páginas que cobrem um intervalo
+         *
+         * @param {number} offset - Offset inicial
+         * @param {number} size - Número de bytes
+         */
+        markDirty(offset, size) {
+            if (this.dirtyPages === null || size <= 0) return;
+
+            const first = offset >>> this.pageShift;
+            const last = Math.min((offset + size - 1) >>> this.pageShift, this.dirtyPages.length - 1);
+            this.dirtyPages.fill(1, first, last + 1);
+        }
+
+        /**
+         * Limpa as marcas de páginas sujas
+         */
+        clearDirty() {
+            if (this.dirtyPages !== null) this.dirtyPages.fill(0);
         }
 
         // ========== DEBUG E ANÁLISE ==========
@@ -397,14 +467,21 @@ if (typeof ArrayMemoryRegion === 'undefined') {
          * @returns {number} Valor CRC32
          */
         crc32(startOffset = 0, size = this.size) {
-            let crc = 0xFFFFFFFF;
             const end = Math.min(startOffset + size, this.u8.length);
+            return ArrayMemoryRegion.crc32(this.u8.subarray(startOffset, end));
+        }
 
-            for (let i = startOffset; i < end; i++) {
-                crc = crc ^ this.u8[i];
-                for (let j = 0; j < 8; j++) {
-                    crc = (crc >>> 1) ^ ((crc & 1) ? 0xEDB88320 : 0);
-                }
+        /**
+         * CRC32 (IEEE) de um bloco de bytes qualquer (ROMs, ELFs, seções de save state)
+         *
+         * @param {Uint8Array} bytes
+         * @returns {number} Valor CRC32
+         */
+        static crc32(bytes) {
+            let crc = 0xFFFFFFFF;
+
+            for (let i = 0; i < bytes.length; i++) {
+                crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
             }
 
             return (crc ^ 0xFFFFFFFF) >>> 0;
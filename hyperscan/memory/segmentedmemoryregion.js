@@ -44,6 +44,12 @@ if (typeof SegmentedMemoryRegion === 'undefined') {
              */
             this.segmentNames = new Map();
 
+            /**
+             * Wait states por segmento (ciclos extras por acesso)
+             * @type {Uint8Array}
+             */
+            this.waitStates = new Uint8Array(256);
+
             /**
              * Contadores de acesso por segmento
              * @type {Object}
@@ -63,6 +69,25 @@ if (typeof SegmentedMemoryRegion === 'undefined') {
              */
             this.logUnmappedAccess = true;
 
+            /**
+             * Watchpoints de dados: { id, start, end, access, size, value, mask, enabled, hits }
+             * @type {Object[]}
+             */
+            this.watchpoints = [];
+
+            /**
+             * PC da instrução em execução, armado pela CPU só durante o
+             * execute: fetch, DMA e leituras do debugger não disparam watchpoints
+             * @type {number|null}
+             */
+            this.accessPC = null;
+
+            /**
+             * Primeiro watchpoint disparado desde a última consulta (o engine limpa)
+             * @type {Object|null}
+             */
+            this.watchHit = null;
+
             console.log("[MIU] ✓ Memory Interface Unit inicializada (256 segmentos)");
         }
 
@@ -162,6 +187,72 @@ if (typeof SegmentedMemoryRegion === 'undefined') {
             return ((segment & 0xFF) << 24) | (offset & 0xFFFFFF);
         }
 
+        /**
+         * Define os wait states de um segmento
+         *
+         * @param {number} segment - Número do segmento (0-255)
+         * @param {number} cycles - Ciclos extras por acesso
+         */
+        setWaitStates(segment, cycles) {
+            this.waitStates[segment & 0xFF] = cycles;
+        }
+
+        /**
+         * Retorna os wait states do segmento de um endereço
+         *
+         * @param {number} address - Endereço de 32 bits
+         * @returns {number} Ciclos extras por acesso
+         */
+        getWaitStates(address) {
+            return this.waitStates[this.getSegment(address)];
+        }
+
+        /**
+         * Verifica se o endereço cai em um segmento mapeado
+         *
+         * @param {number} address - Endereço de 32 bits
+         * @returns {boolean} true se há região no segmento
+         */
+        isMapped(address) {
+            return !!this.segments[this.getSegment(address)];
+        }
+
+        /**
+         * Snapshot do mapeamento (nomes por segmento e wait states).
+         * O conteúdo das regiões é serializado por quem as possui.
+         *
+         * @returns {Object} Estado serializável
+         */
+        getState() {
+            const segments = {};
+            for (let i = 0; i < 256; i++) {
+                if (this.segments[i]) segments[i] = this.segmentNames.get(i) || "";
+            }
+            return {
+                segments,
+                waitStates: Array.from(this.waitStates)
+            };
+        }
+
+        /**
+         * Restaura wait states e confere se o mapeamento é o mesmo do snapshot
+         *
+         * @param {Object} state - Estado produzido por getState()
+         * @returns {boolean} true se o mapeamento confere
+         */
+        setState(state) {
+            this.waitStates.set(state.waitStates);
+
+            const current = this.getState().segments;
+            const same = Object.keys(state.segments).length === Object.keys(current).length &&
+                Object.keys(state.segments).every(k => current[k] === state.segments[k]);
+
+            if (!same) {
+                console.warn("[MIU] ⚠️ Mapeamento de segmentos difere do save state");
+            }
+            return same;
+        }
+
         // ========== LEITURA ==========
 
         /**
@@ -194,7 +285,12 @@ if (typeof SegmentedMemoryRegion === 'undefined') {
 
             this.segmentStats[segment] = this.segmentStats[segment] || {};
             this.segmentStats[segment].reads = (this.segmentStats[segment].reads || 0) + 1;
-            return region.readU8(offset);
+            const value = region.readU8(offset);
+
+            if (this.accessPC !== null && this.watchpoints.length !== 0) {
+                this.checkWatchpoints("r", address, 1, value);
+            }
+            return value;
         }
 
         /**
@@ -227,7 +323,12 @@ if (typeof SegmentedMemoryRegion === 'undefined') {
 
             this.segmentStats[segment] = this.segmentStats[segment] || {};
             this.segmentStats[segment].reads = (this.segmentStats[segment].reads || 0) + 1;
-            return region.readU16(offset);
+            const value = region.readU16(offset);
+
+            if (this.accessPC !== null && this.watchpoints.length !== 0) {
+                this.checkWatchpoints("r", address, 2, value);
+            }
+            return value;
         }
 
         /**
@@ -260,7 +361,12 @@ if (typeof SegmentedMemoryRegion === 'undefined') {
 
             this.segmentStats[segment] = this.segmentStats[segment] || {};
             this.segmentStats[segment].reads = (this.segmentStats[segment].reads || 0) + 1;
-            return region.readU32(offset);
+            const value = region.readU32(offset);
+
+            if (this.accessPC !== null && this.watchpoints.length !== 0) {
+                this.checkWatchpoints("r", address, 4, value);
+            }
+            return value;
         }
 
         // ========== ESCRITA ==========
@@ -298,6 +404,10 @@ if (typeof SegmentedMemoryRegion === 'undefined') {
 
             this.segmentStats[segment] = this.segmentStats[segment] || {};
             this.segmentStats[segment].writes = (this.segmentStats[segment].writes || 0) + 1;
+
+            if (this.accessPC !== null && this.watchpoints.length !== 0) {
+                this.checkWatchpoints("w", address, 1, value & 0xFF);
+            }
             region.writeU8(offset, value);
         }
 
@@ -334,6 +444,10 @@ if (typeof SegmentedMemoryRegion === 'undefined') {
 
             this.segmentStats[segment] = this.segmentStats[segment] || {};
             this.segmentStats[segment].writes = (this.segmentStats[segment].writes || 0) + 1;
+
+            if (this.accessPC !== null && this.watchpoints.length !== 0) {
+                this.checkWatchpoints("w", address, 2, value & 0xFFFF);
+            }
             region.writeU16(offset, value);
         }
 
@@ -370,9 +484,98 @@ if (typeof SegmentedMemoryRegion === 'undefined') {
 
             this.segmentStats[segment] = this.segmentStats[segment] || {};
             this.segmentStats[segment].writes = (this.segmentStats[segment].writes || 0) + 1;
+
+            if (this.accessPC !== null && this.watchpoints.length !== 0) {
+                this.checkWatchpoints("w", address, 4, value >>> 0);
+            }
             region.writeU32(offset, value);
         }
 
+        // ========== WATCHPOINTS ==========
+
+        /**
+         * Adiciona um watchpoint de dados
+         *
+         * @param {Object} options
+         * @param {number} options.start - Primeiro endereço
+         * @param {number} [options.end=start] - Último endereço (inclusivo)
+         * @param {string} [options.access="w"] - "r", "w" ou "rw"
+         * @param {number} [options.size=0] - Tamanho do acesso (1, 2, 4; 0 = qualquer)
+         * @param {number|null} [options.value=null] - Dispara só se (valor & mask) === (value & mask)
+         * @param {number} [options.mask=0xFFFFFFFF]
+         * @returns {Object} Watchpoint criado
+         */
+        addWatchpoint({ start, end = start, access = "w", size = 0, value = null, mask = 0xFFFFFFFF }) {
+            if (!["r", "w", "rw"].includes(access)) {
+                throw new RangeError(`Acesso deve ser "r", "w" ou "rw", recebido ${access}`);
+            }
+            if (![0, 1, 2, 4].includes(size)) {
+                throw new RangeError(`Tamanho deve ser 1, 2 ou 4 (0 = qualquer), recebido ${size}`);
+            }
+
+            start >>>= 0;
+            end >>>= 0;
+            if (end < start) throw new RangeError("Fim do intervalo antes do início");
+
+            const watchpoint = {
+                id: this.watchpoints.reduce((max, w) => Math.max(max, w.id), 0) + 1,
+                start,
+                end,
+                access,
+                size,
+                value: value === null ? null : (value & mask) >>> 0,
+                mask: mask >>> 0,
+                enabled: true,
+                hits: 0
+            };
+
+            this.watchpoints.push(watchpoint);
+            return watchpoint;
+        }
+
+        /**
+         * @param {number} id
+         * @returns {boolean} true se existia
+         */
+        removeWatchpoint(id) {
+            const index = this.watchpoints.findIndex(w => w.id === id);
+            if (index < 0) return false;
+
+            this.watchpoints.splice(index, 1);
+            return true;
+        }
+
+        clearWatchpoints() {
+            this.watchpoints = [];
+            this.watchHit = null;
+        }
+
+        /**
+         * Confere um acesso contra os watchpoints. Escritas são conferidas
+         * antes de gravar, com o valor novo.
+         *
+         * @param {string} access - "r" ou "w"
+         * @param {number} address
+         * @param {number} size - 1, 2 ou 4
+         * @param {number} value - Valor lido ou a escrever
+         * @private
+         */
+        checkWatchpoints(access, address, size, value) {
+            const last = address + size - 1;
+
+            for (const w of this.watchpoints) {
+                if (!w.enabled || !w.access.includes(access)) continue;
+                if (last < w.start || address > w.end) continue;
+                if (w.size !== 0 && w.size !== size) continue;
+                if (w.value !== null && ((value & w.mask) >>> 0) !== w.value) continue;
+
+                w.hits++;
+                if (!this.watchHit) {
+                    this.watchHit = { id: w.id, access, address, size, value, pc: this.accessPC };
+                }
+            }
+        }
+
         // ========== OPERAÇÕES EM BLOCO ==========
 
         /**
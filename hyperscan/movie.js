@@ -0,0 +1,195 @@
+/**
+ * movie.js - Input movie (entrada dos controles por frame)
+ *
+ * Um movie começa no power-on (reset) e guarda, para cada frame, a
+ * máscara de PAD_BUTTON de cada jogador, mais o hash do estado da máquina
+ * a cada `hashInterval` frames. No replay o engine injeta a entrada do
+ * movie no lugar da do host e compara os hashes para detectar desync.
+ *
+ * Layout do arquivo .hsm (little-endian), no mesmo molde do save state:
+ *   0x00  "HSMV"            magic
+ *   0x04  u16 version
+ *   0x06  u16 players
+ *   0x08  u32 headerLength  tamanho do header JSON (UTF-8)
+ *   0x0C  header JSON       { romName, romCRC, frames, hashInterval, hashes, createdAt }
+ *   ....  entrada           u16 por jogador por frame
+ *
+ * Autor: Ccor444
+ */
+
+"use strict";
+
+if (typeof InputMovie === 'undefined') {
+    const FNV_OFFSET = 0x811C9DC5;
+    const FNV_PRIME = 0x01000193;
+
+    class InputMovie {
+        static get MAGIC() { return "HSMV"; }
+        static get VERSION() { return 1; }
+
+        /**
+         * @param {Object} [options]
+         * @param {string} [options.romName]
+         * @param {number} [options.romCRC]
+         * @param {number} [options.players=2]
+         * @param {number} [options.hashInterval=60] - Frames entre hashes de estado
+         */
+        constructor(options = {}) {
+            this.romName = options.romName || "";
+            this.romCRC = options.romCRC >>> 0;
+            this.players = options.players || 2;
+            this.hashInterval = Math.max(1, options.hashInterval || 60);
+            this.createdAt = options.createdAt || new Date().toISOString();
+
+            /** Entrada intercalada por jogador: [f0p0, f0p1, f1p0, ...] */
+            this.inputs = [];
+
+            /**
+             * Hash do estado no início do frame: índice do frame -> hash
+             * @type {Object<number, number>}
+             */
+            this.hashes = {};
+        }
+
+        /**
+         * @returns {number} Frames gravados
+         */
+        get length() {
+            return this.inputs.length / this.players;
+        }
+
+        /**
+         * Grava (ou regrava) a entrada de um frame. Frames posteriores
+         * são descartados: gravar de novo após um rewind corta o movie.
+         *
+         * @param {number} frame - Índice a partir do power-on
+         * @param {number[]} masks - Uma máscara por jogador
+         */
+        setFrame(frame, masks) {
+            this.truncate(frame);
+            for (let p = 0; p < this.players; p++) {
+                this.inputs.push((masks[p] || 0) & 0xFFFF);
+            }
+        }
+
+        /**
+         * @param {number} frame
+         * @returns {number[]} Máscaras por jogador (zeros fora do movie)
+         */
+        getFrame(frame) {
+            const base = frame * this.players;
+            return Array.from({ length: this.players }, (_, p) => this.inputs[base + p] || 0);
+        }
+
+        /**
+         * Mantém só os frames anteriores a `frame` (e seus hashes)
+         *
+         * @param {number} frame
+         */
+        truncate(frame) {
+            this.inputs.length = Math.min(this.inputs.length, Math.max(0, frame) * this.players);
+
+            for (const key of Object.keys(this.hashes)) {
+                if (Number(key) > frame) delete this.hashes[key];
+            }
+        }
+
+        // ========== ARQUIVO ==========
+
+        /**
+         * @returns {Uint8Array} Arquivo .hsm
+         */
+        encode() {
+            const header = new TextEncoder().encode(JSON.stringify({
+                romName: this.romName,
+                romCRC: this.romCRC,
+                frames: this.length,
+                hashInterval: this.hashInterval,
+                hashes: this.hashes,
+                createdAt: this.createdAt
+            }));
+
+            const out = new Uint8Array(12 + header.length + this.inputs.length * 2);
+            const view = new DataView(out.buffer);
+
+            for (let i = 0; i < 4; i++) out[i] = InputMovie.MAGIC.charCodeAt(i);
+            view.setUint16(4, InputMovie.VERSION, true);
+            view.setUint16(6, this.players, true);
+            view.setUint32(8, header.length, true);
+            out.set(header, 12);
+
+            let p = 12 + header.length;
+            for (const mask of this.inputs) {
+                view.setUint16(p, mask, true);
+                p += 2;
+            }
+
+            return out;
+        }
+
+        /**
+         * @param {Uint8Array|ArrayBuffer} data - Arquivo .hsm
+         * @returns {InputMovie}
+         * @throws {Error} Se o magic ou a versão forem inválidos
+         */
+        static decode(data) {
+            const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+            const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+            const magic = String.fromCharCode(bytes[0], bytes[1], bytes[2], bytes[3]);
+            if (bytes.length < 12 || magic !== InputMovie.MAGIC) {
+                throw new Error("Movie inválido (magic incorreto)");
+            }
+
+            const version = view.getUint16(4, true);
+            if (version > InputMovie.VERSION) {
+                throw new Error(`Movie v${version} não suportado (máximo v${InputMovie.VERSION})`);
+            }
+
+            const players = view.getUint16(6, true);
+            const headerLength = view.getUint32(8, true);
+            const header = JSON.parse(new TextDecoder().decode(bytes.subarray(12, 12 + headerLength)));
+
+            const movie = new InputMovie({ ...header, players });
+            movie.hashes = header.hashes || {};
+
+            const count = header.frames * players;
+            const start = 12 + headerLength;
+            if (bytes.length < start + count * 2) {
+                throw new Error("Movie truncado");
+            }
+
+            for (let i = 0; i < count; i++) {
+                movie.inputs.push(view.getUint16(start + i * 2, true));
+            }
+
+            return movie;
+        }
+
+        // ========== HASH ==========
+
+        /**
+         * FNV-1a de 32 bits, incremental
+         *
+         * @param {Uint32Array|Uint8Array|string} data - Words, bytes ou texto
+         * @param {number} [hash] - Hash anterior (encadeamento)
+         * @returns {number}
+         */
+        static hash(data, hash = FNV_OFFSET) {
+            if (typeof data === 'string') {
+                for (let i = 0; i < data.length; i++) {
+                    hash = Math.imul(hash ^ data.charCodeAt(i), FNV_PRIME);
+                }
+            } else {
+                for (let i = 0; i < data.length; i++) {
+                    hash = Math.imul(hash ^ data[i], FNV_PRIME);
+                }
+            }
+            return hash >>> 0;
+        }
+    }
+
+    window.InputMovie = InputMovie;
+
+    console.log("[MOVIE] ✓ InputMovie carregado");
+}
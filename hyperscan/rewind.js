@@ -0,0 +1,239 @@
+/**
+ * rewind.js - Buffer de rewind baseado em save states incrementais
+ *
+ * Cada entrada do ring buffer guarda o estado dos componentes (o mesmo
+ * objeto "meta" do save state) e um delta de memória: o conteúdo, no
+ * instante da entrada, das páginas que mudaram até a entrada seguinte.
+ * Uma cópia "sombra" da memória no instante da última captura permite
+ * montar esse delta sem copiar a DRAM inteira a cada frame.
+ *
+ * Regiões com dirtyPages (ArrayMemoryRegion) só comparam as páginas
+ * marcadas; as demais comparam todas as páginas com a sombra.
+ *
+ * Autor: Ccor444
+ */
+
+"use strict";
+
+if (typeof RewindBuffer === 'undefined') {
+    class RewindBuffer {
+        /**
+         * @param {Object} [options]
+         * @param {number} [options.capacity=600] - Máximo de entradas no ring
+         * @param {number} [options.maxBytes=33554432] - Orçamento para os deltas de memória
+         * @param {number} [options.pageSize=4096] - Granularidade dos deltas
+         */
+        constructor(options = {}) {
+            this.capacity = options.capacity ?? 600;
+            this.maxBytes = options.maxBytes ?? 32 * 1024 * 1024;
+            this.pageSize = options.pageSize ?? 4096;
+
+            /**
+             * Regiões rastreadas: { name, bytes, source, shadow }
+             * @type {Object[]}
+             */
+            this.regions = [];
+
+            /**
+             * Ring buffer de entradas { frame, meta, pages: [{ region, page, data }], bytes }
+             * @type {Array<Object|null>}
+             */
+            this.entries = new Array(this.capacity).fill(null);
+            this.head = 0;
+            this.count = 0;
+            this.totalBytes = 0;
+        }
+
+        // ========== REGIÕES ==========
+
+        /**
+         * Define as regiões de memória rastreadas e zera o buffer
+         *
+         * @param {Object<string, ArrayMemoryRegion|Uint8Array>} regions - Regiões por nome
+         */
+        attach(regions) {
+            this.regions = Object.entries(regions).map(([name, region]) => {
+                const isRegion = !(region instanceof Uint8Array);
+                const bytes = isRegion ? region.u8 : region;
+
+                if (isRegion && region.enableDirtyTracking) {
+                    region.enableDirtyTracking(this.pageSize);
+                }
+
+                return {
+                    name,
+                    bytes,
+                    source: isRegion ? region : null,
+                    shadow: new Uint8Array(bytes.length)
+                };
+            });
+
+            this.clear();
+            console.log(`[REWIND] ✓ ${this.regions.length} regiões rastreadas (${this.capacity} frames, ${(this.maxBytes / (1024 * 1024)).toFixed(0)} MB)`);
+        }
+
+        /**
+         * Descarta o histórico; a próxima captura vira a nova base
+         */
+        clear() {
+            this.entries.fill(null);
+            this.head = 0;
+            this.count = 0;
+            this.totalBytes = 0;
+        }
+
+        // ========== CAPTURA ==========
+
+        /**
+         * Captura o estado atual como a entrada mais nova
+         *
+         * @param {number} frame - Número do frame capturado
+         * @param {Object} meta - Estado dos componentes (CPU, periféricos, clock)
+         */
+        capture(frame, meta) {
+            if (this.count === 0) {
+                // Primeira captura: sincroniza a sombra inteira
+                for (const region of this.regions) {
+                    region.shadow.set(region.bytes);
+                    if (region.source) region.source.clearDirty();
+                }
+            } else {
+                const newest = this._at(this.count - 1);
+                newest.pages = this._collectChanges(true);
+                newest.bytes = newest.pages.length * this.pageSize;
+                this.totalBytes += newest.bytes;
+            }
+
+            if (this.count === this.capacity) {
+                this._dropOldest();
+            }
+
+            this.entries[(this.head + this.count) % this.capacity] = { frame, meta, pages: [], bytes: 0 };
+            this.count++;
+
+            while (this.totalBytes > this.maxBytes && this.count > 1) {
+                this._dropOldest();
+            }
+        }
+
+        // ========== REWIND ==========
+
+        /**
+         * Volta para a entrada mais nova com frame <= targetFrame
+         * (ou a mais antiga disponível). Entradas posteriores são descartadas.
+         *
+         * @param {number} targetFrame - Frame desejado
+         * @returns {Object|null} Entrada restaurada ({ frame, meta }) ou null se vazio
+         */
+        rewindTo(targetFrame) {
+            if (this.count === 0) return null;
+
+            let index = this.count - 1;
+            while (index > 0 && this._at(index).frame > targetFrame) {
+                index--;
+            }
+
+            // 1. Desfaz o que mudou desde a última captura (volta à entrada mais nova)
+            this._collectChanges(false);
+
+            // 2. Aplica os deltas da mais nova até a entrada alvo
+            for (let i = this.count - 2; i >= index; i--) {
+                for (const { region, page, data } of this._at(i).pages) {
+                    const start = page * this.pageSize;
+                    this.regions[region].bytes.set(data, start);
+                    this.regions[region].shadow.set(data, start);
+                }
+            }
+
+            for (let i = this.count - 1; i > index; i--) {
+                this.totalBytes -= this._at(i).bytes;
+                this.entries[(this.head + i) % this.capacity] = null;
+            }
+
+            const target = this._at(index);
+            this.totalBytes -= target.bytes;
+            target.pages = [];
+            target.bytes = 0;
+            this.count = index + 1;
+
+            for (const region of this.regions) {
+                if (region.source) region.source.clearDirty();
+            }
+
+            return target;
+        }
+
+        /**
+         * @returns {{frames: number, oldestFrame: number, newestFrame: number, bytes: number}}
+         */
+        getInfo() {
+            return {
+                frames: this.count,
+                oldestFrame: this.count ? this._at(0).frame : -1,
+                newestFrame: this.count ? this._at(this.count - 1).frame : -1,
+                bytes: this.totalBytes
+            };
+        }
+
+        // ========== INTERNOS ==========
+
+        _at(index) {
+            return this.entries[(this.head + index) % this.capacity];
+        }
+
+        _dropOldest() {
+            this.totalBytes -= this.entries[this.head].bytes;
+            this.entries[this.head] = null;
+            this.head = (this.head + 1) % this.capacity;
+            this.count--;
+        }
+
+        /**
+         * Percorre as páginas que divergem da sombra.
+         *
+         * forward=true  → guarda a página antiga (sombra) e avança a sombra
+         * forward=false → restaura a página da sombra na memória
+         *
+         * @returns {Object[]} Páginas antigas ({ region, page, data }) no modo forward
+         */
+        _collectChanges(forward) {
+            const pages = [];
+            const size = this.pageSize;
+
+            this.regions.forEach((region, regionIndex) => {
+                const dirty = region.source ? region.source.dirtyPages : null;
+                const pageCount = Math.ceil(region.bytes.length / size);
+
+                for (let page = 0; page < pageCount; page++) {
+                    if (dirty && !dirty[page]) continue;
+
+                    const start = page * size;
+                    const end = Math.min(start + size, region.bytes.length);
+                    if (this._pageEquals(region.bytes, region.shadow, start, end)) continue;
+
+                    if (forward) {
+                        pages.push({ region: regionIndex, page, data: region.shadow.slice(start, end) });
+                        region.shadow.set(region.bytes.subarray(start, end), start);
+                    } else {
+                        region.bytes.set(region.shadow.subarray(start, end), start);
+                    }
+                }
+
+                if (region.source) region.source.clearDirty();
+            });
+
+            return pages;
+        }
+
+        _pageEquals(a, b, start, end) {
+            for (let i = start; i < end; i++) {
+                if (a[i] !== b[i]) return false;
+            }
+            return true;
+        }
+    }
+
+    window.RewindBuffer = RewindBuffer;
+
+    console.log("[REWIND] ✓ RewindBuffer carregado");
+}
@@ -0,0 +1,217 @@
+/**
+ * savestate.js - Formato binário de Save State do HyperScan
+ *
+ * Layout do blob (little-endian):
+ *   0x00  "HSST"            magic (4 bytes ASCII)
+ *   0x04  u16 version       versão do formato
+ *   0x06  u16 reserved
+ *   0x08  u32 headerLength  tamanho do header JSON (UTF-8)
+ *   0x0C  header JSON       { meta, sections: [{ name, offset, length, crc32 }] }
+ *   ....  seções binárias   concatenadas; offset relativo ao fim do header
+ *
+ * O header guarda o estado dos componentes (CPU, MIU, periféricos); as
+ * seções guardam memória bruta (DRAM, registradores de I/O). Desde a v2
+ * cada seção leva o CRC32 dos seus bytes, conferido por decode().
+ *
+ * Seções esparsas (v3, encoding "pages") guardam só as páginas que não
+ * estão zeradas, como a DRAM logo após o power-on:
+ *   u32 count, u32 índices[count], bytes das páginas na mesma ordem
+ * e o header traz { encoding, pageSize, size } para remontar a seção.
+ *
+ * Autor: Ccor444
+ */
+
+"use strict";
+
+if (typeof SaveStateCodec === 'undefined') {
+    class SaveStateCodec {
+        static get MAGIC() { return "HSST"; }
+        static get VERSION() { return 3; }
+        static get PAGE_SIZE() { return 4096; }
+
+        /**
+         * Codifica um save state
+         *
+         * @param {Object} meta - Estado serializável em JSON
+         * @param {Object<string, Uint8Array>} sections - Blocos binários por nome
+         * @param {Object} [options]
+         * @param {string[]} [options.sparse=[]] - Seções gravadas só com as páginas não zeradas
+         * @returns {Uint8Array} Blob versionado
+         */
+        static encode(meta, sections = {}, options = {}) {
+            const sparse = options.sparse ?? [];
+            const table = [];
+            const payloads = {};
+            let dataLength = 0;
+
+            for (const [name, bytes] of Object.entries(sections)) {
+                const entry = { name, offset: dataLength };
+                let payload = bytes;
+
+                if (sparse.includes(name)) {
+                    payload = SaveStateCodec._packPages(bytes);
+                    Object.assign(entry, { encoding: "pages", pageSize: SaveStateCodec.PAGE_SIZE, size: bytes.length });
+                }
+
+                entry.length = payload.length;
+                entry.crc32 = ArrayMemoryRegion.crc32(payload);
+                table.push(entry);
+                payloads[name] = payload;
+                dataLength += payload.length;
+            }
+
+            const header = new TextEncoder().encode(JSON.stringify({ meta, sections: table }));
+            const out = new Uint8Array(12 + header.length + dataLength);
+            const view = new DataView(out.buffer);
+
+            for (let i = 0; i < 4; i++) out[i] = SaveStateCodec.MAGIC.charCodeAt(i);
+            view.setUint16(4, SaveStateCodec.VERSION, true);
+            view.setUint16(6, 0, true);
+            view.setUint32(8, header.length, true);
+            out.set(header, 12);
+
+            const dataStart = 12 + header.length;
+            for (const entry of table) {
+                out.set(payloads[entry.name], dataStart + entry.offset);
+            }
+
+            return out;
+        }
+
+        /**
+         * Decodifica um blob produzido por encode(). O blob inteiro é
+         * conferido (tamanhos, limites das seções e checksums) antes de
+         * devolver qualquer coisa.
+         *
+         * @param {Uint8Array|ArrayBuffer} blob - Dados do save state
+         * @returns {{version: number, meta: Object, sections: Object<string, Uint8Array>}}
+         * @throws {Error} Se o magic ou a versão forem inválidos, ou o blob estiver truncado ou corrompido
+         */
+        static decode(blob) {
+            const bytes = blob instanceof Uint8Array ? blob : new Uint8Array(blob);
+            const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+            const magic = String.fromCharCode(bytes[0], bytes[1], bytes[2], bytes[3]);
+            if (bytes.length < 12 || magic !== SaveStateCodec.MAGIC) {
+                throw new Error("Save state inválido (magic incorreto)");
+            }
+
+            const version = view.getUint16(4, true);
+            if (version > SaveStateCodec.VERSION) {
+                throw new Error(`Save state v${version} não suportado (máximo v${SaveStateCodec.VERSION})`);
+            }
+
+            const headerLength = view.getUint32(8, true);
+            if (12 + headerLength > bytes.length) {
+                throw new Error("Save state truncado (header incompleto)");
+            }
+
+            let header;
+            try {
+                header = JSON.parse(new TextDecoder().decode(bytes.subarray(12, 12 + headerLength)));
+            } catch (err) {
+                throw new Error(`Save state corrompido (header: ${err.message})`);
+            }
+            if (!header || typeof header.meta !== 'object' || !Array.isArray(header.sections)) {
+                throw new Error("Save state corrompido (header sem meta/seções)");
+            }
+
+            const dataStart = 12 + headerLength;
+            const sections = {};
+            for (const entry of header.sections) {
+                const { name, offset, length } = entry;
+                if (!Number.isInteger(offset) || !Number.isInteger(length) || offset < 0 || length < 0) {
+                    throw new Error(`Save state corrompido (seção ${name})`);
+                }
+
+                const start = dataStart + offset;
+                if (start + length > bytes.length) {
+                    throw new Error(`Save state truncado (seção ${name})`);
+                }
+
+                const data = bytes.subarray(start, start + length);
+                if (version >= 2 && ArrayMemoryRegion.crc32(data) !== entry.crc32) {
+                    throw new Error(`Save state corrompido (checksum da seção ${name})`);
+                }
+                sections[name] = entry.encoding === "pages" ? SaveStateCodec._unpackPages(data, entry) : data;
+            }
+
+            return { version, meta: header.meta, sections };
+        }
+
+        /**
+         * @param {Uint8Array} bytes - Seção completa
+         * @returns {Uint8Array} count, índices e bytes das páginas não zeradas
+         */
+        static _packPages(bytes) {
+            const pageSize = SaveStateCodec.PAGE_SIZE;
+            const pages = [];
+
+            for (let start = 0; start < bytes.length; start += pageSize) {
+                const end = Math.min(start + pageSize, bytes.length);
+                for (let i = start; i < end; i++) {
+                    if (bytes[i] !== 0) {
+                        pages.push(start / pageSize);
+                        break;
+                    }
+                }
+            }
+
+            const dataLength = pages.reduce((sum, page) => sum + Math.min(pageSize, bytes.length - page * pageSize), 0);
+            const out = new Uint8Array(4 + pages.length * 4 + dataLength);
+            const view = new DataView(out.buffer);
+
+            view.setUint32(0, pages.length, true);
+            let pos = 4 + pages.length * 4;
+            pages.forEach((page, i) => {
+                view.setUint32(4 + i * 4, page, true);
+                const chunk = bytes.subarray(page * pageSize, (page + 1) * pageSize);
+                out.set(chunk, pos);
+                pos += chunk.length;
+            });
+
+            return out;
+        }
+
+        /**
+         * Inverso de _packPages(); as páginas ausentes voltam zeradas
+         *
+         * @param {Uint8Array} data - Seção como gravada no blob
+         * @param {Object} entry - { name, pageSize, size } do header
+         * @returns {Uint8Array} Seção completa
+         * @throws {Error} Se os índices ou tamanhos não baterem
+         */
+        static _unpackPages(data, entry) {
+            const { name, pageSize, size } = entry;
+            const corrupt = () => new Error(`Save state corrompido (páginas da seção ${name})`);
+
+            if (!Number.isInteger(pageSize) || pageSize <= 0 || !Number.isInteger(size) || size < 0 || data.length < 4) {
+                throw corrupt();
+            }
+
+            const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+            const count = view.getUint32(0, true);
+            let pos = 4 + count * 4;
+            if (pos > data.length) throw corrupt();
+
+            const out = new Uint8Array(size);
+            for (let i = 0; i < count; i++) {
+                const start = view.getUint32(4 + i * 4, true) * pageSize;
+                if (start >= size) throw corrupt();
+
+                const length = Math.min(pageSize, size - start);
+                if (pos + length > data.length) throw corrupt();
+
+                out.set(data.subarray(pos, pos + length), start);
+                pos += length;
+            }
+            if (pos !== data.length) throw corrupt();
+
+            return out;
+        }
+    }
+
+    window.SaveStateCodec = SaveStateCodec;
+
+    console.log("[SAVESTATE] ✓ SaveStateCodec carregado (formato v" + SaveStateCodec.VERSION + ")");
+}
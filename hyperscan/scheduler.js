@@ -0,0 +1,148 @@
+/**
+ * scheduler.js - Agendador de eventos dirigido por ciclos
+ *
+ * Os periféricos ficam registrados como fontes de eventos. Cada fonte
+ * informa quantos ciclos faltam para o seu próximo evento
+ * (cyclesUntilEvent) e avança por tick(cycles). O loop principal executa
+ * a CPU até o ciclo do evento mais próximo (nextEvent) e então sincroniza
+ * todas as fontes; acessos de I/O também sincronizam antes de ler ou
+ * escrever, e reagendam após a escrita (um CMP de timer novo muda o
+ * próximo evento).
+ *
+ * Como a CPU não interrompe uma instrução, o evento é processado ao fim
+ * da instrução que cruzou o ciclo; o periférico conta o excedente no seu
+ * próprio estado, então o timing não acumula erro.
+ *
+ * Autor: Ccor444
+ */
+
+"use strict";
+
+if (typeof EventScheduler === 'undefined') {
+    class EventScheduler {
+        constructor() {
+            /**
+             * Fontes registradas: { name, device }
+             * device: tick(cycles) e cyclesUntilEvent()
+             * @type {Object[]}
+             */
+            this.sources = [];
+
+            /**
+             * Ciclo (do clock da CPU) até onde as fontes já avançaram
+             */
+            this.now = 0;
+
+            /**
+             * Ciclo absoluto do próximo evento (Infinity se nenhum)
+             */
+            this.nextEvent = Infinity;
+
+            this.stats = {
+                syncs: 0,
+                events: 0
+            };
+        }
+
+        // ========== FONTES ==========
+
+        /**
+         * Registra um periférico como fonte de eventos
+         *
+         * @param {string} name - Nome para debug
+         * @param {Object} device - Objeto com tick(cycles) e cyclesUntilEvent()
+         */
+        addSource(name, device) {
+            if (!device || typeof device.tick !== 'function' || typeof device.cyclesUntilEvent !== 'function') {
+                console.warn(`[SCHED] ⚠️ ${name} não implementa tick/cyclesUntilEvent`);
+                return;
+            }
+
+            this.sources.push({ name, device });
+            this.reschedule();
+        }
+
+        /**
+         * Remove todas as fontes e volta ao ciclo indicado
+         *
+         * @param {number} [now=0] - Ciclo atual da CPU
+         */
+        clear(now = 0) {
+            this.sources = [];
+            this.reset(now);
+        }
+
+        /**
+         * Realinha o agendador ao clock da CPU sem avançar as fontes
+         * (setupHardware, load state, rewind)
+         *
+         * @param {number} now - Ciclo atual da CPU
+         */
+        reset(now) {
+            this.now = now;
+            this.reschedule();
+        }
+
+        // ========== SINCRONIZAÇÃO ==========
+
+        /**
+         * Avança todas as fontes até o ciclo `now` e recalcula o próximo evento
+         *
+         * @param {number} now - Ciclo atual da CPU
+         */
+        sync(now) {
+            const elapsed = now - this.now;
+
+            if (elapsed > 0) {
+                if (now >= this.nextEvent) this.stats.events++;
+                this.stats.syncs++;
+                this.now = now;
+
+                for (let i = 0; i < this.sources.length; i++) {
+                    this.sources[i].device.tick(elapsed);
+                }
+            }
+
+            this.reschedule();
+        }
+
+        /**
+         * Recalcula nextEvent a partir das fontes
+         */
+        reschedule() {
+            let next = Infinity;
+
+            for (let i = 0; i < this.sources.length; i++) {
+                const cycles = this.sources[i].device.cyclesUntilEvent();
+                if (cycles < next) next = cycles;
+            }
+
+            this.nextEvent = this.now + Math.max(1, next);
+        }
+
+        // ========== DEBUG ==========
+
+        getStatus() {
+            const lines = [];
+            lines.push("═══ EVENT SCHEDULER ═══");
+            lines.push(`Ciclo atual:   ${this.now}`);
+            lines.push(`Próx. evento:  ${Number.isFinite(this.nextEvent) ? `+${this.nextEvent - this.now}` : "nenhum"}`);
+            lines.push("");
+
+            for (const { name, device } of this.sources) {
+                const cycles = device.cyclesUntilEvent();
+                lines.push(`  ${name.padEnd(8)} ${Number.isFinite(cycles) ? `+${cycles}` : "-"}`);
+            }
+
+            lines.push("");
+            lines.push(`Syncs:         ${this.stats.syncs}`);
+            lines.push(`Eventos:       ${this.stats.events}`);
+
+            return lines.join("\n");
+        }
+    }
+
+    window.EventScheduler = EventScheduler;
+
+    console.log("[SCHED] ✓ EventScheduler carregado");
+}
@@ -0,0 +1,320 @@
+/**
+ * semihost.js - Semihosting (E/S de arquivos no host) para programas de teste
+ *
+ * O programa chama "sdbbp 31" com a operação em r4 e os argumentos em
+ * r5-r7; o resultado volta em r4 (-1 = erro):
+ *
+ *   OPEN  1  r5 = caminho (C string), r6 = modo (0 leitura, 1 escrita, 2 append)  → fd
+ *   CLOSE 2  r5 = fd                                                              → 0
+ *   READ  3  r5 = fd, r6 = buffer, r7 = tamanho                                   → bytes lidos
+ *   WRITE 4  r5 = fd, r6 = buffer, r7 = tamanho                                   → bytes escritos
+ *   SEEK  5  r5 = fd, r6 = offset (com sinal), r7 = origem (0 início, 1 atual, 2 fim) → posição
+ *   EXIT  6  r5 = status (a CPU para; o engine devolve o status a quem chamou)
+ *   TIME  7                                                                       → segundos (Unix)
+ *
+ * fd 0/1/2 são stdin, stdout e stderr (stdout/stderr vão para onOutput,
+ * sem passar pela UART). Os arquivos ficam num sistema de arquivos
+ * sandbox: caminhos são relativos à raiz dele e ".." é recusado.
+ *
+ * Autor: Ccor444
+ */
+
+"use strict";
+
+if (typeof Semihosting === 'undefined') {
+    const SEMIHOST = Object.freeze({
+        SDBBP_CODE: 31,
+
+        OP: Object.freeze({
+            OPEN: 1,
+            CLOSE: 2,
+            READ: 3,
+            WRITE: 4,
+            SEEK: 5,
+            EXIT: 6,
+            TIME: 7
+        }),
+
+        MODE: Object.freeze({ READ: 0, WRITE: 1, APPEND: 2 }),
+        WHENCE: Object.freeze({ SET: 0, CUR: 1, END: 2 }),
+        FD: Object.freeze({ STDIN: 0, STDOUT: 1, STDERR: 2 }),
+
+        MAX_PATH: 256,
+        MAX_TRANSFER: 16 * 1024 * 1024,
+        ERROR: -1
+    });
+
+    /**
+     * Sistema de arquivos em memória (padrão no navegador). Outros
+     * backends só precisam de readFile(path) e writeFile(path, data).
+     */
+    class MemoryFileSystem {
+        /**
+         * @param {Object<string, Uint8Array|string>} [files] - Conteúdo inicial
+         */
+        constructor(files = {}) {
+            /** @type {Map<string, Uint8Array>} */
+            this.files = new Map();
+            for (const [path, data] of Object.entries(files)) this.writeFile(path, data);
+        }
+
+        /**
+         * @param {string} path
+         * @returns {Uint8Array|null}
+         */
+        readFile(path) {
+            return this.files.get(path) || null;
+        }
+
+        /**
+         * @param {string} path
+         * @param {Uint8Array|string} data
+         */
+        writeFile(path, data) {
+            this.files.set(path, typeof data === "string" ? new TextEncoder().encode(data) : Uint8Array.from(data));
+        }
+
+        /**
+         * @returns {{path: string, size: number}[]}
+         */
+        list() {
+            return [...this.files].map(([path, data]) => ({ path, size: data.length }));
+        }
+    }
+
+    class Semihosting {
+        /**
+         * @param {{readFile: function(string): (Uint8Array|null), writeFile: function(string, Uint8Array)}} [fileSystem]
+         */
+        constructor(fileSystem = new MemoryFileSystem()) {
+            this.fs = fileSystem;
+
+            /** fd -> { path, data, size, position, writable, dirty } */
+            this.files = new Map();
+            this.nextFD = 3;
+
+            /** Bytes entregues ao programa pelo fd 0 */
+            this.stdin = new Uint8Array(0);
+            this.stdinPosition = 0;
+
+            /** Status do EXIT (null enquanto o programa roda) */
+            this.exitStatus = null;
+            this.calls = 0;
+
+            /**
+             * Saída de stdout/stderr: (fd, bytes) => {}
+             * @type {Function|null}
+             */
+            this.onOutput = null;
+
+            /**
+             * Programa encerrado: (status) => {}
+             * @type {Function|null}
+             */
+            this.onExit = null;
+        }
+
+        static get CONST() { return SEMIHOST; }
+
+        /**
+         * Registra o hook de sdbbp na CPU
+         *
+         * @param {CPU} cpu
+         * @returns {Function} Remove o hook
+         */
+        attach(cpu) {
+            return cpu.addHook("sdbbp", SEMIHOST.SDBBP_CODE, (c) => this.handle(c));
+        }
+
+        /**
+         * Power-on: grava e fecha os arquivos abertos e zera o status
+         */
+        reset() {
+            this.closeAll();
+            this.nextFD = 3;
+            this.stdinPosition = 0;
+            this.exitStatus = null;
+            this.calls = 0;
+        }
+
+        closeAll() {
+            for (const fd of [...this.files.keys()]) this._close(fd);
+        }
+
+        /**
+         * @param {CPU} cpu
+         * @returns {boolean} Sempre true: toda chamada com o código reservado é tratada
+         */
+        handle(cpu) {
+            const [a, b, c] = [cpu.r[5], cpu.r[6], cpu.r[7]];
+            const miu = cpu.miu;
+            let result;
+
+            this.calls++;
+
+            switch (cpu.r[4]) {
+                case SEMIHOST.OP.OPEN: result = this._open(this._readString(miu, a), b); break;
+                case SEMIHOST.OP.CLOSE: result = this._close(a); break;
+                case SEMIHOST.OP.READ: result = this._read(miu, a, b, c); break;
+                case SEMIHOST.OP.WRITE: result = this._write(miu, a, b, c); break;
+                case SEMIHOST.OP.SEEK: result = this._seek(a, b | 0, c); break;
+                case SEMIHOST.OP.EXIT:
+                    this.exitStatus = a | 0;
+                    this.closeAll();
+                    cpu.halted = true;
+                    console.info(`[SEMIHOST] ✓ Programa encerrado com status ${this.exitStatus}`);
+                    if (this.onExit) this.onExit(this.exitStatus);
+                    result = 0;
+                    break;
+                case SEMIHOST.OP.TIME: result = Math.floor(Date.now() / 1000); break;
+                default:
+                    console.warn(`[SEMIHOST] ⚠️ Operação desconhecida: ${cpu.r[4]}`);
+                    result = SEMIHOST.ERROR;
+            }
+
+            cpu.r[4] = result >>> 0;
+            return true;
+        }
+
+        /**
+         * Caminho dentro da sandbox ("/a/./b" → "a/b")
+         *
+         * @param {string} path
+         * @returns {string|null} null se vazio ou se tentar sair da raiz
+         */
+        static normalizePath(path) {
+            const parts = path.split(/[\\/]+/).filter(p => p && p !== ".");
+            if (parts.length === 0 || parts.includes("..")) return null;
+            return parts.join("/");
+        }
+
+        // ========== OPERAÇÕES ==========
+
+        _open(rawPath, mode) {
+            const path = Semihosting.normalizePath(rawPath);
+            if (!path || mode > SEMIHOST.MODE.APPEND) return SEMIHOST.ERROR;
+
+            let data;
+            if (mode === SEMIHOST.MODE.WRITE) {
+                data = new Uint8Array(0);
+            } else {
+                data = this.fs.readFile(path);
+                if (!data) {
+                    if (mode === SEMIHOST.MODE.READ) return SEMIHOST.ERROR;
+                    data = new Uint8Array(0);
+                }
+            }
+
+            const fd = this.nextFD++;
+            this.files.set(fd, {
+                path,
+                data: Uint8Array.from(data),
+                size: data.length,
+                position: mode === SEMIHOST.MODE.APPEND ? data.length : 0,
+                writable: mode !== SEMIHOST.MODE.READ,
+                // Escrita cria/trunca o arquivo mesmo sem nenhum write
+                dirty: mode === SEMIHOST.MODE.WRITE
+            });
+            return fd;
+        }
+
+        _close(fd) {
+            const file = this.files.get(fd);
+            if (!file) return SEMIHOST.ERROR;
+
+            if (file.dirty) this.fs.writeFile(file.path, file.data.subarray(0, file.size));
+            this.files.delete(fd);
+            return 0;
+        }
+
+        _read(miu, fd, buffer, length) {
+            length = Math.min(length, SEMIHOST.MAX_TRANSFER);
+
+            if (fd === SEMIHOST.FD.STDIN) {
+                const bytes = this.stdin.subarray(this.stdinPosition, this.stdinPosition + length);
+                this.stdinPosition += bytes.length;
+                this._writeBytes(miu, buffer, bytes);
+                return bytes.length;
+            }
+
+            const file = this.files.get(fd);
+            if (!file) return SEMIHOST.ERROR;
+
+            const bytes = file.data.subarray(file.position, Math.min(file.size, file.position + length));
+            this._writeBytes(miu, buffer, bytes);
+            file.position += bytes.length;
+            return bytes.length;
+        }
+
+        _write(miu, fd, buffer, length) {
+            length = Math.min(length, SEMIHOST.MAX_TRANSFER);
+            const bytes = this._readBytes(miu, buffer, length);
+
+            if (fd === SEMIHOST.FD.STDOUT || fd === SEMIHOST.FD.STDERR) {
+                if (this.onOutput) this.onOutput(fd, bytes);
+                return length;
+            }
+
+            const file = this.files.get(fd);
+            if (!file || !file.writable) return SEMIHOST.ERROR;
+
+            const end = file.position + length;
+            if (end > file.data.length) {
+                const grown = new Uint8Array(Math.max(end, file.data.length * 2));
+                grown.set(file.data.subarray(0, file.size));
+                file.data = grown;
+            }
+
+            file.data.set(bytes, file.position);
+            file.position = end;
+            file.size = Math.max(file.size, end);
+            file.dirty = true;
+            return length;
+        }
+
+        _seek(fd, offset, whence) {
+            const file = this.files.get(fd);
+            if (!file) return SEMIHOST.ERROR;
+
+            let base;
+            switch (whence) {
+                case SEMIHOST.WHENCE.SET: base = 0; break;
+                case SEMIHOST.WHENCE.CUR: base = file.position; break;
+                case SEMIHOST.WHENCE.END: base = file.size; break;
+                default: return SEMIHOST.ERROR;
+            }
+            if (base + offset < 0) return SEMIHOST.ERROR;
+
+            file.position = base + offset;
+            return file.position;
+        }
+
+        // ========== MEMÓRIA DO PROGRAMA ==========
+
+        _readString(miu, address) {
+            let text = "";
+            for (let i = 0; i < SEMIHOST.MAX_PATH; i++) {
+                const byte = miu.readU8((address + i) >>> 0);
+                if (byte === 0) break;
+                text += String.fromCharCode(byte);
+            }
+            return text;
+        }
+
+        _readBytes(miu, address, length) {
+            const bytes = new Uint8Array(length);
+            for (let i = 0; i < length; i++) bytes[i] = miu.readU8((address + i) >>> 0);
+            return bytes;
+        }
+
+        _writeBytes(miu, address, bytes) {
+            for (let i = 0; i < bytes.length; i++) miu.writeU8((address + i) >>> 0, bytes[i]);
+        }
+    }
+
+    window.Semihosting = Semihosting;
+    window.MemoryFileSystem = MemoryFileSystem;
+    window.SEMIHOST = SEMIHOST;
+
+    console.log("[SEMIHOST] ✓ Semihosting carregado");
+}
@@ -0,0 +1,129 @@
+/**
+ * symbols.js - Tabela de símbolos (funções e dados) para debug
+ *
+ * Preenchida pelo loader de ELF; o disassembler anota alvos de salto e
+ * rótulos, e o debugger/Luna aceitam nomes no lugar de endereços.
+ *
+ * Autor: Ccor444
+ */
+
+"use strict";
+
+if (typeof SymbolTable === 'undefined') {
+    const TYPE_PRIORITY = Object.freeze({ func: 0, object: 1, label: 2 });
+
+    class SymbolTable {
+        constructor() {
+            /** Ordenados por endereço: { name, address, size, type } */
+            this.symbols = [];
+            this.byName = new Map();
+        }
+
+        get size() {
+            return this.symbols.length;
+        }
+
+        /**
+         * @param {string} name
+         * @param {number} address
+         * @param {number} [size=0] - 0 = só o endereço exato
+         * @param {string} [type="label"] - "func", "object" ou "label"
+         */
+        add(name, address, size = 0, type = "label") {
+            this.addAll([{ name, address, size, type }]);
+        }
+
+        /**
+         * @param {{name: string, address: number, size?: number, type?: string}[]} list
+         */
+        addAll(list) {
+            for (const { name, address, size = 0, type = "label" } of list) {
+                const symbol = { name, address: address >>> 0, size, type };
+                this.symbols.push(symbol);
+                if (!this.byName.has(name)) this.byName.set(name, symbol);
+            }
+
+            // Mesmo endereço: função antes de dado antes de rótulo
+            this.symbols.sort((a, b) =>
+                (a.address - b.address) || (TYPE_PRIORITY[a.type] ?? 3) - (TYPE_PRIORITY[b.type] ?? 3));
+        }
+
+        clear() {
+            this.symbols = [];
+            this.byName.clear();
+        }
+
+        /**
+         * @param {string} name
+         * @returns {number|null} Endereço
+         */
+        find(name) {
+            return this.byName.get(name)?.address ?? null;
+        }
+
+        /**
+         * Símbolo que contém o endereço
+         *
+         * @param {number} address
+         * @returns {{name: string, address: number, size: number, type: string, offset: number}|null}
+         */
+        lookup(address) {
+            address >>>= 0;
+
+            // Último símbolo com endereço <= address
+            let lo = 0;
+            let hi = this.symbols.length - 1;
+            let index = -1;
+            while (lo <= hi) {
+                const mid = (lo + hi) >> 1;
+                if (this.symbols[mid].address <= address) {
+                    index = mid;
+                    lo = mid + 1;
+                } else {
+                    hi = mid - 1;
+                }
+            }
+
+            // Volta até o primeiro do mesmo endereço (o de maior prioridade)
+            while (index > 0 && this.symbols[index - 1].address === this.symbols[index].address) index--;
+            if (index < 0) return null;
+
+            const symbol = this.symbols[index];
+            const offset = address - symbol.address;
+            if (offset !== 0 && offset >= symbol.size) return null;
+
+            return { ...symbol, offset };
+        }
+
+        /**
+         * @param {number} address
+         * @returns {string|null} Nome do símbolo exatamente neste endereço
+         */
+        labelAt(address) {
+            const symbol = this.lookup(address);
+            return symbol && symbol.offset === 0 ? symbol.name : null;
+        }
+
+        /**
+         * @param {number} address
+         * @returns {string|null} "nome" ou "nome+0x1C"
+         */
+        format(address) {
+            const symbol = this.lookup(address);
+            if (!symbol) return null;
+            return symbol.offset ? `${symbol.name}+0x${symbol.offset.toString(16).toUpperCase()}` : symbol.name;
+        }
+
+        /**
+         * @param {string} [filter] - Trecho do nome
+         * @returns {{name: string, address: number, size: number, type: string}[]}
+         */
+        list(filter = "") {
+            return filter ? this.symbols.filter(s => s.name.includes(filter)) : this.symbols.slice();
+        }
+    }
+
+    window.SymbolTable = SymbolTable;
+
+    console.log("[SYMBOLS] ✓ SymbolTable carregada");
+}
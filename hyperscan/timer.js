@@ -242,6 +242,26 @@ if (typeof TimerController === 'undefined') {
             return didCompare && this.irqEnabled;
         }
 
+        /**
+         * Ciclos de CPU até o próximo compare ou overflow/underflow
+         * @returns {number} Ciclos (Infinity se desativado)
+         */
+        cyclesUntilEvent() {
+            if (!this.enabled) return Infinity;
+
+            let ticks;
+            if (this.countDown) {
+                // Decrementa até cmp; abaixo disso, underflow depois de chegar a 0
+                ticks = this.count > this.cmp ? this.count - this.cmp : this.count + 1;
+            } else {
+                const toCompare = ((this.cmp - this.count) >>> 0) || 0x100000000;
+                const toOverflow = ((0 - this.count) >>> 0) || 0x100000000;
+                ticks = Math.min(toCompare, toOverflow);
+            }
+
+            return Math.max(1, ticks * (1 << this.clockScale) - this.cyclesUntilTick);
+        }
+
         /**
          * Reset do timer
          */
@@ -261,6 +281,37 @@ if (typeof TimerController === 'undefined') {
             console.log(`[${this.name}] Reset`);
         }
 
+        /**
+         * Snapshot serializável do timer (save state)
+         */
+        getState() {
+            return {
+                count: this.count >>> 0,
+                ctrl: this.readCtrl(),
+                cmp: this.cmp >>> 0,
+                stat: this.stat >>> 0,
+                cyclesUntilTick: this.cyclesUntilTick
+            };
+        }
+
+        /**
+         * Restaura snapshot produzido por getState()
+         */
+        setState(state) {
+            this.count = state.count >>> 0;
+            this.ctrl = state.ctrl >>> 0;
+            this.cmp = state.cmp >>> 0;
+            this.stat = state.stat >>> 0;
+            this.cyclesUntilTick = state.cyclesUntilTick;
+
+            this.enabled = !!(this.ctrl & 0x01);
+            this.countDown = !!(this.ctrl & 0x02);
+            this.repeat = !!(this.ctrl & 0x04);
+            this.irqEnabled = !!(this.ctrl & 0x08);
+            this.extClock = !!(this.ctrl & 0x10);
+            this.clockScale = (this.ctrl >>> 5) & 0x07;
+        }
+
         /**
          * Retorna informações para debug
          */
@@ -480,6 +531,28 @@ if (typeof TimerController === 'undefined') {
             return anyInterrupt;
         }
 
+        /**
+         * Próximo evento entre os 3 timers (fonte do EventScheduler)
+         * @returns {number} Ciclos até o evento (Infinity se todos parados)
+         */
+        cyclesUntilEvent() {
+            return Math.min(
+                this.timers[0].cyclesUntilEvent(),
+                this.timers[1].cyclesUntilEvent(),
+                this.timers[2].cyclesUntilEvent()
+            );
+        }
+
+        // ========== SAVE STATE ==========
+
+        getState() {
+            return { timers: this.timers.map(t => t.getState()) };
+        }
+
+        setState(state) {
+            state.timers.forEach((t, idx) => this.timers[idx]?.setState(t));
+        }
+
         /**
          * Reset de todos os timers
          */
@@ -0,0 +1,194 @@
+/**
+ * wav.js - Gravação do som da SPU em WAV
+ *
+ * WavRecorder é um sink de áudio do engine (ver HyperScanEngine.addAudioSink):
+ * recebe os blocos drenados da SPU a cada frame e acumula PCM 16-bit
+ * estéreo da mixagem e, opcionalmente, de cada canal (stems). Ao parar,
+ * gera os arquivos WAV com o intervalo de frames emulados no chunk
+ * LIST/INFO (ICMT), para alinhar a gravação com capturas do hardware.
+ *
+ * Sem DOM: funciona igual no navegador e no headless.
+ *
+ * Autor: Ccor444
+ */
+
+"use strict";
+
+if (typeof WavRecorder === 'undefined') {
+    class WavRecorder {
+        /**
+         * @param {Object} [options]
+         * @param {boolean} [options.stems=false] - Grava também um WAV por canal
+         * @param {number} [options.sampleRate=44100]
+         */
+        constructor(options = {}) {
+            this.wantsStems = options.stems === true;
+            this.sampleRate = options.sampleRate || 44100;
+
+            this.startFrame = null;
+            this.endFrame = null;
+            this.frames = 0;    // frames de áudio (pares L, R) gravados
+
+            this.mixChunks = [];
+            this.stemChunks = [];
+            this.stemFrames = [];
+            this.activeChannels = new Set();
+        }
+
+        /**
+         * Recebe um bloco do engine
+         *
+         * @param {Object} block
+         * @param {Float32Array} block.mix - Mixagem intercalada (L, R)
+         * @param {Float32Array[]|null} block.stems - Um array intercalado por canal
+         * @param {number} block.frame - clock.frameCount ao fim do frame que gerou o bloco
+         */
+        write(block) {
+            if (this.startFrame === null) this.startFrame = block.frame;
+            this.endFrame = block.frame;
+
+            const frames = block.mix.length >>> 1;
+            if (frames === 0) return;
+
+            this.mixChunks.push(WavRecorder.toPCM16(block.mix));
+
+            if (this.wantsStems && block.stems) {
+                block.stems.forEach((stem, channel) => {
+                    if (!this.stemChunks[channel]) {
+                        this.stemChunks[channel] = [];
+                        this.stemFrames[channel] = 0;
+                    }
+
+                    // Blocos sem stems (captura ligada no meio): completa com silêncio
+                    this._padStem(channel);
+
+                    this.stemChunks[channel].push(WavRecorder.toPCM16(stem));
+                    this.stemFrames[channel] = this.frames + frames;
+                    if (!this.activeChannels.has(channel) && stem.some(v => v !== 0)) {
+                        this.activeChannels.add(channel);
+                    }
+                });
+            }
+
+            this.frames += frames;
+        }
+
+        /**
+         * Fecha a gravação e codifica os arquivos
+         *
+         * @returns {{startFrame: number, endFrame: number, frames: number, sampleRate: number,
+         *            mix: Uint8Array, stems: {channel: number, data: Uint8Array}[]}}
+         *          stems só contém canais que tocaram algo
+         */
+        stop() {
+            const range = this.startFrame === null ? "nenhum frame" : `frames ${this.startFrame}-${this.endFrame}`;
+            const comment = `HyperScan SPU, ${range}`;
+
+            // Stems que pararam antes do fim (captura desligada) ficam do tamanho da mixagem
+            for (const channel of this.activeChannels) this._padStem(channel);
+
+            const stems = [...this.activeChannels].sort((a, b) => a - b).map(channel => ({
+                channel,
+                data: WavRecorder.encode(this.stemChunks[channel], this.sampleRate,
+                    `${comment}, canal ${channel}`)
+            }));
+
+            return {
+                startFrame: this.startFrame ?? 0,
+                endFrame: this.endFrame ?? 0,
+                frames: this.frames,
+                sampleRate: this.sampleRate,
+                mix: WavRecorder.encode(this.mixChunks, this.sampleRate, comment),
+                stems
+            };
+        }
+
+        /**
+         * Completa o stem com silêncio até this.frames
+         *
+         * @param {number} channel
+         */
+        _padStem(channel) {
+            if (this.stemFrames[channel] < this.frames) {
+                this.stemChunks[channel].push(new Int16Array((this.frames - this.stemFrames[channel]) * 2));
+                this.stemFrames[channel] = this.frames;
+            }
+        }
+
+        // ========== CODIFICAÇÃO ==========
+
+        /**
+         * @param {Float32Array} samples - Em [-1, 1]
+         * @returns {Int16Array}
+         */
+        static toPCM16(samples) {
+            const out = new Int16Array(samples.length);
+            for (let i = 0; i < samples.length; i++) {
+                const s = Math.max(-1, Math.min(1, samples[i]));
+                out[i] = Math.round(s * 32767);
+            }
+            return out;
+        }
+
+        /**
+         * Monta um WAV PCM 16-bit estéreo
+         *
+         * @param {Int16Array[]} chunks - Amostras intercaladas (L, R)
+         * @param {number} sampleRate
+         * @param {string} [comment] - Gravado em LIST/INFO/ICMT
+         * @returns {Uint8Array}
+         */
+        static encode(chunks, sampleRate, comment = "") {
+            const dataBytes = chunks.reduce((n, c) => n + c.length * 2, 0);
+
+            // Subchunks do LIST/INFO: texto terminado em zero, tamanho par
+            const infoEntries = [["ISFT", "HyperScan Emulator"], ["ICMT", comment]]
+                .filter(([, text]) => text)
+                .map(([id, text]) => {
+                    const size = text.length + 1;
+                    return { id, text, size, padded: size + (size & 1) };
+                });
+            const listBytes = 4 + infoEntries.reduce((n, e) => n + 8 + e.padded, 0);
+
+            const total = 12 + (8 + 16) + (8 + listBytes) + (8 + dataBytes);
+            const out = new Uint8Array(total);
+            const view = new DataView(out.buffer);
+            let p = 0;
+
+            const fourCC = (id) => { for (let i = 0; i < 4; i++) out[p++] = id.charCodeAt(i); };
+            const u32 = (v) => { view.setUint32(p, v, true); p += 4; };
+            const u16 = (v) => { view.setUint16(p, v, true); p += 2; };
+
+            fourCC("RIFF"); u32(total - 8); fourCC("WAVE");
+
+            fourCC("fmt "); u32(16);
+            u16(1);                    // PCM
+            u16(2);                    // canais
+            u32(sampleRate);
+            u32(sampleRate * 4);       // bytes por segundo
+            u16(4);                    // block align
+            u16(16);                   // bits por amostra
+
+            fourCC("LIST"); u32(listBytes); fourCC("INFO");
+            for (const entry of infoEntries) {
+                fourCC(entry.id); u32(entry.size);
+                for (let i = 0; i < entry.text.length; i++) out[p + i] = entry.text.charCodeAt(i) & 0xFF;
+                p += entry.padded;
+            }
+
+            fourCC("data"); u32(dataBytes);
+            for (const chunk of chunks) {
+                for (let i = 0; i < chunk.length; i++) {
+                    view.setInt16(p, chunk[i], true);
+                    p += 2;
+                }
+            }
+
+            return out;
+        }
+    }
+
+    window.WavRecorder = WavRecorder;
+
+    console.log("[WAV] ✓ WavRecorder carregado");
+}
@@ -13,6 +13,16 @@
 
 "use strict";
 
+/**
+ * Busca um elemento da UI; null sem DOM (runtime headless)
+ *
+ * @param {string} id - id do elemento
+ * @returns {HTMLElement|null}
+ */
+function uiElement(id) {
+    return typeof document !== 'undefined' ? document.getElementById(id) : null;
+}
+
 const EmulatorState = Object.freeze({
     STOPPED: 0,
     RUNNING: 1,
@@ -40,19 +50,41 @@ const PLATFORM_CONFIG = Object.freeze({
     BOOT_MAGIC_OFFSET: 0x4E,
 
     TARGET_FPS: 60,
-    CYCLES_PER_SLICE: 10000,
 
+    // Wait states por acesso (ciclos extras) em cada barramento
+    WAIT_STATES_DRAM: 1,
+    WAIT_STATES_IO: 2,
+    WAIT_STATES_FLASH: 3,
+
+    // A IRQ n entra pelo vetor da causa n: 2, 3 e 0x0A-0x0E são exceções da CPU
     IRQ_VBLANK: 4,
     IRQ_TIMER: 5,
     IRQ_AUDIO: 6,
     IRQ_UART: 7,
+    IRQ_LINE: 8,
+    IRQ_INPUT: 9,
+    IRQ_CDROM: 15,
 
     TIMER_BASE: 0x080A0000,
-    INTC_BASE: 0x080A0000,
+    INTC_BASE: 0x080D0000,
     UART_BASE: 0x080B0000,
     VDU_BASE: 0x080C0000,
+    PPU_BASE: 0x08010000,
+    SPU_BASE: 0x08008000,
+    CONTROLLER_BASE: 0x08004000,
+    CDROM_BASE: 0x0800C000,
+
+    TIMER_SCALES: [1, 2, 4, 8, 16, 32, 64, 128],
+
+    SAVE_SLOTS: 10,
+
+    // Rewind: uma captura por frame, até 10s ou 32MB de deltas de memória
+    REWIND_FRAMES: 600,
+    REWIND_MAX_BYTES: 32 * 1024 * 1024,
+    REWIND_KEY: "Backspace",
 
-    TIMER_SCALES: [1, 2, 4, 8, 16, 32, 64, 128]
+    // Input movies: hash do estado a cada N frames para detectar desync
+    MOVIE_HASH_INTERVAL: 60
 });
 
 // ========== HYPERSCAN ENGINE CORE ==========
@@ -66,10 +98,46 @@ class HyperScanEngine {
             throw new Error("❌ CPU não carregada!");
         }
 
+        // Símbolos do programa carregado (ELF): disassembler e debugger usam os nomes
+        this.symbols = new window.SymbolTable();
+
+        // Boot sem dump do firmware
+        this.bios = new window.HLEBios();
+        this.bios.attach(this.cpu);
+        this.bios.onFault = (fault) => this._handleCPUFault(fault, true);
+
+        /**
+         * Semihosting (sdbbp 31): E/S de arquivos e exit para programas de teste
+         * @type {Semihosting}
+         */
+        this.semihost = new window.Semihosting();
+        this.semihost.attach(this.cpu);
+        this.semihost.onOutput = (fd, bytes) => {
+            const text = new TextDecoder().decode(bytes);
+            if (fd === 2) console.warn(`[SEMIHOST] ${text}`);
+            else console.log(`[SEMIHOST] ${text}`);
+        };
+        this.semihost.onExit = (status) => {
+            this.exitStatus = status;
+            this.pause();
+            this.updateUIStatus(`⏹️ Programa encerrado (status ${status})`);
+            this.updateRunButton();
+        };
+
+        /**
+         * Status do exit por semihosting (null enquanto o programa roda)
+         * @type {number|null}
+         */
+        this.exitStatus = null;
+
         this.disassembler = new window.HyperscanDisassembler 
             ? new window.HyperscanDisassembler(null) 
             : null;
 
+        if (this.disassembler) {
+            this.disassembler.symbols = this.symbols;
+        }
+
         this.dbg = new window.HyperscanDebugger 
             ? new window.HyperscanDebugger(this.cpu, this.disassembler)
             : null;
@@ -81,12 +149,13 @@ class HyperScanEngine {
             targetHz: PLATFORM_CONFIG.CPU_CLOCK_HZ,
             fps: PLATFORM_CONFIG.TARGET_FPS,
             cyclesPerFrame: PLATFORM_CONFIG.CPU_CYCLES_PER_FRAME,
-            cyclesPerSlice: PLATFORM_CONFIG.CYCLES_PER_SLICE,
             frameId: null,
+            manualFrames: false,
             frameCount: 0,
             cyclesExecuted: 0,
             lastFrameTime: 0,
-            actualFPS: 0
+            actualFPS: 0,
+            emulatedHz: 0
         };
 
         this.hw = {
@@ -95,15 +164,30 @@ class HyperScanEngine {
             io: null,
             flash: null,
             romLoaded: false,
-            romName: ""
+            // Imagem da ROM (já em little-endian): o reset recria a flash
+            romImage: null,
+            romName: "",
+            romCRC: 0,
+            // Dump do firmware { image, name }: vai para a flash no power-on
+            bios: null,
+            // Executável ELF carregado (o reset recarrega os segmentos)
+            elf: null,
+            // Último power-on: { mode: "flash" | "hle", elf }
+            boot: null,
+            // Disco no drive: continua inserido após reset e troca de ROM
+            disc: null
         };
 
         this.peripherals = {
             vdu: null,
+            ppu: null,
             audio: null,
             timer: null,
             intC: null,
-            uart: null
+            uart: null,
+            controller: null,
+            cardReader: null,
+            cdrom: null
         };
 
         this.config = {
@@ -111,11 +195,114 @@ class HyperScanEngine {
             traceInstructions: false,
             dumpMemoryOnError: true,
             autoBootROM: false,
-            breakOnException: true
+            rewindEnabled: true,
+            // true: sem DOM, a VDU renderiza só no buffer RGBA em memória
+            headless: typeof document === 'undefined',
+            // true: falhas da CPU (instrução reservada, address/bus error)
+            // pausam o engine e são reportadas em vez de vetorar a exceção
+            breakOnException: true,
+            // Saída Web Audio da SPU (no headless as amostras ficam na SPU)
+            audioEnabled: true
         };
 
         this.onStatusChange = null;
 
+        /**
+         * Quick-save slots em memória: número do slot -> blob
+         * @type {Map<number, Uint8Array>}
+         */
+        this.saveSlots = new Map();
+
+        this.rewind = window.RewindBuffer
+            ? new window.RewindBuffer({
+                capacity: PLATFORM_CONFIG.REWIND_FRAMES,
+                maxBytes: PLATFORM_CONFIG.REWIND_MAX_BYTES
+            })
+            : null;
+
+        // true enquanto a tecla de rewind estiver pressionada
+        this.rewindHeld = false;
+
+        /**
+         * Eventos de periféricos (timers, linhas da VDU, bytes da UART)
+         * em ciclos de CPU; o runLoop executa até o evento mais próximo
+         * @type {EventScheduler}
+         */
+        this.scheduler = new window.EventScheduler();
+
+        /**
+         * Sinks de áudio: recebem o que a SPU gerou em cada frame
+         * (ver addAudioSink)
+         * @type {Object[]}
+         */
+        this.audioSinks = [];
+
+        /**
+         * Saída Web Audio, criada no primeiro start() (precisa de gesto do usuário)
+         * @type {WebAudioOutput|null}
+         */
+        this.audioOutput = null;
+
+        /**
+         * Gravação WAV em andamento
+         * @type {{recorder: WavRecorder, fileName: string|null}|null}
+         */
+        this.audioRecording = null;
+
+        /**
+         * Teclado e gamepads do host (fora do headless)
+         * @type {InputManager|null}
+         */
+        this.input = (!this.config.headless && window.InputManager)
+            ? new window.InputManager({ reservedKeys: [PLATFORM_CONFIG.REWIND_KEY] })
+            : null;
+
+        /**
+         * Movie em gravação ou replay:
+         * { mode: "record"|"play", movie, startFrame, desyncs, stopOnDesync }
+         * @type {Object|null}
+         */
+        this.movie = null;
+
+        /**
+         * Último movie gravado ou carregado (para movie.play/movie.export)
+         * @type {InputMovie|null}
+         */
+        this.lastMovie = null;
+
+        /**
+         * Chamado quando o replay de um movie termina: (result) => {}
+         * @type {Function|null}
+         */
+        this.onMovieEnd = null;
+
+        /**
+         * Último watchpoint de memória que parou o engine
+         * { id, access, address, size, value, pc }
+         * @type {Object|null}
+         */
+        this.lastWatchpoint = null;
+
+        /**
+         * Chamado quando um watchpoint de memória para o engine: (hit) => {}
+         * @type {Function|null}
+         */
+        this.onWatchpoint = null;
+
+        /**
+         * Ciclo absoluto em que o engine pausa (stopAtCycle), ou null
+         * @type {number|null}
+         */
+        this.cycleBreak = null;
+
+        /**
+         * Dumps de cartões RFID disponíveis para o leitor
+         * @type {CardLibrary|null}
+         */
+        this.cards = window.CardLibrary ? new window.CardLibrary() : null;
+
+        this.cpu.onFault = (fault) => this._handleCPUFault(fault);
+
         console.log("[ENGINE] ✓ Inicialização básica concluída");
     }
 
@@ -129,7 +316,12 @@ class HyperScanEngine {
         }
         this.clock.cyclesExecuted = 0;
 
-        // 1. MIU
+        // Arquivos abertos pelo programa anterior são gravados e fechados
+        this.semihost.reset();
+        this.exitStatus = null;
+
+        // 1. MIU (os watchpoints do debugger passam para a nova)
+        const watchpoints = this.hw.miu?.watchpoints;
         this.hw.miu = new window.SegmentedMemoryRegion 
             ? new window.SegmentedMemoryRegion()
             : null;
@@ -137,6 +329,8 @@ class HyperScanEngine {
         if (!this.hw.miu) {
             throw new Error("❌ SegmentedMemoryRegion não carregado!");
         }
+        if (watchpoints) this.hw.miu.watchpoints = watchpoints;
+        this.lastWatchpoint = null;
 
         if (this.cpu) {
             this.cpu.miu = this.hw.miu;
@@ -145,6 +339,7 @@ class HyperScanEngine {
         // 2. DRAM
         this.hw.dram = new window.ArrayMemoryRegion(PLATFORM_CONFIG.DRAM_SIZE);
         this.hw.miu.setRegion(PLATFORM_CONFIG.SEGMENT_DRAM, this.hw.dram, "DRAM");
+        this.hw.miu.setWaitStates(PLATFORM_CONFIG.SEGMENT_DRAM, PLATFORM_CONFIG.WAIT_STATES_DRAM);
 
         // 3. I/O
         this.hw.io = new window.IOMemoryRegion 
@@ -156,20 +351,30 @@ class HyperScanEngine {
         }
 
         this.hw.miu.setRegion(PLATFORM_CONFIG.SEGMENT_IO, this.hw.io, "I/O");
+        this.hw.miu.setWaitStates(PLATFORM_CONFIG.SEGMENT_IO, PLATFORM_CONFIG.WAIT_STATES_IO);
 
         // 4. Flash
         this.hw.flash = new window.ArrayMemoryRegion(PLATFORM_CONFIG.FLASH_SIZE);
         this.hw.miu.setRegion(PLATFORM_CONFIG.SEGMENT_FLASH, this.hw.flash, "FLASH");
+        this.hw.miu.setWaitStates(PLATFORM_CONFIG.SEGMENT_FLASH, PLATFORM_CONFIG.WAIT_STATES_FLASH);
+
+        // 5. Rewind (DRAM por páginas sujas, I/O por comparação)
+        if (this.rewind) {
+            this.rewind.attach({
+                dram: this.hw.dram,
+                io: new Uint8Array(this.hw.io.registers.buffer)
+            });
+        }
 
-        // 5. Update Disassembler
+        // 6. Update Disassembler
         if (this.disassembler) {
             this.disassembler.miu = this.hw.miu;
         }
 
-        // 6. Setup Periféricos (ORDEM CRÍTICA)
+        // 7. Setup Periféricos (ORDEM CRÍTICA)
         this._setupPeripherals();
 
-        // 7. Setup I/O Handlers
+        // 8. Setup I/O Handlers
         this._setupIOHandlers();
 
         console.info("%c[HW] ✓ Hardware Setup Completo", "color: #0f0; font-weight: bold;");
@@ -188,16 +393,25 @@ class HyperScanEngine {
 
         // 1. VDU (CRIAR PRIMEIRO - Sem MIU ainda)
         if (window.VideoDisplayUnit) {
-            this.peripherals.vdu = new window.VideoDisplayUnit("display", {
+            this.peripherals.vdu = new window.VideoDisplayUnit(this.config.headless ? null : "display", {
                 width: 320,
                 height: 224,
                 fbAddr: 0xA0000000,
                 colorMode: 'RGB565',
+                cyclesPerFrame: PLATFORM_CONFIG.CPU_CYCLES_PER_FRAME,
+                irqVBlank: PLATFORM_CONFIG.IRQ_VBLANK,
+                irqLine: PLATFORM_CONFIG.IRQ_LINE,
                 debug: false
             });
             console.log("[VDU] ✓ Criada (sem MIU ainda)");
         }
 
+        // 1b. PPU (camadas de texto, sprites e palette)
+        if (window.PictureProcessingUnit) {
+            this.peripherals.ppu = new window.PictureProcessingUnit();
+            console.log("[PPU] ✓ Criada");
+        }
+
         // 2. TIMER
         if (window.TimerController) {
             this.peripherals.timer = new window.TimerController();
@@ -216,6 +430,37 @@ class HyperScanEngine {
             console.log("[UART] ✓ Criada");
         }
 
+        // 4a. Leitor RFID (na linha serial da UART)
+        if (window.RFIDReader) {
+            this.peripherals.cardReader = new window.RFIDReader({ swipeCycles: PLATFORM_CONFIG.CPU_CLOCK_HZ });
+            console.log("[RFID] ✓ Criado");
+        }
+
+        // 4b. Portas de controle
+        if (window.ControllerPorts) {
+            this.peripherals.controller = new window.ControllerPorts({ irqNumber: PLATFORM_CONFIG.IRQ_INPUT });
+            console.log("[PAD] ✓ Criadas");
+        }
+
+        // 4c. SPU (som)
+        if (window.SoundProcessingUnit) {
+            this.peripherals.audio = new window.SoundProcessingUnit({
+                cpuClockHz: PLATFORM_CONFIG.CPU_CLOCK_HZ,
+                irqNumber: PLATFORM_CONFIG.IRQ_AUDIO
+            });
+            console.log("[SPU] ✓ Criada");
+        }
+
+        // 4d. Drive de CD-ROM
+        if (window.CDROMController) {
+            this.peripherals.cdrom = new window.CDROMController({
+                cpuClockHz: PLATFORM_CONFIG.CPU_CLOCK_HZ,
+                irqNumber: PLATFORM_CONFIG.IRQ_CDROM
+            });
+            if (this.hw.disc) this.peripherals.cdrom.insertDisc(this.hw.disc);
+            console.log("[CDROM] ✓ Criado");
+        }
+
         // 5. CALLBACKS
         if (this.peripherals.timer) {
             this.peripherals.timer.onInterrupt = (timerNumber) => {
@@ -232,11 +477,58 @@ class HyperScanEngine {
             console.log("[VDU] ✅ MIU CONECTADA AGORA");
         }
 
+        if (this.peripherals.ppu && this.hw.miu) {
+            this.peripherals.ppu.connectMIU(this.hw.miu);
+            if (this.peripherals.vdu) this.peripherals.vdu.connectPPU(this.peripherals.ppu);
+        }
+
         if (this.peripherals.vdu && this.peripherals.intC) {
             this.peripherals.vdu.connectInterruptController(this.peripherals.intC);
             console.log("[VDU] ✓ IntC conectada");
         }
 
+        if (this.peripherals.audio) {
+            if (this.hw.miu) this.peripherals.audio.connectMIU(this.hw.miu);
+            if (this.peripherals.intC) this.peripherals.audio.connectInterruptController(this.peripherals.intC);
+            // SPU nova (reset): mantém a captura de stems dos sinks registrados
+            this._updateStemCapture();
+        }
+
+        if (this.peripherals.controller && this.peripherals.intC) {
+            this.peripherals.controller.connectInterruptController(this.peripherals.intC);
+        }
+
+        if (this.peripherals.cdrom) {
+            if (this.hw.miu) this.peripherals.cdrom.connectMIU(this.hw.miu);
+            if (this.peripherals.intC) this.peripherals.cdrom.connectInterruptController(this.peripherals.intC);
+            this.peripherals.cdrom.onReschedule = () => this.scheduler.reschedule();
+        }
+
+        if (this.peripherals.cardReader && this.peripherals.uart) {
+            this.peripherals.cardReader.connectUART(this.peripherals.uart);
+        }
+
+        if (this.cpu && this.peripherals.intC) {
+            this.cpu.connectInterruptController(this.peripherals.intC);
+            console.log("[CPU] ✓ IntC conectada (amostragem entre instruções)");
+        }
+
+        // 6. AGENDADOR DE EVENTOS
+        this.scheduler.clear(this.clock.cyclesExecuted);
+        if (this.peripherals.timer) this.scheduler.addSource("timer", this.peripherals.timer);
+        if (this.peripherals.vdu) this.scheduler.addSource("vdu", this.peripherals.vdu);
+        if (this.peripherals.uart) this.scheduler.addSource("uart", this.peripherals.uart);
+        if (this.peripherals.audio) this.scheduler.addSource("spu", this.peripherals.audio);
+        if (this.peripherals.cardReader) this.scheduler.addSource("rfid", this.peripherals.cardReader);
+        if (this.peripherals.cdrom) this.scheduler.addSource("cdrom", this.peripherals.cdrom);
+        this.scheduler.addSource("break", {
+            tick: () => {
+                if (this.cycleBreak !== null && this.scheduler.now >= this.cycleBreak) this._stopOnCycleBreak();
+            },
+            cyclesUntilEvent: () => this.cycleBreak === null ? Infinity : this.cycleBreak - this.scheduler.now
+        });
+        console.log(`[SCHED] ✓ ${this.scheduler.sources.length} fontes de eventos registradas`);
+
         console.info("[PERIPH] ✓ Periféricos prontos");
     }
 
@@ -248,16 +540,38 @@ class HyperScanEngine {
 
         console.info("[IO] Registrando handlers MMIO...");
 
-        // VDU
+        // Leituras de COUNT/LINE/STATUS veem os periféricos no ciclo atual
+        this.hw.io.onBeforeAccess = () => this.scheduler.sync(this.clock.cyclesExecuted);
+        this.hw.io.onAfterWrite = () => this.scheduler.reschedule();
+
+        // VDU (registradores de 16 bits e CLUT; handlers são por word)
         if (this.peripherals.vdu) {
-            for (let offset = 0; offset < 0x08; offset += 2) {
-                this.hw.io.registerHandler(
-                    PLATFORM_CONFIG.VDU_BASE + offset,
-                    () => this.peripherals.vdu.readU32(offset),
-                    (val) => this.peripherals.vdu.writeU32(offset, val)
-                );
-            }
-            console.info("[IO] ✓ VDU registrada (0x080C0000-0x080C0006)");
+            this.hw.io.attachDevice(PLATFORM_CONFIG.VDU_BASE, window.VDU_REG.MMIO_SIZE, this.peripherals.vdu);
+            console.info("[IO] ✓ VDU registrada (0x080C0000-0x080C03FF)");
+        }
+
+        // PPU (registradores, palette RAM e sprite RAM)
+        if (this.peripherals.ppu) {
+            this.hw.io.attachDevice(PLATFORM_CONFIG.PPU_BASE, window.PPU_REG.MMIO_SIZE, this.peripherals.ppu);
+            console.info("[IO] ✓ PPU registrada (0x08010000-0x08012FFF)");
+        }
+
+        // SPU (registradores globais e 16 canais)
+        if (this.peripherals.audio) {
+            this.hw.io.attachDevice(PLATFORM_CONFIG.SPU_BASE, window.SPU_REG.MMIO_SIZE, this.peripherals.audio);
+            console.info("[IO] ✓ SPU registrada (0x08008000-0x080082FF)");
+        }
+
+        // Portas de controle (GPIO dos pads 1 e 2)
+        if (this.peripherals.controller) {
+            this.hw.io.attachDevice(PLATFORM_CONFIG.CONTROLLER_BASE, window.CONTROLLER_REG.MMIO_SIZE, this.peripherals.controller);
+            console.info("[IO] ✓ Controles registrados (0x08004000-0x0800401F)");
+        }
+
+        // Drive de CD-ROM
+        if (this.peripherals.cdrom) {
+            this.hw.io.attachDevice(PLATFORM_CONFIG.CDROM_BASE, window.CDROM_REG.MMIO_SIZE, this.peripherals.cdrom);
+            console.info("[IO] ✓ CD-ROM registrado (0x0800C000-0x0800C03F)");
         }
 
         // Timer
@@ -281,7 +595,7 @@ class HyperScanEngine {
                     (val) => this.peripherals.intC.writeU32(offset, val)
                 );
             }
-            console.info("[IO] ✓ IntC registrada (0x080A0000-0x080A000C)");
+            console.info("[IO] ✓ IntC registrada (0x080D0000-0x080D000C)");
         }
 
         // UART
@@ -301,6 +615,9 @@ class HyperScanEngine {
 
     /**
      * ✅ CORRIGIDO: Carrega ROM com validação
+     *
+     * @param {File|Blob} file - Arquivo selecionado (precisa de arrayBuffer() e name)
+     * @returns {Promise<boolean>} true se a ROM foi carregada
      */
     async loadROM(file) {
         try {
@@ -309,7 +626,30 @@ class HyperScanEngine {
             this.updateUIStatus(`📂 Lendo: ${file.name}...`);
 
             const buffer = await file.arrayBuffer();
-            let data = new Uint8Array(buffer);
+            return this.loadROMData(new Uint8Array(buffer), file.name);
+
+        } catch (err) {
+            this.handleFatalError(err);
+            return false;
+        }
+    }
+
+    /**
+     * Carrega uma imagem de ROM já em memória (usado por loadROM e pelo
+     * runtime headless)
+     *
+     * @param {Uint8Array} data - Bytes da ROM
+     * @param {string} [name="rom.bin"] - Nome exibido/gravado nos save states
+     * @returns {boolean} true se a ROM foi carregada
+     */
+    loadROMData(data, name = "rom.bin") {
+        if (window.ElfImage && window.ElfImage.isELF(data)) {
+            return this.loadELFData(data, name);
+        }
+
+        try {
+            this.pause();
+            this.state = EmulatorState.LOADING;
 
             console.log(`[BOOT] ROM tamanho: ${data.length} bytes`);
 
@@ -373,8 +713,14 @@ class HyperScanEngine {
 
             // Carregar ROM
             this.hw.flash.load(data, 0);
+            this.hw.romImage = data;
             this.hw.romLoaded = true;
-            this.hw.romName = file.name;
+            this.hw.romName = name;
+            this.hw.romCRC = this.hw.flash.crc32(0, data.length);
+            this.hw.elf = null;
+            this.hw.boot = { mode: "flash", elf: null };
+            this.symbols.clear();
+            this.saveSlots.clear();
 
             let bootAddr = PLATFORM_CONFIG.BOOT_ADDRESS_DEFAULT;
             
@@ -408,7 +754,7 @@ class HyperScanEngine {
             }
 
             this.state = EmulatorState.PAUSED;
-            this.updateUIStatus(`✓ ROM: ${file.name}${needsSwap ? " (BE→LE)" : ""}`);
+            this.updateUIStatus(`✓ ROM: ${name}${needsSwap ? " (BE→LE)" : ""}`);
             this.enableControls(true);
 
             if (this.dbg) {
@@ -416,10 +762,245 @@ class HyperScanEngine {
             }
 
             console.info("[BOOT] ✓ Boot Sequence Completo");
+            return true;
+
+        } catch (err) {
+            this.handleFatalError(err);
+            return false;
+        }
+    }
+
+    // ========== BOOT: FIRMWARE, ELF E BIOS HLE ==========
+
+    /**
+     * Guarda o dump do firmware (BIOS do sistema) sem reiniciar a máquina.
+     * Ele vai para a flash em todo power-on, a menos que uma ROM avulsa
+     * esteja carregada
+     *
+     * @param {Uint8Array} data - Imagem da flash
+     * @param {string} [name="bios.bin"]
+     * @throws {Error} Se não couber na flash
+     */
+    setBIOS(data, name = "bios.bin") {
+        if (data.length === 0 || data.length > PLATFORM_CONFIG.FLASH_SIZE) {
+            throw new Error(`Firmware inválido: ${data.length} bytes (flash de ${PLATFORM_CONFIG.FLASH_SIZE})`);
+        }
+
+        this.hw.bios = { image: data, name };
+        this.hw.romImage = null;
+        console.info(`[BIOS] ✓ Firmware: ${name} (${data.length} bytes)`);
+    }
+
+    /**
+     * Carrega o firmware escolhido pelo usuário e liga a máquina por ele
+     *
+     * @param {File|Blob} file
+     * @returns {Promise<boolean>} true se o boot começou
+     */
+    async loadBIOS(file) {
+        try {
+            this.setBIOS(new Uint8Array(await file.arrayBuffer()), file.name);
+            return this.bootSystem();
+        } catch (err) {
+            this.handleFatalError(err);
+            return false;
+        }
+    }
+
+    /**
+     * Carrega um executável ELF32 (o formato dos programas nos discos)
+     *
+     * @param {Uint8Array} data - Bytes do arquivo ELF
+     * @param {string} [name="game.elf"]
+     * @returns {boolean} true se o programa foi carregado
+     */
+    loadELFData(data, name = "game.elf") {
+        try {
+            this.hw.elf = window.ElfImage.parse(data, name);
+            this.hw.romImage = null;
+            return this.bootSystem();
+        } catch (err) {
+            this.handleFatalError(err);
+            return false;
+        }
+    }
+
+    /**
+     * Power-on no fluxo de duas etapas: firmware na flash e jogo do
+     * disco/ELF (ROMs avulsas usam loadROMData)
+     *
+     * @returns {boolean} true se a máquina ficou pronta
+     */
+    bootSystem() {
+        try {
+            this.pause();
+            this.state = EmulatorState.LOADING;
+
+            const mode = this._powerOn();
+            const program = this.hw.boot.elf;
+
+            this.hw.romLoaded = true;
+            if (program) {
+                this.hw.romName = program.name;
+                this.hw.romCRC = program.crc32;
+            } else {
+                this.hw.romName = this.hw.bios.name;
+                this.hw.romCRC = this.hw.flash.crc32(0, this.hw.bios.image.length);
+            }
+            this.saveSlots.clear();
+
+            this.state = EmulatorState.PAUSED;
+            this.updateUIStatus(mode === "hle"
+                ? `✓ ${program.name} (${this.hw.bios ? "fast boot" : "BIOS HLE"}, ${program.symbols.length} símbolos)`
+                : `✓ Firmware: ${this.hw.bios.name}`);
+            this.enableControls(true);
+
+            if (this.dbg) {
+                this.dbg.state.recordState(this.cpu);
+            }
+
+            return true;
 
         } catch (err) {
             this.handleFatalError(err);
+            return false;
+        }
+    }
+
+    /**
+     * Recria o hardware e prepara o PC com o que estiver carregado:
+     *  - ROM avulsa, ou firmware sem ELF: o código da flash faz o boot
+     *    (o firmware lê o disco pelo CD-ROM)
+     *  - ELF carregado, ou ELF do disco quando não há firmware: o BIOS HLE
+     *    prepara a máquina e pula para o entry point (com firmware, ele
+     *    fica na flash para as chamadas do jogo)
+     *
+     * Usado pelo boot e pelo reset.
+     *
+     * @returns {string} "flash" ou "hle" (também em hw.boot.mode)
+     * @throws {Error} Se não houver o que dar boot
+     * @private
+     */
+    _powerOn() {
+        this.setupHardware();
+
+        const firmware = this.hw.romImage || this.hw.bios?.image;
+        if (firmware) this.hw.flash.load(firmware, 0);
+
+        const elf = this.hw.elf || (firmware ? null : this._discExecutable());
+        this.symbols.clear();
+
+        if (elf) {
+            this.bios.boot({ cpu: this.cpu, miu: this.hw.miu, dram: this.hw.dram }, elf);
+            this.symbols.addAll(elf.symbols);
+            this.hw.boot = { mode: "hle", elf };
+            return "hle";
+        }
+
+        if (!firmware) {
+            throw new Error(this.hw.disc
+                ? "Disco sem executável ELF e nenhum firmware carregado"
+                : "Nada para dar boot: carregue um firmware, um ELF ou um disco");
+        }
+
+        const magic = this.hw.flash.readU32(PLATFORM_CONFIG.BOOT_MAGIC_OFFSET);
+        this.cpu.pc = magic === PLATFORM_CONFIG.BOOT_MAGIC
+            ? PLATFORM_CONFIG.BOOT_ADDRESS_FROM_MAGIC
+            : PLATFORM_CONFIG.BOOT_ADDRESS_DEFAULT;
+
+        this.hw.boot = { mode: "flash", elf: null };
+        return "flash";
+    }
+
+    /**
+     * Procura o executável do jogo no diretório raiz do disco
+     *
+     * @returns {ElfImage|null}
+     * @private
+     */
+    _discExecutable() {
+        const disc = this.hw.disc;
+        if (!disc) return null;
+
+        for (const file of disc.listFiles()) {
+            const head = file.size >= 4 ? disc.readSector(file.lba) : null;
+            if (head && window.ElfImage.isELF(head)) {
+                console.info(`[BIOS] Executável do disco: ${file.name}`);
+                return window.ElfImage.parse(disc.readFile(file.name), file.name);
+            }
+        }
+
+        return null;
+    }
+
+    // ========== DISCO (CD-ROM) ==========
+
+    /**
+     * Carrega uma imagem de disco escolhida pelo usuário: um .iso, um .cue
+     * junto com os .bin que ele referencia, ou um .bin/.img avulso
+     *
+     * @param {FileList|File[]} files - Arquivos selecionados
+     * @returns {Promise<boolean>} true se o disco entrou no drive
+     */
+    async loadDisc(files) {
+        try {
+            const list = Array.from(files);
+            const main = list.find(f => /\.cue$/i.test(f.name)) || list[0];
+            if (!main) throw new Error("Nenhum arquivo de disco selecionado");
+
+            this.updateUIStatus(`📂 Lendo: ${main.name}...`);
+
+            // O CUE cita os arquivos pelo nome; o navegador só entrega o nome base
+            const contents = new Map();
+            for (const file of list) {
+                contents.set(file.name.toLowerCase(), new Uint8Array(await file.arrayBuffer()));
+            }
+            const readFile = (name) => contents.get(name.split(/[\\/]/).pop().toLowerCase()) || null;
+
+            this.insertDisc(window.DiscImage.open(main.name, readFile(main.name), readFile));
+
+            // Máquina vazia: o disco dá o boot (pelo firmware ou pelo BIOS HLE)
+            return this.hw.romLoaded ? true : this.bootSystem();
+        } catch (err) {
+            console.error("[CDROM] ❌ Falha ao carregar disco:", err);
+            this.updateUIStatus(`❌ ${err.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Coloca um disco no drive. O firmware da flash dá boot por ele (sem
+     * firmware, o BIOS HLE carrega o ELF do disco); com a máquina já
+     * ligada, o disco é lido no próximo reset.
+     *
+     * @param {DiscImage} disc
+     * @returns {boolean}
+     */
+    insertDisc(disc) {
+        this.hw.disc = disc;
+
+        if (this.peripherals.cdrom) {
+            this.scheduler.sync(this.clock.cyclesExecuted);
+            this.peripherals.cdrom.insertDisc(disc);
+            this.scheduler.reschedule();
         }
+
+        this.updateUIStatus(`💿 Disco: ${disc.name || "sem nome"}${this.hw.romLoaded ? " (RESET para dar boot)" : ""}`);
+        return true;
+    }
+
+    ejectDisc() {
+        if (!this.hw.disc) return false;
+
+        this.hw.disc = null;
+        if (this.peripherals.cdrom) {
+            this.scheduler.sync(this.clock.cyclesExecuted);
+            this.peripherals.cdrom.ejectDisc();
+            this.scheduler.reschedule();
+        }
+
+        this.updateUIStatus("⏏️ Disco ejetado");
+        return true;
     }
 
     // ========== MAIN LOOP ==========
@@ -439,10 +1020,19 @@ class HyperScanEngine {
             }
             this.clock.lastFrameTime = timestamp;
 
+            // Tecla de rewind pressionada: volta um frame em vez de executar
+            if (this.rewindHeld) {
+                this.rewindFrames(1);
+                this.clock.frameId = this._scheduleFrame();
+                return;
+            }
+
             // ========== EXECUÇÃO ==========
 
+            this._pollInput();
+
             let cyclesToRun = this.clock.cyclesPerFrame;
-            let sliceCycles = this.clock.cyclesPerSlice;
+            const scheduler = this.scheduler;
 
             while (cyclesToRun > 0) {
                 // Breakpoint
@@ -463,13 +1053,24 @@ class HyperScanEngine {
                     return;
                 }
 
-                this.clock.cyclesExecuted += 4;
-                cyclesToRun -= 4;
-                sliceCycles -= 4;
+                // Falha reportada pelo modo breakOnException
+                if (this.state !== EmulatorState.RUNNING) return;
+
+                const used = this.cpu.lastStepCycles;
+                this.clock.cyclesExecuted += used;
+                cyclesToRun -= used;
+
+                // Evento de periférico alcançado (compare de timer, HBlank, TX...)
+                if (this.clock.cyclesExecuted >= scheduler.nextEvent) {
+                    scheduler.sync(this.clock.cyclesExecuted);
+                    // stopAtCycle pausa pelo agendador
+                    if (this.state !== EmulatorState.RUNNING) return;
+                }
 
-                if (sliceCycles <= 0) {
-                    sliceCycles = this.clock.cyclesPerSlice;
-                    this._updatePeripherals();
+                // Watchpoint: para logo depois da instrução que fez o acesso
+                if (this.hw.miu.watchHit) {
+                    this._stopOnWatchpoint();
+                    return;
                 }
 
                 if (cyclesToRun < -10000) break;
@@ -478,19 +1079,15 @@ class HyperScanEngine {
             // ========== VSYNC ==========
 
             this.clock.frameCount++;
+            this.clock.emulatedHz = (this.clock.cyclesPerFrame - cyclesToRun) * this.clock.actualFPS;
 
-            // VBlank interrupt
-            if (this.peripherals.intC && this.cpu) {
-                this.peripherals.intC.trigger(this.cpu, PLATFORM_CONFIG.IRQ_VBLANK);
-            }
+            // VBlank, IRQ de VBlank e apresentação do frame vêm de vdu.tick()
+            this._captureRewindFrame();
+            this._pumpAudio();
+            this._endMovieFrame();
 
-            // ========== ✅ RENDERIZAR VDU (MIU já está conectada!) ==========
-            if (this.peripherals.vdu) {
-                const renderSuccess = this.peripherals.vdu.render(this.hw.miu);
-                if (!renderSuccess && this.config.debugEnabled) {
-                    // Log opcional
-                }
-            }
+            // Desync ou fim do movie pausam o engine
+            if (this.state !== EmulatorState.RUNNING) return;
 
             // Debug UI
             if (this.dbg && this.config.debugEnabled && this.clock.frameCount % 6 === 0) {
@@ -498,35 +1095,29 @@ class HyperScanEngine {
                 this._updateDebuggerUI(state);
             }
 
-            this.clock.frameId = requestAnimationFrame((ts) => this.runLoop(ts));
+            this.clock.frameId = this._scheduleFrame();
 
         } catch (err) {
             this.handleFatalError(err);
         }
     }
 
-    _updatePeripherals() {
-        if (this.peripherals.timer) {
-            this.peripherals.timer.tick(this.clock.cyclesPerSlice);
-        }
-    }
-
     _updateDebuggerUI(state) {
-        const pcEl = document.getElementById("dbg-pc");
+        const pcEl = uiElement("dbg-pc");
         if (pcEl) {
             pcEl.innerText = `0x${state.pc.toString(16).padStart(8, '0').toUpperCase()}`;
         }
 
         const flags = state.flags;
         ["N", "Z", "C", "V", "T"].forEach(f => {
-            const el = document.getElementById(`dbg-flag-${f.toLowerCase()}`);
+            const el = uiElement(`dbg-flag-${f.toLowerCase()}`);
             if (el) {
                 el.innerText = flags[f];
                 el.style.color = flags[f] ? "#0f0" : "#555";
             }
         });
 
-        const fpsEl = document.getElementById("dbg-fps");
+        const fpsEl = uiElement("dbg-fps");
         if (fpsEl) {
             fpsEl.innerText = `${this.clock.actualFPS.toFixed(1)} FPS`;
         }
@@ -542,85 +1133,941 @@ class HyperScanEngine {
 
         if (this.state === EmulatorState.RUNNING) return;
 
+        if (this.cpu.halted) {
+            this.updateUIStatus("⏹️ Programa encerrado: RESET para rodar de novo");
+            return;
+        }
+
+        // Hit de um step fora do run loop não deve parar a execução nova
+        this.hw.miu.watchHit = null;
+
         this.state = EmulatorState.RUNNING;
         this.updateUIStatus("▶️ Executando...");
-        this.clock.frameId = requestAnimationFrame((ts) => this.runLoop(ts));
+        this._startAudio();
+        this.clock.frameId = this._scheduleFrame();
     }
 
-    pause() {
-        if (this.state === EmulatorState.RUNNING) {
-            this.state = EmulatorState.PAUSED;
-            if (this.clock.frameId) {
-                cancelAnimationFrame(this.clock.frameId);
-                this.clock.frameId = null;
-            }
-            this.updateUIStatus("⏸️ Pausado");
-        }
-    }
+    // ========== ENTRADA ==========
 
-    step() {
-        if (!this.hw.romLoaded) return;
+    /**
+     * Lê o host e trava a entrada do frame nas portas de controle.
+     * Chamado uma vez por frame, antes da CPU; scripts headless usam
+     * peripherals.controller.setButtons() direto.
+     */
+    _pollInput() {
+        const pads = this.peripherals.controller;
+        if (!pads) return;
 
-        this.pause();
+        if (this.input) {
+            this.input.poll().forEach((mask, player) => pads.setButtons(player, mask));
+        }
 
-        try {
-            const success = this.cpu.step();
-            
-            if (!success) {
-                console.error("[CPU] Falha no step");
-                return;
+        if (this.movie) {
+            const { mode, movie } = this.movie;
+            const frame = this._movieFrame();
+
+            if (mode === "record") {
+                movie.setFrame(frame, pads.pending);
+            } else {
+                movie.getFrame(frame).forEach((mask, player) => pads.setButtons(player, mask));
             }
+        }
 
-            this.clock.cyclesExecuted += 4;
+        pads.latch();
+    }
 
-            if (this.dbg) {
-                this.dbg.state.stepCount++;
-                this.dbg.state.recordState(this.cpu);
-            }
+    // ========== INPUT MOVIES ==========
 
-            this.updateUIStatus(`➡️ Step: 0x${this.cpu.pc.toString(16).toUpperCase()}`);
+    /**
+     * Hash do estado da máquina (DRAM, registradores de I/O e componentes).
+     * O frameCount fica de fora: ele não volta a zero no reset.
+     *
+     * @returns {number} FNV-1a de 32 bits
+     */
+    hashState() {
+        const { clock, ...components } = this._captureMachineState();
+        const dram = this.hw.dram.u8;
 
-        } catch (err) {
-            this.handleFatalError(err);
+        let hash = window.InputMovie.hash(new Uint32Array(dram.buffer, dram.byteOffset, dram.byteLength >>> 2));
+        hash = window.InputMovie.hash(this.hw.io.registers, hash);
+        return window.InputMovie.hash(JSON.stringify({ cycles: clock.cyclesExecuted, ...components }), hash);
+    }
+
+    /**
+     * Reinicia a máquina (power-on) e grava a entrada dos controles
+     *
+     * @param {Object} [options]
+     * @param {number} [options.hashInterval] - Frames entre hashes (padrão: MOVIE_HASH_INTERVAL)
+     * @returns {boolean} true se a gravação começou
+     */
+    startMovieRecording(options = {}) {
+        if (!this.hw.romLoaded || !window.InputMovie) {
+            console.warn("[MOVIE] ⚠️ ROM não carregada");
+            return false;
         }
+
+        const movie = new window.InputMovie({
+            romName: this.hw.romName,
+            romCRC: this.hw.romCRC,
+            players: window.ControllerPorts?.PLAYERS ?? 2,
+            hashInterval: options.hashInterval ?? PLATFORM_CONFIG.MOVIE_HASH_INTERVAL
+        });
+
+        this._beginMovie("record", movie, {});
+        console.log(`[MOVIE] ⏺️ Gravando (hash a cada ${movie.hashInterval} frames)`);
+        return true;
     }
 
-    reset() {
-        this.pause();
-        
-        if (this.hw.romLoaded) {
-            this.setupHardware();
-            let bootAddr = PLATFORM_CONFIG.BOOT_ADDRESS_DEFAULT;
-            
-            if (this.hw.flash) {
-                const magic = this.hw.flash.readU32(PLATFORM_CONFIG.BOOT_MAGIC_OFFSET);
-                if (magic === PLATFORM_CONFIG.BOOT_MAGIC) {
-                    bootAddr = PLATFORM_CONFIG.BOOT_ADDRESS_FROM_MAGIC;
-                }
-            }
-            
-            if (this.cpu) {
-                this.cpu.pc = bootAddr;
-            }
-            this.updateUIStatus(`♻️ Sistema reiniciado`);
+    /**
+     * Reinicia a máquina (power-on) e reproduz um movie
+     *
+     * @param {InputMovie|Uint8Array|ArrayBuffer} data - Movie ou arquivo .hsm
+     * @param {Object} [options]
+     * @param {boolean} [options.stopOnDesync=true] - Pausa no primeiro hash divergente
+     * @returns {boolean} true se o replay começou
+     * @throws {Error} Se o arquivo for inválido ou de outra ROM
+     */
+    playMovie(data, options = {}) {
+        if (!this.hw.romLoaded) {
+            throw new Error("ROM não carregada");
         }
 
-        if (this.dbg) {
-            this.dbg.state.recordState(this.cpu);
+        const movie = data instanceof window.InputMovie ? data : window.InputMovie.decode(data);
+        if (movie.romCRC !== this.hw.romCRC) {
+            throw new Error(`Movie pertence a outra ROM (${movie.romName})`);
         }
 
-        this.updateRunButton();
+        this._beginMovie("play", movie, { stopOnDesync: options.stopOnDesync ?? true });
+        console.log(`[MOVIE] ▶️ Reproduzindo ${movie.length} frames`);
+        return true;
     }
 
-    // ========== ERROR HANDLING ==========
+    _beginMovie(mode, movie, options) {
+        const wasRunning = this.state === EmulatorState.RUNNING;
+        if (this.movie) this.stopMovie();
 
-    handleFatalError(err) {
-        this.state = EmulatorState.ERROR;
-        this.fatalError = err;
+        this.reset();
 
-        if (this.clock.frameId) {
-            cancelAnimationFrame(this.clock.frameId);
-            this.clock.frameId = null;
+        this.movie = {
+            mode,
+            movie,
+            startFrame: this.clock.frameCount,
+            desyncs: [],
+            stopOnDesync: options.stopOnDesync ?? false
+        };
+        this.lastMovie = movie;
+        this._checkMovieHash(0);
+
+        this.updateUIStatus(mode === "record" ? "⏺️ Gravando movie" : "▶️ Reproduzindo movie");
+        if (wasRunning) this.start();
+    }
+
+    /**
+     * Encerra a gravação ou o replay
+     *
+     * @returns {{mode: string, movie: InputMovie, frames: number, desyncs: Object[]}|null}
+     */
+    stopMovie() {
+        if (!this.movie) return null;
+
+        const { mode, movie, desyncs } = this.movie;
+        const frames = Math.max(0, this._movieFrame());
+        this.movie = null;
+
+        // A entrada do movie não fica "presa" nas portas
+        const pads = this.peripherals.controller;
+        if (mode === "play" && pads) {
+            for (let p = 0; p < movie.players; p++) pads.setButtons(p, 0);
+        }
+
+        console.log(
+            `[MOVIE] ⏹️ ${mode === "record" ? "Gravação" : "Replay"} encerrado: ${frames} frames` +
+            (mode === "play" ? `, ${desyncs.length} desync(s)` : "")
+        );
+        return { mode, movie, frames, desyncs };
+    }
+
+    /**
+     * Baixa o movie como arquivo .hsm
+     *
+     * @returns {Uint8Array|null} Arquivo (sem DOM, apenas retornado)
+     */
+    exportMovie() {
+        const movie = this.movie?.movie ?? this.lastMovie;
+        if (!movie) {
+            console.warn("[MOVIE] ⚠️ Nenhum movie para exportar");
+            return null;
+        }
+
+        const bytes = movie.encode();
+        if (typeof document !== 'undefined') {
+            const baseName = (movie.romName || "hyperscan").replace(/\.[^.]+$/, "");
+            this._downloadFile(bytes, `${baseName}.hsm`, "application/octet-stream");
+        }
+
+        console.log(`[MOVIE] ✓ Exportado: ${movie.length} frames`);
+        return bytes;
+    }
+
+    /**
+     * Carrega um arquivo .hsm e começa o replay
+     *
+     * @param {File} file - Arquivo selecionado pelo usuário
+     * @returns {Promise<boolean>} true se o replay começou
+     */
+    async importMovie(file) {
+        try {
+            const buffer = await file.arrayBuffer();
+            return this.playMovie(new Uint8Array(buffer));
+        } catch (err) {
+            console.error("[MOVIE] ❌ Falha ao carregar movie:", err);
+            this.updateUIStatus(`❌ ${err.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * @returns {number} Frame do movie (frames concluídos desde o power-on)
+     */
+    _movieFrame() {
+        return this.clock.frameCount - this.movie.startFrame;
+    }
+
+    /**
+     * Fim de frame: hash periódico e fim do replay
+     */
+    _endMovieFrame() {
+        if (!this.movie) return;
+
+        const { mode, movie } = this.movie;
+        const frame = this._movieFrame();
+
+        if (frame % movie.hashInterval === 0) this._checkMovieHash(frame);
+
+        if (this.movie && mode === "play" && frame >= movie.length) {
+            const result = this.stopMovie();
+            this.pause();
+            this.updateUIStatus(`⏹️ Movie concluído (${result.desyncs.length} desync)`);
+            if (this.onMovieEnd) this.onMovieEnd(result);
+        }
+    }
+
+    _checkMovieHash(frame) {
+        const { mode, movie } = this.movie;
+        const hash = this.hashState();
+
+        if (mode === "record") {
+            movie.hashes[frame] = hash;
+            return;
+        }
+
+        const expected = movie.hashes[frame];
+        if (expected === undefined || expected === hash) return;
+
+        this.movie.desyncs.push({ frame, expected, actual: hash });
+        console.warn(
+            `[MOVIE] ⚠️ Desync no frame ${frame}: esperado 0x${expected.toString(16).padStart(8, '0')}, ` +
+            `obtido 0x${hash.toString(16).padStart(8, '0')}`
+        );
+
+        if (this.movie.stopOnDesync) {
+            this.pause();
+            this.updateUIStatus(`⚠️ Desync do movie no frame ${frame}`);
+        }
+    }
+
+    /**
+     * Load state/rewind durante um movie: a gravação é cortada no frame
+     * restaurado (regravação); o replay segue a partir dele.
+     */
+    _seekMovie() {
+        const frame = this._movieFrame();
+
+        if (frame < 0) {
+            console.warn("[MOVIE] ⚠️ Estado anterior ao início do movie");
+            this.stopMovie();
+        } else if (this.movie.mode === "record") {
+            this.movie.movie.truncate(frame);
+        }
+    }
+
+    // ========== CARTÕES RFID ==========
+
+    /**
+     * Passa um cartão no leitor RFID
+     *
+     * @param {string|Uint8Array} card - Nome na biblioteca ou o próprio dump
+     * @param {string} [name] - Nome do dump (quando card é um dump)
+     * @returns {boolean} true se o cartão entrou no leitor
+     */
+    swipeCard(card, name = "") {
+        const reader = this.peripherals.cardReader;
+        if (!reader) {
+            console.warn("[RFID] ⚠️ Leitor RFID não disponível");
+            return false;
+        }
+
+        // O movie só grava os controles: o cartão dessincronizaria o replay
+        if (this.movie) {
+            console.warn("[RFID] ⚠️ Cartão recusado durante gravação/replay de movie");
+            this.updateUIStatus("⚠️ Cartão indisponível com movie ativo");
+            return false;
+        }
+
+        let dump = card;
+        if (typeof card === 'string') {
+            dump = this.cards?.get(card);
+            name = card;
+            if (!dump) {
+                console.warn(`[RFID] ⚠️ Cartão não está na biblioteca: ${card}`);
+                return false;
+            }
+        }
+
+        // O cartão entra no ciclo atual e sai swipeCycles depois
+        this.scheduler.sync(this.clock.cyclesExecuted);
+        const ok = reader.swipe(dump, name);
+        this.scheduler.reschedule();
+
+        if (ok) this.updateUIStatus(`💳 Cartão: ${name || "sem nome"}`);
+        return ok;
+    }
+
+    /**
+     * Adiciona um arquivo de dump à biblioteca
+     *
+     * @param {File} file - Arquivo selecionado pelo usuário
+     * @returns {Promise<string|null>} Nome do cartão
+     */
+    async importCard(file) {
+        if (!this.cards) return null;
+
+        try {
+            const name = await this.cards.addFile(file);
+            console.log(`[CARDS] ✓ Cartão adicionado: ${name}`);
+            this.updateCardList(name);
+            return name;
+        } catch (err) {
+            console.error("[CARDS] ❌ Falha ao carregar cartão:", err);
+            this.updateUIStatus(`❌ ${err.message}`);
+            return null;
+        }
+    }
+
+    // ========== ÁUDIO ==========
+
+    /**
+     * Liga a saída Web Audio (fora do headless). Chamado de start(), que
+     * vem de um clique: o navegador exige gesto do usuário para tocar som.
+     */
+    _startAudio() {
+        if (this.config.headless || !this.config.audioEnabled || !this.peripherals.audio) return;
+        if (!window.WebAudioOutput || !window.WebAudioOutput.isSupported()) return;
+
+        if (!this.audioOutput) {
+            this.audioOutput = new window.WebAudioOutput({ sampleRate: this.peripherals.audio.sampleRate });
+            this.addAudioSink(this.audioOutput);
+        }
+
+        this.audioOutput.start();
+    }
+
+    /**
+     * Registra um sink de áudio. Ao fim de cada frame o engine drena a SPU
+     * e chama sink.write(block) com:
+     *   mix        Float32Array intercalado (L, R) a block.sampleRate
+     *   stems      um Float32Array por canal, ou null
+     *   frame      clock.frameCount ao fim do frame
+     *   sampleRate taxa da SPU
+     * Sinks com `wantsStems: true` ligam a captura por canal da SPU.
+     * Sem nenhum sink a SPU não é drenada (readSamples() fica com o chamador).
+     *
+     * @param {Object} sink - Objeto com write(block)
+     */
+    addAudioSink(sink) {
+        if (!this.audioSinks.includes(sink)) this.audioSinks.push(sink);
+        this._updateStemCapture();
+    }
+
+    /**
+     * @param {Object} sink - Sink registrado com addAudioSink
+     */
+    removeAudioSink(sink) {
+        this.audioSinks = this.audioSinks.filter(s => s !== sink);
+        this._updateStemCapture();
+    }
+
+    _updateStemCapture() {
+        this.peripherals.audio?.setStemCapture(this.audioSinks.some(s => s.wantsStems));
+    }
+
+    /**
+     * Entrega aos sinks as amostras geradas desde o último frame
+     */
+    _pumpAudio() {
+        const spu = this.peripherals.audio;
+        if (!spu || this.audioSinks.length === 0) return;
+
+        const block = spu.readBlock();
+        block.frame = this.clock.frameCount;
+        block.sampleRate = spu.sampleRate;
+
+        for (const sink of this.audioSinks) {
+            sink.write(block);
+        }
+    }
+
+    /**
+     * Começa a gravar o som em WAV (mixagem e, por padrão, stems por canal)
+     *
+     * @param {Object} [options]
+     * @param {string} [options.fileName] - Nome do WAV da mixagem (padrão: rom.frameN.wav)
+     * @param {boolean} [options.stems=true] - Grava também um WAV por canal que tocar
+     * @returns {boolean} true se a gravação começou
+     */
+    startAudioRecording(options = {}) {
+        if (!this.peripherals.audio || !window.WavRecorder) {
+            console.warn("[AUDIO] ⚠️ SPU indisponível, nada para gravar");
+            return false;
+        }
+
+        if (this.audioRecording) {
+            console.warn("[AUDIO] ⚠️ Já existe uma gravação em andamento");
+            return false;
+        }
+
+        // O que já está na SPU é de antes da gravação
+        this._pumpAudio();
+        this.peripherals.audio.readSamples();
+
+        const recorder = new window.WavRecorder({
+            stems: options.stems ?? true,
+            sampleRate: this.peripherals.audio.sampleRate
+        });
+        this.audioRecording = { recorder, fileName: options.fileName || null };
+        this.addAudioSink(recorder);
+
+        console.log(`[AUDIO] ⏺️ Gravando a partir do frame ${this.clock.frameCount}`);
+        this.updateRecordButton();
+        return true;
+    }
+
+    /**
+     * Encerra a gravação e baixa os WAVs (no navegador)
+     *
+     * @returns {Object|null} Resultado de WavRecorder.stop() com `fileName`
+     *          e `stems[].fileName`, ou null sem gravação
+     */
+    stopAudioRecording() {
+        if (!this.audioRecording) {
+            console.warn("[AUDIO] ⚠️ Nenhuma gravação em andamento");
+            return null;
+        }
+
+        // Amostras do frame em andamento (pausado/step)
+        this._pumpAudio();
+
+        const { recorder, fileName } = this.audioRecording;
+        this.removeAudioSink(recorder);
+        this.audioRecording = null;
+
+        const result = recorder.stop();
+        const baseName = fileName
+            ? fileName.replace(/\.wav$/i, "")
+            : `${(this.hw.romName || "hyperscan").replace(/\.[^.]+$/, "")}.frame${result.startFrame}`;
+
+        result.fileName = `${baseName}.wav`;
+        result.stems.forEach(stem => {
+            stem.fileName = `${baseName}.ch${String(stem.channel).padStart(2, '0')}.wav`;
+        });
+
+        if (typeof document !== 'undefined') {
+            this._downloadFile(result.mix, result.fileName, "audio/wav");
+            result.stems.forEach(stem => this._downloadFile(stem.data, stem.fileName, "audio/wav"));
+        }
+
+        console.log(
+            `[AUDIO] ✓ Gravação: frames ${result.startFrame}-${result.endFrame}, ` +
+            `${(result.frames / result.sampleRate).toFixed(2)}s, ${result.stems.length} stem(s)`
+        );
+        this.updateRecordButton();
+        return result;
+    }
+
+    /**
+     * Agenda o próximo frame do runLoop. Durante runFrames() os frames
+     * são dirigidos pelo chamador e nada é agendado.
+     *
+     * @returns {number|null} id do requestAnimationFrame
+     */
+    _scheduleFrame() {
+        if (this.clock.manualFrames) return null;
+        return requestAnimationFrame((ts) => this.runLoop(ts));
+    }
+
+    /**
+     * Executa N frames de forma síncrona, sem requestAnimationFrame
+     * (scripts, CI e runtime headless). Para antes se houver breakpoint,
+     * falha com breakOnException ou erro fatal.
+     *
+     * @param {number} [frames=1] - Quantidade de frames
+     * @returns {number} Frames efetivamente executados
+     */
+    runFrames(frames = 1) {
+        if (!this.hw.romLoaded) {
+            throw new Error("ROM não carregada");
+        }
+
+        this.pause();
+        if (this.cpu.halted) return 0;
+        this.hw.miu.watchHit = null;
+
+        const startFrame = this.clock.frameCount;
+        const frameMs = 1000 / this.clock.fps;
+        let timestamp = this.clock.lastFrameTime;
+
+        this.clock.manualFrames = true;
+        this.state = EmulatorState.RUNNING;
+
+        try {
+            for (let i = 0; i < frames && this.state === EmulatorState.RUNNING; i++) {
+                timestamp += frameMs;
+                this.runLoop(timestamp);
+            }
+        } finally {
+            this.clock.manualFrames = false;
+            if (this.state === EmulatorState.RUNNING) {
+                this.state = EmulatorState.PAUSED;
+            }
+        }
+
+        return this.clock.frameCount - startFrame;
+    }
+
+    pause() {
+        if (this.state === EmulatorState.RUNNING) {
+            this.state = EmulatorState.PAUSED;
+            if (this.clock.frameId) {
+                cancelAnimationFrame(this.clock.frameId);
+                this.clock.frameId = null;
+            }
+            if (this.audioOutput) this.audioOutput.suspend();
+            this.updateUIStatus("⏸️ Pausado");
+        }
+    }
+
+    /**
+     * Pausa no watchpoint disparado pela última instrução. O PC já aponta
+     * para a instrução seguinte; hit.pc é a que fez o acesso.
+     */
+    _stopOnWatchpoint() {
+        const hit = this.hw.miu.watchHit;
+        this.hw.miu.watchHit = null;
+        this.lastWatchpoint = hit;
+
+        this.pause();
+
+        const hex = (v, digits) => `0x${(v >>> 0).toString(16).padStart(digits, '0').toUpperCase()}`;
+        const message = `🛑 Watchpoint #${hit.id}: ${hit.access === "w" ? "escrita" : "leitura"} ` +
+            `${hex(hit.value, hit.size * 2)} em ${hex(hit.address, 8)} (PC ${hex(hit.pc, 8)})`;
+        console.warn(`[DEBUG] ${message}`);
+        this.updateUIStatus(message);
+        this.updateRunButton();
+
+        if (this.dbg) this.dbg.state.recordState(this.cpu);
+        if (this.onWatchpoint) this.onWatchpoint(hit);
+    }
+
+    /**
+     * Pausa o engine no fim da instrução que alcançar o ciclo `cycle`
+     * (contado desde o power-on). Vale uma vez; null cancela.
+     *
+     * @param {number|null} cycle
+     */
+    stopAtCycle(cycle) {
+        this.cycleBreak = cycle;
+        this.scheduler.reschedule();
+    }
+
+    _stopOnCycleBreak() {
+        this.cycleBreak = null;
+        this.pause();
+
+        const message = `🛑 Ciclo ${this.clock.cyclesExecuted} (PC 0x${this.cpu.pc.toString(16).padStart(8, '0').toUpperCase()})`;
+        console.warn(`[DEBUG] ${message}`);
+        this.updateUIStatus(message);
+        this.updateRunButton();
+
+        if (this.dbg) this.dbg.state.recordState(this.cpu);
+    }
+
+    step() {
+        if (!this.hw.romLoaded) return;
+
+        this.pause();
+
+        try {
+            const success = this.cpu.step();
+            
+            if (!success) {
+                console.error("[CPU] Falha no step");
+                return;
+            }
+
+            this.clock.cyclesExecuted += this.cpu.lastStepCycles;
+            this.scheduler.sync(this.clock.cyclesExecuted);
+
+            if (this.dbg) {
+                this.dbg.state.stepCount++;
+                this.dbg.state.recordState(this.cpu);
+            }
+
+            if (this.hw.miu.watchHit) {
+                this._stopOnWatchpoint();
+                return;
+            }
+
+            this.updateUIStatus(`➡️ Step: 0x${this.cpu.pc.toString(16).toUpperCase()}`);
+
+        } catch (err) {
+            this.handleFatalError(err);
+        }
+    }
+
+    reset() {
+        this.pause();
+        if (this.movie) this.stopMovie();
+        
+        if (this.hw.romLoaded) {
+            try {
+                this._powerOn();
+            } catch (err) {
+                this.handleFatalError(err);
+                return;
+            }
+            this.updateUIStatus(`♻️ Sistema reiniciado`);
+        }
+
+        if (this.dbg) {
+            this.dbg.state.recordState(this.cpu);
+        }
+
+        this.updateRunButton();
+    }
+
+    // ========== SAVE STATES ==========
+
+    /**
+     * Serializa a máquina inteira (CPU, DRAM, MIU, I/O e periféricos).
+     * A flash não entra no blob: o CRC da ROM identifica a imagem necessária.
+     *
+     * @returns {Uint8Array|null} Blob versionado (SaveStateCodec) ou null sem ROM
+     */
+    saveState() {
+        if (!this.hw.romLoaded) {
+            console.warn("[STATE] ⚠️ ROM não carregada");
+            return null;
+        }
+
+        const meta = {
+            romName: this.hw.romName,
+            romCRC: this.hw.romCRC,
+            createdAt: new Date().toISOString(),
+            ...this._captureMachineState()
+        };
+
+        // Memória esparsa: só as páginas que saíram do zero do power-on
+        const blob = SaveStateCodec.encode(meta, {
+            dram: this.hw.dram.u8,
+            io: new Uint8Array(this.hw.io.registers.buffer)
+        }, { sparse: ["dram", "io"] });
+
+        console.log(`[STATE] ✓ Save state criado (${(blob.length / 1024).toFixed(0)} KB, frame ${this.clock.frameCount})`);
+        return blob;
+    }
+
+    /**
+     * Restaura um blob produzido por saveState()
+     *
+     * @param {Uint8Array|ArrayBuffer} blob - Save state
+     * @returns {boolean} true se restaurado
+     * @throws {Error} Se o blob for inválido ou de outra ROM
+     */
+    loadState(blob) {
+        if (!this.hw.romLoaded) {
+            throw new Error("ROM não carregada");
+        }
+
+        const { meta, sections } = SaveStateCodec.decode(blob);
+
+        if (meta.romCRC !== this.hw.romCRC) {
+            throw new Error(`Save state pertence a outra ROM (${meta.romName})`);
+        }
+
+        // Tudo conferido antes de pausar: um blob ruim não deixa a máquina pela metade
+        const { dram, io } = sections;
+        if (!dram || dram.length !== this.hw.dram.u8.length) {
+            throw new Error("Save state sem a DRAM completa");
+        }
+        if (!io || io.length % 4 !== 0 || io.length !== this.hw.io.registers.byteLength) {
+            throw new Error("Save state com registradores de I/O inválidos");
+        }
+        if (!meta.cpu || !meta.miu || !meta.clock) {
+            throw new Error("Save state sem o estado da CPU");
+        }
+
+        const wasRunning = this.state === EmulatorState.RUNNING;
+        this.pause();
+
+        this.hw.dram.load(dram, 0);
+        this.hw.io.registers.set(new Uint32Array(io.slice().buffer));
+        this._restoreMachineState(meta);
+
+        // O histórico de rewind não se aplica mais à memória restaurada
+        if (this.rewind) this.rewind.clear();
+
+        console.log(`[STATE] ✓ Save state restaurado (frame ${meta.clock.frameCount}, ${meta.createdAt})`);
+        this.updateUIStatus(`📥 Estado restaurado: PC 0x${this.cpu.pc.toString(16).toUpperCase()}`);
+
+        if (wasRunning) this.start();
+        this.updateRunButton();
+        return true;
+    }
+
+    /**
+     * Salva o estado atual em um slot numerado
+     *
+     * @param {number} [slot=0] - Slot (0 a SAVE_SLOTS-1)
+     * @returns {boolean} true se salvo
+     */
+    quickSave(slot = 0) {
+        if (slot < 0 || slot >= PLATFORM_CONFIG.SAVE_SLOTS) {
+            console.warn(`[STATE] ⚠️ Slot inválido: ${slot}`);
+            return false;
+        }
+
+        const blob = this.saveState();
+        if (!blob) return false;
+
+        this.saveSlots.set(slot, blob);
+        this.updateUIStatus(`💾 Slot ${slot} salvo`);
+        return true;
+    }
+
+    /**
+     * Restaura o estado de um slot numerado
+     *
+     * @param {number} [slot=0] - Slot (0 a SAVE_SLOTS-1)
+     * @returns {boolean} true se restaurado
+     */
+    quickLoad(slot = 0) {
+        const blob = this.saveSlots.get(slot);
+        if (!blob) {
+            console.warn(`[STATE] ⚠️ Slot ${slot} vazio`);
+            this.updateUIStatus(`⚠️ Slot ${slot} vazio`);
+            return false;
+        }
+
+        try {
+            return this.loadState(blob);
+        } catch (err) {
+            console.error("[STATE] ❌ Falha ao restaurar slot:", err);
+            this.updateUIStatus(`❌ ${err.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Baixa um save state como arquivo .hss
+     *
+     * @param {number} [slot] - Slot a exportar (padrão: estado atual)
+     * @returns {Uint8Array|null} Blob exportado (sem DOM, apenas retornado)
+     */
+    exportState(slot) {
+        const blob = slot !== undefined ? this.saveSlots.get(slot) : this.saveState();
+        if (!blob) {
+            console.warn("[STATE] ⚠️ Nada para exportar");
+            return null;
+        }
+
+        if (typeof document === 'undefined') return blob;
+
+        const baseName = (this.hw.romName || "hyperscan").replace(/\.[^.]+$/, "");
+        const suffix = slot !== undefined ? `slot${slot}` : `frame${this.clock.frameCount}`;
+        const fileName = `${baseName}.${suffix}.hss`;
+        this._downloadFile(blob, fileName, "application/octet-stream");
+
+        console.log(`[STATE] ✓ Exportado: ${fileName}`);
+        return blob;
+    }
+
+    /**
+     * Oferece bytes para download pelo navegador
+     */
+    _downloadFile(bytes, fileName, type) {
+        const url = URL.createObjectURL(new Blob([bytes], { type }));
+
+        const a = document.createElement("a");
+        a.href = url;
+        a.download = fileName;
+        a.click();
+        // Revogar já no click cancela o download em alguns navegadores
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    /**
+     * Importa um arquivo .hss e restaura o estado
+     *
+     * @param {File} file - Arquivo selecionado pelo usuário
+     * @returns {Promise<boolean>} true se restaurado
+     */
+    async importState(file) {
+        try {
+            const buffer = await file.arrayBuffer();
+            return this.loadState(new Uint8Array(buffer));
+        } catch (err) {
+            console.error("[STATE] ❌ Falha ao importar:", err);
+            this.updateUIStatus(`❌ ${err.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Estado dos componentes (sem memória bruta), compartilhado entre
+     * save states e rewind
+     *
+     * @returns {Object} clock, CPU, MIU e periféricos
+     */
+    _captureMachineState() {
+        // Periféricos em dia com o clock: o restore realinha o agendador nele
+        this.scheduler.sync(this.clock.cyclesExecuted);
+
+        return {
+            clock: {
+                frameCount: this.clock.frameCount,
+                cyclesExecuted: this.clock.cyclesExecuted
+            },
+            cpu: this.cpu.getState(),
+            miu: this.hw.miu.getState(),
+            timer: this.peripherals.timer?.getState() ?? null,
+            intC: this.peripherals.intC?.getState() ?? null,
+            uart: this.peripherals.uart?.getState() ?? null,
+            audio: this.peripherals.audio?.getState() ?? null,
+            controller: this.peripherals.controller?.getState() ?? null,
+            cardReader: this.peripherals.cardReader?.getState() ?? null,
+            cdrom: this.peripherals.cdrom?.getState() ?? null,
+            vdu: this.peripherals.vdu?.getState() ?? null,
+            ppu: this.peripherals.ppu?.getState() ?? null
+        };
+    }
+
+    /**
+     * Restaura um objeto produzido por _captureMachineState()
+     *
+     * @param {Object} meta - Estado dos componentes
+     */
+    _restoreMachineState(meta) {
+        this.cpu.setState(meta.cpu);
+        this.hw.miu.setState(meta.miu);
+
+        if (meta.timer) this.peripherals.timer?.setState(meta.timer);
+        if (meta.intC) this.peripherals.intC?.setState(meta.intC);
+        if (meta.uart) this.peripherals.uart?.setState(meta.uart);
+        if (meta.audio) this.peripherals.audio?.setState(meta.audio);
+        if (meta.controller) this.peripherals.controller?.setState(meta.controller);
+        if (meta.cardReader) this.peripherals.cardReader?.setState(meta.cardReader);
+        if (meta.cdrom) this.peripherals.cdrom?.setState(meta.cdrom);
+        if (meta.vdu) this.peripherals.vdu?.setState(meta.vdu);
+        if (meta.ppu) this.peripherals.ppu?.setState(meta.ppu);
+
+        this.clock.frameCount = meta.clock.frameCount;
+        this.clock.cyclesExecuted = meta.clock.cyclesExecuted;
+        this.scheduler.reset(this.clock.cyclesExecuted);
+
+        if (this.movie) this._seekMovie();
+
+        if (this.dbg) this.dbg.state.recordState(this.cpu);
+    }
+
+    // ========== REWIND ==========
+
+    /**
+     * Registra o frame recém-concluído no buffer de rewind
+     */
+    _captureRewindFrame() {
+        if (!this.rewind || !this.config.rewindEnabled || !this.hw.romLoaded) return;
+        this.rewind.capture(this.clock.frameCount, this._captureMachineState());
+    }
+
+    /**
+     * Volta a máquina N frames usando o buffer de rewind.
+     * O estado de execução (rodando/pausado) é mantido.
+     *
+     * @param {number} [frames=1] - Quantidade de frames
+     * @returns {number} Frames efetivamente voltados (0 se o histórico acabou)
+     */
+    rewindFrames(frames = 1) {
+        if (!this.rewind || !this.hw.romLoaded) return 0;
+
+        const fromFrame = this.clock.frameCount;
+        const entry = this.rewind.rewindTo(fromFrame - Math.max(1, frames));
+        if (!entry) {
+            this.updateUIStatus("⏪ Histórico de rewind vazio");
+            return 0;
+        }
+
+        this._restoreMachineState(entry.meta);
+
+        if (this.peripherals.vdu) {
+            this.peripherals.vdu.render(this.hw.miu);
+        }
+
+        const rewound = fromFrame - entry.frame;
+        this.updateUIStatus(`⏪ Frame ${entry.frame} (-${rewound})`);
+        return rewound;
+    }
+
+    // ========== ERROR HANDLING ==========
+
+    /**
+     * Chamado pela CPU antes de vetorar uma falha síncrona.
+     * Com breakOnException, pausa na instrução que falhou e reporta.
+     * O BIOS HLE também chama aqui (force) quando o vetor não tem handler.
+     *
+     * @param {Object} fault - { cause, address, pc, message }
+     * @param {boolean} [force=false] - Pausa mesmo sem breakOnException
+     * @returns {boolean} true se a exceção deve ser suprimida
+     */
+    _handleCPUFault(fault, force = false) {
+        const pcHex = fault.pc.toString(16).padStart(8, '0').toUpperCase();
+        const addrHex = fault.address.toString(16).padStart(8, '0').toUpperCase();
+        const causeName = Object.keys(window.CPU_EXCEPTION || {})
+            .find(k => window.CPU_EXCEPTION[k] === fault.cause) || `0x${fault.cause.toString(16)}`;
+
+        if (!this.config.breakOnException && !force) {
+            if (this.config.debugEnabled) {
+                console.warn(`[CPU] Exceção ${causeName} @ PC 0x${pcHex} (addr 0x${addrHex})`);
+            }
+            return false;
+        }
+
+        this.pause();
+        console.warn(`[CPU] 🛑 ${causeName}: ${fault.message} @ PC 0x${pcHex} (addr 0x${addrHex})`);
+        this.updateUIStatus(`🛑 ${causeName} em 0x${pcHex}`);
+        this.updateRunButton();
+
+        if (this.dbg) this.dbg.state.recordState(this.cpu);
+
+        return true;
+    }
+
+    handleFatalError(err) {
+        this.state = EmulatorState.ERROR;
+        this.fatalError = err;
+
+        if (this.clock.frameId) {
+            cancelAnimationFrame(this.clock.frameId);
+            this.clock.frameId = null;
         }
 
         console.error("[FATAL ERROR]", err);
@@ -641,23 +2088,47 @@ class HyperScanEngine {
     // ========== UI ==========
 
     updateUIStatus(msg) {
-        const el = document.getElementById("status-text");
+        const el = uiElement("status-text");
         if (el) el.innerText = msg;
         console.log(`[UI] ${msg}`);
     }
 
     updateRunButton() {
-        const btn = document.getElementById("btn-run");
+        const btn = uiElement("btn-run");
         if (btn) {
             btn.innerText = this.state === EmulatorState.RUNNING ? "⏸️ PAUSE" : "▶️ RUN";
             btn.classList.toggle("active", this.state === EmulatorState.RUNNING);
         }
     }
 
+    updateRecordButton() {
+        const btn = uiElement("btn-audio-rec");
+        if (btn) {
+            btn.innerText = this.audioRecording ? "⏹️ STOP REC" : "⏺️ REC";
+            btn.classList.toggle("active", this.audioRecording !== null);
+        }
+    }
+
+    /**
+     * @param {string} [selected] - Cartão a deixar selecionado
+     */
+    updateCardList(selected) {
+        const select = uiElement("card-select");
+        if (!select || !this.cards) return;
+
+        const current = selected ?? select.value;
+        select.innerHTML = "";
+        for (const card of this.cards.list()) {
+            select.add(new Option(`${card.name} (${card.uid})`, card.name));
+        }
+        if (this.cards.get(current)) select.value = current;
+        select.disabled = this.cards.size === 0;
+    }
+
     enableControls(enabled) {
         const buttons = ["btn-run", "btn-step", "btn-reset", "btn-debug-toggle"];
         buttons.forEach(id => {
-            const el = document.getElementById(id);
+            const el = uiElement(id);
             if (el) el.disabled = !enabled;
         });
     }
@@ -681,7 +2152,8 @@ class HyperScanEngine {
 
 // ========== BOOT ==========
 
-document.addEventListener("DOMContentLoaded", () => {
+// Sem DOM (runtime headless) o engine é criado pelo chamador
+if (typeof document !== 'undefined') document.addEventListener("DOMContentLoaded", () => {
     console.log("%c✓ Boot HyperScan DEV", "color: #0f0; font-weight: bold;");
     
     try {
@@ -706,6 +2178,28 @@ document.addEventListener("DOMContentLoaded", () => {
         });
     }
 
+    // Firmware (BIOS do sistema)
+    const biosInput = document.getElementById("bios-upload");
+    if (biosInput) {
+        biosInput.addEventListener("change", async (e) => {
+            if (e.target.files.length > 0) {
+                await window.emu.loadBIOS(e.target.files[0]);
+                biosInput.value = "";
+            }
+        });
+    }
+
+    // Disco (ISO, CUE + BIN)
+    const discInput = document.getElementById("disc-upload");
+    if (discInput) {
+        discInput.addEventListener("change", async (e) => {
+            if (e.target.files.length > 0) {
+                await window.emu.loadDisc(e.target.files);
+                discInput.value = "";
+            }
+        });
+    }
+
     // Buttons
     document.getElementById("btn-run")?.addEventListener("click", () => {
         if (window.emu.state === EmulatorState.RUNNING) {
@@ -728,10 +2222,93 @@ document.addEventListener("DOMContentLoaded", () => {
         window.emu.toggleDebug();
     });
 
+    document.getElementById("btn-audio-rec")?.addEventListener("click", () => {
+        if (window.emu.audioRecording) {
+            window.emu.stopAudioRecording();
+        } else {
+            window.emu.startAudioRecording();
+        }
+    });
+
     document.getElementById("trace-toggle")?.addEventListener("change", (e) => {
         window.emu.config.traceInstructions = e.target.checked;
     });
 
+    // Save States
+    const slotSelect = document.getElementById("state-slot");
+    if (slotSelect) {
+        for (let i = 0; i < PLATFORM_CONFIG.SAVE_SLOTS; i++) {
+            slotSelect.add(new Option(`SLOT ${i}`, String(i)));
+        }
+    }
+    const selectedSlot = () => parseInt(slotSelect?.value || "0", 10);
+
+    document.getElementById("btn-state-save")?.addEventListener("click", () => {
+        window.emu.quickSave(selectedSlot());
+    });
+
+    document.getElementById("btn-state-load")?.addEventListener("click", () => {
+        window.emu.quickLoad(selectedSlot());
+    });
+
+    document.getElementById("btn-state-export")?.addEventListener("click", () => {
+        const slot = selectedSlot();
+        window.emu.exportState(window.emu.saveSlots.has(slot) ? slot : undefined);
+    });
+
+    const stateInput = document.getElementById("state-upload");
+    if (stateInput) {
+        stateInput.addEventListener("change", async (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                await window.emu.importState(file);
+                stateInput.value = "";
+            }
+        });
+    }
+
+    // Cartões RFID
+    window.emu.updateCardList();
+
+    document.getElementById("btn-card-swipe")?.addEventListener("click", () => {
+        const name = document.getElementById("card-select")?.value;
+        if (name) window.emu.swipeCard(name);
+    });
+
+    const cardInput = document.getElementById("card-upload");
+    if (cardInput) {
+        cardInput.addEventListener("change", async (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                await window.emu.importCard(file);
+                cardInput.value = "";
+            }
+        });
+    }
+
+    // Rewind: segurar a tecla volta frame a frame (rodando ou pausado)
+    const isTyping = (e) => ["INPUT", "TEXTAREA", "SELECT"].includes(e.target?.tagName);
+
+    document.addEventListener("keydown", (e) => {
+        if (e.key !== PLATFORM_CONFIG.REWIND_KEY || isTyping(e)) return;
+        e.preventDefault();
+
+        if (window.emu.state === EmulatorState.RUNNING) {
+            window.emu.rewindHeld = true;
+        } else {
+            // Pausado: cada repetição da tecla volta um frame
+            window.emu.rewindFrames(1);
+        }
+    });
+
+    document.addEventListener("keyup", (e) => {
+        if (e.key === PLATFORM_CONFIG.REWIND_KEY) window.emu.rewindHeld = false;
+    });
+
+    window.addEventListener("blur", () => {
+        window.emu.rewindHeld = false;
+    });
+
     console.log("%c✓ Boot Completo", "color: #0f0; font-weight: bold;");
 });
 
@@ -0,0 +1,114 @@
+/**
+ * cli.test.js - bin/hyperscan: condições de parada, códigos de saída e argumentos
+ *
+ * Autor: Ccor444
+ */
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawnSync } = require("child_process");
+
+const { Program, buildELF } = require("./helpers/program.js");
+
+const CLI = path.join(__dirname, "..", "bin", "hyperscan");
+
+let dir;
+let uartROM;
+let uartLoop;
+let elfPath;
+let elfTarget;
+
+test.before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "hyperscan-cli-"));
+
+    // Escreve "OK" na UART e para num laço
+    const p = new Program();
+    p.ldis(4, 0x080B);
+    for (const ch of "OK") p.ldi(5, ch.charCodeAt(0)).sw(5, 4, 0);
+    uartLoop = p.halt();
+    uartROM = path.join(dir, "uart.bin");
+    fs.writeFileSync(uartROM, p.build());
+
+    // "cafe" é símbolo e também hex válido: o símbolo tem de vencer
+    const q = new Program();
+    q.ldi(4, 1).ldi(4, 2);
+    elfTarget = q.pc;
+    q.ldi(4, 3).halt();
+    elfPath = path.join(dir, "prog.elf");
+    fs.writeFileSync(elfPath, buildELF(q, { cafe: elfTarget }));
+});
+
+test.after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function run(...args) {
+    return spawnSync(process.execPath, [CLI, ...args], { encoding: "utf8", timeout: 60000 });
+}
+
+test("--until-uart para no texto e a UART vai para stdout", () => {
+    const result = run(uartROM, "--frames", "5", "--until-uart", "OK");
+    assert.equal(result.status, 0, result.stderr);
+    assert.equal(result.stdout, "OK");
+    assert.match(result.stderr, /parou em UART "OK"/);
+});
+
+test("--until-pc hex atingido sai com 0; nunca atingido sai com 1", () => {
+    const hit = run(uartROM, "--frames", "2", "--until-pc", `0x${uartLoop.toString(16)}`);
+    assert.equal(hit.status, 0, hit.stderr);
+
+    const miss = run(uartROM, "--frames", "2", "--until-pc", "9E0FFFF0");
+    assert.equal(miss.status, 1, miss.stderr);
+    assert.match(miss.stderr, /fim da execução: frame 2/);
+});
+
+test("--until-pc procura o símbolo antes de ler como hex", () => {
+    const regs = path.join(dir, "regs.json");
+    const result = run(elfPath, "--frames", "2", "--until-pc", "cafe", "--regs", regs);
+    assert.equal(result.status, 0, result.stderr);
+    assert.match(result.stderr, new RegExp(`PC 0x${elfTarget.toString(16).toUpperCase()}`));
+    assert.notEqual(elfTarget, 0xCAFE);
+
+    const state = JSON.parse(fs.readFileSync(regs, "utf8"));
+    assert.equal(state.pc, elfTarget);
+});
+
+test("--until-pc que não é símbolo nem hex é erro de uso", () => {
+    const result = run(uartROM, "--until-pc", "main");
+    assert.equal(result.status, 2);
+    assert.match(result.stderr, /não é símbolo nem endereço hex: main/);
+});
+
+test("números com lixo no fim são erro de uso", () => {
+    for (const args of [
+        ["--frames", "10x"],
+        ["--frames", "-1"],
+        ["--until-cycles", "1e3"],
+        ["--until-cycles", "0x100"],
+        ["--card", "cartao.bin@5x"]
+    ]) {
+        const result = run(uartROM, ...args);
+        assert.equal(result.status, 2, `${args.join(" ")}: ${result.stderr}`);
+        assert.match(result.stderr, /valor inválido/);
+    }
+});
+
+test("--until-cycles para no ciclo pedido", () => {
+    const result = run(uartROM, "--until-cycles", "5000");
+    assert.equal(result.status, 0, result.stderr);
+
+    // Para no fim da instrução que cruza o ciclo pedido
+    const cycles = Number(result.stderr.match(/parou em (\d+) ciclos/)[1]);
+    assert.ok(cycles >= 5000 && cycles < 5100, `${cycles} ciclos`);
+});
+
+test("ROM inexistente sai com 2", () => {
+    const result = run(path.join(dir, "nao-existe.bin"));
+    assert.equal(result.status, 2);
+    assert.match(result.stderr, /não foi possível ler o arquivo/);
+});
@@ -0,0 +1,103 @@
+/**
+ * elf.test.js - Loader ELF32, tabela de símbolos e cabeçalhos inválidos
+ *
+ * Autor: Ccor444
+ */
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { Program, boot, buildELF, silenceCore } = require("./helpers/program.js");
+
+silenceCore();
+
+const BASE = 0xA0000100;
+
+function program() {
+    const p = new Program(BASE);
+    p.ldi(4, 1);
+    const done = p.pc;
+    p.ldi(4, 2).halt();
+    return { p, done };
+}
+
+/** Cópia do ELF com um campo u16/u32 trocado */
+function patch(bytes, offset, value, size = 4) {
+    const copy = bytes.slice();
+    const view = new DataView(copy.buffer);
+    if (size === 2) view.setUint16(offset, value, true);
+    else view.setUint32(offset, value >>> 0, true);
+    return copy;
+}
+
+test("ELF carrega na DRAM, entra no entry point e importa os símbolos", () => {
+    const { p, done } = program();
+    const bytes = buildELF(p, { main: BASE, done });
+
+    const emu = boot(bytes, "prog.elf");
+    assert.equal(emu.cpu.pc, BASE);
+    assert.equal(emu.symbols.find("done"), done);
+    assert.equal(emu.hw.romCRC, globalThis.ArrayMemoryRegion.crc32(bytes));
+
+    const d = emu.disassembler.disasmAt(done);
+    assert.equal(d.symbol, "done");
+
+    emu.runFrames(1);
+    assert.equal(emu.cpu.r[4], 2);
+});
+
+test("p_memsz maior que a região é recusado no parse", () => {
+    const { ElfImage } = globalThis;
+    const bytes = buildELF(program().p);
+    const PHDR = 52;
+
+    assert.throws(() => ElfImage.parse(patch(bytes, PHDR + 20, 0xFFFFFFF0)), /não cabe na DRAM nem na flash/);
+    assert.throws(() => ElfImage.parse(patch(bytes, PHDR + 20, 16 * 1024 * 1024)), /não cabe/);
+    assert.throws(() => ElfImage.parse(patch(bytes, PHDR + 8, 0x40000000)), /não cabe/);
+
+    // Até o fim da DRAM ainda cabe
+    const fits = ElfImage.parse(patch(bytes, PHDR + 20, 16 * 1024 * 1024 - 0x100));
+    assert.equal(fits.segments[0].memsz, 16 * 1024 * 1024 - 0x100);
+});
+
+test("tabelas fora do arquivo geram erros de ELF, não RangeError", () => {
+    const { ElfImage } = globalThis;
+    const bytes = buildELF(program().p, { main: BASE });
+    const shoff = new DataView(bytes.buffer).getUint32(32, true);
+    const SYMTAB = shoff + 40;
+    const STRTAB = shoff + 80;
+
+    const cases = [
+        [patch(bytes, 28, 0x10000), /Program headers fora do arquivo/],
+        [patch(bytes, 44, 0x400, 2), /Program headers fora do arquivo/],
+        [patch(bytes, 32, 0x10000), /Section headers fora do arquivo/],
+        [patch(bytes, SYMTAB + 16, 0x10000), /\.symtab fora do arquivo/],
+        [patch(bytes, SYMTAB + 24, 7), /seção 7, inexistente/],
+        [patch(bytes, STRTAB + 16, 0x10000), /\.strtab fora do arquivo/],
+        [patch(bytes, STRTAB + 20, 1), /Nome de símbolo fora da \.strtab/]
+    ];
+
+    for (const [broken, message] of cases) {
+        assert.throws(() => ElfImage.parse(broken), (err) => {
+            assert.ok(!(err instanceof RangeError), err.message);
+            assert.match(err.message, message);
+            return true;
+        });
+    }
+});
+
+test("ELF inválido não derruba o engine", () => {
+    const bytes = buildELF(program().p);
+    const { error } = console;
+    console.error = () => {};
+    let emu;
+    try {
+        emu = boot(patch(bytes, 52 + 20, 0xFFFFFFF0), "big.elf");
+    } finally {
+        console.error = error;
+    }
+    assert.equal(emu.hw.romLoaded, false);
+    assert.match(emu.fatalError?.message ?? "", /não cabe/);
+});
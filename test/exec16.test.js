@@ -0,0 +1,97 @@
+/**
+ * exec16.test.js - Execução dos oito formatos de 16 bits
+ *
+ * Cada instrução fica em um endereço alinhado com o bit 15 limpo; os
+ * formatos 4-7 (OP 4-7) não podem depender do bit paralelo.
+ *
+ * Autor: Ccor444
+ */
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { I16, Program, boot, silenceCore } = require("./helpers/program.js");
+
+silenceCore();
+
+const TRUE = 0x0F;
+const DATA = 0xA0001000;
+
+/** Monta o prólogo de 32 bits, os ops de 16 bits e roda um passo por instrução */
+function run16(setup, ops) {
+    const p = new Program();
+    setup(p);
+    const start = p.pc;
+    for (const op of ops) p.op16(op);
+    p.align().halt();
+
+    const emu = boot(p);
+    while (emu.cpu.pc !== start) emu.cpu.step();
+    for (let i = 0; i < ops.length; i++) emu.cpu.step();
+    return { emu, start };
+}
+
+test("formato 0: mv! e t{cond}!", () => {
+    const { emu } = run16(p => p.ldi(5, 0x1234), [I16.mv(4, 5), I16.t(TRUE)]);
+    assert.equal(emu.cpu.r[4], 0x1234);
+    assert.equal(emu.cpu.T, 1);
+});
+
+test("formato 1: mtce.l! e mfce.l!", () => {
+    const { emu } = run16(p => p.ldi(5, 0x77), [I16.mtcel(5), I16.mfcel(6)]);
+    assert.equal(emu.cpu.CEL, 0x77);
+    assert.equal(emu.cpu.r[6], 0x77);
+});
+
+test("formato 2: add!, push! e pop!", () => {
+    const { emu } = run16(p => p.li(0, 0xA0002000).ldi(4, 3).ldi(5, 4), [
+        I16.add(4, 5),
+        I16.push(4, 0),
+        I16.pop(6, 0, 1)  // H=1: r22
+    ]);
+    assert.equal(emu.cpu.r[4], 7);
+    assert.equal(emu.cpu.r[22], 7);
+    assert.equal(emu.cpu.r[0], 0xA0002000);
+    assert.equal(emu.hw.miu.readU32(0xA0001FFC), 7);
+});
+
+test("formato 3: jl! salta relativo ao pc e liga r3", () => {
+    const { emu, start } = run16(() => {}, [I16.jl(0x20)]);
+    assert.equal(emu.cpu.pc, start + 0x20);
+    assert.equal(emu.cpu.r[3], start + 2);
+});
+
+test("formato 4: b{cond}! em endereço alinhado", () => {
+    const { emu, start } = run16(() => {}, [I16.b(TRUE, -0x10)]);
+    assert.equal(emu.cpu.pc, start - 0x10);
+});
+
+test("formato 5: ldiu! em endereço alinhado", () => {
+    const { emu, start } = run16(() => {}, [I16.ldiu(7, 0xAB), I16.ldiu(8, 0x01)]);
+    assert.equal(emu.cpu.r[7], 0xAB);
+    assert.equal(emu.cpu.r[8], 0x01);
+    assert.equal(emu.cpu.pc, start + 4);
+});
+
+test("formato 6: srli! e bitset!", () => {
+    const { emu } = run16(p => p.ldi(4, 0x80), [I16.srli(4, 3), I16.bitset(4, 0)]);
+    assert.equal(emu.cpu.r[4], 0x11);
+});
+
+test("formato 7: swp! e lwp! relativos a r2", () => {
+    const { emu } = run16(p => p.li(2, DATA).ldi(4, 0x5A5A), [I16.swp(4, 3), I16.lwp(9, 3)]);
+    assert.equal(emu.hw.miu.readU32(DATA + 12), 0x5A5A);
+    assert.equal(emu.cpu.r[9], 0x5A5A);
+});
+
+test("Disasm16 decodifica os campos de 15 bits", () => {
+    const { Disasm16 } = globalThis;
+    assert.equal(new Disasm16(I16.mv(4, 5), 0).decode(), "mv! r4, r5");
+    assert.equal(new Disasm16(I16.add(4, 5), 0).decode(), "add! r4, r5");
+    assert.equal(new Disasm16(I16.ldiu(7, 0xAB), 0).decode(), "ldiu! r7, 0xAB");
+    assert.equal(new Disasm16(I16.srli(4, 3), 0).decode(), "srli! r4, 3");
+    assert.equal(new Disasm16(I16.lwp(9, 3), 0).decode(), "lwp! r9, 3");
+    assert.equal(new Disasm16(I16.pop(6, 0, 1), 0).decode(), "pop! r22, [r0]");
+});
@@ -0,0 +1,95 @@
+/**
+ * faults.test.js - Instrução reservada, erros de endereço e de barramento
+ *
+ * Autor: Ccor444
+ */
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { FLASH, I16, Program, boot, silenceCore } = require("./helpers/program.js");
+
+silenceCore();
+
+const RESERVED = 0x1F << 25;
+
+test("instrução reservada pausa o engine na instrução que falhou", () => {
+    const p = new Program();
+    p.ldi(4, 1);
+    const bad = p.pc;
+    p.emit(RESERVED).ldi(4, 2);
+
+    const emu = boot(p);
+    assert.equal(emu.runFrames(5), 0);
+
+    const { EmulatorState, CPU_EXCEPTION } = globalThis;
+    assert.equal(emu.state, EmulatorState.PAUSED);
+    assert.equal(emu.cpu.pc, bad);
+    assert.equal(emu.cpu.r[4], 1);
+    assert.equal(emu.cpu.lastFault.cause, CPU_EXCEPTION.RESERVED_INSTRUCTION);
+    assert.equal(emu.cpu.lastFault.pc, bad);
+});
+
+test("load desalinhado gera ADDRESS_ERROR_LOAD com o endereço", () => {
+    const p = new Program();
+    p.li(2, 0xA0001002);
+    const bad = p.pc;
+    p.lw(4, 2, 0).halt();
+
+    const emu = boot(p);
+    assert.equal(emu.runFrames(1), 0);
+    assert.equal(emu.cpu.pc, bad);
+    assert.equal(emu.cpu.lastFault.cause, globalThis.CPU_EXCEPTION.ADDRESS_ERROR_LOAD);
+    assert.equal(emu.cpu.lastFault.address, 0xA0001002);
+});
+
+test("store em região somente leitura gera BUS_ERROR sem alterar a memória", () => {
+    const p = new Program();
+    p.li(2, FLASH).ldi(4, 0);
+    const bad = p.pc;
+    p.sw(4, 2, 0).halt();
+
+    const emu = boot(p);
+    emu.hw.flash.writable = false;
+    const before = emu.hw.miu.readU32(FLASH);
+    assert.equal(emu.runFrames(1), 0);
+    assert.equal(emu.cpu.pc, bad);
+    assert.equal(emu.cpu.lastFault.cause, globalThis.CPU_EXCEPTION.BUS_ERROR);
+    assert.equal(emu.hw.miu.readU32(FLASH), before);
+});
+
+test("salto para segmento não mapeado gera ADDRESS_ERROR_FETCH", () => {
+    const p = new Program();
+    p.li(2, 0x40000000).op16(I16.br(0x0F, 2));
+
+    const emu = boot(p);
+    assert.equal(emu.hw.miu.isMapped(0x40000000), false);
+    assert.equal(emu.runFrames(1), 0);
+    assert.equal(emu.cpu.lastFault.cause, globalThis.CPU_EXCEPTION.ADDRESS_ERROR_FETCH);
+    assert.equal(emu.cpu.lastFault.address, 0x40000000);
+});
+
+test("sem breakOnException a falha entra no vetor com CR2, CR5 e CR6", () => {
+    const VECTORS = FLASH + 0x100;
+    const HANDLER = FLASH + 0x200;
+    const { ADDRESS_ERROR_STORE } = globalThis.CPU_EXCEPTION;
+
+    const p = new Program();
+    p.li(2, VECTORS).mtcr(2, 3).li(2, 0xA0001001);
+    const bad = p.pc;
+    p.sw(4, 2, 0).halt();
+
+    p.at(VECTORS + ADDRESS_ERROR_STORE * 4).j(HANDLER);
+    p.at(HANDLER).ldi(10, 0xEE).halt();
+
+    const emu = boot(p);
+    emu.config.breakOnException = false;
+    assert.equal(emu.runFrames(1), 1);
+
+    assert.equal(emu.cpu.r[10], 0xEE);
+    assert.equal((emu.cpu.cr[2] >>> 18) & 0x3F, ADDRESS_ERROR_STORE);
+    assert.equal(emu.cpu.cr[5], bad);
+    assert.equal(emu.cpu.cr[6], 0xA0001001);
+});
@@ -0,0 +1,44 @@
+/**
+ * headless.test.js - Boot pela flash no runtime headless
+ *
+ * Autor: Ccor444
+ */
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { FLASH, Program, boot, silenceCore } = require("./helpers/program.js");
+
+silenceCore();
+
+test("boot pela flash, frames, registradores e framebuffer", () => {
+    const p = new Program();
+    p.ldi(4, 0x1234)
+        .ldis(2, 0xA000)            // framebuffer RGB565 em 0xA0000000
+        .ldi(5, 0xF800).sh(5, 2, 0) // pixel (0,0) vermelho
+        .ldi(5, 0x07E0).sh(5, 2, 2); // pixel (1,0) verde
+    const loop = p.halt();
+
+    const emu = boot(p);
+    assert.equal(emu.cpu.pc, FLASH);
+    assert.equal(emu.runFrames(3), 3);
+
+    assert.equal(emu.cpu.r[4], 0x1234);
+    assert.equal(emu.cpu.r[2], 0xA0000000);
+    assert.equal(emu.cpu.pc, loop);
+    assert.equal(emu.clock.frameCount, 3);
+
+    const { width, height, data } = emu.peripherals.vdu.getFrameBuffer();
+    assert.equal(width, 320);
+    assert.equal(height, 224);
+    assert.deepEqual([...data.subarray(0, 4)], [255, 0, 0, 255]);
+    assert.deepEqual([...data.subarray(4, 8)], [0, 255, 0, 255]);
+});
+
+test("runFrames exige ROM carregada", () => {
+    const { createEngine } = require("../hyperscan/headless.js");
+    const emu = createEngine({ quiet: true });
+    assert.throws(() => emu.runFrames(1), /ROM não carregada/);
+});
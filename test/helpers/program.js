@@ -0,0 +1,224 @@
+/**
+ * program.js - Montador mínimo e boot headless para os testes
+ *
+ * Os testes montam os próprios programas S+core (sem binários de fixture)
+ * e dão boot pela flash no runtime headless.
+ *
+ * Autor: Ccor444
+ */
+
+"use strict";
+
+const test = require("node:test");
+const path = require("path");
+
+const { createEngine } = require(path.join(__dirname, "..", "..", "hyperscan", "headless.js"));
+
+const FLASH = 0x9E000000;
+
+/**
+ * Instruções de 16 bits (15 bits, sem o bit paralelo): OP em [14:12],
+ * rD em [11:8], rA em [7:4], func4 em [3:0]
+ */
+const I16 = Object.freeze({
+    nop: () => 0,
+    mv: (rD, rA) => (rD << 8) | (rA << 4) | 0x03,
+    t: (cond) => (cond << 8) | 0x05,
+    br: (cond, rA) => (cond << 8) | (rA << 4) | 0x04,
+    brl: (cond, rA) => (cond << 8) | (rA << 4) | 0x0C,
+    mtcel: (rA) => (1 << 12) | (rA << 4) | 0x00,
+    mfcel: (rA) => (1 << 12) | (rA << 4) | 0x01,
+    add: (rD, rA) => (2 << 12) | (rD << 8) | (rA << 4) | 0x00,
+    cmp: (rD, rA) => (2 << 12) | (rD << 8) | (rA << 4) | 0x03,
+    pop: (rD, rA, H = 0) => (2 << 12) | (rD << 8) | (H << 7) | ((rA & 0x07) << 4) | 0x0A,
+    push: (rD, rA, H = 0) => (2 << 12) | (rD << 8) | (H << 7) | ((rA & 0x07) << 4) | 0x0E,
+    j: (disp) => (3 << 12) | (((disp >> 1) & 0x7FF) << 1),
+    jl: (disp) => (3 << 12) | (((disp >> 1) & 0x7FF) << 1) | 1,
+    b: (cond, disp) => (4 << 12) | (cond << 8) | ((disp >> 1) & 0xFF),
+    ldiu: (rD, imm) => (5 << 12) | (rD << 8) | (imm & 0xFF),
+    srli: (rD, imm) => (6 << 12) | (rD << 8) | ((imm & 0x1F) << 3) | 0x03,
+    bitset: (rD, imm) => (6 << 12) | (rD << 8) | ((imm & 0x1F) << 3) | 0x05,
+    // lwp!/swp!: base r2, imm5 em palavras
+    lwp: (rD, imm) => (7 << 12) | (rD << 8) | ((imm & 0x1F) << 3) | 0x00,
+    swp: (rD, imm) => (7 << 12) | (rD << 8) | ((imm & 0x1F) << 3) | 0x04
+});
+
+/**
+ * Instruções de 32 bits com OP em [29:25], gravadas como duas metades
+ * de 15 bits com p0/p1 ligados (inverso de CPU.fetch)
+ */
+class Program {
+    constructor(base = FLASH) {
+        this.base = base;
+        /** endereço → halfword */
+        this.halves = new Map();
+        this.pc = base;
+    }
+
+    at(address) {
+        this.pc = address;
+        return this;
+    }
+
+    half(value) {
+        this.halves.set(this.pc, value & 0xFFFF);
+        this.pc += 2;
+        return this;
+    }
+
+    /** Instrução 16-bit isolada (bit paralelo desligado) */
+    op16(insn) {
+        return this.half(insn & 0x7FFF);
+    }
+
+    /** Par paralelo: p0=0 na metade baixa, p1=1 na alta */
+    pair(low, high) {
+        return this.half(low & 0x7FFF).half((high & 0x7FFF) | 0x8000);
+    }
+
+    /** Completa a palavra com nop! para a próxima instrução de 32 bits */
+    align() {
+        return (this.pc & 2) ? this.op16(I16.nop()) : this;
+    }
+
+    emit(insn) {
+        return this.half((insn & 0x7FFF) | 0x8000).half(((insn >>> 15) & 0x7FFF) | 0x8000);
+    }
+
+    ldi(rD, imm) { return this.emit((1 << 25) | (rD << 20) | (6 << 17) | ((imm & 0xFFFF) << 1)); }
+    ori(rD, imm) { return this.emit((1 << 25) | (rD << 20) | (5 << 17) | ((imm & 0xFFFF) << 1)); }
+    ldis(rD, imm) { return this.emit((5 << 25) | (rD << 20) | (6 << 17) | ((imm & 0xFFFF) << 1)); }
+    li(rD, value) { return this.ldis(rD, value >>> 16).ori(rD, value & 0xFFFF); }
+    addri(rD, rA, imm) { return this.emit((8 << 25) | (rD << 20) | (rA << 15) | ((imm & 0x3FFF) << 1)); }
+
+    // RIX sem write-back (OP 0x07): func3 0 = lw, 4 = sw
+    lw(rD, rA, imm) { return this.emit((7 << 25) | (rD << 20) | (rA << 15) | ((imm & 0xFFF) << 3) | 0); }
+    sw(rD, rA, imm) { return this.emit((7 << 25) | (rD << 20) | (rA << 15) | ((imm & 0xFFF) << 3) | 4); }
+    // Forma de memória: OP 0x15 = sh, imm15 em [14:0]
+    sh(rD, rA, imm) { return this.emit((0x15 << 25) | (rD << 20) | (rA << 15) | (imm & 0x7FFF)); }
+
+    mtcr(rD, crA) { return this.emit((6 << 25) | (rD << 20) | (crA << 15) | 0x01); }
+    rte() { return this.emit((6 << 25) | 0x84); }
+    j(target) { return this.emit((2 << 25) | (((target >>> 1) & 0xFFFFFF) << 1)); }
+    sdbbp(code) { return this.emit(((code & 0x1F) << 15) | (3 << 1)); }
+
+    /** Laço infinito no pc atual; retorna o endereço do laço */
+    halt() {
+        const loop = this.pc;
+        this.j(loop);
+        return loop;
+    }
+
+    /**
+     * @returns {Uint8Array} Imagem da flash a partir de base
+     */
+    build() {
+        const end = Math.max(...this.halves.keys()) + 2;
+        const bytes = new Uint8Array(end - this.base);
+        const view = new DataView(bytes.buffer);
+
+        for (const [address, value] of this.halves) {
+            view.setUint16(address - this.base, value, true);
+        }
+        return bytes;
+    }
+}
+
+/**
+ * Engine headless com o programa na flash
+ * @param {Program|Uint8Array} program
+ */
+function boot(program, name = "test.bin") {
+    const emu = createEngine({ quiet: true });
+    emu.loadROMData(program instanceof Program ? program.build() : program, name);
+    return emu;
+}
+
+/**
+ * Empacota o programa como ELF32 S+core executável: um PT_LOAD com a
+ * imagem em base e .symtab/.strtab com os símbolos dados (STT_FUNC)
+ *
+ * @param {Program} program
+ * @param {Object<string, number>} [symbols] - nome → endereço
+ * @returns {Uint8Array}
+ */
+function buildELF(program, symbols = {}) {
+    const text = program.build();
+    const names = Object.keys(symbols);
+    const strtab = Buffer.from(`\0${names.map(name => `${name}\0`).join("")}`);
+
+    const textOffset = 0x100;
+    const symOffset = (textOffset + text.length + 3) & ~3;
+    const symSize = (names.length + 1) * 16;
+    const strOffset = symOffset + symSize;
+    const shOffset = (strOffset + strtab.length + 3) & ~3;
+
+    const out = Buffer.alloc(shOffset + 3 * 40);
+    out.set([0x7F, 0x45, 0x4C, 0x46, 1, 1, 1]);
+    out.writeUInt16LE(2, 16);               // ET_EXEC
+    out.writeUInt16LE(135, 18);             // EM_SCORE
+    out.writeUInt32LE(1, 20);
+    out.writeUInt32LE(program.base, 24);    // e_entry
+    out.writeUInt32LE(52, 28);              // e_phoff
+    out.writeUInt32LE(shOffset, 32);        // e_shoff
+    out.writeUInt16LE(52, 40);
+    out.writeUInt16LE(32, 42);
+    out.writeUInt16LE(1, 44);
+    out.writeUInt16LE(40, 46);
+    out.writeUInt16LE(3, 48);
+
+    out.writeUInt32LE(1, 52);               // PT_LOAD
+    out.writeUInt32LE(textOffset, 56);
+    out.writeUInt32LE(program.base, 60);
+    out.writeUInt32LE(program.base, 64);
+    out.writeUInt32LE(text.length, 68);
+    out.writeUInt32LE(text.length, 72);
+    out.writeUInt32LE(5, 76);               // R+X
+    out.set(text, textOffset);
+
+    let nameOffset = 1;
+    names.forEach((name, i) => {
+        const p = symOffset + (i + 1) * 16;
+        out.writeUInt32LE(nameOffset, p);
+        out.writeUInt32LE(symbols[name] >>> 0, p + 4);
+        out[p + 12] = (1 << 4) | 2;         // STB_GLOBAL, STT_FUNC
+        out.writeUInt16LE(1, p + 14);
+        nameOffset += name.length + 1;
+    });
+    out.set(strtab, strOffset);
+
+    const section = (i, type, offset, size, link, entsize) => {
+        const p = shOffset + i * 40;
+        out.writeUInt32LE(type, p + 4);
+        out.writeUInt32LE(offset, p + 16);
+        out.writeUInt32LE(size, p + 20);
+        out.writeUInt32LE(link, p + 24);
+        out.writeUInt32LE(entsize, p + 36);
+    };
+    section(1, 2, symOffset, symSize, 2, 16);  // .symtab → .strtab
+    section(2, 3, strOffset, strtab.length, 0, 0);
+
+    return new Uint8Array(out);
+}
+
+/** Conta iterações em r10 e grava o contador em 0xA0001000 */
+function counterProgram() {
+    const p = new Program();
+    p.li(2, 0xA0001000);
+    const loop = p.pc;
+    p.addri(10, 10, 1).sw(10, 2, 0).j(loop);
+    return p;
+}
+
+/** Desliga os logs do core durante os testes do arquivo */
+function silenceCore() {
+    const saved = ["log", "info", "warn"].map(level => [level, console[level]]);
+    test.before(() => {
+        for (const [level] of saved) console[level] = () => {};
+    });
+    test.after(() => {
+        for (const [level, fn] of saved) console[level] = fn;
+    });
+}
+
+module.exports = { FLASH, I16, Program, boot, buildELF, counterProgram, silenceCore };
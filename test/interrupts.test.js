@@ -0,0 +1,123 @@
+/**
+ * interrupts.test.js - Latch, máscara, prioridade e entrega de IRQs
+ *
+ * Autor: Ccor444
+ */
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { FLASH, Program, boot, silenceCore } = require("./helpers/program.js");
+
+silenceCore();
+
+const VECTORS = FLASH + 0x100;
+const HANDLER = FLASH + 0x200;
+const IRQ_VBLANK = 4;
+
+/** Vetores em VECTORS, INTC em r3, máscara com as IRQs dadas; IEc opcional */
+function irqProgram(irqs, enable) {
+    const mask = irqs.reduce((m, irq) => m | (1 << irq), 0);
+    const p = new Program();
+    p.li(2, VECTORS).mtcr(2, 3)     // CR3: tabela de vetores
+        .ldis(3, 0x080D)             // INTC em 0x080D0000
+        .ldi(5, mask).sw(5, 3, 0x0); // INT_MASK
+    if (enable) p.ldi(5, 1).mtcr(5, 0); // CR0.IEc
+    const loop = p.halt();
+
+    for (const irq of irqs) {
+        p.at(VECTORS + irq * 4).j(HANDLER + irq * 0x10);
+        p.at(HANDLER + irq * 0x10).ldi(10, irq).halt();
+    }
+    return { p, loop };
+}
+
+function stepUntil(emu, pc, limit = 100) {
+    for (let i = 0; i < limit && emu.cpu.pc !== pc; i++) emu.cpu.step();
+    return emu.cpu.pc === pc;
+}
+
+test("IRQ de VBlank entra no vetor, recebe ACK e volta com rte", () => {
+    const p = new Program();
+    p.li(2, VECTORS).mtcr(2, 3)
+        .ldis(3, 0x080D)
+        .ldi(5, 1 << IRQ_VBLANK).sw(5, 3, 0x0)
+        .ldi(5, 1).mtcr(5, 0);
+    p.halt();
+
+    p.at(VECTORS + IRQ_VBLANK * 4).j(HANDLER);
+    p.at(HANDLER)
+        .addri(10, 10, 1)
+        .ldi(5, 1 << IRQ_VBLANK).sw(5, 3, 0xC) // INT_ACK
+        .rte();
+
+    const emu = boot(p);
+    assert.equal(emu.runFrames(5), 5);
+
+    const intC = emu.peripherals.intC;
+    assert.ok(emu.cpu.r[10] >= 4, `handler rodou ${emu.cpu.r[10]} vezes`);
+    assert.equal(emu.cpu.r[10], intC.stats.processed);
+    assert.equal(emu.cpu.cr[0] & 1, 1, "rte religa IEc");
+    assert.equal(intC.regs.INT_STATUS & (1 << IRQ_VBLANK), 0);
+});
+
+test("IRQ fica pendente com CR0.IEc desligado e é entregue ao ligar", () => {
+    const { p, loop } = irqProgram([6], false);
+    const emu = boot(p);
+    assert.ok(stepUntil(emu, loop));
+
+    emu.peripherals.intC.trigger(emu.cpu, 6);
+    for (let i = 0; i < 10; i++) emu.cpu.step();
+    assert.equal(emu.cpu.pc, loop);
+    assert.equal(emu.peripherals.intC.regs.INT_STATUS & (1 << 6), 1 << 6);
+
+    emu.cpu.cr[0] |= 1;
+    emu.cpu.step();
+    assert.equal(emu.cpu.pc, VECTORS + 6 * 4);
+    assert.equal(emu.cpu.cr[5], loop, "CR5 guarda o PC interrompido");
+    assert.equal(emu.cpu.cr[0] & 1, 0, "entrada no vetor desliga IEc");
+});
+
+test("IRQ mascarada não é entregue", () => {
+    const { p, loop } = irqProgram([6], true);
+    const emu = boot(p);
+    assert.ok(stepUntil(emu, loop));
+
+    emu.peripherals.intC.trigger(emu.cpu, 5);
+    for (let i = 0; i < 10; i++) emu.cpu.step();
+    assert.equal(emu.cpu.pc, loop);
+    assert.equal(emu.peripherals.intC.stats.blocked, 1);
+});
+
+test("INT_PRIO vence o menor número de IRQ", () => {
+    for (const [prio, expected] of [[0, 5], [1 << 6, 6]]) {
+        const { p, loop } = irqProgram([5, 6], true);
+        const emu = boot(p);
+        assert.ok(stepUntil(emu, loop));
+
+        const intC = emu.peripherals.intC;
+        intC.regs.INT_PRIO = prio;
+        intC.trigger(emu.cpu, 6);
+        intC.trigger(emu.cpu, 5);
+        emu.cpu.step();
+        assert.equal(emu.cpu.pc, VECTORS + expected * 4);
+
+        assert.ok(stepUntil(emu, HANDLER + expected * 0x10 + 4));
+        assert.equal(emu.cpu.r[10], expected);
+    }
+});
+
+test("IRQs da plataforma não reusam as causas de exceção da CPU", () => {
+    const emu = boot(new Program().ldi(4, 1));
+    const config = require("vm").runInThisContext("PLATFORM_CONFIG");
+    const causes = new Set(Object.values(globalThis.CPU_EXCEPTION));
+
+    const irqs = Object.entries(config).filter(([key]) => key.startsWith("IRQ_"));
+    for (const [key, irq] of irqs) {
+        assert.ok(!causes.has(irq), `${key} = ${irq} é causa de exceção`);
+    }
+    assert.equal(new Set(irqs.map(([, irq]) => irq)).size, irqs.length, "IRQs repetidas");
+    assert.equal(emu.peripherals.cdrom.irqNumber, config.IRQ_CDROM);
+});
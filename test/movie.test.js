@@ -0,0 +1,85 @@
+/**
+ * movie.test.js - Gravação e replay de input movies com checagem de desync
+ *
+ * Autor: Ccor444
+ */
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { I16, Program, boot, counterProgram, silenceCore } = require("./helpers/program.js");
+
+silenceCore();
+
+const FRAMES = 20;
+
+// Soma PAD1 em r10 a cada volta e grava em 0xA0001000: a entrada muda a DRAM
+function padProgram() {
+    const p = new Program();
+    p.li(3, 0x08004000).li(2, 0xA0001000);
+    const loop = p.pc;
+    p.lw(6, 3, 0).op16(I16.add(10, 6)).op16(I16.nop()).sw(10, 2, 0).j(loop);
+    return p;
+}
+
+function record() {
+    const emu = boot(padProgram());
+    const { GREEN, START } = globalThis.PAD_BUTTON;
+    assert.equal(emu.startMovieRecording({ hashInterval: 5 }), true);
+
+    for (let frame = 0; frame < FRAMES; frame++) {
+        emu.peripherals.controller.setButtons(0, frame % 3 ? GREEN : START);
+        emu.runFrames(1);
+    }
+
+    const result = emu.stopMovie();
+    return { emu, movie: result.movie, r10: emu.cpu.r[10] };
+}
+
+test("replay reproduz a entrada gravada sem desync", () => {
+    const { movie, r10 } = record();
+    assert.equal(movie.length, FRAMES);
+    assert.ok(r10 > 0);
+
+    const emu = boot(padProgram());
+    let ended = null;
+    emu.onMovieEnd = (result) => { ended = result; };
+    emu.playMovie(movie.encode());
+
+    emu.runFrames(FRAMES + 5);
+    assert.ok(ended, "onMovieEnd chamado");
+    assert.equal(ended.frames, FRAMES);
+    assert.deepEqual(ended.desyncs, []);
+    assert.equal(emu.movie, null);
+    assert.equal(emu.cpu.r[10], r10);
+});
+
+test("entrada alterada é detectada como desync e pausa o replay", () => {
+    const { movie } = record();
+    const tampered = globalThis.InputMovie.decode(movie.encode());
+    tampered.inputs[7 * tampered.players] = 0; // jogador 1, frame 7 (setFrame cortaria o resto)
+
+    const emu = boot(padProgram());
+    emu.playMovie(tampered);
+    emu.runFrames(FRAMES);
+
+    const { desyncs } = emu.movie;
+    assert.equal(desyncs.length, 1);
+    assert.ok(desyncs[0].frame > 7 && desyncs[0].frame <= 10, `desync no frame ${desyncs[0].frame}`);
+    assert.notEqual(desyncs[0].expected, desyncs[0].actual);
+    assert.equal(emu.state, globalThis.EmulatorState.PAUSED);
+});
+
+test("movie de outra ROM ou truncado é recusado", () => {
+    const { movie } = record();
+    const bytes = movie.encode();
+
+    const other = boot(counterProgram());
+    assert.throws(() => other.playMovie(bytes), /outra ROM/);
+
+    const emu = boot(padProgram());
+    assert.throws(() => emu.playMovie(bytes.subarray(0, bytes.length - 2)), /Movie truncado/);
+    assert.equal(emu.movie, null);
+});
@@ -0,0 +1,80 @@
+/**
+ * parallel.test.js - Fetch p0/p1 e pares paralelos de 16 bits
+ *
+ * Autor: Ccor444
+ */
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { I16, Program, boot, silenceCore } = require("./helpers/program.js");
+
+silenceCore();
+
+const TRUE = 0x0F;  // condição "sempre"
+const NE = 0x05;    // Z=0
+
+function run(p, steps) {
+    const emu = boot(p);
+    for (let i = 0; i < steps; i++) emu.cpu.step();
+    return emu;
+}
+
+test("T=1 executa só a metade baixa do par e avança 4 bytes", () => {
+    const p = new Program();
+    p.ldi(5, 0x55).op16(I16.t(TRUE)).op16(I16.nop());
+    const pairAt = p.pc;
+    p.pair(I16.mv(4, 5), I16.mv(6, 5));
+
+    const emu = run(p, 4);
+    assert.equal(emu.cpu.T, 1);
+    assert.equal(emu.cpu.r[4], 0x55);
+    assert.equal(emu.cpu.r[6], 0);
+    assert.equal(emu.cpu.pc, pairAt + 4);
+});
+
+test("T=0 executa a metade alta sem o bit paralelo", () => {
+    const p = new Program();
+    p.ldi(5, 0x55).op16(I16.cmp(5, 5)).op16(I16.t(NE));
+    const pairAt = p.pc;
+    p.pair(I16.mv(4, 5), I16.mv(6, 5));
+
+    const emu = run(p, 4);
+    assert.equal(emu.cpu.T, 0);
+    assert.equal(emu.cpu.r[4], 0);
+    assert.equal(emu.cpu.r[6], 0x55);
+    assert.equal(emu.cpu.pc, pairAt + 4);
+});
+
+test("jl! e br{cond}l! dentro do par ligam para a instrução depois do par", () => {
+    const p = new Program();
+    p.li(7, 0x9E000100).op16(I16.t(TRUE)).op16(I16.nop());
+    const jlAt = p.pc;
+    p.pair(I16.jl(0x40), I16.nop());
+
+    let emu = run(p, 5);
+    assert.equal(emu.cpu.pc, jlAt + 0x40);
+    assert.equal(emu.cpu.r[3], jlAt + 4);
+
+    const q = new Program();
+    q.li(7, 0x9E000100).op16(I16.cmp(7, 7)).op16(I16.t(NE));
+    const brlAt = q.pc;
+    q.pair(I16.nop(), I16.brl(TRUE, 7));
+
+    emu = run(q, 5);
+    assert.equal(emu.cpu.pc, 0x9E000100);
+    assert.equal(emu.cpu.r[3], brlAt + 4);
+});
+
+test("disassembler mostra as duas metades do par sem o bit paralelo", () => {
+    const p = new Program();
+    p.pair(I16.mv(4, 5), I16.mv(6, 5));
+
+    const emu = boot(p);
+    const d = emu.disassembler.disasmAt(emu.cpu.pc);
+    assert.equal(d.format, "16-bit parallel");
+    assert.equal(d.bytes, 4);
+    assert.match(d.text, /low=mv! r4, r5 \/ high=mv! r6, r5/);
+});
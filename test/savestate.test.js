@@ -0,0 +1,120 @@
+/**
+ * savestate.test.js - Save states: restauração e blobs inválidos
+ *
+ * Autor: Ccor444
+ */
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { boot, counterProgram, silenceCore } = require("./helpers/program.js");
+
+silenceCore();
+
+function snapshot(emu) {
+    return {
+        r10: emu.cpu.r[10],
+        pc: emu.cpu.pc,
+        frame: emu.clock.frameCount,
+        cycles: emu.clock.cyclesExecuted,
+        dram: emu.hw.dram.crc32(),
+        io: [...emu.hw.io.registers]
+    };
+}
+
+/** Offset do primeiro byte das seções binárias no blob */
+function dataStart(blob) {
+    return 12 + new DataView(blob.buffer, blob.byteOffset).getUint32(8, true);
+}
+
+test("save state restaura registradores, DRAM e clock", () => {
+    const emu = boot(counterProgram());
+    emu.runFrames(3);
+
+    const blob = emu.saveState();
+    const saved = snapshot(emu);
+
+    emu.runFrames(3);
+    const later = emu.cpu.r[10];
+    assert.ok(later > saved.r10);
+
+    assert.equal(emu.loadState(blob), true);
+    assert.deepEqual(snapshot(emu), saved);
+    assert.equal(emu.hw.miu.readU32(0xA0001000), saved.r10);
+
+    // Determinístico: os mesmos 3 frames chegam ao mesmo contador
+    emu.runFrames(3);
+    assert.equal(emu.cpu.r[10], later);
+});
+
+test("blob truncado é recusado sem tocar na máquina", () => {
+    const emu = boot(counterProgram());
+    emu.runFrames(2);
+    const blob = emu.saveState();
+    emu.runFrames(2);
+    const before = snapshot(emu);
+
+    for (const length of [8, 20, dataStart(blob) + 0x100, blob.length - 1]) {
+        assert.throws(() => emu.loadState(blob.subarray(0, length)), /Save state (inválido|truncado)/);
+        assert.deepEqual(snapshot(emu), before);
+    }
+});
+
+test("byte trocado na DRAM falha no checksum sem tocar na máquina", () => {
+    const emu = boot(counterProgram());
+    emu.runFrames(2);
+    const blob = emu.saveState().slice();
+    emu.runFrames(2);
+    const before = snapshot(emu);
+
+    blob[dataStart(blob) + 0x1000] ^= 0x01;
+    assert.throws(() => emu.loadState(blob), /checksum da seção dram/);
+    assert.deepEqual(snapshot(emu), before);
+});
+
+test("blob sem seção de I/O ou sem CPU é recusado antes de pausar", () => {
+    const { SaveStateCodec } = globalThis;
+    const emu = boot(counterProgram());
+    emu.runFrames(1);
+    const { meta, sections } = SaveStateCodec.decode(emu.saveState());
+    const before = snapshot(emu);
+
+    const noIO = SaveStateCodec.encode(meta, { dram: sections.dram });
+    assert.throws(() => emu.loadState(noIO), /registradores de I\/O/);
+
+    const oddIO = SaveStateCodec.encode(meta, { dram: sections.dram, io: sections.io.subarray(0, 6) });
+    assert.throws(() => emu.loadState(oddIO), /registradores de I\/O/);
+
+    const noCPU = SaveStateCodec.encode({ ...meta, cpu: undefined }, sections);
+    assert.throws(() => emu.loadState(noCPU), /estado da CPU/);
+
+    assert.deepEqual(snapshot(emu), before);
+});
+
+test("save state de outra ROM é recusado", () => {
+    const emu = boot(counterProgram());
+    emu.runFrames(1);
+    const blob = emu.saveState();
+
+    const other = boot(counterProgram().ldi(4, 1));
+    assert.throws(() => other.loadState(blob), /outra ROM/);
+});
+
+test("DRAM esparsa: o blob guarda só as páginas escritas", () => {
+    const emu = boot(counterProgram());
+    emu.runFrames(2);
+    emu.hw.miu.writeU32(0xA0FFFFFC, 0xCAFEF00D);
+
+    const blob = emu.saveState();
+    assert.ok(blob.length < 256 * 1024, `blob com ${blob.length} bytes`);
+
+    const before = snapshot(emu);
+    emu.hw.miu.writeU32(0xA0FFFFFC, 0);
+    emu.runFrames(2);
+
+    emu.loadState(blob);
+    assert.deepEqual(snapshot(emu), before);
+    assert.equal(emu.hw.miu.readU32(0xA0FFFFFC), 0xCAFEF00D);
+});
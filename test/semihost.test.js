@@ -0,0 +1,142 @@
+/**
+ * semihost.test.js - Semihosting por sdbbp 31: stdout, arquivos na sandbox e exit
+ *
+ * Autor: Ccor444
+ */
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawnSync } = require("child_process");
+
+const { I16, Program, boot, silenceCore } = require("./helpers/program.js");
+
+silenceCore();
+
+const OP = { OPEN: 1, CLOSE: 2, READ: 3, WRITE: 4, SEEK: 5, EXIT: 6 };
+const STRINGS = 0xA0002000;
+const BUFFER = 0xA0003000;
+const ERROR = 0xFFFFFFFF;
+
+/** sdbbp 31 com a operação em r4 e os argumentos em r5-r7 */
+function call(p, op, ...args) {
+    p.ldi(4, op);
+    args.forEach((value, i) => p.li(5 + i, value));
+    return p.sdbbp(31);
+}
+
+/** Grava C strings na DRAM; retorna os endereços */
+function poke(emu, ...texts) {
+    let address = STRINGS;
+    return texts.map(text => {
+        const start = address;
+        for (const ch of text) emu.hw.miu.writeU8(address++, ch.charCodeAt(0));
+        emu.hw.miu.writeU8(address++, 0);
+        return start;
+    });
+}
+
+test("write no fd 1 vai para onOutput e exit para a CPU com o status", () => {
+    const p = new Program();
+    call(p, OP.WRITE, 1, STRINGS, 3);
+    p.op16(I16.mv(10, 4)).op16(I16.nop());
+    call(p, OP.EXIT, 0);
+    p.ldi(11, 1).halt();
+
+    const emu = boot(p);
+    poke(emu, "hi\n");
+    let output = "";
+    emu.semihost.onOutput = (fd, bytes) => { output += `${fd}:${Buffer.from(bytes)}`; };
+
+    emu.runFrames(2);
+    assert.equal(output, "1:hi\n");
+    assert.equal(emu.cpu.r[10], 3);
+    assert.equal(emu.exitStatus, 0);
+    assert.equal(emu.cpu.halted, true);
+    assert.equal(emu.cpu.r[11], 0, "nada roda depois do exit");
+});
+
+test("open, read, seek, write e close na sandbox em memória", () => {
+    const p = new Program();
+    call(p, OP.OPEN, STRINGS, 0).op16(I16.mv(8, 4)).op16(I16.nop());         // fd de entrada em r8
+    p.op16(I16.mv(5, 8)).op16(I16.nop());
+    p.ldi(4, OP.READ).li(6, BUFFER).li(7, 4).sdbbp(31);
+    p.op16(I16.mv(12, 4)).op16(I16.nop());                                   // 4 bytes lidos
+    p.op16(I16.mv(5, 8)).op16(I16.nop());
+    p.ldi(4, OP.SEEK).li(6, -2).li(7, 2).sdbbp(31);                          // 2 antes do fim
+    p.op16(I16.mv(13, 4)).op16(I16.nop());
+    p.op16(I16.mv(5, 8)).op16(I16.nop());
+    p.ldi(4, OP.READ).li(6, BUFFER + 4).li(7, 16).sdbbp(31);
+    p.op16(I16.mv(14, 4)).op16(I16.nop());
+    p.op16(I16.mv(5, 8)).op16(I16.nop());
+    p.ldi(4, OP.CLOSE).sdbbp(31);
+
+    call(p, OP.OPEN, STRINGS + 7, 1).op16(I16.mv(9, 4)).op16(I16.nop());     // out.txt
+    p.op16(I16.mv(5, 9)).op16(I16.nop());
+    p.ldi(4, OP.WRITE).li(6, BUFFER).li(7, 6).sdbbp(31);
+    p.op16(I16.mv(5, 9)).op16(I16.nop());
+    p.ldi(4, OP.CLOSE).sdbbp(31);
+    call(p, OP.EXIT, 3);
+
+    const emu = boot(p);
+    emu.semihost.fs = new globalThis.MemoryFileSystem({ "in.txt": "abcdef" });
+    poke(emu, "in.txt", "out.txt");
+
+    emu.runFrames(2);
+    assert.equal(emu.cpu.r[12], 4);
+    assert.equal(emu.cpu.r[13], 4);
+    assert.equal(emu.cpu.r[14], 2);
+    assert.equal(Buffer.from(emu.semihost.fs.readFile("out.txt")).toString(), "abcdef");
+    assert.equal(emu.exitStatus, 3);
+});
+
+test("caminho fora da sandbox e origem de seek inválida devolvem -1", () => {
+    const p = new Program();
+    call(p, OP.OPEN, STRINGS, 0).op16(I16.mv(10, 4)).op16(I16.nop());
+    call(p, OP.OPEN, STRINGS + 10, 1).op16(I16.mv(8, 4)).op16(I16.nop());
+    p.op16(I16.mv(5, 8)).op16(I16.nop());
+    p.ldi(4, OP.SEEK).li(6, 0).li(7, 9).sdbbp(31);
+    p.op16(I16.mv(11, 4)).op16(I16.nop());
+    p.halt();
+
+    const emu = boot(p);
+    poke(emu, "../etc/x", "ok.txt");
+    emu.runFrames(1);
+
+    assert.equal(emu.cpu.r[10], ERROR);
+    assert.notEqual(emu.cpu.r[8], ERROR);
+    assert.equal(emu.cpu.r[11], ERROR);
+});
+
+test("CLI: --semihost grava na pasta e status diferente de 0 sai com 5", () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "hyperscan-semihost-"));
+    try {
+        // O caminho vai na própria ROM: a flash é legível pelo semihosting
+        const p = new Program();
+        const name = 0x9E000200;
+        call(p, OP.OPEN, name, 1).op16(I16.mv(8, 4)).op16(I16.nop());
+        p.op16(I16.mv(5, 8)).op16(I16.nop());
+        p.ldi(4, OP.WRITE).li(6, name).li(7, 7).sdbbp(31);
+        p.op16(I16.mv(5, 8)).op16(I16.nop());
+        p.ldi(4, OP.CLOSE).sdbbp(31);
+        call(p, OP.EXIT, 7);
+        p.at(name);
+        for (const pair of ["lo", "g.", "tx", "t\0"]) p.half(pair.charCodeAt(0) | (pair.charCodeAt(1) << 8));
+
+        const rom = path.join(dir, "semi.bin");
+        fs.writeFileSync(rom, p.build());
+        const sandbox = path.join(dir, "sandbox");
+
+        const cli = path.join(__dirname, "..", "bin", "hyperscan");
+        const result = spawnSync(process.execPath, [cli, rom, "--semihost", sandbox], { encoding: "utf8", timeout: 60000 });
+        assert.equal(result.status, 5, result.stderr);
+        assert.match(result.stderr, /saiu com status 7/);
+        assert.equal(fs.readFileSync(path.join(sandbox, "log.txt"), "utf8"), "log.txt");
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
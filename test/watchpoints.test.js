@@ -0,0 +1,144 @@
+/**
+ * watchpoints.test.js - Watchpoints de dados na MIU
+ *
+ * Autor: Ccor444
+ */
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { FLASH, Program, boot, counterProgram, silenceCore } = require("./helpers/program.js");
+
+silenceCore();
+
+const COUNTER = 0xA0001000;
+// counterProgram: li r2 (2 palavras), laço em +8 com addri, sw em +0xC e j em +0x10
+const SW_PC = FLASH + 0x0C;
+
+test("watchpoint de escrita pausa depois do sw com pc, endereço e valor", () => {
+    const emu = boot(counterProgram());
+    const w = emu.hw.miu.addWatchpoint({ start: COUNTER });
+
+    assert.equal(emu.runFrames(5), 0, "para ainda no primeiro frame");
+    assert.deepEqual(emu.lastWatchpoint, { id: w.id, access: "w", address: COUNTER, size: 4, value: 1, pc: SW_PC });
+    assert.equal(emu.cpu.r[10], 1);
+    assert.equal(emu.cpu.pc, SW_PC + 4, "pc já na instrução seguinte");
+    assert.equal(w.hits, 1);
+
+    // Cada runFrames anda até o próximo acesso
+    emu.runFrames(1);
+    assert.equal(emu.lastWatchpoint.value, 2);
+    assert.equal(w.hits, 2);
+});
+
+test("filtro de acesso: leitura não dispara em escrita e vice-versa", () => {
+    const emu = boot(counterProgram());
+    const read = emu.hw.miu.addWatchpoint({ start: COUNTER, access: "r" });
+
+    emu.runFrames(1);
+    assert.equal(emu.lastWatchpoint, null);
+    assert.equal(read.hits, 0);
+    assert.ok(emu.cpu.r[10] > 100);
+
+    // lw no mesmo endereço dispara o de leitura, não o de escrita
+    const p = new Program();
+    p.li(2, COUNTER).lw(3, 2, 0);
+    const lwPC = p.pc - 4;
+    p.halt();
+
+    const reader = boot(p);
+    reader.hw.miu.writeU32(COUNTER, 0x1234);
+    const write = reader.hw.miu.addWatchpoint({ start: COUNTER, access: "w" });
+    const rw = reader.hw.miu.addWatchpoint({ start: COUNTER, access: "rw" });
+
+    reader.runFrames(1);
+    assert.equal(write.hits, 0);
+    assert.deepEqual(reader.lastWatchpoint, { id: rw.id, access: "r", address: COUNTER, size: 4, value: 0x1234, pc: lwPC });
+});
+
+test("intervalo dispara em acesso que se sobrepõe e ignora vizinhos", () => {
+    const emu = boot(counterProgram());
+    const before = emu.hw.miu.addWatchpoint({ start: COUNTER - 4, end: COUNTER - 1 });
+    const inside = emu.hw.miu.addWatchpoint({ start: COUNTER + 2, end: COUNTER + 0x100 });
+
+    emu.runFrames(1);
+    assert.equal(before.hits, 0);
+    assert.equal(emu.lastWatchpoint.id, inside.id);
+    assert.equal(emu.lastWatchpoint.address, COUNTER, "endereço do acesso, não do watchpoint");
+});
+
+test("condição de tamanho: u16 ignora sw e dispara em sh", () => {
+    const p = new Program();
+    p.li(2, COUNTER).ldi(3, 0xBEEF).sw(3, 2, 0).sh(3, 2, 2);
+    const shPC = p.pc - 4;
+    p.halt();
+
+    const emu = boot(p);
+    const half = emu.hw.miu.addWatchpoint({ start: COUNTER, end: COUNTER + 3, size: 2 });
+
+    emu.runFrames(1);
+    assert.equal(half.hits, 1);
+    assert.deepEqual(emu.lastWatchpoint, { id: half.id, access: "w", address: COUNTER + 2, size: 2, value: 0xBEEF, pc: shPC });
+});
+
+test("condição de valor com máscara", () => {
+    const emu = boot(counterProgram());
+    emu.hw.miu.addWatchpoint({ start: COUNTER, value: 5 });
+    emu.runFrames(1);
+    assert.equal(emu.lastWatchpoint.value, 5);
+    assert.equal(emu.cpu.r[10], 5);
+
+    emu.hw.miu.clearWatchpoints();
+    const masked = emu.hw.miu.addWatchpoint({ start: COUNTER, value: 0x30, mask: 0xF0 });
+    assert.equal(masked.value, 0x30);
+    emu.runFrames(1);
+    assert.equal(emu.lastWatchpoint.value, 0x30, "primeiro valor com (v & 0xF0) === 0x30");
+});
+
+test("removeWatchpoint deixa o programa seguir", () => {
+    const emu = boot(counterProgram());
+    const w = emu.hw.miu.addWatchpoint({ start: COUNTER });
+
+    emu.runFrames(1);
+    assert.equal(emu.cpu.r[10], 1);
+
+    assert.equal(emu.hw.miu.removeWatchpoint(w.id), true);
+    assert.equal(emu.hw.miu.removeWatchpoint(w.id), false);
+
+    assert.equal(emu.runFrames(1), 1);
+    assert.ok(emu.cpu.r[10] > 100);
+    assert.equal(emu.hw.miu.readU32(COUNTER), emu.cpu.r[10]);
+});
+
+test("addWatchpoint rejeita acesso, tamanho e intervalo inválidos", () => {
+    const emu = boot(counterProgram());
+    const miu = emu.hw.miu;
+
+    assert.throws(() => miu.addWatchpoint({ start: COUNTER, access: "x" }), RangeError);
+    assert.throws(() => miu.addWatchpoint({ start: COUNTER, size: 3 }), RangeError);
+    assert.throws(() => miu.addWatchpoint({ start: COUNTER, end: COUNTER - 1 }), RangeError);
+    assert.equal(miu.watchpoints.length, 0);
+
+    // ids não se repetem depois de remover
+    const a = miu.addWatchpoint({ start: COUNTER });
+    const b = miu.addWatchpoint({ start: COUNTER });
+    miu.removeWatchpoint(a.id);
+    assert.equal(miu.addWatchpoint({ start: COUNTER }).id, b.id + 1);
+});
+
+test("parseMemoryWatch lê intervalo, acesso, tamanho e condição", () => {
+    boot(counterProgram());
+    const { BreakpointManager } = globalThis;
+    const parse = (line) => BreakpointManager.parseMemoryWatch(line.split(" "), (s) => parseInt(s, 16));
+
+    assert.deepEqual(parse("A0001000"), { start: 0xA0001000, end: 0xA0001000 });
+    assert.deepEqual(parse("A0001000-A0001FFF rw"), { start: 0xA0001000, end: 0xA0001FFF, access: "rw" });
+    assert.deepEqual(parse("A0001000+10 u16 =BEEF/FF00"),
+        { start: 0xA0001000, end: 0xA000100F, size: 2, value: 0xBEEF, mask: 0xFF00 });
+
+    assert.throws(() => parse("zz"), /Endereço inválido/);
+    assert.throws(() => parse("A0001000 u64"), /Argumento desconhecido/);
+    assert.throws(() => parse("A0001000 =xyz"), /Condição inválida/);
+});